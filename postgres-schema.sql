@@ -0,0 +1,186 @@
+-- Base Schema for rag-memory-pg-mcp
+-- Creates all tables used by the server (idempotent).
+--
+-- Supabase: run this in the SQL Editor before first use.
+-- PostgreSQL (STORAGE_BACKEND=postgres): applied automatically on startup,
+-- together with supabase-schema-migration.sql, supabase-fts-setup.sql and
+-- supabase-vector-search.sql.
+--
+-- Columns and tables added after the first release are also listed in
+-- supabase-schema-migration.sql for existing databases.
+
+-- ============================================================
+-- 1. Extensions
+-- ============================================================
+CREATE EXTENSION IF NOT EXISTS vector;
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ============================================================
+-- 2. Knowledge graph
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rag_entities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Project the entity belongs to (MEMORY_NAMESPACE / the namespace tool argument)
+  namespace TEXT NOT NULL DEFAULT 'default',
+  name TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  observations TEXT[] DEFAULT '{}',
+  metadata JSONB DEFAULT '{}',
+  -- TRUE until the entity's current name, type and observations are embedded
+  embedding_stale BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Former names of entities merged into this one (mergeEntities)
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Names are unique per namespace (namespace indexes: supabase-schema-migration.sql)
+  CONSTRAINT rag_entities_namespace_name_key UNIQUE (namespace, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_entities_embedding_stale ON rag_entities (id) WHERE embedding_stale;
+CREATE INDEX IF NOT EXISTS idx_rag_entities_aliases ON rag_entities USING gin (aliases);
+
+CREATE TABLE IF NOT EXISTS rag_relationships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace TEXT NOT NULL DEFAULT 'default',
+  source_entity UUID NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  target_entity UUID NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  relation_type TEXT NOT NULL,
+  confidence FLOAT DEFAULT 1.0,
+  -- Strength of the relation for ranking (confidence is how sure we are it holds)
+  weight FLOAT NOT NULL DEFAULT 1.0,
+  -- Where the relation comes from, e.g. 'stated', 'inferred', 'document:guide'
+  provenance TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_relationships_source ON rag_relationships (source_entity);
+CREATE INDEX IF NOT EXISTS idx_rag_relationships_target ON rag_relationships (target_entity);
+
+-- One record per observation; rag_entities.observations keeps the readable list
+CREATE TABLE IF NOT EXISTS rag_observations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_id UUID NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  -- { documentId, chunkIndex, session, caller, importedFrom }
+  source JSONB DEFAULT '{}',
+  confidence FLOAT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_observations_entity ON rag_observations (entity_id, created_at);
+
+-- Change history (getEntityHistory, asOf queries). No foreign keys:
+-- history outlives the records it describes
+CREATE TABLE IF NOT EXISTS rag_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace TEXT NOT NULL DEFAULT 'default',
+  record_type TEXT NOT NULL,        -- 'entity' or 'relationship'
+  record_id UUID NOT NULL,
+  entity_ids UUID[] NOT NULL DEFAULT '{}',  -- the entity, or both ends of the relationship
+  name TEXT,                        -- entity name at the time
+  operation TEXT NOT NULL,          -- 'create', 'update' or 'delete'
+  state JSONB NOT NULL,             -- record after the change (before it, for deletes)
+  changed_by JSONB DEFAULT '{}',    -- { session, caller, tool, importedFrom }
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_history_changed_at ON rag_history (changed_at);
+CREATE INDEX IF NOT EXISTS idx_rag_history_entity_ids ON rag_history USING gin (entity_ids);
+CREATE INDEX IF NOT EXISTS idx_rag_history_name ON rag_history (name) WHERE name IS NOT NULL;
+
+-- Trash: deleted records kept for restore until they expire. Rows are
+-- copied into the payload, so no foreign keys
+CREATE TABLE IF NOT EXISTS rag_trash (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace TEXT NOT NULL DEFAULT 'default',
+  item_type TEXT NOT NULL,          -- 'entity', 'relationship', 'observation' or 'document'
+  name TEXT,                        -- entity name, relation label or document id
+  payload JSONB NOT NULL,           -- deleted rows by table, with their original ids
+  deleted_by JSONB DEFAULT '{}',    -- { session, caller, tool }
+  deleted_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_trash_expires_at ON rag_trash (expires_at);
+CREATE INDEX IF NOT EXISTS idx_rag_trash_name ON rag_trash (name);
+
+-- ============================================================
+-- 3. Documents and chunks
+-- ============================================================
+-- Document ids are unique across namespaces
+CREATE TABLE IF NOT EXISTS rag_documents (
+  id TEXT PRIMARY KEY,
+  namespace TEXT NOT NULL DEFAULT 'default',
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}',
+  content_hash TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rag_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace TEXT NOT NULL DEFAULT 'default',
+  document_id TEXT NOT NULL REFERENCES rag_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER,
+  content TEXT NOT NULL,
+  embedding VECTOR(384),
+  start_pos INTEGER,
+  end_pos INTEGER,
+  metadata JSONB DEFAULT '{}',
+  token_count INTEGER,
+  content_hash TEXT,
+  embedding_model TEXT,
+  embedding_dimensions INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_chunks_document ON rag_chunks (document_id);
+
+-- ============================================================
+-- 4. Embeddings and links
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rag_entity_embeddings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_id UUID UNIQUE NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  embedding VECTOR(384),
+  embedding_text TEXT,
+  embedding_model TEXT,
+  embedding_dimensions INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS rag_chunk_entities (
+  chunk_id UUID NOT NULL REFERENCES rag_chunks(id) ON DELETE CASCADE,
+  entity_id UUID NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (chunk_id, entity_id)
+);
+
+-- ============================================================
+-- 5. Embedding cache (keyed by model, dimensions and content hash)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rag_embedding_cache (
+  model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  content_hash TEXT NOT NULL,
+  -- Any dimensions: rows are keyed by model and dimensions
+  embedding VECTOR NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (model, dimensions, content_hash)
+);
+
+-- ============================================================
+-- 6. Statistics view (getKnowledgeGraphStats)
+-- ============================================================
+CREATE OR REPLACE VIEW rag_stats AS
+SELECT
+  (SELECT COUNT(*)::INT FROM rag_entities) AS entity_count,
+  (SELECT COUNT(*)::INT FROM rag_relationships) AS relationship_count,
+  (SELECT COUNT(*)::INT FROM rag_documents) AS document_count,
+  (SELECT COUNT(*)::INT FROM rag_chunks) AS chunk_count,
+  (SELECT COUNT(embedding)::INT FROM rag_chunks) AS embedded_chunk_count,
+  (SELECT COUNT(*)::INT FROM rag_entity_embeddings) AS entity_embedding_count,
+  (SELECT COALESCE(jsonb_object_agg(entity_type, n), '{}'::jsonb)
+     FROM (SELECT entity_type, COUNT(*)::INT AS n FROM rag_entities GROUP BY entity_type) t) AS entity_types,
+  (SELECT COALESCE(jsonb_object_agg(relation_type, n), '{}'::jsonb)
+     FROM (SELECT relation_type, COUNT(*)::INT AS n FROM rag_relationships GROUP BY relation_type) t) AS relation_types;
@@ -0,0 +1,284 @@
+/**
+ * Access Control
+ *
+ * Named clients with permissions per namespace, read from the JSON file in
+ * ACCESS_CONTROL_FILE. Without it every caller may use every tool.
+ *
+ *   {
+ *     "clients": [
+ *       { "name": "alice", "token": "...", "namespaces": { "acme-api": "admin", "*": "read" } },
+ *       { "name": "ci", "tokenSha256": "9f86d0...", "namespaces": { "acme-api": "write" } }
+ *     ]
+ *   }
+ *
+ * A client authenticates with its token (stored as is or as a SHA-256 hex
+ * digest). Its permission in a namespace is the entry for that namespace,
+ * otherwise the "*" entry; each level includes the ones before it:
+ *
+ * - read: search, open and list
+ * - write: create, update, delete (to the trash), merge and restore from the trash
+ * - admin: purge the trash, backups, restores and imports, and the
+ *   whole-database tools with admin on "*"
+ *
+ * Backups, restores and imports that name a file on the server (`path`)
+ * need admin on "*" whatever the namespace: the files are shared by all
+ * namespaces.
+ *
+ * @module access
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { ALL_NAMESPACES, DATABASE_TOOLS, normalizeNamespace } from './namespaces.js';
+
+export const ACCESS_LEVELS = ['read', 'write', 'admin'];
+
+/**
+ * Permission each tool needs in the namespaces it works in
+ * (tools missing here need admin)
+ */
+export const TOOL_ACCESS = {
+  searchNodes: 'read',
+  openNodes: 'read',
+  hybridSearch: 'read',
+  getDetailedContext: 'read',
+  getGraph: 'read',
+  readGraph: 'read', // former name of getGraph, still handled
+  getNeighbors: 'read',
+  getSubgraph: 'read',
+  findPaths: 'read',
+  getKnowledgeGraphStats: 'read',
+  getEntityHistory: 'read',
+  findDuplicateEntities: 'read',
+  listTrash: 'read',
+  listDocuments: 'read',
+  extractTerms: 'read',
+  exportGraph: 'read',
+
+  createEntities: 'write',
+  createRelations: 'write',
+  addObservations: 'write',
+  updateEntities: 'write',
+  updateRelations: 'write',
+  deleteEntities: 'write',
+  deleteRelations: 'write',
+  deleteObservations: 'write',
+  deleteDocuments: 'write',
+  mergeEntities: 'write',
+  restore: 'write',
+  processDocument: 'write',
+  storeDocument: 'write',
+  chunkDocument: 'write',
+  embedChunks: 'write',
+  embedAllEntities: 'write',
+  linkEntitiesToDocument: 'write',
+
+  purgeTrash: 'admin',
+  backupMemory: 'admin',
+  restoreMemory: 'admin',
+  importMemory: 'admin',
+  reembed: 'admin',
+  rebuildSearchIndex: 'admin',
+};
+
+/**
+ * Tools that read or write server files when given a `path`
+ */
+export const SERVER_FILE_TOOLS = ['backupMemory', 'restoreMemory', 'importMemory'];
+
+/**
+ * Error for a tool call the client may not make
+ *
+ * `code` is UNAUTHENTICATED (no known client) or ACCESS_DENIED; `details`
+ * says which client, tool, namespace and permission were involved.
+ */
+export class AccessDeniedError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AccessDeniedError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * SHA-256 hex digest of a token
+ *
+ * @param {string} token - Client token
+ * @returns {string} Lowercase hex digest (the form of tokenSha256)
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(String(token), 'utf8').digest('hex');
+}
+
+/**
+ * Validate an access policy
+ *
+ * @param {object} policy - Parsed policy ({ clients })
+ * @returns {object} { clients: [{ name, tokenSha256, namespaces }] } with hashed tokens
+ * @throws {Error} If a client lacks a name or token, a name or token is
+ *   used twice, or a namespace or level is invalid
+ */
+export function parseAccessPolicy(policy) {
+  if (!Array.isArray(policy?.clients) || policy.clients.length === 0) {
+    throw new Error('Access control needs a "clients" list');
+  }
+
+  const names = new Set();
+  const tokens = new Set();
+  const clients = policy.clients.map((client, index) => {
+    const name = typeof client?.name === 'string' ? client.name.trim() : '';
+    if (!name) {
+      throw new Error(`Access control client ${index + 1} has no name`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Access control client "${name}" is listed twice`);
+    }
+    names.add(name);
+
+    const tokenSha256 = client.token
+      ? hashToken(client.token)
+      : String(client.tokenSha256 ?? '').trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(tokenSha256)) {
+      throw new Error(`Access control client "${name}" needs a token or a 64-character tokenSha256`);
+    }
+    if (tokens.has(tokenSha256)) {
+      throw new Error(`Access control client "${name}" shares its token with another client`);
+    }
+    tokens.add(tokenSha256);
+
+    const namespaces = {};
+    for (const [namespace, level] of Object.entries(client.namespaces || {})) {
+      const key = namespace === ALL_NAMESPACES ? ALL_NAMESPACES : normalizeNamespace(namespace);
+      if (!ACCESS_LEVELS.includes(level)) {
+        throw new Error(`Access control client "${name}": "${level}" for namespace "${namespace}" is not one of ${ACCESS_LEVELS.join(', ')}`);
+      }
+      namespaces[key] = level;
+    }
+
+    return { name, tokenSha256, namespaces };
+  });
+
+  return { clients };
+}
+
+/**
+ * Load the access policy named by the environment
+ *
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {object|null} Parsed policy, or null when ACCESS_CONTROL_FILE is unset
+ * @throws {Error} If the file cannot be read or the policy is invalid
+ */
+export function loadAccessPolicy(env = process.env) {
+  const path = env.ACCESS_CONTROL_FILE;
+  if (!path) return null;
+
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ACCESS_CONTROL_FILE ${path}: ${error.message}`);
+  }
+  return parseAccessPolicy(policy);
+}
+
+/**
+ * Find the client a token belongs to
+ *
+ * @param {object} policy - Parsed policy
+ * @param {string} token - Token presented by the caller
+ * @returns {object|null} { name, namespaces }, or null for unknown tokens
+ */
+export function authenticate(policy, token) {
+  if (!token) return null;
+
+  const digest = Buffer.from(hashToken(token), 'hex');
+  const client = policy.clients.find(candidate =>
+    timingSafeEqual(digest, Buffer.from(candidate.tokenSha256, 'hex'))
+  );
+  return client ? { name: client.name, namespaces: client.namespaces } : null;
+}
+
+/**
+ * Permission of a client in a namespace
+ *
+ * @param {object} client - Authenticated client
+ * @param {string|null} namespace - Namespace, or null for all namespaces
+ * @returns {string|null} Level from ACCESS_LEVELS, or null without access
+ */
+export function accessLevel(client, namespace) {
+  const grants = client?.namespaces || {};
+  if (namespace === null) return grants[ALL_NAMESPACES] ?? null;
+  return grants[namespace] ?? grants[ALL_NAMESPACES] ?? null;
+}
+
+/**
+ * Whether a level includes another
+ * @private
+ */
+function includesLevel(granted, required) {
+  return granted !== null && ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(required);
+}
+
+/**
+ * Check a tool call against the policy before it runs
+ *
+ * @param {object} client - Authenticated client (null when the caller is unknown)
+ * @param {string} tool - Tool name
+ * @param {string[]|null} namespaces - Namespaces the call works in; null for
+ *   all namespaces (cross-namespace "*" searches and whole-database tools)
+ * @param {object} args - Tool arguments (a `path` of SERVER_FILE_TOOLS
+ *   needs admin on "*")
+ * @throws {AccessDeniedError} If the client is unknown or lacks the permission
+ *   in one of the namespaces
+ */
+export function authorizeToolCall(client, tool, namespaces, args = {}) {
+  if (!client) {
+    throw new AccessDeniedError(
+      'Unknown client: access control is on and the request has no valid token',
+      'UNAUTHENTICATED',
+      { tool }
+    );
+  }
+
+  const required = TOOL_ACCESS[tool] ?? 'admin';
+  for (const namespace of namespaces ?? [null]) {
+    const granted = accessLevel(client, namespace);
+    if (!includesLevel(granted, required)) {
+      const where = namespace === null ? 'all namespaces ("*")' : `namespace "${namespace}"`;
+      throw new AccessDeniedError(
+        `Client "${client.name}" may not use ${tool} in ${where}: needs ${required}, has ${granted ?? 'no access'}`,
+        'ACCESS_DENIED',
+        { client: client.name, tool, namespace: namespace ?? ALL_NAMESPACES, required, granted }
+      );
+    }
+  }
+
+  if (SERVER_FILE_TOOLS.includes(tool) && args.path !== undefined) {
+    const granted = accessLevel(client, null);
+    if (!includesLevel(granted, 'admin')) {
+      throw new AccessDeniedError(
+        `Client "${client.name}" may not use ${tool} with a server file path: needs admin on all namespaces ("*"), has ${granted ?? 'no access'}`,
+        'ACCESS_DENIED',
+        { client: client.name, tool, namespace: ALL_NAMESPACES, required: 'admin', granted }
+      );
+    }
+  }
+}
+
+/**
+ * Tools a client can use in at least one namespace, for the tool list
+ *
+ * @param {object[]} tools - Tool definitions
+ * @param {object} client - Authenticated client
+ * @returns {object[]} Tools within the client's highest permission (whole-database
+ *   tools: within its permission on "*")
+ */
+export function toolsForClient(tools, client) {
+  const levels = Object.values(client?.namespaces || {});
+  const highest = ACCESS_LEVELS.filter(level => levels.includes(level)).pop() ?? null;
+  return tools.filter(tool => {
+    const granted = DATABASE_TOOLS.includes(tool.name) ? accessLevel(client, null) : highest;
+    return includesLevel(granted, TOOL_ACCESS[tool.name] ?? 'admin');
+  });
+}
@@ -0,0 +1,149 @@
+/**
+ * Backup Archives
+ *
+ * Versioned JSON-lines format for full backups of the memory store.
+ * The first line is a header, every other line one record:
+ *
+ *   {"type":"header","format":"rag-memory-backup","version":1,"counts":{...},...}
+ *   {"type":"entity","name":"React","entityType":"TECH","observations":[...],...}
+ *   {"type":"relationship","from":"React","to":"JavaScript","relationType":"uses",...}
+ *   {"type":"document","id":"guide","content":"...",...}
+ *   {"type":"chunk","documentId":"guide","chunkIndex":0,"content":"...",...}
+ *   {"type":"chunkEntity","documentId":"guide","chunkIndex":0,"entity":"React"}
+ *   {"type":"observation","entity":"React","content":"...","source":{...},"createdAt":"..."}
+ *
+ * Records reference entities by name and chunks by document id and chunk
+ * index, never by database UUID, so an archive restores into any database.
+ * Entity and chunk records carry an optional `embedding`
+ * ({ vector, model, dimensions }) when vectors are included.
+ *
+ * Version 2 added observation records; version 1 archives restore
+ * without them.
+ *
+ * @module backup
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+
+export const BACKUP_FORMAT = 'rag-memory-backup';
+export const BACKUP_VERSION = 2;
+
+/**
+ * How restore treats records that already exist
+ */
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'merge'];
+
+export const RECORD_TYPES = ['entity', 'relationship', 'document', 'chunk', 'chunkEntity', 'observation'];
+
+/**
+ * Serialize a backup archive
+ *
+ * @param {object} header - Header fields (format, version and counts are added)
+ * @param {object[]} records - Records, each with a `type` from RECORD_TYPES
+ * @returns {object} { content: JSON lines, counts: records per type }
+ */
+export function serializeBackup(header, records) {
+  const counts = Object.fromEntries(RECORD_TYPES.map(type => [type, 0]));
+  for (const record of records) {
+    counts[record.type]++;
+  }
+
+  const lines = [
+    JSON.stringify({ type: 'header', format: BACKUP_FORMAT, version: BACKUP_VERSION, ...header, counts }),
+    ...records.map(record => JSON.stringify(record)),
+  ];
+  return { content: lines.join('\n') + '\n', counts };
+}
+
+/**
+ * Parse and validate a backup archive
+ *
+ * @param {string} text - JSON lines
+ * @returns {object} { header, records: { entity: [], relationship: [], ... } }
+ * @throws {Error} If the archive is not a backup, is from a newer version,
+ *   or is incomplete (record counts differ from the header)
+ */
+export function parseBackup(text) {
+  const lines = String(text).split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error('Backup archive is empty');
+  }
+
+  const parse = (line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Backup archive line ${index + 1} is not valid JSON`);
+    }
+  };
+
+  const header = parse(lines[0], 0);
+  if (header.type !== 'header' || header.format !== BACKUP_FORMAT) {
+    throw new Error(`Not a ${BACKUP_FORMAT} archive`);
+  }
+  if (!(header.version <= BACKUP_VERSION)) {
+    throw new Error(`Backup version ${header.version} is newer than supported (${BACKUP_VERSION}) - upgrade the server`);
+  }
+
+  const records = Object.fromEntries(RECORD_TYPES.map(type => [type, []]));
+  lines.slice(1).forEach((line, index) => {
+    const record = parse(line, index + 1);
+    if (!records[record.type]) {
+      throw new Error(`Unknown record type "${record.type}" on line ${index + 2}`);
+    }
+    records[record.type].push(record);
+  });
+
+  for (const type of RECORD_TYPES) {
+    const expected = header.counts?.[type] ?? 0;
+    if (records[type].length !== expected) {
+      throw new Error(`Backup archive is incomplete: ${records[type].length} of ${expected} ${type} records`);
+    }
+  }
+
+  return { header, records };
+}
+
+/**
+ * Write an archive to a file
+ *
+ * @param {string} path - File path
+ * @param {string} content - Archive text
+ * @returns {Promise<number>} Bytes written
+ */
+export async function writeBackupFile(path, content) {
+  await writeFile(path, content, 'utf8');
+  return Buffer.byteLength(content, 'utf8');
+}
+
+/**
+ * Read an archive from a file
+ *
+ * @param {string} path - File path
+ * @returns {Promise<string>} Archive text
+ */
+export async function readBackupFile(path) {
+  return readFile(path, 'utf8');
+}
+
+/**
+ * Union of two observation lists, keeping the order of first appearance
+ *
+ * @param {string[]} existing - Current observations
+ * @param {string[]} incoming - Observations to add
+ * @returns {string[]} Merged observations
+ */
+export function mergeObservations(existing = [], incoming = []) {
+  return [...new Set([...(existing || []), ...(incoming || [])])];
+}
+
+/**
+ * Merge metadata objects; existing values win, archived ones fill the gaps
+ *
+ * @param {object} existing - Current metadata
+ * @param {object} incoming - Archived metadata
+ * @returns {object} Merged metadata
+ */
+export function mergeMetadata(existing = {}, incoming = {}) {
+  return { ...(incoming || {}), ...(existing || {}) };
+}
@@ -0,0 +1,48 @@
+/**
+ * Batching Helpers
+ *
+ * Splitting work into batches and running async work with a bounded
+ * number of tasks in flight (used by the embedding pipeline).
+ *
+ * @module batching
+ */
+
+/**
+ * Split items into consecutive batches
+ *
+ * @param {any[]} items - Items to split
+ * @param {number} size - Maximum batch size
+ * @returns {any[][]} Batches
+ */
+export function toBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Map items through an async function with at most `concurrency` calls
+ * in flight. Results keep the input order.
+ *
+ * @param {any[]} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {function} fn - Async mapper (item, index) => result
+ * @returns {Promise<any[]>} Results
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,180 @@
+/**
+ * Embedding Cache
+ *
+ * Persistent cache of embedding vectors keyed by (model, dimensions,
+ * content hash), stored in the rag_embedding_cache table, with a small
+ * in-process LRU in front of it so repeated queries skip the database too.
+ *
+ * Cache errors never fail embedding: lookups degrade to misses and failed
+ * writes are logged.
+ *
+ * @module cache
+ */
+
+import { parseVector } from './vectors.js';
+import { toBatches } from './batching.js';
+
+const TABLE = 'rag_embedding_cache';
+
+// Hashes per lookup query (keeps PostgREST URLs short)
+const LOOKUP_BATCH_SIZE = 100;
+
+export class EmbeddingCache {
+  /**
+   * @param {object} db - Storage backend
+   * @param {object} options - Cache options
+   * @param {number} options.memoryLimit - Entries kept in the in-process LRU (default: 1000)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.memoryLimit = options.memoryLimit ?? 1000;
+    this.memory = new Map();
+    this.available = undefined;
+    this.counters = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Check if the cache table exists
+   * Caches result to avoid repeated queries
+   *
+   * @returns {Promise<boolean>} True if rag_embedding_cache is available
+   */
+  async isAvailable() {
+    if (this.available !== undefined) {
+      return this.available;
+    }
+
+    const { error } = await this.db.from(TABLE).select('content_hash').limit(1);
+    this.available = !error;
+    if (!this.available) {
+      console.error(`ℹ️ ${TABLE} not found - embedding cache is in-process only. Run supabase-schema-migration.sql to persist it`);
+    }
+    return this.available;
+  }
+
+  /**
+   * Look up cached vectors
+   *
+   * @param {string} model - Embedding model id
+   * @param {number} dimensions - Vector dimensions
+   * @param {string[]} hashes - Content hashes
+   * @returns {Promise<Map<string, number[]>>} Vectors by content hash (misses are absent)
+   */
+  async getMany(model, dimensions, hashes) {
+    const found = new Map();
+    const pending = [];
+
+    for (const hash of new Set(hashes)) {
+      const key = this._key(model, dimensions, hash);
+      if (this.memory.has(key)) {
+        found.set(hash, this._touch(key, this.memory.get(key)));
+      } else {
+        pending.push(hash);
+      }
+    }
+
+    if (pending.length > 0 && await this.isAvailable()) {
+      for (const batch of toBatches(pending, LOOKUP_BATCH_SIZE)) {
+        const { data, error } = await this.db
+          .from(TABLE)
+          .select('content_hash, embedding')
+          .eq('model', model)
+          .eq('dimensions', dimensions)
+          .in('content_hash', batch);
+
+        if (error) {
+          console.error('Embedding cache lookup failed:', error.message);
+          continue;
+        }
+        for (const row of data) {
+          const embedding = parseVector(row.embedding);
+          if (!embedding) continue;
+          found.set(row.content_hash, embedding);
+          this._touch(this._key(model, dimensions, row.content_hash), embedding);
+        }
+      }
+    }
+
+    for (const hash of hashes) {
+      if (found.has(hash)) this.counters.hits++;
+      else this.counters.misses++;
+    }
+    return found;
+  }
+
+  /**
+   * Store freshly computed vectors
+   *
+   * @param {string} model - Embedding model id
+   * @param {number} dimensions - Vector dimensions
+   * @param {object[]} entries - [{ hash, embedding }]
+   */
+  async setMany(model, dimensions, entries) {
+    if (entries.length === 0) return;
+
+    for (const { hash, embedding } of entries) {
+      this._touch(this._key(model, dimensions, hash), embedding);
+    }
+
+    if (!await this.isAvailable()) return;
+
+    const { error } = await this.db
+      .from(TABLE)
+      .upsert(entries.map(({ hash, embedding }) => ({
+        model,
+        dimensions,
+        content_hash: hash,
+        embedding,
+      })), { onConflict: 'model,dimensions,content_hash', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('Embedding cache write failed:', error.message);
+    } else {
+      this.counters.writes += entries.length;
+    }
+  }
+
+  /**
+   * Cache statistics for this process
+   *
+   * @returns {Promise<object>} { enabled, persistent, entries, memoryEntries, hits, misses, writes, hitRate }
+   */
+  async stats() {
+    const persistent = await this.isAvailable();
+    let entries = null;
+    if (persistent) {
+      const { count } = await this.db.from(TABLE).select('content_hash', { count: 'exact', head: true });
+      entries = count ?? null;
+    }
+
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: true,
+      persistent,
+      entries,
+      memoryEntries: this.memory.size,
+      ...this.counters,
+      hitRate: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _key(model, dimensions, hash) {
+    return `${model}:${dimensions}:${hash}`;
+  }
+
+  /**
+   * Mark an entry as most recently used, evicting the oldest beyond the limit
+   * @private
+   */
+  _touch(key, embedding) {
+    this.memory.delete(key);
+    this.memory.set(key, embedding);
+    if (this.memory.size > this.memoryLimit) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    return embedding;
+  }
+}
@@ -0,0 +1,354 @@
+/**
+ * Document Chunking
+ *
+ * Splits document text into chunks for embedding. Strategies:
+ * - fixed: raw character windows (maxChunkSize, overlap) - legacy behavior
+ * - sentence: packs whole paragraphs/sentences, never cuts words
+ * - markdown: like sentence, but chunks never cross headings and carry the
+ *   heading path (e.g. ["Setup", "Docker"]) as metadata; code fences are kept whole
+ * - code: like sentence, but fenced code blocks are kept whole (split on line
+ *   boundaries only when a block exceeds maxChunkSize)
+ *
+ * Sizes are measured in characters by default. Pass `measure` (e.g. a
+ * tokenizer's token count) to size chunks in other units; the fixed strategy
+ * then packs whole words instead of raw character windows.
+ *
+ * All strategies return chunks with exact start/end offsets into the source.
+ *
+ * @module chunking
+ */
+
+export const CHUNKING_STRATEGIES = ['fixed', 'sentence', 'markdown', 'code'];
+
+const FENCE = /^ {0,3}(```|~~~)\s*([\w+-]*)[^\n]*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Split text into chunks
+ *
+ * @param {string} text - Document content
+ * @param {object} options - Chunking options
+ * @param {string} options.strategy - One of CHUNKING_STRATEGIES (default: 'fixed')
+ * @param {number} options.maxChunkSize - Maximum chunk size (default: 500)
+ * @param {number} options.overlap - Overlap between chunks (default: 50)
+ * @param {function} options.measure - Size of a text (default: character count)
+ * @returns {object[]} Chunks: { content, startPos, endPos, metadata }
+ *
+ * @example
+ * chunkText(markdown, { strategy: 'markdown', maxChunkSize: 800 })
+ * // [{ content: '## Setup\n...', startPos: 0, endPos: 412, metadata: { strategy: 'markdown', headingPath: ['Setup'] } }]
+ */
+export function chunkText(text, options = {}) {
+  const { strategy = 'fixed', maxChunkSize = 500, overlap = 50, measure = null } = options;
+
+  if (!CHUNKING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy}. Use one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+  if (maxChunkSize <= 0) {
+    throw new Error('maxChunkSize must be positive');
+  }
+  const safeOverlap = Math.max(0, Math.min(overlap, maxChunkSize - 1));
+  const size = measure
+    ? (start, end) => measure(text.slice(start, end))
+    : (start, end) => end - start;
+  const limits = { size, maxChunkSize, overlap: safeOverlap };
+
+  if (strategy === 'fixed') {
+    if (!measure) return fixedChunks(text, maxChunkSize, safeOverlap);
+    return packUnits(text, wordUnits(text), limits);
+  }
+
+  if (strategy === 'markdown') {
+    return markdownSections(text).flatMap(section => {
+      const units = segment(text, section.start, section.end, { fences: true });
+      return packUnits(text, units, limits).map(chunk => ({
+        ...chunk,
+        metadata: { strategy, headingPath: section.headingPath, ...chunk.metadata },
+      }));
+    });
+  }
+
+  const units = segment(text, 0, text.length, { fences: strategy === 'code' });
+  return packUnits(text, units, limits).map(chunk => ({
+    ...chunk,
+    metadata: { strategy, ...chunk.metadata },
+  }));
+}
+
+/**
+ * Legacy fixed-size character windows
+ * @private
+ */
+function fixedChunks(text, maxChunkSize, overlap) {
+  const chunks = [];
+  let startPos = 0;
+
+  while (startPos < text.length) {
+    const endPos = Math.min(startPos + maxChunkSize, text.length);
+    chunks.push({ content: text.substring(startPos, endPos), startPos, endPos, metadata: {} });
+    startPos += maxChunkSize - overlap;
+  }
+
+  return chunks;
+}
+
+/**
+ * Every whitespace-separated word as a unit
+ * @private
+ */
+function wordUnits(text) {
+  const units = [];
+  const word = /\S+/g;
+  let match;
+  while ((match = word.exec(text)) !== null) {
+    units.push({ start: match.index, end: match.index + match[0].length, code: false, paragraph: false });
+  }
+  return units;
+}
+
+/**
+ * Split markdown into heading sections, ignoring "#" lines inside code fences
+ * @private
+ */
+function markdownSections(text) {
+  const sections = [];
+  const path = [];
+  let current = { start: 0, headingPath: [] };
+  let inFence = null;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const fence = line.match(FENCE);
+    if (fence && (!inFence || fence[1] === inFence)) {
+      inFence = inFence ? null : fence[1];
+    } else if (!inFence) {
+      const heading = line.match(HEADING);
+      if (heading) {
+        if (offset > current.start) sections.push({ ...current, end: offset });
+
+        const level = heading[1].length;
+        path.length = level - 1;
+        path[level - 1] = heading[2];
+        current = { start: offset, headingPath: path.filter(Boolean) };
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  if (text.length > current.start) sections.push({ ...current, end: text.length });
+  return sections.filter(s => text.slice(s.start, s.end).trim());
+}
+
+/**
+ * Break a text range into atomic units: sentences (grouped by paragraph)
+ * and, optionally, whole code fences
+ * @private
+ */
+function segment(text, start, end, { fences }) {
+  const units = [];
+  const blocks = fences ? fenceBlocks(text, start, end) : [{ start, end, code: false }];
+
+  for (const block of blocks) {
+    if (block.code) {
+      units.push({ start: block.start, end: block.end, code: true, language: block.language, paragraph: true });
+      continue;
+    }
+
+    const paragraphBreak = /\n[ \t]*\n/g;
+    let paragraphStart = block.start;
+    const slice = text.slice(block.start, block.end);
+    let match;
+    const paragraphs = [];
+    while ((match = paragraphBreak.exec(slice)) !== null) {
+      paragraphs.push([paragraphStart, block.start + match.index]);
+      paragraphStart = block.start + match.index + match[0].length;
+    }
+    paragraphs.push([paragraphStart, block.end]);
+
+    for (const [pStart, pEnd] of paragraphs) {
+      let first = true;
+      for (const [sStart, sEnd] of sentences(text, pStart, pEnd)) {
+        units.push({ start: sStart, end: sEnd, code: false, paragraph: first });
+        first = false;
+      }
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Find fenced code blocks in a range
+ * @private
+ */
+function fenceBlocks(text, start, end) {
+  const blocks = [];
+  let textStart = start;
+  let fence = null;
+  let offset = start;
+
+  for (const line of text.slice(start, end).split('\n')) {
+    const lineEnd = Math.min(offset + line.length, end);
+    const match = line.match(FENCE);
+
+    if (match && !fence) {
+      if (offset > textStart) blocks.push({ start: textStart, end: offset, code: false });
+      fence = { start: offset, marker: match[1], language: match[2] || null };
+    } else if (match && fence && match[1] === fence.marker) {
+      blocks.push({ start: fence.start, end: lineEnd, code: true, language: fence.language });
+      fence = null;
+      textStart = lineEnd;
+    }
+    offset += line.length + 1;
+  }
+
+  // Unclosed fence runs to the end of the range
+  if (fence) {
+    blocks.push({ start: fence.start, end, code: true, language: fence.language });
+  } else if (end > textStart) {
+    blocks.push({ start: textStart, end, code: false });
+  }
+  return blocks;
+}
+
+/**
+ * Sentence ranges inside a paragraph, trimmed of surrounding whitespace.
+ * Boundaries are sentence punctuation followed by whitespace, or a newline.
+ * @private
+ */
+function sentences(text, start, end) {
+  const ranges = [];
+  const boundary = /[.!?]+["')\]]*\s+|\n/g;
+  const slice = text.slice(start, end);
+  let sentenceStart = start;
+  let match;
+
+  while ((match = boundary.exec(slice)) !== null) {
+    const range = trimRange(text, sentenceStart, start + match.index + match[0].length);
+    if (range) ranges.push(range);
+    sentenceStart = start + match.index + match[0].length;
+  }
+
+  const rest = trimRange(text, sentenceStart, end);
+  if (rest) ranges.push(rest);
+  return ranges;
+}
+
+/**
+ * Greedily pack units into chunks of at most maxChunkSize.
+ * A chunk that is at least half full ends at the next paragraph boundary.
+ * Overlap repeats trailing units of the previous chunk.
+ * @private
+ */
+function packUnits(text, units, limits) {
+  const { size, maxChunkSize, overlap } = limits;
+  const pieces = units.flatMap(unit => (
+    size(unit.start, unit.end) > maxChunkSize ? splitOversized(text, unit, limits) : [unit]
+  ));
+  const chunks = [];
+  let first = 0;
+
+  while (first < pieces.length) {
+    let last = first;
+    while (last + 1 < pieces.length) {
+      const next = pieces[last + 1];
+      if (size(pieces[first].start, next.end) > maxChunkSize) break;
+      if (next.paragraph && size(pieces[first].start, pieces[last].end) >= maxChunkSize / 2) break;
+      last++;
+    }
+
+    const group = pieces.slice(first, last + 1);
+    const startPos = pieces[first].start;
+    const endPos = pieces[last].end;
+    const metadata = {};
+    const code = group.find(p => p.code);
+    if (code) {
+      metadata.codeFence = true;
+      if (code.language) metadata.language = code.language;
+    }
+    chunks.push({ content: text.slice(startPos, endPos), startPos, endPos, metadata });
+
+    if (last + 1 >= pieces.length) break;
+
+    // Step back over trailing units that fit in the overlap window, as long
+    // as the next chunk still has room for the first unit it has not seen
+    let next = last + 1;
+    while (
+      next - 1 > first &&
+      size(pieces[next - 1].start, endPos) <= overlap &&
+      size(pieces[next - 1].start, pieces[last + 1].end) <= maxChunkSize &&
+      !pieces[next - 1].code
+    ) {
+      next--;
+    }
+    first = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a unit larger than maxChunkSize on line (code) or word (text)
+ * boundaries; only single tokens longer than maxChunkSize are cut
+ * @private
+ */
+function splitOversized(text, unit, limits) {
+  const { size, maxChunkSize } = limits;
+  const separator = unit.code ? /\n/g : /\s+/g;
+  const slice = text.slice(unit.start, unit.end);
+  const breaks = [];
+  let match;
+  while ((match = separator.exec(slice)) !== null) {
+    breaks.push(unit.start + match.index);
+  }
+  breaks.push(unit.end);
+
+  const pieces = [];
+  const push = (start, end) => {
+    const range = trimRange(text, start, end);
+    if (range) pieces.push({ ...unit, start: range[0], end: range[1], paragraph: pieces.length === 0 && unit.paragraph });
+  };
+
+  let pieceStart = unit.start;
+  let b = 0;
+  while (size(pieceStart, unit.end) > maxChunkSize) {
+    // Furthest break that keeps the piece within the limit
+    let cut = null;
+    while (b < breaks.length && size(pieceStart, breaks[b]) <= maxChunkSize) {
+      if (breaks[b] > pieceStart) cut = breaks[b];
+      b++;
+    }
+    if (cut === null) cut = fitEnd(size, pieceStart, unit.end, maxChunkSize);
+
+    push(pieceStart, cut);
+    pieceStart = cut;
+  }
+  push(pieceStart, unit.end);
+
+  return pieces;
+}
+
+/**
+ * Largest end (at least start + 1) such that size(start, end) <= max
+ * @private
+ */
+function fitEnd(size, start, end, max) {
+  let low = start + 1;
+  let high = end;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (size(start, mid) <= max) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Shrink a range to exclude leading/trailing whitespace
+ * @private
+ */
+function trimRange(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return end > start ? [start, end] : null;
+}
@@ -0,0 +1,119 @@
+/**
+ * Duplicate Entity Detection
+ *
+ * Name-based helpers for spotting near-duplicate entities ("PostgreSQL",
+ * "Postgres", "postgres db"). Names are normalized (case, accents,
+ * punctuation and spacing removed) and compared with the Dice coefficient
+ * of their character bigrams. Embedding similarity is added by the caller
+ * (see RAGKnowledgeGraphManager.findDuplicateEntities).
+ *
+ * @module duplicates
+ */
+
+/**
+ * Normalize an entity name for comparison
+ *
+ * @param {string} name - Entity name
+ * @returns {string} Lowercase letters and digits only
+ *
+ * @example
+ * normalizeEntityName('Node.js')  // 'nodejs'
+ * normalizeEntityName('Café  Müller') // 'cafemuller'
+ */
+export function normalizeEntityName(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Character bigrams of a normalized name
+ * @private
+ */
+function bigrams(normalized) {
+  const grams = new Set();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    grams.add(normalized.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Similarity of two entity names
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for equal normalized names, otherwise the bigram Dice coefficient in [0, 1)
+ *
+ * @example
+ * nameSimilarity('PostgreSQL', 'postgres') // 0.875
+ * nameSimilarity('Java', 'JavaScript')     // 0.5
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeEntityName(a);
+  const right = normalizeEntityName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  return diceCoefficient(bigrams(left), bigrams(right));
+}
+
+/**
+ * @private
+ */
+function diceCoefficient(left, right) {
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const gram of left) {
+    if (right.has(gram)) shared++;
+  }
+  return (2 * shared) / (left.size + right.size);
+}
+
+/**
+ * Find pairs of entities with similar names
+ *
+ * Every name of an entity (its name and aliases) is compared; a pair
+ * scores the best match between them.
+ *
+ * @param {object[]} entities - Entities { id, name, aliases }
+ * @param {number} threshold - Minimum similarity
+ * @returns {object[]} Pairs { a, b, score } (a and b are entity ids)
+ */
+export function findSimilarNames(entities, threshold) {
+  const prepared = entities.map(entity => ({
+    id: entity.id,
+    names: [...new Set([entity.name, ...(entity.aliases || [])].map(normalizeEntityName))]
+      .filter(Boolean)
+      .map(normalized => ({ normalized, grams: bigrams(normalized) })),
+  }));
+
+  const pairs = [];
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      let score = 0;
+      for (const left of prepared[i].names) {
+        for (const right of prepared[j].names) {
+          score = Math.max(score, left.normalized === right.normalized ? 1 : diceCoefficient(left.grams, right.grams));
+        }
+      }
+      if (score >= threshold) {
+        pairs.push({ a: prepared[i].id, b: prepared[j].id, score });
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Key of an unordered entity pair
+ *
+ * @param {string} a - Entity id
+ * @param {string} b - Entity id
+ * @returns {string} Same key for (a, b) and (b, a)
+ */
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
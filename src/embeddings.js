@@ -0,0 +1,184 @@
+/**
+ * Embedding Providers
+ *
+ * Registry of embedding backends. A provider exposes:
+ * - `id` - model id stored next to every vector (embedding_model)
+ * - `dimensions` - vector size stored next to every vector (embedding_dimensions)
+ * - `initialize()` - loads the model and resolves the dimensions
+ * - `embed(texts)` - vectors in input order
+ *
+ * Available providers:
+ * - local: any transformers.js feature-extraction model by name
+ *   (default Xenova/all-MiniLM-L12-v2)
+ * - openai: OpenAI or any OpenAI-compatible endpoint such as Ollama,
+ *   llama.cpp or vLLM (EMBEDDING_BASE_URL; default text-embedding-3-small)
+ *
+ * @module embeddings
+ */
+
+import { pipeline } from '@huggingface/transformers';
+import OpenAI from 'openai';
+
+export const EMBEDDING_PROVIDERS = ['local', 'openai'];
+
+export const DEFAULT_MODELS = {
+  local: 'Xenova/all-MiniLM-L12-v2',
+  openai: 'text-embedding-3-small',
+};
+
+export const DEFAULT_DIMENSIONS = 384;
+
+// Earlier releases stored vectors of the MODE default model (at 384 dims)
+// without a model tag. Both defaults produce 384 dims, so untagged vectors
+// are attributed to one of them: LEGACY_EMBEDDING_MODEL, else the local
+// default of MODE=local
+const DEFAULT_LEGACY_MODEL = DEFAULT_MODELS.local;
+
+// OpenAI models that accept the `dimensions` request parameter
+const SHORTENABLE_MODEL = /^text-embedding-3-/;
+
+/**
+ * Read embedding configuration from environment variables
+ *
+ * EMBEDDING_PROVIDER selects the provider; MODE is still honored for
+ * backward compatibility.
+ *
+ * @param {object} env - Environment (default: process.env)
+ * @returns {object} Embedding configuration
+ */
+export function getEmbeddingConfig(env = process.env) {
+  const provider = (env.EMBEDDING_PROVIDER || env.MODE || 'local').toLowerCase();
+
+  return {
+    provider,
+    model: env.EMBEDDING_MODEL || DEFAULT_MODELS[provider],
+    dimensions: env.EMBEDDING_DIMENSIONS ? parseInt(env.EMBEDDING_DIMENSIONS, 10) : undefined,
+    baseUrl: env.EMBEDDING_BASE_URL || env.OPENAI_BASE_URL,
+    apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+    maxTokens: env.EMBEDDING_MAX_TOKENS ? parseInt(env.EMBEDDING_MAX_TOKENS, 10) : undefined,
+    legacyModel: env.LEGACY_EMBEDDING_MODEL || DEFAULT_LEGACY_MODEL,
+  };
+}
+
+/**
+ * Validate embedding configuration
+ *
+ * @param {object} config - Embedding configuration
+ * @throws {Error} If the provider is unknown or the dimensions are invalid
+ */
+export function validateEmbeddingConfig(config) {
+  if (!EMBEDDING_PROVIDERS.includes(config.provider)) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${config.provider}". Use one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+
+  if (config.dimensions !== undefined && !(config.dimensions > 0)) {
+    throw new Error('EMBEDDING_DIMENSIONS must be a positive integer');
+  }
+}
+
+/**
+ * Create an embedding provider (not yet initialized)
+ *
+ * @param {object} config - Embedding configuration (see getEmbeddingConfig)
+ * @returns {object} Provider
+ */
+export function createEmbeddingProvider(config) {
+  validateEmbeddingConfig(config);
+
+  const providers = {
+    local: LocalEmbeddingProvider,
+    openai: OpenAIEmbeddingProvider,
+  };
+  return new providers[config.provider](config);
+}
+
+/**
+ * Check if untagged vectors (written before model tracking) belong to a model
+ *
+ * @param {string} model - Model id
+ * @param {number} dimensions - Vector dimensions
+ * @param {string} legacyModel - Model that wrote the untagged vectors
+ *   (LEGACY_EMBEDDING_MODEL, see getEmbeddingConfig)
+ * @returns {boolean} True only for that model at 384 dims
+ */
+export function isLegacyModel(model, dimensions, legacyModel = DEFAULT_LEGACY_MODEL) {
+  return model === legacyModel && dimensions === DEFAULT_DIMENSIONS;
+}
+
+/**
+ * transformers.js feature-extraction model running in-process
+ */
+class LocalEmbeddingProvider {
+  constructor(config) {
+    this.provider = 'local';
+    this.model = config.model || DEFAULT_MODELS.local;
+    this.id = this.model;
+    this.dimensions = config.dimensions || null;
+    this.maxTokens = config.maxTokens;
+    this.pipeline = null;
+  }
+
+  async initialize() {
+    this.pipeline = await pipeline('feature-extraction', this.model);
+
+    // The model decides its output size; EMBEDDING_DIMENSIONS can only confirm it
+    const [probe] = await this.embed(['dimension probe']);
+    if (this.dimensions && this.dimensions !== probe.length) {
+      throw new Error(`${this.model} produces ${probe.length}-dimensional vectors, not EMBEDDING_DIMENSIONS=${this.dimensions}`);
+    }
+    this.dimensions = probe.length;
+  }
+
+  async embed(texts) {
+    const output = await this.pipeline(texts, {
+      pooling: 'mean',
+      normalize: true,
+    });
+    return output.tolist();
+  }
+}
+
+/**
+ * OpenAI embeddings API, or any server implementing it
+ */
+class OpenAIEmbeddingProvider {
+  constructor(config) {
+    this.provider = 'openai';
+    this.model = config.model || DEFAULT_MODELS.openai;
+    this.id = this.model;
+    this.baseUrl = config.baseUrl || null;
+    this.maxTokens = config.maxTokens;
+
+    // text-embedding-3-* default to 384 dims for compatibility with the local
+    // model; other models report their size on the first request
+    this.requestDimensions = !!config.dimensions || SHORTENABLE_MODEL.test(this.model);
+    this.dimensions = config.dimensions || (SHORTENABLE_MODEL.test(this.model) ? DEFAULT_DIMENSIONS : null);
+
+    this.client = new OpenAI({
+      // Local OpenAI-compatible servers usually accept any key
+      apiKey: config.apiKey || 'not-needed',
+      ...(this.baseUrl && { baseURL: this.baseUrl }),
+    });
+  }
+
+  async initialize() {
+    if (!this.dimensions) {
+      const [probe] = await this.embed(['dimension probe']);
+      this.dimensions = probe.length;
+    }
+  }
+
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.requestDimensions && { dimensions: this.dimensions }),
+    });
+
+    const vectors = texts.map(() => null);
+    for (const item of response.data) {
+      vectors[item.index] = item.embedding;
+    }
+    return vectors;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Graph Exporters
+ *
+ * Render a knowledge graph (entities and named relationships, as returned
+ * by readGraph) in formats other tools understand:
+ * - graphml: GraphML XML (Gephi, yEd, Cytoscape, NetworkX)
+ * - dot: Graphviz DOT
+ * - mermaid: Mermaid flowchart (names, types and relation labels only)
+ * - cypher: Neo4j Cypher CREATE statements
+ *
+ * Observations, metadata and the relation properties (confidence, weight,
+ * provenance) are exported as properties where the format has them. Maps are not valid Neo4j property values, so metadata is
+ * exported as a JSON string.
+ *
+ * @module exporters
+ */
+
+export const EXPORT_FORMATS = ['graphml', 'dot', 'mermaid', 'cypher'];
+
+/**
+ * Render a graph in an export format
+ *
+ * @param {object} graph - { entities: [{ name, entityType, observations, metadata }],
+ *   relationships: [{ from, to, relationType, confidence, weight, provenance, metadata }] }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} Rendered graph
+ * @throws {Error} If the format is unknown
+ *
+ * @example
+ * renderGraph({ entities: [{ name: 'React', entityType: 'TECH' }], relationships: [] }, 'mermaid')
+ * // 'flowchart LR\n  n0["React<br/>TECH"]\n'
+ */
+export function renderGraph(graph, format) {
+  const renderers = {
+    graphml: toGraphML,
+    dot: toDot,
+    mermaid: toMermaid,
+    cypher: toCypher,
+  };
+
+  if (!renderers[format]) {
+    throw new Error(`Unknown export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return renderers[format](graph);
+}
+
+/**
+ * Node ids by entity name (n0, n1, ...) for formats that need plain ids
+ * @private
+ */
+function nodeIds(entities) {
+  return new Map(entities.map((entity, index) => [entity.name, `n${index}`]));
+}
+
+/**
+ * @private
+ */
+function json(value) {
+  return JSON.stringify(value ?? {});
+}
+
+// ==================== GRAPHML ====================
+
+/**
+ * @private
+ */
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function toGraphML({ entities, relationships }) {
+  const ids = nodeIds(entities);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="entityType" for="node" attr.name="entityType" attr.type="string"/>',
+    '  <key id="observations" for="node" attr.name="observations" attr.type="string"/>',
+    '  <key id="nodeMetadata" for="node" attr.name="metadata" attr.type="string"/>',
+    '  <key id="relationType" for="edge" attr.name="relationType" attr.type="string"/>',
+    '  <key id="confidence" for="edge" attr.name="confidence" attr.type="double"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="provenance" for="edge" attr.name="provenance" attr.type="string"/>',
+    '  <key id="edgeMetadata" for="edge" attr.name="metadata" attr.type="string"/>',
+    '  <graph id="knowledge_graph" edgedefault="directed">',
+  ];
+
+  for (const entity of entities) {
+    lines.push(
+      `    <node id="${ids.get(entity.name)}">`,
+      `      <data key="name">${xml(entity.name)}</data>`,
+      `      <data key="entityType">${xml(entity.entityType)}</data>`,
+      // GraphML has no list type; observations are a JSON array string
+      `      <data key="observations">${xml(json(entity.observations || []))}</data>`,
+      `      <data key="nodeMetadata">${xml(json(entity.metadata))}</data>`,
+      '    </node>'
+    );
+  }
+
+  relationships.forEach((rel, index) => {
+    lines.push(
+      `    <edge id="e${index}" source="${ids.get(rel.from)}" target="${ids.get(rel.to)}">`,
+      `      <data key="relationType">${xml(rel.relationType)}</data>`,
+      `      <data key="confidence">${rel.confidence ?? 1}</data>`,
+      `      <data key="weight">${rel.weight ?? 1}</data>`,
+      ...(rel.provenance ? [`      <data key="provenance">${xml(rel.provenance)}</data>`] : []),
+      `      <data key="edgeMetadata">${xml(json(rel.metadata))}</data>`,
+      '    </edge>'
+    );
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// ==================== DOT ====================
+
+/**
+ * @private
+ */
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * @private
+ */
+function toDot({ entities, relationships }) {
+  const lines = ['digraph knowledge_graph {', '  node [shape=box];'];
+
+  for (const entity of entities) {
+    const attributes = [
+      `label=${dotString(`${entity.name}\n(${entity.entityType})`)}`,
+      `entityType=${dotString(entity.entityType)}`,
+      `observations=${dotString(json(entity.observations || []))}`,
+      `metadata=${dotString(json(entity.metadata))}`,
+    ];
+    lines.push(`  ${dotString(entity.name)} [${attributes.join(', ')}];`);
+  }
+
+  for (const rel of relationships) {
+    const attributes = [
+      `label=${dotString(rel.relationType)}`,
+      `confidence=${rel.confidence ?? 1}`,
+      `weight=${rel.weight ?? 1}`,
+      ...(rel.provenance ? [`provenance=${dotString(rel.provenance)}`] : []),
+      `metadata=${dotString(json(rel.metadata))}`,
+    ];
+    lines.push(`  ${dotString(rel.from)} -> ${dotString(rel.to)} [${attributes.join(', ')}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// ==================== MERMAID ====================
+
+/**
+ * Mermaid labels cannot contain raw quotes or pipes; use entity codes
+ * @private
+ */
+function mermaidText(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/\|/g, '#124;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;')
+    .replace(/\n/g, ' ');
+}
+
+/**
+ * @private
+ */
+function toMermaid({ entities, relationships }) {
+  const ids = nodeIds(entities);
+  const lines = ['flowchart LR'];
+
+  for (const entity of entities) {
+    lines.push(`  ${ids.get(entity.name)}["${mermaidText(entity.name)}<br/>${mermaidText(entity.entityType)}"]`);
+  }
+  for (const rel of relationships) {
+    lines.push(`  ${ids.get(rel.from)} -->|${mermaidText(rel.relationType)}| ${ids.get(rel.to)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ==================== CYPHER ====================
+
+/**
+ * @private
+ */
+function cypherString(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Backtick-quote a label or relationship type
+ * @private
+ */
+function cypherName(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+/**
+ * @private
+ */
+function toCypher({ entities, relationships }) {
+  // Relationships find their entities by name, so import into an empty database
+  const lines = ['// Knowledge graph export (rag-memory-pg-mcp)'];
+
+  for (const entity of entities) {
+    const properties = [
+      `name: ${cypherString(entity.name)}`,
+      `entityType: ${cypherString(entity.entityType)}`,
+      `observations: [${(entity.observations || []).map(cypherString).join(', ')}]`,
+      `metadata: ${cypherString(json(entity.metadata))}`,
+    ];
+    lines.push(`CREATE (:Entity:${cypherName(entity.entityType)} {${properties.join(', ')}});`);
+  }
+
+  for (const rel of relationships) {
+    const properties = [
+      `confidence: ${rel.confidence ?? 1}`,
+      `weight: ${rel.weight ?? 1}`,
+      ...(rel.provenance ? [`provenance: ${cypherString(rel.provenance)}`] : []),
+      `metadata: ${cypherString(json(rel.metadata))}`,
+    ];
+    lines.push(
+      `MATCH (a:Entity {name: ${cypherString(rel.from)}}), (b:Entity {name: ${cypherString(rel.to)}}) ` +
+      `CREATE (a)-[:${cypherName(rel.relationType)} {${properties.join(', ')}}]->(b);`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
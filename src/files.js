@@ -0,0 +1,74 @@
+/**
+ * Server Files
+ *
+ * backupMemory, restoreMemory and importMemory read and write files on the
+ * machine running the server. Their paths are confined to MEMORY_FILES_DIR
+ * (default: the server's working directory): relative paths resolve
+ * against it, and paths leading outside it (`..`, absolute paths elsewhere,
+ * symlinks out of it) are refused.
+ *
+ * @module files
+ */
+
+import { realpath } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, relative, resolve, sep } from 'node:path';
+
+/**
+ * Read the directory for backups and imports from the environment
+ *
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {string} Absolute directory path
+ */
+export function getFilesDir(env = process.env) {
+  return resolve(env.MEMORY_FILES_DIR || process.cwd());
+}
+
+/**
+ * Resolve a tool's file path inside the files directory
+ *
+ * @param {string} path - Path given to the tool (relative to the directory, or absolute)
+ * @param {string} dir - Files directory (getFilesDir)
+ * @returns {Promise<string>} Absolute path, with symlinks resolved
+ * @throws {Error} If the path leads outside the directory, or the directory
+ *   the file would be in does not exist
+ *
+ * @example
+ * await resolveServerPath('backups/memory.jsonl', '/srv/memory')
+ * // '/srv/memory/backups/memory.jsonl'
+ */
+export async function resolveServerPath(path, dir) {
+  const root = await realpath(dir).catch(() => {
+    throw new Error(`MEMORY_FILES_DIR ${dir} does not exist`);
+  });
+  const target = resolve(root, path);
+  if (!isInside(root, target)) {
+    throw outside(path, dir);
+  }
+
+  // The file may not exist yet (backups): resolve the directory it goes in
+  const real = await realpath(target).catch(async () => {
+    const parent = await realpath(dirname(target)).catch(() => {
+      throw new Error(`Directory of ${path} does not exist in MEMORY_FILES_DIR ${dir}`);
+    });
+    return resolve(parent, basename(target));
+  });
+  if (!isInside(root, real)) {
+    throw outside(path, dir);
+  }
+  return real;
+}
+
+/**
+ * @private
+ */
+function isInside(root, target) {
+  const rel = relative(root, target);
+  return rel !== '' && rel !== '..' && !rel.startsWith(`..${sep}`) && !isAbsolute(rel);
+}
+
+/**
+ * @private
+ */
+function outside(path, dir) {
+  return new Error(`Path ${path} is outside MEMORY_FILES_DIR ${dir}: backups and imports only use files in that directory`);
+}
@@ -0,0 +1,150 @@
+/**
+ * Graph Traversal Helpers
+ *
+ * Pure functions for walking relationship rows (rag_relationships) level
+ * by level: expanding a frontier along edges, collecting shortest paths
+ * and rendering them with entity names, plus the cursor and name-prefix
+ * helpers of paginated graph reads. Loading the rows is up to the caller
+ * (see RAGKnowledgeGraphManager graph traversal methods).
+ *
+ * @module graph
+ */
+
+/**
+ * Edge directions relative to the entity being expanded
+ * - outgoing: entity -[relation]-> neighbor
+ * - incoming: neighbor -[relation]-> entity
+ * - both: either
+ */
+export const GRAPH_DIRECTIONS = ['outgoing', 'incoming', 'both'];
+
+/**
+ * Deepest k-hop expansion of getSubgraph and findPaths (larger depths are
+ * refused rather than cut short, so a result never claims more than it searched)
+ */
+export const MAX_TRAVERSAL_DEPTH = 5;
+
+/**
+ * Follow edges one hop away from a set of entities
+ *
+ * @param {Iterable<string>} fromIds - Entity ids being expanded
+ * @param {object[]} edges - Relationship rows { id, source_entity, target_entity, relation_type }
+ * @param {string} direction - 'outgoing', 'incoming' or 'both'
+ * @returns {object[]} Steps: { from, to, edge, direction } (direction as seen from `from`)
+ */
+export function expandEdges(fromIds, edges, direction = 'both') {
+  const from = new Set(fromIds);
+  const steps = [];
+
+  for (const edge of edges) {
+    if (direction !== 'incoming' && from.has(edge.source_entity)) {
+      steps.push({ from: edge.source_entity, to: edge.target_entity, edge, direction: 'outgoing' });
+    }
+    // A self-loop is the same step in both directions
+    const selfLoop = edge.source_entity === edge.target_entity;
+    if (direction !== 'outgoing' && from.has(edge.target_entity) && !(selfLoop && direction === 'both')) {
+      steps.push({ from: edge.target_entity, to: edge.source_entity, edge, direction: 'incoming' });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Enumerate shortest paths recorded by a breadth-first search
+ *
+ * @param {Map<string, object[]>} parents - Entity id -> steps reaching it on
+ *   the level it was first discovered (empty for the start entity)
+ * @param {string} sourceId - Start entity id
+ * @param {string} targetId - End entity id
+ * @param {number} limit - Maximum number of paths
+ * @returns {object[][]} Paths as step lists from source to target
+ */
+export function collectPaths(parents, sourceId, targetId, limit) {
+  const paths = [];
+
+  const walk = (id, suffix) => {
+    if (paths.length >= limit) return;
+    if (id === sourceId) {
+      paths.push(suffix);
+      return;
+    }
+    for (const step of parents.get(id) || []) {
+      walk(step.from, [step, ...suffix]);
+    }
+  };
+
+  if (parents.has(targetId)) walk(targetId, []);
+  return paths;
+}
+
+/**
+ * Render a path with entity names
+ *
+ * @param {object[]} steps - Steps from collectPaths
+ * @param {string} sourceName - Name of the start entity
+ * @param {Map<string, object>} entities - Entity id -> { name }
+ * @returns {object} { length, entities, relations, text }
+ *
+ * @example
+ * // { length: 2, entities: ['Alice', 'Auth Service', 'Bob'],
+ * //   text: 'Alice -[owns]-> Auth Service <-[maintains]- Bob', ... }
+ */
+export function formatPath(steps, sourceName, entities) {
+  const name = id => entities.get(id)?.name ?? id;
+  const names = [sourceName];
+  const relations = [];
+  let text = sourceName;
+
+  for (const step of steps) {
+    const relationType = step.edge.relation_type;
+    names.push(name(step.to));
+    relations.push({
+      from: name(step.edge.source_entity),
+      to: name(step.edge.target_entity),
+      relationType,
+    });
+    text += step.direction === 'outgoing'
+      ? ` -[${relationType}]-> ${name(step.to)}`
+      : ` <-[${relationType}]- ${name(step.to)}`;
+  }
+
+  return { length: steps.length, entities: names, relations, text };
+}
+
+/**
+ * Encode a pagination cursor (opaque to clients)
+ *
+ * @param {string} lastName - Name of the last entity on the page
+ * @returns {string} Cursor
+ */
+export function encodeCursor(lastName) {
+  return Buffer.from(JSON.stringify({ after: lastName })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ *
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {string} Name of the last entity on the previous page
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof after === 'string') return after;
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor - pass nextCursor from the previous page');
+}
+
+/**
+ * Escape LIKE wildcards so a string matches literally
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Pattern fragment
+ */
+export function escapeLikePattern(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
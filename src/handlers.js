@@ -6,16 +6,40 @@
  * @module handlers
  */
 
+import { DATABASE_TOOLS, resolveNamespaces, toolNamespaces } from './namespaces.js';
+import { authorizeToolCall } from './access.js';
+
 /**
  * Handle a tool call and return the result
  * 
+ * The call runs in the namespace given in its arguments, otherwise in the
+ * server's default namespace (context.namespace). With access control on
+ * (context.accessControl), the client must hold the tool's permission in
+ * those namespaces before anything runs.
+ * 
  * @param {string} name - Tool name
  * @param {object} args - Tool arguments
  * @param {RAGKnowledgeGraphManager} manager - Manager instance
+ * @param {object} context - { session, caller } of the request, recorded as observation
+ *   source and in the change history, the default { namespace }, and
+ *   { accessControl, client } when access control is on
  * @returns {object} MCP response with content
+ * @throws {AccessDeniedError} If the client may not make the call
  */
-export async function handleToolCall(name, args, manager) {
-  const result = await executeToolMethod(name, args, manager);
+export async function handleToolCall(name, args = {}, manager, context = {}) {
+  const { namespace, accessControl, client, ...origin } = context;
+  const namespaces = DATABASE_TOOLS.includes(name) ? null : toolNamespaces(name, args, namespace);
+
+  if (accessControl) {
+    authorizeToolCall(client, name, namespaces === null ? null : resolveNamespaces(namespaces), args);
+  }
+
+  const scoped = namespaces === null ? manager : await manager.inNamespace(namespaces);
+  const result = await executeToolMethod(name, args, scoped, {
+    ...origin,
+    ...(client && { client: client.name }),
+    tool: name,
+  });
   
   return {
     content: [
@@ -33,38 +57,85 @@ export async function handleToolCall(name, args, manager) {
  * @param {string} name - Tool name
  * @param {object} args - Tool arguments
  * @param {RAGKnowledgeGraphManager} manager - Manager instance
+ * @param {object} context - { session, caller, client, tool } of the request
  * @returns {any} Method result
  */
-async function executeToolMethod(name, args, manager) {
+async function executeToolMethod(name, args, manager, context) {
   switch (name) {
     // ==================== ENTITY METHODS ====================
     case 'createEntities':
-      return manager.createEntities(args.entities);
+      return manager.createEntities(args.entities, context);
 
     case 'createRelations':
-      return manager.createRelations(args.relations);
+      return manager.createRelations(args.relations, context);
 
     case 'addObservations':
-      return manager.addObservations(args.observations);
+      return manager.addObservations(args.observations, context);
+
+    case 'updateRelations':
+      return manager.updateRelations(args.updates, context);
+
+    case 'updateEntities':
+      return manager.updateEntities(args.updates, context);
 
     case 'searchNodes':
-      return manager.searchNodes(args.query, args.limit);
+      return manager.searchNodes(args.query, args.limit, {
+        mode: args.mode,
+        threshold: args.threshold,
+        entityType: args.entityType,
+        asOf: args.asOf,
+      });
 
     case 'openNodes':
-      return manager.openNodes(args.names);
+      return manager.openNodes(args.names, {
+        includeObservationDetails: args.includeObservationDetails === true,
+        asOf: args.asOf,
+      });
 
     case 'deleteEntities':
-      return manager.deleteEntities(args.entityNames);
+      return manager.deleteEntities(args.entityNames, context);
 
     case 'deleteRelations':
-      return manager.deleteRelations(args.relations);
+      return manager.deleteRelations(args.relations, context);
 
     case 'deleteObservations':
-      return manager.deleteObservations(args.deletions);
+      return manager.deleteObservations(args.deletions, context);
+
+    case 'findDuplicateEntities':
+      return manager.findDuplicateEntities({
+        entityType: args.entityType,
+        nameThreshold: args.nameThreshold,
+        similarityThreshold: args.similarityThreshold,
+        semantic: args.semantic !== false,
+        limit: args.limit,
+      });
+
+    case 'getEntityHistory':
+      return manager.getEntityHistory(args.name, {
+        since: args.since,
+        until: args.until,
+        includeRelationships: args.includeRelationships !== false,
+        limit: args.limit,
+      });
+
+    case 'mergeEntities':
+      return manager.mergeEntities(args.sourceName, args.targetName, context);
+
+    // ==================== TRASH ====================
+    case 'listTrash':
+      return manager.listTrash({ itemType: args.itemType, limit: args.limit });
+
+    case 'restore':
+      return manager.restoreFromTrash({ ids: args.ids, names: args.names }, context);
+
+    case 'purgeTrash':
+      return manager.purgeTrash({ ids: args.ids, all: args.all === true });
 
     // ==================== DOCUMENT METHODS ====================
     case 'processDocument':
       return manager.processDocument(args.id, args.content, {
+        strategy: args.strategy,
+        sizeUnit: args.sizeUnit,
         maxChunkSize: args.maxChunkSize,
         overlap: args.overlap,
         metadata: args.metadata || {},
@@ -77,34 +148,121 @@ async function executeToolMethod(name, args, manager) {
       return manager.listDocuments(args.includeMetadata !== false);
 
     case 'deleteDocuments':
-      return manager.deleteDocuments(args.documentIds);
+      return manager.deleteDocuments(args.documentIds, context);
 
     // ==================== CHUNKING & EMBEDDING ====================
     case 'chunkDocument':
       return manager.chunkDocument(args.documentId, {
+        strategy: args.strategy,
+        sizeUnit: args.sizeUnit,
         maxChunkSize: args.maxChunkSize,
         overlap: args.overlap,
       });
 
     case 'embedChunks':
-      return manager.embedChunks(args.documentId);
+      return manager.embedChunks(args.documentId, { force: args.force === true });
 
     case 'embedAllEntities':
-      return manager.embedAllEntities();
+      return manager.embedAllEntities({ onlyStale: args.onlyStale === true });
+
+    case 'reembed':
+      return manager.reembed({
+        target: args.target,
+        fromModel: args.fromModel,
+        dryRun: args.dryRun === true,
+      });
 
     // ==================== SEARCH ====================
     case 'hybridSearch':
-      return manager.hybridSearch(args.query, args.limit || 5);
+      return manager.hybridSearch(args.query, args.limit || 5, {
+        vectorWeight: args.vectorWeight,
+        textWeight: args.textWeight,
+        rrfK: args.rrfK,
+        minSimilarity: args.minSimilarity,
+      });
 
     case 'getDetailedContext':
       return manager.getDetailedContext(args.query, {
         limit: args.limit,
         includeEntities: args.includeEntities,
+        minConfidence: args.minConfidence,
+        excludeProvenance: args.excludeProvenance,
       });
 
     case 'getGraph':
     case 'readGraph': // Backward compatibility
-      return manager.readGraph();
+      return manager.readGraph({
+        entityTypes: args.entityTypes,
+        relationTypes: args.relationTypes,
+        namePrefix: args.namePrefix,
+        cursor: args.cursor,
+        limit: args.limit,
+        compact: args.compact === true,
+        asOf: args.asOf,
+      });
+
+    case 'exportGraph':
+      return manager.exportGraph({
+        format: args.format,
+        entityTypes: args.entityTypes,
+        relationTypes: args.relationTypes,
+        namePrefix: args.namePrefix,
+      });
+
+    // ==================== BACKUP & RESTORE ====================
+    case 'backupMemory':
+      return manager.backupMemory({
+        path: args.path,
+        includeVectors: args.includeVectors !== false,
+      });
+
+    case 'restoreMemory':
+      return manager.restoreMemory({
+        path: args.path,
+        content: args.content,
+        onConflict: args.onConflict,
+        dryRun: args.dryRun === true,
+      }, context);
+
+    case 'importMemory':
+      return manager.importMemory({
+        path: args.path,
+        content: args.content,
+        format: args.format,
+        dryRun: args.dryRun === true,
+      }, context);
+
+    // ==================== GRAPH TRAVERSAL ====================
+    case 'getNeighbors':
+      return manager.getNeighbors(args.entityName, {
+        direction: args.direction,
+        relationTypes: args.relationTypes,
+        minConfidence: args.minConfidence,
+        excludeProvenance: args.excludeProvenance,
+        sortBy: args.sortBy,
+        limit: args.limit,
+      });
+
+    case 'getSubgraph':
+      return manager.getSubgraph(args.entityName, {
+        depth: args.depth,
+        direction: args.direction,
+        relationTypes: args.relationTypes,
+        minConfidence: args.minConfidence,
+        excludeProvenance: args.excludeProvenance,
+        maxEntities: args.maxEntities,
+        includeObservations: args.includeObservations === true,
+      });
+
+    case 'findPaths':
+      return manager.findPaths(args.from, args.to, {
+        maxDepth: args.maxDepth,
+        direction: args.direction,
+        relationTypes: args.relationTypes,
+        minConfidence: args.minConfidence,
+        excludeProvenance: args.excludeProvenance,
+        limit: args.limit,
+      });
 
     // ==================== UTILITIES ====================
     case 'getKnowledgeGraphStats':
@@ -130,15 +288,16 @@ async function executeToolMethod(name, args, manager) {
 /**
  * Create error response for MCP
  * 
- * @param {Error} error - Error object
+ * @param {Error} error - Error object (with an optional code and details)
  * @returns {object} MCP error response
  */
 export function createErrorResponse(error) {
+  const body = { error: error.message, ...(error.code && { code: error.code }), ...error.details };
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify({ error: error.message }, null, 2),
+        text: JSON.stringify(body, null, 2),
       },
     ],
     isError: true,
@@ -0,0 +1,20 @@
+/**
+ * Content Hashing
+ *
+ * Stable hashes of document and chunk content, used to detect what changed
+ * when a document is re-processed.
+ *
+ * @module hashing
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * SHA-256 hex digest of a text
+ *
+ * @param {string} text - Content to hash
+ * @returns {string} 64-character hex digest
+ */
+export function contentHash(text) {
+  return createHash('sha256').update(text, 'utf8').digest('hex');
+}
@@ -0,0 +1,244 @@
+/**
+ * Change History
+ *
+ * Every change to an entity or relationship appends a row to
+ * `rag_history` holding the full state of the record after the change
+ * (before it, for deletes), who made it and when. Observations are part
+ * of the entity state. Replaying the rows up to a timestamp gives the
+ * graph as it was at that time; comparing consecutive states gives what
+ * changed.
+ *
+ * @module history
+ */
+
+import { removeOnce } from './observations.js';
+
+export const HISTORY_OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Relationship endpoint ids and the names shown for them
+ */
+const ENDPOINT_NAMES = { sourceId: 'from', targetId: 'to' };
+
+/**
+ * Parse an "as of" / since / until timestamp
+ *
+ * @param {string|number|Date} value - ISO timestamp, epoch milliseconds or Date
+ * @param {string} label - Option name for the error message
+ * @returns {string|null} ISO timestamp, or null if no value was given
+ * @throws {Error} If the value is not a valid time
+ *
+ * @example
+ * parseTimestamp('2026-10-01', 'asOf') // '2026-10-01T00:00:00.000Z'
+ */
+export function parseTimestamp(value, label = 'timestamp') {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label}: ${value}. Use an ISO timestamp such as 2026-10-01T12:00:00Z`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * State of an entity as stored in history
+ *
+ * @param {object} row - rag_entities row
+ * @returns {object} { name, entityType, observations, metadata, aliases }
+ */
+export function entityState(row) {
+  return {
+    name: row.name,
+    entityType: row.entity_type,
+    observations: row.observations || [],
+    metadata: row.metadata || {},
+    aliases: row.aliases || [],
+  };
+}
+
+/**
+ * State of a relationship as stored in history
+ *
+ * Endpoints are kept by id (names change) and by their name at the time.
+ *
+ * @param {object} row - rag_relationships row
+ * @param {function} nameOf - (entityId) => entity name
+ * @returns {object} { sourceId, targetId, from, to, relationType, confidence, weight, provenance, metadata }
+ */
+export function relationshipState(row, nameOf) {
+  return {
+    sourceId: row.source_entity,
+    targetId: row.target_entity,
+    from: nameOf(row.source_entity) ?? null,
+    to: nameOf(row.target_entity) ?? null,
+    relationType: row.relation_type,
+    confidence: row.confidence ?? 1,
+    weight: row.weight ?? 1,
+    provenance: row.provenance ?? null,
+    metadata: row.metadata || {},
+  };
+}
+
+/**
+ * Who made a change, as stored in rag_history.changed_by
+ *
+ * @param {object} origin - { session, caller, client, tool, importedFrom } of the request
+ * @returns {object} Author without unset fields
+ */
+export function changeAuthor(origin = {}) {
+  const author = {
+    session: origin.session,
+    caller: origin.caller,
+    client: origin.client,
+    tool: origin.tool,
+    importedFrom: origin.importedFrom,
+  };
+  return Object.fromEntries(Object.entries(author).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * History row for a change
+ *
+ * @param {string} recordType - 'entity' or 'relationship'
+ * @param {string} operation - One of HISTORY_OPERATIONS
+ * @param {string} recordId - Entity or relationship id
+ * @param {object} state - entityState / relationshipState
+ * @returns {object} rag_history row without changed_by and changed_at
+ */
+export function historyRow(recordType, operation, recordId, state) {
+  return {
+    record_type: recordType,
+    record_id: recordId,
+    // The entities a change concerns, so an entity's history includes its relationships
+    entity_ids: recordType === 'entity' ? [recordId] : [...new Set([state.sourceId, state.targetId])],
+    name: recordType === 'entity' ? state.name : null,
+    operation,
+    state,
+  };
+}
+
+/**
+ * Replay history rows into the records that existed after the last of them
+ *
+ * @param {object[]} rows - rag_history rows, oldest first
+ * @returns {object} { entities, relationships }: Maps of record id ->
+ *   { state, createdAt, changedAt }
+ */
+export function replayHistory(rows) {
+  const records = { entity: new Map(), relationship: new Map() };
+
+  for (const row of rows) {
+    const live = records[row.record_type];
+    if (!live) continue;
+
+    if (row.operation === 'delete') {
+      live.delete(row.record_id);
+      continue;
+    }
+    live.set(row.record_id, {
+      state: row.state,
+      createdAt: row.operation === 'create' ? row.changed_at : live.get(row.record_id)?.createdAt ?? row.changed_at,
+      changedAt: row.changed_at,
+    });
+  }
+
+  return { entities: records.entity, relationships: records.relationship };
+}
+
+/**
+ * Records from rag_history_as_of rows (the last row of each live record)
+ *
+ * @param {object[]} rows - rag_history_as_of rows
+ * @returns {object} { entities, relationships }, as replayHistory
+ */
+export function latestRecords(rows) {
+  const records = { entity: new Map(), relationship: new Map() };
+  for (const row of rows) {
+    records[row.record_type]?.set(row.record_id, {
+      state: row.state,
+      createdAt: row.created_at,
+      changedAt: row.changed_at,
+    });
+  }
+  return { entities: records.entity, relationships: records.relationship };
+}
+
+/**
+ * rag_entities row for a replayed entity
+ *
+ * @param {string} id - Entity id
+ * @param {object} record - replayHistory entry { state, createdAt, changedAt }
+ * @returns {object} { id, name, entity_type, observations, metadata, aliases, created_at, changed_at }
+ */
+export function entityRow(id, { state, createdAt, changedAt }) {
+  return {
+    id,
+    name: state.name,
+    entity_type: state.entityType,
+    observations: state.observations || [],
+    metadata: state.metadata || {},
+    aliases: state.aliases || [],
+    created_at: createdAt,
+    changed_at: changedAt,
+  };
+}
+
+/**
+ * rag_relationships row for a replayed relationship
+ *
+ * @param {string} id - Relationship id
+ * @param {object} record - replayHistory entry { state, createdAt, changedAt }
+ * @returns {object} Row with source_entity, target_entity, relation_type and properties
+ */
+export function relationshipRow(id, { state, createdAt }) {
+  return {
+    id,
+    source_entity: state.sourceId,
+    target_entity: state.targetId,
+    relation_type: state.relationType,
+    confidence: state.confidence,
+    weight: state.weight,
+    provenance: state.provenance,
+    metadata: state.metadata || {},
+    created_at: createdAt,
+  };
+}
+
+/**
+ * What changed between two states of a record
+ *
+ * Observations are compared as lists (added / removed contents); other
+ * fields report their old and new values. Relationship endpoints count as
+ * changed when they point at another entity, not when it was renamed.
+ *
+ * @param {object|null} previous - State before the change (null for creates)
+ * @param {object} current - State after the change
+ * @returns {object} { field: { from, to } }, plus observationsAdded / observationsRemoved
+ *
+ * @example
+ * describeChange({ name: 'Postgres', observations: ['SQL'] }, { name: 'PostgreSQL', observations: ['SQL', 'MVCC'] })
+ * // { name: { from: 'Postgres', to: 'PostgreSQL' }, observationsAdded: ['MVCC'] }
+ */
+export function describeChange(previous, current) {
+  const changes = {};
+  if (!previous || !current) return changes;
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+    if (field === 'from' || field === 'to') continue;
+
+    if (ENDPOINT_NAMES[field]) {
+      const name = ENDPOINT_NAMES[field];
+      if (previous[field] !== current[field]) {
+        changes[name] = { from: previous[name] ?? null, to: current[name] ?? null };
+      }
+    } else if (field === 'observations') {
+      const added = removeOnce(current.observations || [], previous.observations || []);
+      const removed = removeOnce(previous.observations || [], current.observations || []);
+      if (added.length > 0) changes.observationsAdded = added;
+      if (removed.length > 0) changes.observationsRemoved = removed;
+    } else if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      changes[field] = { from: previous[field] ?? null, to: current[field] ?? null };
+    }
+  }
+  return changes;
+}
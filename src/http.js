@@ -0,0 +1,299 @@
+/**
+ * Streamable HTTP Transport
+ *
+ * Serves MCP over Streamable HTTP on MCP_HTTP_HOST:MCP_HTTP_PORT so several
+ * editors share one server process, one manager and one loaded embedding
+ * model:
+ *
+ * - POST /mcp   - JSON-RPC requests (answered as JSON or an SSE stream)
+ * - GET /mcp    - SSE stream for server notifications
+ * - DELETE /mcp - end the session
+ * - GET /health - liveness check, no token needed
+ *
+ * Every session gets its own MCP Server (createServer) bound to the caller
+ * that opened it. Requests authenticate with `Authorization: Bearer <token>`:
+ * a client token of ACCESS_CONTROL_FILE, or MCP_HTTP_TOKEN without access
+ * control. Without either the server only listens on a loopback address
+ * and only answers requests whose Host (and Origin, if sent) is a loopback
+ * name, so web pages cannot reach it through DNS rebinding.
+ *
+ * @module http
+ */
+
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID, timingSafeEqual, createHash } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { authenticate } from './access.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3000;
+
+export const MCP_PATH = '/mcp';
+export const HEALTH_PATH = '/health';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * Sessions without open requests or streams for this long are closed
+ */
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Largest request body accepted (documents are sent inline)
+ */
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Read the transport configuration from the environment
+ *
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {object} { transport, host, port, token }
+ */
+export function getTransportConfig(env = process.env) {
+  return {
+    transport: (env.MCP_TRANSPORT || 'stdio').toLowerCase(),
+    host: env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST,
+    port: env.MCP_HTTP_PORT ? Number(env.MCP_HTTP_PORT) : DEFAULT_HTTP_PORT,
+    token: env.MCP_HTTP_TOKEN || null,
+  };
+}
+
+/**
+ * Check the transport configuration before starting
+ *
+ * @param {object} config - Result of getTransportConfig
+ * @param {object} options - { accessControl: true when ACCESS_CONTROL_FILE is set }
+ * @throws {Error} For unknown transports, invalid ports, or an HTTP server
+ *   reachable beyond this machine without bearer tokens
+ */
+export function validateTransportConfig(config, { accessControl = false } = {}) {
+  if (!TRANSPORTS.includes(config.transport)) {
+    throw new Error(`Unknown MCP_TRANSPORT "${config.transport}": use ${TRANSPORTS.join(' or ')}`);
+  }
+  if (config.transport !== 'http') return;
+
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    throw new Error(`Invalid MCP_HTTP_PORT "${config.port}": use a port number from 0 to 65535`);
+  }
+  if (!accessControl && !config.token && !LOOPBACK_HOSTS.includes(config.host)) {
+    throw new Error(`MCP_HTTP_HOST ${config.host} is reachable from other machines: set MCP_HTTP_TOKEN or ACCESS_CONTROL_FILE`);
+  }
+}
+
+/**
+ * Serve MCP over Streamable HTTP
+ *
+ * @param {object} options - Server options
+ * @param {string} options.host - Address to listen on
+ * @param {number} options.port - Port (0 picks a free one)
+ * @param {string|null} options.token - Shared bearer token (MCP_HTTP_TOKEN)
+ * @param {object|null} options.accessPolicy - Parsed ACCESS_CONTROL_FILE; its
+ *   client tokens replace the shared token
+ * @param {function} options.createServer - (client) => MCP Server for a new session
+ * @param {function} options.health - () => extra fields for GET /health
+ * @returns {Promise<object>} { url, sessions, close }
+ */
+export async function startHttpServer({ host, port, token = null, accessPolicy = null, createServer, health = () => ({}) }) {
+  const sessions = new Map();
+  const sharedToken = token ? createHash('sha256').update(token).digest() : null;
+
+  /**
+   * Caller of a request: { client } (client is null without access
+   * control), or null when the bearer token is missing or wrong
+   */
+  const identify = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const presented = match?.[1].trim();
+
+    if (accessPolicy) {
+      const client = authenticate(accessPolicy, presented);
+      return client ? { client } : null;
+    }
+    if (sharedToken) {
+      if (!presented) return null;
+      const digest = createHash('sha256').update(presented).digest();
+      return timingSafeEqual(digest, sharedToken) ? { client: null } : null;
+    }
+    return { client: null };
+  };
+
+  const openSession = async (caller) => {
+    const session = { transport: null, server: null, client: caller.client, open: 0, lastSeen: Date.now() };
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, session);
+        console.error(`🔌 HTTP session ${id} opened${session.client ? ` (client "${session.client.name}")` : ''}`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`🔌 HTTP session ${transport.sessionId} closed`);
+      }
+    };
+
+    session.transport = transport;
+    session.server = createServer(caller.client);
+    await session.server.connect(transport);
+    return session;
+  };
+
+  const handleMcp = async (req, res) => {
+    if (!accessPolicy && !sharedToken && !isLoopbackRequest(req)) {
+      return sendJsonRpcError(res, 403, 'Forbidden: without a token only loopback Host and Origin headers are accepted');
+    }
+
+    const caller = identify(req);
+    if (!caller) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendJsonRpcError(res, 401, 'Unauthorized: send Authorization: Bearer <token>');
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    let session;
+
+    if (sessionId) {
+      session = sessions.get(sessionId);
+      if (!session) {
+        return sendJsonRpcError(res, 404, `Session ${sessionId} not found - initialize a new session`);
+      }
+      if (session.client?.name !== caller.client?.name) {
+        return sendJsonRpcError(res, 403, `Session ${sessionId} belongs to another client`);
+      }
+    } else if (req.method === 'POST' && isInitializeRequest(body)) {
+      session = await openSession(caller);
+    } else {
+      return sendJsonRpcError(res, 400, 'No session: send an initialize request without mcp-session-id first');
+    }
+
+    session.open++;
+    session.lastSeen = Date.now();
+    res.on('close', () => {
+      session.open--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === HEALTH_PATH && req.method === 'GET') {
+        return sendJson(res, 200, { status: 'ok', transport: 'http', sessions: sessions.size, ...health() });
+      }
+      if (pathname === MCP_PATH) {
+        return await handleMcp(req, res);
+      }
+      return sendJson(res, 404, { error: `Not found: ${pathname}` });
+    } catch (error) {
+      if (!error.status) {
+        console.error('❌ HTTP request failed:', error);
+      }
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      }
+    }
+  });
+
+  // Close sessions whose client went away without DELETE
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+    for (const [id, session] of sessions) {
+      if (session.open === 0 && session.lastSeen < cutoff) {
+        console.error(`⏱️  HTTP session ${id} idle, closing`);
+        session.transport.close().catch(() => {});
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    url: `http://${hostname}:${address.port}${MCP_PATH}`,
+    sessions,
+    /**
+     * Close every session and stop listening
+     */
+    async close() {
+      clearInterval(sweeper);
+      await Promise.allSettled([...sessions.values()].map(session => session.transport.close()));
+      httpServer.closeAllConnections?.();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    },
+  };
+}
+
+/**
+ * Whether the Host header, and the Origin header when sent, name a
+ * loopback host (a rebound DNS name arrives with its own Host)
+ * @private
+ */
+function isLoopbackRequest(req) {
+  const hostname = (url) => {
+    try {
+      return new URL(url).hostname.replace(/^\[|\]$/g, '');
+    } catch {
+      return null;
+    }
+  };
+
+  if (!LOOPBACK_HOSTS.includes(hostname(`http://${req.headers.host}`))) return false;
+  return req.headers.origin === undefined || LOOPBACK_HOSTS.includes(hostname(req.headers.origin));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES / 1024 / 1024} MB`), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Parse error: request body is not valid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Send a JSON response
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error response (the shape MCP clients expect from /mcp)
+ * @private
+ */
+function sendJsonRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code: status === 400 && message.startsWith('Parse error') ? -32700 : -32000, message },
+    id: null,
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Importers
+ *
+ * Readers for the stores of other memory servers, normalized to
+ * { entities: [{ name, entityType, observations }],
+ *   relations: [{ from, to, relationType }],
+ *   documents: [{ id, content, metadata }] }
+ *
+ * Supported formats:
+ * - mcp-memory: memory.jsonl of the reference @modelcontextprotocol/server-memory
+ *   (one {"type":"entity"|"relation",...} object per line; the older single
+ *   JSON object { entities, relations } is accepted too)
+ * - rag-memory-sqlite: SQLite database of rag-memory-mcp (entities,
+ *   relationships and documents tables). Needs node:sqlite (Node.js 22.5+)
+ *   or the better-sqlite3 package.
+ *
+ * @module importers
+ */
+
+import { readFile } from 'fs/promises';
+
+export const IMPORT_FORMATS = ['mcp-memory', 'rag-memory-sqlite'];
+
+/**
+ * Guess the import format from a file name
+ *
+ * @param {string} path - File path
+ * @returns {string|null} Format, or null if the extension is unknown
+ */
+export function detectImportFormat(path = '') {
+  if (/\.jsonl?$/i.test(path)) return 'mcp-memory';
+  if (/\.(db|sqlite3?)$/i.test(path)) return 'rag-memory-sqlite';
+  return null;
+}
+
+/**
+ * Read a store in one of IMPORT_FORMATS
+ *
+ * @param {string} format - Import format
+ * @param {object} source - { path } or, for mcp-memory, { content }
+ * @returns {Promise<object>} Normalized { entities, relations, documents }
+ */
+export async function readImport(format, { path, content } = {}) {
+  if (format === 'mcp-memory') {
+    return parseMemoryJsonl(content ?? await readFile(path, 'utf8'));
+  }
+  if (format === 'rag-memory-sqlite') {
+    if (!path) throw new Error('rag-memory-sqlite imports need a path to the database file');
+    return readRagMemorySqlite(path);
+  }
+  throw new Error(`Unknown import format: ${format}. Use one of: ${IMPORT_FORMATS.join(', ')}`);
+}
+
+/**
+ * Parse a reference memory server store
+ *
+ * Entities that appear on several lines are combined.
+ *
+ * @param {string} text - memory.jsonl content
+ * @returns {object} Normalized { entities, relations, documents }
+ * @throws {Error} On lines that are not valid JSON
+ */
+export function parseMemoryJsonl(text) {
+  const trimmed = String(text).trim();
+  const items = [];
+
+  // Older releases stored one JSON object with entities and relations arrays
+  const whole = tryParse(trimmed);
+  if (whole && Array.isArray(whole.entities)) {
+    items.push(...whole.entities.map(entity => ({ type: 'entity', ...entity })));
+    items.push(...(whole.relations || []).map(relation => ({ type: 'relation', ...relation })));
+  } else {
+    trimmed.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      const item = tryParse(line);
+      if (!item) throw new Error(`Line ${index + 1} is not valid JSON`);
+      items.push(item);
+    });
+  }
+
+  const entities = new Map();
+  const relations = [];
+  for (const item of items) {
+    if (item.type === 'entity' && item.name) {
+      const entity = entities.get(item.name) || { name: item.name, entityType: item.entityType || 'CONCEPT', observations: [] };
+      entity.observations = [...new Set([...entity.observations, ...(item.observations || [])])];
+      entities.set(item.name, entity);
+    } else if (item.type === 'relation' && item.from && item.to && item.relationType) {
+      relations.push({ from: item.from, to: item.to, relationType: item.relationType });
+    }
+  }
+
+  return { entities: [...entities.values()], relations, documents: [] };
+}
+
+/**
+ * Read a rag-memory-mcp SQLite database
+ *
+ * Column names are looked up by both their camelCase and snake_case
+ * spellings; relationship endpoints may be entity ids or names.
+ *
+ * @param {string} path - Database file
+ * @param {function} open - (path) => database with prepare(sql).all() and close()
+ * @returns {Promise<object>} Normalized { entities, relations, documents }
+ */
+export async function readRagMemorySqlite(path, open = openSqlite) {
+  const db = await open(path);
+
+  try {
+    const tables = new Set(
+      db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name)
+    );
+    if (!tables.has('entities')) {
+      throw new Error(`${path} has no entities table - not a rag-memory-mcp database`);
+    }
+
+    const entityRows = db.prepare('SELECT * FROM entities').all();
+    const namesById = new Map(entityRows.map(row => [String(row.id), row.name]));
+    const entityName = value => namesById.get(String(value)) ?? value;
+
+    const entities = entityRows.map(row => ({
+      name: row.name,
+      entityType: pick(row, 'entityType', 'entity_type') || 'CONCEPT',
+      observations: parseJsonColumn(row.observations, []),
+    }));
+
+    const relations = tables.has('relationships')
+      ? db.prepare('SELECT * FROM relationships').all().map(row => ({
+        from: entityName(pick(row, 'source_entity', 'sourceEntity', 'source', 'from')),
+        to: entityName(pick(row, 'target_entity', 'targetEntity', 'target', 'to')),
+        relationType: pick(row, 'relationType', 'relation_type', 'type'),
+      }))
+      : [];
+
+    const documents = tables.has('documents')
+      ? db.prepare('SELECT * FROM documents').all().map(row => ({
+        id: String(row.id),
+        content: row.content,
+        metadata: parseJsonColumn(row.metadata, {}),
+      }))
+      : [];
+
+    return { entities, relations, documents };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Open a SQLite database read-only with node:sqlite or better-sqlite3
+ * @private
+ */
+async function openSqlite(path) {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(path, { readOnly: true });
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw error;
+  }
+
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return new Database(path, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new Error('Reading SQLite needs Node.js 22.5+ (node:sqlite) or the better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+/**
+ * @private
+ */
+function pick(row, ...columns) {
+  for (const column of columns) {
+    if (row[column] !== undefined && row[column] !== null) return row[column];
+  }
+  return undefined;
+}
+
+/**
+ * @private
+ */
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  return tryParse(value) ?? fallback;
+}
+
+/**
+ * @private
+ */
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
@@ -11,10 +11,14 @@
  * - Document processing (chunking, embedding, search)
  * - Hybrid search (vector + graph)
  * - Multi-machine sync via PostgreSQL
+ * - Offline in-memory storage (STORAGE_BACKEND=memory)
+ * - stdio or Streamable HTTP transport (MCP_TRANSPORT=http) for shared servers
  * 
  * @module rag-memory-pg-mcp
  */
 
+import { randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
@@ -25,46 +29,104 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { RAGKnowledgeGraphManager } from './manager.js';
+import { getStorageConfig, validateStorageConfig } from './storage/index.js';
+import { getEmbeddingConfig, validateEmbeddingConfig } from './embeddings.js';
 import { getToolDefinitions } from './tools.js';
-import { filterToolsByMode } from './tool-modes.js';
+import { filterToolsByMode, TOOL_MODES } from './tool-modes.js';
 import { getPromptDefinitions } from './prompts.js';
 import { handleToolCall, createErrorResponse } from './handlers.js';
+import { getDefaultNamespace } from './namespaces.js';
+import { loadAccessPolicy, authenticate, toolsForClient } from './access.js';
+import { getTransportConfig, validateTransportConfig, startHttpServer } from './http.js';
 
 // ==================== CONFIGURATION ====================
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const STORAGE_CONFIG = getStorageConfig();
 const TOOLS_MODE = (process.env.TOOLS_MODE || 'full').toLowerCase();
+const TRANSPORT_CONFIG = getTransportConfig();
 
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-  console.error('❌ Error: SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables are required');
+// Reported to clients in the initialize handshake
+const { version: VERSION } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// stdio serves one client per process; recorded as the session of new observations
+const PROCESS_SESSION = randomUUID();
+
+let NAMESPACE;
+let ACCESS_POLICY;
+let CLIENT = null;
+try {
+  validateStorageConfig(STORAGE_CONFIG);
+  validateEmbeddingConfig(getEmbeddingConfig());
+  // Tools work here unless a call names another namespace
+  NAMESPACE = getDefaultNamespace();
+  ACCESS_POLICY = loadAccessPolicy();
+  validateTransportConfig(TRANSPORT_CONFIG, { accessControl: Boolean(ACCESS_POLICY) });
+  // stdio serves one client, identified by its token for the whole process;
+  // over HTTP every request brings its own
+  if (ACCESS_POLICY && TRANSPORT_CONFIG.transport === 'stdio') {
+    CLIENT = authenticate(ACCESS_POLICY, process.env.MEMORY_ACCESS_TOKEN);
+    if (!CLIENT) {
+      throw new Error('MEMORY_ACCESS_TOKEN is missing or matches no client in ACCESS_CONTROL_FILE');
+    }
+  }
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
   console.error('   Set them in your MCP configuration or .env file');
   process.exit(1);
 }
 
+if (STORAGE_CONFIG.backend === 'memory') {
+  const persistence = STORAGE_CONFIG.memoryPath
+    ? `persisted to ${STORAGE_CONFIG.memoryPath}`
+    : 'not persisted - set MEMORY_STORE_PATH to keep data';
+  const reason = STORAGE_CONFIG.explicit ? '' : ' (SUPABASE_URL not set)';
+  console.error(`💾 Storage: in-memory${reason}, ${persistence}`);
+}
+
+console.error(`🗂️  Namespace: ${NAMESPACE}`);
+if (CLIENT) {
+  console.error(`🔐 Access control: client "${CLIENT.name}"`);
+}
+
+// Get tools based on mode
+const allTools = getToolDefinitions();
+const activeTools = filterToolsByMode(allTools, TOOLS_MODE);
+
 // Log active tools mode
 const modeDescriptions = {
-  client: 'CLIENT mode (10 essential tools for daily use)',
-  maintenance: 'MAINTENANCE mode (11 admin/cleanup tools)',
-  full: 'FULL mode (all 21 tools)'
+  client: `CLIENT mode (${TOOL_MODES.client.length} essential tools for daily use)`,
+  maintenance: `MAINTENANCE mode (${TOOL_MODES.maintenance.length} admin/cleanup tools)`,
+  full: `FULL mode (all ${allTools.length} tools)`
 };
 console.error(`🔧 Tools: ${modeDescriptions[TOOLS_MODE] || 'FULL mode (default)'}`);
 
 
 // ==================== SERVER SETUP ====================
 
-// Get tools based on mode
-const allTools = getToolDefinitions();
-const activeTools = filterToolsByMode(allTools, TOOLS_MODE);
-
 console.error(`📊 Active tools: ${activeTools.length}/${allTools.length}`);
 
-const server = new Server(
-  {
-    name: 'rag-memory-pg',
-    version: '2.2.0',
-    description: 'RAG-enabled memory with PostgreSQL/Supabase backend. Provides knowledge graph, document management, and semantic search. All content should be in English for optimal performance.',
-    instructions: `This is a RAG (Retrieval-Augmented Generation) memory system with knowledge graph capabilities.
+const manager = new RAGKnowledgeGraphManager(STORAGE_CONFIG);
+
+// ==================== REQUEST HANDLERS ====================
+
+/**
+ * Create an MCP server for a client
+ * 
+ * stdio serves one; over HTTP every session gets its own, sharing the manager.
+ * 
+ * @param {object|null} client - Authenticated client (access control), or null
+ * @returns {Server} Server with the tool and prompt handlers
+ */
+function createServer(client) {
+  // Without the permission a tool would only return access errors
+  const clientTools = client ? toolsForClient(activeTools, client) : activeTools;
+
+  const server = new Server(
+    {
+      name: 'rag-memory-pg',
+      version: VERSION,
+      description: 'RAG-enabled memory with PostgreSQL/Supabase backend. Provides knowledge graph, document management, and semantic search. All content should be in English for optimal performance.',
+      instructions: `This is a RAG (Retrieval-Augmented Generation) memory system with knowledge graph capabilities.
 
 KEY PRINCIPLES:
 1. ALL content (entities, documents, queries) must be in ENGLISH for optimal embedding and search
@@ -75,89 +137,100 @@ KEY PRINCIPLES:
 RECOMMENDED WORKFLOW:
 - Store knowledge: processDocument (documents) + createEntities (concepts) + createRelations (links)
 - Search knowledge: hybridSearch (documents) or searchNodes (entities)
-- Explore: readGraph (full overview) or getKnowledgeGraphStats (statistics)
+- Explore: getNeighbors / getSubgraph (around an entity), findPaths (how X relates to Y), getGraph (paged overview) or getKnowledgeGraphStats (statistics)
 
 TOOL MODES:
-- client: 10 essential tools for daily use (recommended)
-- maintenance: 11 admin/cleanup tools
-- full: all 21 tools (default)
+- client: ${TOOL_MODES.client.length} essential tools for daily use (recommended)
+- maintenance: ${TOOL_MODES.maintenance.length} admin/cleanup tools
+- full: all ${allTools.length} tools (default)
+
+NAMESPACES:
+- Tools work in the "${NAMESPACE}" namespace; pass namespace to work in another project
+- searchNodes, hybridSearch and getDetailedContext search several projects with namespaces (["*"] for all)
 
 EMBEDDING MODES:
 - local: Free, private, slower (default)
-- openai: 10-100x faster, cloud-based (recommended)
+- openai: 10-100x faster, cloud-based (recommended); also any OpenAI-compatible server
+- After switching embedding models, run reembed to migrate stored vectors
 
 Use English for all operations to ensure accurate semantic search and embedding quality.`,
-  },
-  {
-    capabilities: {
-      tools: {},
-      prompts: {},
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+        prompts: {},
+      },
+    }
+  );
 
-const manager = new RAGKnowledgeGraphManager(SUPABASE_URL, SUPABASE_KEY);
+  /**
+   * List available tools (filtered by TOOLS_MODE and the client's permissions)
+   */
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: clientTools };
+  });
 
-// ==================== REQUEST HANDLERS ====================
+  /**
+   * List available prompts
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: getPromptDefinitions() };
+  });
 
-/**
- * List available tools (filtered by TOOLS_MODE)
- */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: activeTools };
-});
-
-/**
- * List available prompts
- */
-server.setRequestHandler(ListPromptsRequestSchema, async () => {
-  return { prompts: getPromptDefinitions() };
-});
-
-/**
- * Get specific prompt
- */
-server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-  const prompts = getPromptDefinitions();
-  const prompt = prompts.find(p => p.name === request.params.name);
+  /**
+   * Get specific prompt
+   */
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const prompts = getPromptDefinitions();
+    const prompt = prompts.find(p => p.name === request.params.name);
   
-  if (!prompt) {
-    throw new Error(`Prompt not found: ${request.params.name}`);
-  }
+    if (!prompt) {
+      throw new Error(`Prompt not found: ${request.params.name}`);
+    }
   
-  // Replace template variables
-  let messages = [{
-    role: 'user',
-    content: {
-      type: 'text',
-      text: prompt.prompt,
-    },
-  }];
+    // Replace template variables
+    let messages = [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: prompt.prompt,
+      },
+    }];
   
-  // Replace {{variable}} in prompt with actual arguments
-  if (request.params.arguments) {
-    Object.entries(request.params.arguments).forEach(([key, value]) => {
-      messages[0].content.text = messages[0].content.text.replace(
-        new RegExp(`{{${key}}}`, 'g'),
-        value
-      );
-    });
-  }
+    // Replace {{variable}} in prompt with actual arguments
+    if (request.params.arguments) {
+      Object.entries(request.params.arguments).forEach(([key, value]) => {
+        messages[0].content.text = messages[0].content.text.replace(
+          new RegExp(`{{${key}}}`, 'g'),
+          value
+        );
+      });
+    }
   
-  return { messages };
-});
+    return { messages };
+  });
 
-/**
- * Handle tool calls
- */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    const { name, arguments: args } = request.params;
-    return await handleToolCall(name, args, manager);
-  } catch (error) {
-    return createErrorResponse(error);
-  }
-});
+  /**
+   * Handle tool calls
+   */
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    try {
+      const { name, arguments: args } = request.params;
+      const context = {
+        session: extra?.sessionId ?? PROCESS_SESSION,
+        caller: server.getClientVersion()?.name,
+        namespace: NAMESPACE,
+        accessControl: ACCESS_POLICY,
+        client,
+      };
+      return await handleToolCall(name, args, manager, context);
+    } catch (error) {
+      return createErrorResponse(error);
+    }
+  });
+
+  return server;
+}
 
 // ==================== MAIN ====================
 
@@ -167,8 +240,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 async function main() {
   await manager.initialize();
   
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  if (TRANSPORT_CONFIG.transport === 'http') {
+    const http = await startHttpServer({
+      host: TRANSPORT_CONFIG.host,
+      port: TRANSPORT_CONFIG.port,
+      token: TRANSPORT_CONFIG.token,
+      accessPolicy: ACCESS_POLICY,
+      createServer,
+      health: () => ({ storage: STORAGE_CONFIG.backend, namespace: NAMESPACE }),
+    });
+
+    const shutdown = async () => {
+      console.error('👋 Shutting down HTTP server');
+      await http.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    const auth = ACCESS_POLICY ? 'client tokens' : TRANSPORT_CONFIG.token ? 'MCP_HTTP_TOKEN' : 'no token (loopback only)';
+    console.error(`🌐 Streamable HTTP on ${http.url} (auth: ${auth})`);
+  } else {
+    const transport = new StdioServerTransport();
+    await createServer(CLIENT).connect(transport);
+  }
   
   console.error('🎉 RAG Memory PostgreSQL MCP Server running');
 }
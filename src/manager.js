@@ -1,118 +1,375 @@
 /**
  * RAG Knowledge Graph Manager
  * 
- * Core class for managing knowledge graph with PostgreSQL/Supabase backend.
- * Handles entities, relationships, documents, and embeddings.
+ * Core class for managing knowledge graph on top of a storage backend
+ * (Supabase, PostgreSQL or in-memory, see storage/). Handles entities, relationships,
+ * documents, and embeddings.
  * 
  * @module manager
  */
 
-import { createClient } from '@supabase/supabase-js';
-import { pipeline } from '@huggingface/transformers';
-import OpenAI from 'openai';
+import { createStorage, NamespacedStorage } from './storage/index.js';
+import { getEmbeddingConfig, createEmbeddingProvider, isLegacyModel } from './embeddings.js';
+import { chunkText } from './chunking.js';
+import { createTokenizer } from './tokenizers.js';
+import { contentHash } from './hashing.js';
+import { toBatches, mapWithConcurrency } from './batching.js';
+import { EmbeddingCache } from './cache.js';
+import { parseVector } from './vectors.js';
+import { fuseRankings, extractKeywords, keywordScore, DEFAULT_RRF_K } from './ranking.js';
+import { EXPORT_FORMATS, renderGraph } from './exporters.js';
+import {
+  CONFLICT_POLICIES, serializeBackup, parseBackup, writeBackupFile, readBackupFile,
+  mergeObservations, mergeMetadata,
+} from './backup.js';
+import { findSimilarNames, pairKey } from './duplicates.js';
+import { observationSource, removeOnce, observationDetails } from './observations.js';
+import {
+  parseTimestamp, entityState, relationshipState, historyRow, replayHistory, latestRecords,
+  describeChange, changeAuthor, entityRow, relationshipRow,
+} from './history.js';
+import { TRASH_ITEM_TYPES, getTrashRetentionDays, trashExpiry, trashRows, trashSummary } from './trash.js';
+import { DEFAULT_NAMESPACE, resolveNamespaces } from './namespaces.js';
+import { IMPORT_FORMATS, detectImportFormat, readImport } from './importers.js';
+import { getFilesDir, resolveServerPath } from './files.js';
+import { GRAPH_DIRECTIONS, MAX_TRAVERSAL_DEPTH, expandEdges, collectPaths, formatPath, encodeCursor, decodeCursor, escapeLikePattern } from './graph.js';
+
+// Graph traversal: entity ids per `.in()` filter (keeps PostgREST request URLs short)
+const TRAVERSAL_ID_BATCH_SIZE = 200;
+
+// getNeighbors orders: by relation type and name, or strongest relations first
+const NEIGHBOR_SORT_ORDERS = ['relationType', 'confidence', 'weight'];
+
+// getGraph pagination: entities per page by default and at most
+const GRAPH_PAGE_SIZE = 100;
+const MAX_GRAPH_PAGE_SIZE = 1000;
+
+// Columns added by supabase-schema-migration.sql; backups read and restores
+// write them only where they exist
+const VECTOR_TAG_COLUMNS = ['embedding_model', 'embedding_dimensions'];
+const OPTIONAL_COLUMNS = {
+  rag_entities: ['aliases'],
+  rag_relationships: ['weight', 'provenance'],
+  rag_documents: ['content_hash'],
+  rag_chunks: ['start_pos', 'end_pos', 'metadata', 'token_count', 'content_hash', ...VECTOR_TAG_COLUMNS],
+  rag_entity_embeddings: ['embedding_text', ...VECTOR_TAG_COLUMNS],
+};
+
+// Rows per bulk insert when restoring a backup
+const RESTORE_BATCH_SIZE = 500;
+
+// Error codes of a stored function that does not exist (PostgreSQL, PostgREST)
+const UNDEFINED_FUNCTION_CODES = ['42883', 'PGRST202'];
 
 /**
- * RAG Knowledge Graph Manager with PostgreSQL backend
+ * RAG Knowledge Graph Manager with pluggable storage backend
  */
 export class RAGKnowledgeGraphManager {
-  constructor(supabaseUrl, supabaseKey) {
-    this.supabaseUrl = supabaseUrl;
-    this.supabaseKey = supabaseKey;
-    this.supabase = null;
+  /**
+   * @param {object|string} storageConfig - Storage configuration (see storage/getStorageConfig),
+   *   or a Supabase URL for backward compatibility
+   * @param {string} supabaseKey - Supabase service key (only with a Supabase URL)
+   */
+  constructor(storageConfig = {}, supabaseKey) {
+    // Backward compatible: new RAGKnowledgeGraphManager(supabaseUrl, supabaseKey)
+    if (typeof storageConfig === 'string') {
+      storageConfig = { backend: 'supabase', supabaseUrl: storageConfig, supabaseKey };
+    }
+
+    this.storageConfig = storageConfig;
+    this.db = null;
     this.embeddingModel = null;
     this.modelInitialized = false;
     
-    // Embedding mode configuration (local or openai)
-    this.mode = (process.env.MODE || 'local').toLowerCase();
-    this.openaiClient = null;
+    // Embedding provider configuration (see embeddings.js)
+    const embeddingConfig = getEmbeddingConfig();
     
-    // Initialize OpenAI if mode is openai
-    if (this.mode === 'openai' && process.env.OPENAI_API_KEY) {
-      this.openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      console.error('🌐 Using OpenAI embeddings (text-embedding-3-small, 384 dims)');
-    } else if (this.mode === 'openai') {
+    // OpenAI itself needs a key; OpenAI-compatible servers (EMBEDDING_BASE_URL) may not
+    if (embeddingConfig.provider === 'openai' && !embeddingConfig.apiKey && !embeddingConfig.baseUrl) {
       console.error('⚠️  MODE=openai but OPENAI_API_KEY not set, falling back to local');
-      this.mode = 'local';
+      Object.assign(embeddingConfig, getEmbeddingConfig({ ...process.env, EMBEDDING_PROVIDER: 'local', EMBEDDING_MODEL: '' }));
     }
+
+    this.embedder = createEmbeddingProvider(embeddingConfig);
+    this.mode = this.embedder.provider;
+    // Model that wrote the untagged vectors of earlier releases
+    this.legacyEmbeddingModel = embeddingConfig.legacyModel;
+    if (this.mode === 'openai') {
+      const endpoint = this.embedder.baseUrl ? ` via ${this.embedder.baseUrl}` : '';
+      console.error(`🌐 Using OpenAI embeddings (${this.embedder.model}${endpoint})`);
+    }
+
+    this.embeddingCache = null;
+
+    // Last rag_history timestamp written (see _historyTime)
+    this.lastHistoryTime = 0;
+
+    // Days deleted items stay restorable in rag_trash (0: delete permanently)
+    this.trashRetentionDays = getTrashRetentionDays();
+
+    // Directory backup and import files must be in (MEMORY_FILES_DIR)
+    this.filesDir = getFilesDir();
+
+    // Embedding pipeline: texts per model call and model calls in flight
+    this.embeddingBatchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || (this.mode === 'openai' ? 100 : 16);
+    this.embeddingConcurrency = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || (this.mode === 'openai' ? 4 : 1);
   }
 
   /**
-   * Initialize Supabase client and embedding model
+   * Initialize storage backend and embedding model
    */
   async initialize() {
     console.error('🚀 Initializing RAG Memory PostgreSQL MCP Server...');
     
-    this.supabase = createClient(this.supabaseUrl, this.supabaseKey);
-    console.error('✅ Supabase client initialized');
+    this.db = await createStorage(this.storageConfig);
+    console.error(`✅ Storage initialized (${this.db.name})`);
+
+    if (process.env.EMBEDDING_CACHE !== 'false') {
+      this.embeddingCache = new EmbeddingCache(this.db, {
+        memoryLimit: parseInt(process.env.EMBEDDING_CACHE_MEMORY_SIZE, 10) || undefined,
+      });
+    }
     
     await this.initializeEmbeddingModel();
+    if (this.modelInitialized) {
+      await this._checkEmbeddingColumns();
+    }
     
     console.error('✅ RAG Memory server ready');
   }
 
   /**
-   * Initialize the embedding model (HuggingFace Transformers for local mode)
+   * View of the manager limited to namespaces
+   * 
+   * The view shares everything with the manager (model, caches, history
+   * clock) except its storage, a NamespacedStorage: reads only see rows of
+   * the namespaces and writes go to the namespace. Several namespaces (or
+   * '*') give a read-only view for cross-namespace searches.
+   * 
+   * Before the namespace columns exist (supabase-schema-migration.sql)
+   * only the default namespace is available, and it is the whole database.
+   * 
+   * @param {string|string[]} namespaces - Namespace, list of namespaces, or '*' for all
+   * @returns {Promise<RAGKnowledgeGraphManager>} Manager view
+   * @throws {Error} If a namespace name is invalid, or other namespaces are
+   *   requested before the migration
+   * 
+   * @example
+   * const api = await manager.inNamespace('acme-api');
+   * await api.createEntities([{ name: 'Auth Service', entityType: 'SERVICE' }]);
    */
-  async initializeEmbeddingModel() {
-    // Skip local model initialization if using OpenAI
-    if (this.mode === 'openai') {
-      this.modelInitialized = true;
-      console.error('✅ OpenAI embeddings ready');
-      return;
+  async inNamespace(namespaces) {
+    const resolved = resolveNamespaces(namespaces);
+
+    if (!await this._hasColumn('rag_entities', 'namespace')) {
+      if (resolved === null || (resolved.length === 1 && resolved[0] === DEFAULT_NAMESPACE)) return this;
+      throw new Error('rag_entities.namespace not found - run supabase-schema-migration.sql to use namespaces');
     }
-    
-    // Load local HuggingFace model
+
+    const db = new NamespacedStorage(this.db, resolved);
+    // State written through the view (caches, history clock) lands on the manager
+    return new Proxy(this, {
+      get: (target, property) => (property === 'db' ? db : target[property]),
+      set: (target, property, value) => {
+        target[property] = value;
+        return true;
+      },
+    });
+  }
+
+  /**
+   * Initialize the embedding provider (loads the local model, or resolves
+   * the dimensions of an OpenAI-compatible model)
+   */
+  async initializeEmbeddingModel() {
     try {
-      console.error('🤖 Loading local sentence transformer model...');
-      this.embeddingModel = await pipeline(
-        'feature-extraction',
-        'Xenova/all-MiniLM-L12-v2'
-      );
+      if (this.mode === 'local') {
+        console.error(`🤖 Loading local sentence transformer model (${this.embedder.model})...`);
+      }
+      await this.embedder.initialize();
+      this.embeddingModel = this.embedder.pipeline || null;
       this.modelInitialized = true;
-      console.error('✅ Local embedding model loaded (384 dims)');
+      console.error(`✅ Embedding model ready: ${this.embeddingModelId} (${this.embeddingDimensions} dims)`);
     } catch (error) {
       console.error('⚠️  Embedding model failed to load:', error.message);
       this.modelInitialized = false;
     }
   }
 
+  /**
+   * Model id stored next to every vector (embedding_model)
+   */
+  get embeddingModelId() {
+    return this.embedder.id;
+  }
+
+  /**
+   * Vector size stored next to every vector (embedding_dimensions)
+   */
+  get embeddingDimensions() {
+    return this.embedder.dimensions;
+  }
+
+  /**
+   * Check that the embedding columns can hold vectors of the active model
+   * 
+   * Columns created as VECTOR(384) reject every other size, which would
+   * otherwise only show up as failed writes after documents were chunked.
+   * 
+   * @throws {Error} If a column has a fixed size other than the model's
+   * @private
+   */
+  async _checkEmbeddingColumns() {
+    const { data, error } = await this.db.rpc('rag_embedding_columns');
+    if (error) {
+      if (UNDEFINED_FUNCTION_CODES.includes(error.code)) {
+        console.error('ℹ️  Embedding column sizes not checked - run supabase-vector-search.sql to add rag_embedding_columns');
+        return;
+      }
+      throw new Error(`Failed to check embedding columns: ${error.message}`);
+    }
+
+    const mismatched = (data || []).filter(column => column.dimensions !== null && column.dimensions !== this.embeddingDimensions);
+    if (mismatched.length > 0) {
+      const columns = mismatched.map(column => `${column.table_name}.embedding is VECTOR(${column.dimensions})`).join(', ');
+      throw new Error(
+        `${columns}, but ${this.embeddingModelId} produces ${this.embeddingDimensions}-dimensional vectors. ` +
+        'Run section 5 of supabase-vector-search.sql to allow other sizes, or pick a model (EMBEDDING_DIMENSIONS) that matches the columns'
+      );
+    }
+  }
+
+  /**
+   * Tokenizer of the active embedding model (cached)
+   * 
+   * @returns {Promise<object>} Tokenizer: { name, maxTokens, count(text) }
+   * @throws {Error} If the local model is not loaded
+   */
+  async getTokenizer() {
+    if (!this._tokenizer) {
+      this._tokenizer = await createTokenizer(this.embedder);
+    }
+    return this._tokenizer;
+  }
+
   /**
    * Generate embedding vector for text
    * 
-   * Uses either OpenAI (text-embedding-3-small) or local HuggingFace model.
-   * Both produce 384-dimensional vectors for backward compatibility.
+   * Uses the configured embedding provider (see embeddings.js). The default
+   * models both produce 384-dimensional vectors.
    * 
    * @param {string} text - Text to embed
-   * @returns {number[]|null} 384-dimensional embedding vector or null if failed
+   * @returns {number[]|null} Embedding vector or null if failed
    */
   async generateEmbedding(text) {
-    if (!this.modelInitialized) {
-      return null;
+    const [embedding] = await this.generateEmbeddings([text]);
+    return embedding;
+  }
+
+  /**
+   * Generate embedding vectors for several texts
+   * 
+   * Texts already in the embedding cache are served from it; the rest are
+   * embedded in one model call and added to the cache.
+   * 
+   * @param {string[]} texts - Texts to embed
+   * @returns {Array<number[]|null>} Vectors in input order (null where failed)
+   */
+  async generateEmbeddings(texts) {
+    if (!this.modelInitialized || texts.length === 0) {
+      return texts.map(() => null);
     }
-    
-    try {
-      // OpenAI embeddings (faster, cloud-based)
-      if (this.mode === 'openai' && this.openaiClient) {
-        const response = await this.openaiClient.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: text,
-          dimensions: 384, // Match local model dimensions for compatibility
-        });
-        return response.data[0].embedding;
+
+    if (!this.embeddingCache) {
+      return this._embedTexts(texts);
+    }
+
+    const hashes = texts.map(text => contentHash(text));
+    const vectors = await this.embeddingCache.getMany(this.embeddingModelId, this.embeddingDimensions, hashes);
+
+    // Embed each distinct missing text once
+    const missing = new Map();
+    hashes.forEach((hash, i) => {
+      if (!vectors.has(hash)) missing.set(hash, texts[i]);
+    });
+
+    if (missing.size > 0) {
+      const embedded = await this._embedTexts([...missing.values()]);
+      const fresh = [...missing.keys()]
+        .map((hash, i) => ({ hash, embedding: embedded[i] }))
+        .filter(entry => entry.embedding);
+
+      for (const { hash, embedding } of fresh) {
+        vectors.set(hash, embedding);
       }
-      
-      // Local HuggingFace embeddings (slower, privacy-focused)
-      const output = await this.embeddingModel(text, {
-        pooling: 'mean',
-        normalize: true,
-      });
-      return Array.from(output.data);
+      await this.embeddingCache.setMany(this.embeddingModelId, this.embeddingDimensions, fresh);
+    }
+
+    return hashes.map(hash => vectors.get(hash) || null);
+  }
+
+  /**
+   * Embed texts with the model in one call
+   * 
+   * OpenAI-style providers receive a single multi-input request; the local
+   * pipeline embeds the texts as one padded batch.
+   * 
+   * @param {string[]} texts - Texts to embed
+   * @returns {Array<number[]|null>} Vectors in input order (all null if failed)
+   * @private
+   */
+  async _embedTexts(texts) {
+    try {
+      return await this.embedder.embed(texts);
     } catch (error) {
       console.error('Error generating embedding:', error.message);
-      return null;
+      return texts.map(() => null);
     }
   }
 
+  /**
+   * Embed items in batches with bounded concurrency
+   * 
+   * @param {object[]} items - Items to embed
+   * @param {function} getText - Returns the text to embed for an item
+   * @param {function} writeBatch - Async (pairs: [{ item, embedding }]) => stores one batch
+   * @returns {object} Summary: total, embedded, failed, batches, durationMs, itemsPerSecond
+   * @private
+   */
+  async _embedInBatches(items, getText, writeBatch) {
+    const startedAt = Date.now();
+    const batches = toBatches(items, this.embeddingBatchSize);
+    let embedded = 0;
+    let failed = 0;
+
+    await mapWithConcurrency(batches, this.embeddingConcurrency, async (batch, index) => {
+      const vectors = await this.generateEmbeddings(batch.map(getText));
+      const pairs = batch
+        .map((item, i) => ({ item, embedding: vectors[i] }))
+        .filter(pair => pair.embedding);
+      failed += batch.length - pairs.length;
+
+      if (pairs.length === 0) return;
+      try {
+        await writeBatch(pairs);
+        embedded += pairs.length;
+      } catch (error) {
+        failed += pairs.length;
+        console.error(`Failed to store embedding batch ${index + 1}/${batches.length}:`, error.message);
+      }
+    });
+
+    const durationMs = Date.now() - startedAt;
+    return {
+      total: items.length,
+      embedded,
+      failed,
+      batches: batches.length,
+      durationMs,
+      itemsPerSecond: durationMs > 0 ? Math.round((embedded / durationMs) * 1000 * 10) / 10 : embedded,
+    };
+  }
+
   /**
    * Generate embedding text for an entity
    * 
@@ -138,13 +395,24 @@ export class RAGKnowledgeGraphManager {
    * Create entities in the knowledge graph
    * 
    * @param {object[]} entities - Array of entity objects
+   * @param {object} origin - Who is writing: { session, caller, tool } (recorded as
+   *   observation source and in the change history)
    * @returns {object[]} Results array with success/error for each entity
+   *   (and the ids of its observation records)
    */
-  async createEntities(entities) {
+  async createEntities(entities, origin = {}) {
     const results = [];
+    const created = [];
     
     for (const entity of entities) {
-      const { data, error } = await this.supabase
+      // A merged-away name would recreate the duplicate
+      const aliasOf = await this._findEntityByAlias(entity.name, 'name');
+      if (aliasOf) {
+        results.push({ success: false, entity: entity.name, error: `Entity already exists as an alias of "${aliasOf.name}"` });
+        continue;
+      }
+
+      const { data, error } = await this.db
         .from('rag_entities')
         .insert({
           name: entity.name,
@@ -163,44 +431,61 @@ export class RAGKnowledgeGraphManager {
         }
       } else {
         results.push({ success: true, entity: data.name, id: data.id });
-        
-        // Generate and store embedding
-        if (this.modelInitialized) {
-          const embeddingText = `${data.name} ${data.entity_type} ${data.observations.join(' ')}`;
-          const embedding = await this.generateEmbedding(embeddingText);
-          
-          if (embedding) {
-            await this.supabase
-              .from('rag_entity_embeddings')
-              .upsert({
-                entity_id: data.id,
-                embedding: JSON.stringify(embedding),
-              });
-          }
-        }
+        created.push(data);
       }
     }
     
+    const observationIds = await this._recordObservations(
+      created.map(entity => ({ entityId: entity.id, contents: entity.observations || [] })), origin
+    );
+    created.forEach((entity, index) => {
+      if (observationIds[index].length > 0) {
+        results.find(result => result.id === entity.id).observationIds = observationIds[index];
+      }
+    });
+    await this._recordHistory(created.map(row => historyRow('entity', 'create', row.id, entityState(row))), origin);
+
+    await this._syncEntityEmbeddings(created);
+    
     return results;
   }
 
   /**
    * Create relationships between entities
    * 
-   * @param {object[]} relations - Array of relation objects {from, to, relationType}
+   * Optional properties: confidence (0-1, how sure we are the relation
+   * holds; default 1), weight (strength for ranking; default 1),
+   * provenance (where it comes from, e.g. 'inferred') and metadata.
+   * 
+   * @param {object[]} relations - Array of relation objects
+   *   {from, to, relationType, confidence, weight, provenance, metadata}
+   * @param {object} origin - Who is writing: { session, caller, tool }
    * @returns {object[]} Results array
    */
-  async createRelations(relations) {
+  async createRelations(relations, origin = {}) {
     const results = [];
+    const createdIds = [];
     
     for (const relation of relations) {
-      const { data: sourceEntity } = await this.supabase
+      let properties;
+      try {
+        properties = this._relationProperties(relation);
+      } catch (error) {
+        results.push({
+          success: false,
+          relation: `${relation.from} -> ${relation.to}`,
+          error: error.message,
+        });
+        continue;
+      }
+
+      const { data: sourceEntity } = await this.db
         .from('rag_entities')
         .select('id')
         .eq('name', relation.from)
         .single();
       
-      const { data: targetEntity } = await this.supabase
+      const { data: targetEntity } = await this.db
         .from('rag_entities')
         .select('id')
         .eq('name', relation.to)
@@ -215,15 +500,16 @@ export class RAGKnowledgeGraphManager {
         continue;
       }
       
-      const { error } = await this.supabase
+      const { data, error } = await this.db
         .from('rag_relationships')
-        .insert({
+        .insert(await this._writableRow('rag_relationships', {
           source_entity: sourceEntity.id,
           target_entity: targetEntity.id,
           relation_type: relation.relationType,
           confidence: 1.0,
           metadata: {},
-        })
+          ...properties,
+        }))
         .select();
       
       if (error) {
@@ -237,25 +523,32 @@ export class RAGKnowledgeGraphManager {
           success: true,
           relation: `${relation.from} -[${relation.relationType}]-> ${relation.to}`,
         });
+        createdIds.push(...data.map(row => row.id));
       }
     }
     
+    await this._recordHistory(await this._historyRows('create', { relationshipIds: createdIds }), origin);
     return results;
   }
 
   /**
    * Add observations to existing entities
    * 
-   * @param {object[]} observations - Array of {entityName, contents[]}
-   * @returns {object[]} Results array
+   * Each observation gets a record with its own id (see observations.js);
+   * documentId / chunkIndex and confidence apply to all contents of an item.
+   * 
+   * @param {object[]} observations - Array of {entityName, contents[], documentId, chunkIndex, confidence}
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object[]} Results array (with observationIds when records are stored)
    */
-  async addObservations(observations) {
+  async addObservations(observations, origin = {}) {
     const results = [];
+    const changed = [];
     
     for (const obs of observations) {
-      const { data: entity } = await this.supabase
+      const { data: entity } = await this.db
         .from('rag_entities')
-        .select('id, observations')
+        .select('id, name, entity_type, observations')
         .eq('name', obs.entityName)
         .single();
       
@@ -270,9 +563,9 @@ export class RAGKnowledgeGraphManager {
       
       const updatedObservations = [...entity.observations, ...obs.contents];
       
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('rag_entities')
-        .update({ observations: updatedObservations })
+        .update({ observations: updatedObservations, ...await this._staleEmbeddingMarker() })
         .eq('id', entity.id);
       
       if (error) {
@@ -282,63 +575,211 @@ export class RAGKnowledgeGraphManager {
           error: error.message,
         });
       } else {
+        const [observationIds] = await this._recordObservations([{ ...obs, entityId: entity.id }], origin);
         results.push({
           success: true,
           entity: obs.entityName,
           added: obs.contents.length,
+          ...(observationIds.length > 0 && { observationIds }),
         });
+        if (obs.contents.length > 0) {
+          changed.push({ ...entity, observations: updatedObservations });
+        }
       }
     }
     
+    await this._recordHistory(await this._historyRows('update', { entityIds: changed.map(entity => entity.id) }), origin);
+    await this._syncEntityEmbeddings(changed);
+    
     return results;
   }
 
   /**
-   * Search entities by name or type
+   * Search entities by name, type or meaning
+   * 
+   * Modes:
+   * - text: ilike on name and entity_type (default)
+   * - semantic: cosine similarity between the query embedding and
+   *   rag_entity_embeddings (match_rag_entities RPC)
+   * - hybrid: text and semantic rankings fused with Reciprocal Rank Fusion
    * 
    * @param {string} query - Search query
    * @param {number} limit - Max results
-   * @returns {object[]} Matching entities
+   * @param {object} options - Search options
+   * @param {string} options.mode - 'text', 'semantic' or 'hybrid' (default: 'text')
+   * @param {number} options.threshold - Minimum cosine similarity for semantic matches (default: 0.3)
+   * @param {string} options.entityType - Only return entities of this type
+   * @param {string} options.asOf - Search the entities as they were at this time
+   *   (text mode only: embeddings are not versioned)
+   * @returns {object[]} Matching entities (semantic/hybrid results include similarity)
+   * 
+   * @example
+   * searchNodes('the auth service owner', 5, { mode: 'semantic', entityType: 'PERSON' })
+   */
+  async searchNodes(query, limit = 10, options = {}) {
+    const { mode = 'text', threshold = 0.3, entityType } = options;
+    const asOf = parseTimestamp(options.asOf, 'asOf');
+
+    if (asOf) {
+      if (mode !== 'text') {
+        throw new Error('asOf searches support mode "text" only: embeddings are not versioned');
+      }
+      return this._searchNodesAsOf(query, limit, entityType, asOf);
+    }
+
+    if (mode === 'semantic') {
+      return this._semanticSearchEntities(query, limit, threshold, entityType);
+    }
+
+    if (mode === 'hybrid') {
+      const [textHits, semanticHits] = await Promise.all([
+        this._textSearchEntities(query, limit * 2, entityType),
+        this._semanticSearchEntities(query, limit * 2, threshold, entityType).catch(error => {
+          console.error('Semantic entity search failed, using text only:', error.message);
+          return [];
+        }),
+      ]);
+
+      return fuseRankings([
+        { name: 'semantic', items: semanticHits },
+        { name: 'text', items: textHits },
+      ], entity => entity.id)
+        .slice(0, limit)
+        .map(f => ({
+          ...(f.items.text || f.items.semantic),
+          similarity: f.items.semantic ? f.items.semantic.similarity : null,
+          score: f.score,
+        }));
+    }
+
+    if (mode !== 'text') {
+      throw new Error(`Unknown search mode: ${mode}. Use text, semantic or hybrid`);
+    }
+
+    return this._textSearchEntities(query, limit, entityType);
+  }
+
+  /**
+   * Entity retriever: ilike on name and entity_type
+   * @private
    */
-  async searchNodes(query, limit = 10) {
-    const { data, error } = await this.supabase
+  async _textSearchEntities(query, limit, entityType) {
+    let queryBuilder = this.db
       .from('rag_entities')
       .select('*')
-      .or(`name.ilike.%${query}%,entity_type.ilike.%${query}%`)
-      .limit(limit);
+      .or(`name.ilike.%${query}%,entity_type.ilike.%${query}%`);
+
+    if (entityType) {
+      queryBuilder = queryBuilder.eq('entity_type', entityType);
+    }
+
+    const { data, error } = await queryBuilder.limit(limit);
     
     if (error) throw new Error(error.message);
     return data;
   }
 
+  /**
+   * Entity retriever: cosine similarity over rag_entity_embeddings
+   * @private
+   */
+  async _semanticSearchEntities(query, limit, threshold, entityType) {
+    if (!this.modelInitialized) {
+      throw new Error('Embedding model not initialized');
+    }
+
+    const embedding = await this.generateEmbedding(query);
+    if (!embedding) {
+      throw new Error('Failed to generate query embedding');
+    }
+
+    const { data, error } = await this.db.rpc('match_rag_entities', {
+      query_embedding: JSON.stringify(embedding),
+      match_count: limit,
+      similarity_threshold: threshold,
+      filter_entity_type: entityType || null,
+      ...await this._vectorSearchFilter('rag_entity_embeddings'),
+    });
+
+    if (error) {
+      throw new Error(`Semantic entity search failed (run supabase-vector-search.sql): ${error.message}`);
+    }
+
+    if ((!data || data.length === 0) && await this._hasColumn('rag_entity_embeddings', 'embedding_model')) {
+      const stale = await this._countStaleVectors('rag_entity_embeddings');
+      if (stale > 0) {
+        throw new Error(
+          `${stale} entity vectors were created with another embedding model and cannot be compared with ` +
+          `${this.embeddingModelId} (${this.embeddingDimensions} dims). Run reembed to migrate them`
+        );
+      }
+    }
+    return data || [];
+  }
+
   /**
    * Get specific entities by name
    * 
+   * Names that were merged into another entity (see mergeEntities)
+   * return the entity they are now an alias of.
+   * 
    * @param {string[]} names - Entity names
+   * @param {object} options - Options
+   * @param {boolean} options.includeObservationDetails - Add observationDetails:
+   *   [{ id, content, createdAt, source, confidence }] (default: false)
+   * @param {string} options.asOf - Return the entities as they were at this time
    * @returns {object[]} Entities
    */
-  async openNodes(names) {
-    const { data, error } = await this.supabase
+  async openNodes(names, options = {}) {
+    const asOf = parseTimestamp(options.asOf, 'asOf');
+    if (asOf) {
+      return this._openNodesAsOf(names, asOf, options);
+    }
+
+    const { data, error } = await this.db
       .from('rag_entities')
       .select('*')
       .in('name', names);
     
     if (error) throw new Error(error.message);
+
+    const found = new Set(data.map(entity => entity.name));
+    const ids = new Set(data.map(entity => entity.id));
+    for (const name of names.filter(name => !found.has(name))) {
+      const entity = await this._findEntityByAlias(name, '*');
+      if (entity && !ids.has(entity.id)) {
+        ids.add(entity.id);
+        data.push(entity);
+      }
+    }
+
+    if (options.includeObservationDetails) {
+      const records = await this._observationRecords([...ids]);
+      for (const entity of data) {
+        entity.observationDetails = observationDetails(entity.observations, records.get(entity.id) || []);
+      }
+    }
     return data;
   }
 
   /**
    * Delete entities by name
    * 
+   * The entity's relationships are deleted with it. Both go to the trash
+   * together with the entity's embedding, chunk links and observation
+   * records, so restore brings all of it back.
+   * 
    * @param {string[]} entityNames - Names to delete
-   * @returns {object} Results with deleted/notFound/errors
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Results with deleted/notFound/errors, and per entity
+   *   the relationships removed and the trash item (trashed)
    */
-  async deleteEntities(entityNames) {
-    const results = { deleted: [], notFound: [], errors: [] };
+  async deleteEntities(entityNames, origin = {}) {
+    const results = { deleted: [], notFound: [], errors: [], trashed: [] };
 
     for (const name of entityNames) {
       try {
-        const { data: entity, error: findError } = await this.supabase
+        const { data: entity, error: findError } = await this.db
           .from('rag_entities')
           .select('id')
           .eq('name', name)
@@ -349,21 +790,36 @@ export class RAGKnowledgeGraphManager {
           continue;
         }
 
-        await this.supabase
-          .from('rag_relationships')
-          .delete()
-          .or(`source_entity.eq.${entity.id},target_entity.eq.${entity.id}`);
+        const edges = await this._fetchEdges([entity.id], { direction: 'both', relationTypes: null });
+        const history = await this._historyRows('delete', {
+          entityIds: [entity.id],
+          relationshipIds: edges.map(edge => edge.id),
+        });
+        const payload = await this._trashEnabled() ? await this._entityTrashPayload(entity.id, edges.map(edge => edge.id)) : null;
 
-        const { error: deleteError } = await this.supabase
-          .from('rag_entities')
-          .delete()
-          .eq('id', entity.id);
+        // Relationships and entity go together or not at all
+        const trashId = await this.db.transaction(async (tx) => {
+          const trashed = await this._moveToTrash(tx, 'entity', name, payload, origin);
 
-        if (deleteError) {
-          results.errors.push({ entity: name, error: deleteError.message });
-        } else {
-          results.deleted.push(name);
-        }
+          const { error: relError } = await tx
+            .from('rag_relationships')
+            .delete()
+            .or(`source_entity.eq.${entity.id},target_entity.eq.${entity.id}`);
+
+          if (relError) throw new Error(relError.message);
+
+          const { error: deleteError } = await tx
+            .from('rag_entities')
+            .delete()
+            .eq('id', entity.id);
+
+          if (deleteError) throw new Error(deleteError.message);
+          return trashed;
+        });
+
+        await this._recordHistory(history, origin);
+        results.deleted.push(name);
+        results.trashed.push({ entity: name, relationshipsRemoved: edges.length, ...(trashId && { trashId }) });
       } catch (error) {
         results.errors.push({ entity: name, error: error.message });
       }
@@ -373,23 +829,24 @@ export class RAGKnowledgeGraphManager {
   }
 
   /**
-   * Delete specific relationships
+   * Delete specific relationships (moved to the trash)
    * 
    * @param {object[]} relations - Relations to delete
-   * @returns {object} Results
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Results (trashed: trash item per deleted relation)
    */
-  async deleteRelations(relations) {
-    const results = { deleted: [], notFound: [], errors: [] };
+  async deleteRelations(relations, origin = {}) {
+    const results = { deleted: [], notFound: [], errors: [], trashed: [] };
 
     for (const rel of relations) {
       try {
-        const { data: sourceEntity } = await this.supabase
+        const { data: sourceEntity } = await this.db
           .from('rag_entities')
           .select('id')
           .eq('name', rel.from)
           .single();
 
-        const { data: targetEntity } = await this.supabase
+        const { data: targetEntity } = await this.db
           .from('rag_entities')
           .select('id')
           .eq('name', rel.to)
@@ -400,18 +857,34 @@ export class RAGKnowledgeGraphManager {
           continue;
         }
 
-        const { error: deleteError } = await this.supabase
+        const { data: rows, error: findError } = await this.db
           .from('rag_relationships')
-          .delete()
+          .select('*')
           .eq('source_entity', sourceEntity.id)
           .eq('target_entity', targetEntity.id)
           .eq('relation_type', rel.relationType);
 
-        if (deleteError) {
-          results.errors.push({ relation: rel, error: deleteError.message });
-        } else {
-          results.deleted.push(rel);
-        }
+        if (findError) throw new Error(findError.message);
+        const history = await this._historyRows('delete', { relationshipIds: rows.map(row => row.id) });
+        const label = `${rel.from} -[${rel.relationType}]-> ${rel.to}`;
+
+        const trashId = await this.db.transaction(async (tx) => {
+          const trashed = rows.length > 0
+            ? await this._moveToTrash(tx, 'relationship', label, { rag_relationships: trashRows(rows) }, origin)
+            : null;
+
+          const { error: deleteError } = await tx
+            .from('rag_relationships')
+            .delete()
+            .in('id', rows.map(row => row.id));
+
+          if (deleteError) throw new Error(deleteError.message);
+          return trashed;
+        });
+
+        await this._recordHistory(history, origin);
+        results.deleted.push(rel);
+        if (trashId) results.trashed.push({ relation: label, trashId });
       } catch (error) {
         results.errors.push({ relation: rel, error: error.message });
       }
@@ -423,17 +896,23 @@ export class RAGKnowledgeGraphManager {
   /**
    * Delete specific observations from entities
    * 
-   * @param {object[]} deletions - Deletions to perform
-   * @returns {object} Results
+   * Observations are addressed by content (every occurrence) or by the
+   * id of their record (that observation only). Removed observations go
+   * to the trash with their records.
+   * 
+   * @param {object[]} deletions - Array of {entityName, observations[], observationIds[]}
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Results (deleted entries list unknownIds and trashId)
    */
-  async deleteObservations(deletions) {
+  async deleteObservations(deletions, origin = {}) {
     const results = { deleted: [], notFound: [], errors: [] };
+    const changed = [];
 
     for (const deletion of deletions) {
       try {
-        const { data: entity, error: findError } = await this.supabase
+        const { data: entity, error: findError } = await this.db
           .from('rag_entities')
-          .select('id, observations')
+          .select('id, name, entity_type, observations')
           .eq('name', deletion.entityName)
           .single();
 
@@ -442,74 +921,476 @@ export class RAGKnowledgeGraphManager {
           continue;
         }
 
+        const contents = deletion.observations || [];
+        const ids = deletion.observationIds || [];
+        const records = await this._observationRecords([entity.id]);
+        const entityRecords = records.get(entity.id) || [];
+
+        // By content: every occurrence; by id: that observation only
+        const byId = entityRecords.filter(record => ids.includes(record.id));
+        const unknownIds = ids.filter(id => !byId.some(record => record.id === id));
         const currentObs = entity.observations || [];
-        const updatedObs = currentObs.filter(
-          obs => !deletion.observations.includes(obs)
+        const updatedObs = removeOnce(
+          currentObs.filter(obs => !contents.includes(obs)),
+          byId.map(record => record.content)
         );
+        const recordIds = [
+          ...byId.map(record => record.id),
+          ...entityRecords.filter(record => contents.includes(record.content)).map(record => record.id),
+        ];
+
+        const removedCount = currentObs.length - updatedObs.length;
+        const deleted = {
+          entity: deletion.entityName,
+          removedCount,
+          ...(unknownIds.length > 0 && { unknownIds }),
+        };
+        if (removedCount === 0 && recordIds.length === 0) {
+          results.deleted.push(deleted);
+          continue;
+        }
 
-        const { error: updateError } = await this.supabase
-          .from('rag_entities')
-          .update({ observations: updatedObs })
-          .eq('id', entity.id);
+        const removedRecords = entityRecords.filter(record => recordIds.includes(record.id));
+        const payload = {
+          entity: { id: entity.id, name: entity.name },
+          observations: removeOnce(currentObs, updatedObs),
+          rag_observations: trashRows(removedRecords),
+        };
+        const staleMarker = await this._staleEmbeddingMarker();
 
-        if (updateError) {
-          results.errors.push({ entity: deletion.entityName, error: updateError.message });
-        } else {
-          results.deleted.push({
-            entity: deletion.entityName,
-            removedCount: currentObs.length - updatedObs.length,
-          });
+        const trashId = await this.db.transaction(async (tx) => {
+          const trashed = await this._moveToTrash(tx, 'observation', entity.name, payload, origin);
+
+          if (removedCount > 0) {
+            const { error: updateError } = await tx
+              .from('rag_entities')
+              .update({ observations: updatedObs, ...staleMarker })
+              .eq('id', entity.id);
+
+            if (updateError) throw new Error(updateError.message);
+          }
+          for (const batch of toBatches([...new Set(recordIds)], TRAVERSAL_ID_BATCH_SIZE)) {
+            const { error } = await tx.from('rag_observations').delete().in('id', batch);
+            if (error) throw new Error(error.message);
+          }
+          return trashed;
+        });
+
+        if (trashId) deleted.trashId = trashId;
+        results.deleted.push(deleted);
+        if (removedCount > 0) {
+          changed.push({ ...entity, observations: updatedObs });
         }
       } catch (error) {
         results.errors.push({ entity: deletion.entityName, error: error.message });
       }
     }
 
+    await this._recordHistory(await this._historyRows('update', { entityIds: changed.map(entity => entity.id) }), origin);
+    await this._syncEntityEmbeddings(changed);
+
     return results;
   }
 
-  // ==================== DOCUMENT METHODS ====================
-
   /**
-   * Store a document
+   * Rename, retype or edit the metadata of entities in place
    * 
-   * @param {string} id - Document ID
-   * @param {string} content - Document content
-   * @param {object} metadata - Optional metadata
-   * @returns {object} Stored document
+   * The entity keeps its id, so relationships, chunk links and its
+   * embedding stay attached; the embedding is refreshed when the name or
+   * type changes. Metadata is merged into the existing metadata; keys set
+   * to null are removed.
+   * 
+   * @param {object[]} updates - Array of {name, newName, entityType, metadata}
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object[]} Results array (conflict: the entity that already has newName)
+   * 
+   * @example
+   * updateEntities([{ name: 'Postgres', newName: 'PostgreSQL', entityType: 'DATABASE' }])
+   * // [{ success: true, entity: 'Postgres', name: 'PostgreSQL', updated: ['name', 'entityType'] }]
    */
-  async storeDocument(id, content, metadata = {}) {
-    const { data, error } = await this.supabase
-      .from('rag_documents')
-      .upsert({ id, content, metadata })
-      .select()
-      .single();
+  async updateEntities(updates, origin = {}) {
+    const results = [];
+    const changed = [];
+    const updatedIds = [];
+    const hasAliases = await this._hasColumn('rag_entities', 'aliases');
     
-    if (error) throw new Error(error.message);
-    return data;
-  }
+    for (const upd of updates) {
+      try {
+        const { data: entity, error: findError } = await this.db
+          .from('rag_entities')
+          .select(`id, name, entity_type, observations, metadata${hasAliases ? ', aliases' : ''}`)
+          .eq('name', upd.name)
+          .maybeSingle();
 
-  /**
-   * Process document with full pipeline: store → chunk → embed
-   * 
-   * @param {string} id - Document ID
-   * @param {string} content - Document content
-   * @param {object} options - Processing options
-   * @returns {object} Processing results
-   */
+        if (findError) throw new Error(findError.message);
+        if (!entity) {
+          results.push({ success: false, entity: upd.name, error: 'Entity not found' });
+          continue;
+        }
+
+        const patch = {};
+        const updated = [];
+
+        if (upd.newName !== undefined && upd.newName !== entity.name) {
+          if (!String(upd.newName).trim()) {
+            results.push({ success: false, entity: upd.name, error: 'New name must not be empty' });
+            continue;
+          }
+          const conflict = await this._entityNameOwner(upd.newName, entity.id);
+          if (conflict) {
+            results.push({ success: false, entity: upd.name, error: `Name "${upd.newName}" is already taken`, conflict });
+            continue;
+          }
+          patch.name = upd.newName;
+          // Renaming back to a former name takes it off the alias list
+          if ((entity.aliases || []).includes(upd.newName)) {
+            patch.aliases = entity.aliases.filter(alias => alias !== upd.newName);
+          }
+          updated.push('name');
+        }
+
+        if (upd.entityType && upd.entityType !== entity.entity_type) {
+          patch.entity_type = upd.entityType;
+          updated.push('entityType');
+        }
+
+        if (upd.metadata && Object.keys(upd.metadata).length > 0) {
+          patch.metadata = this._patchMetadata(entity.metadata, upd.metadata);
+          updated.push('metadata');
+        }
+
+        if (updated.length === 0) {
+          results.push({ success: true, entity: upd.name, name: entity.name, updated });
+          continue;
+        }
+
+        // The embedding text is name, type and observations
+        const reembed = Boolean(patch.name || patch.entity_type);
+        const { error: updateError } = await this.db
+          .from('rag_entities')
+          .update({ ...patch, ...(reembed && await this._staleEmbeddingMarker()) })
+          .eq('id', entity.id);
+
+        if (updateError) {
+          results.push(updateError.code === '23505'
+            ? { success: false, entity: upd.name, error: `Name "${upd.newName}" is already taken`, conflict: upd.newName }
+            : { success: false, entity: upd.name, error: updateError.message });
+          continue;
+        }
+
+        results.push({ success: true, entity: upd.name, name: patch.name ?? entity.name, updated });
+        updatedIds.push(entity.id);
+        if (reembed) {
+          changed.push({ ...entity, ...patch });
+        }
+      } catch (error) {
+        results.push({ success: false, entity: upd.name, error: error.message });
+      }
+    }
+
+    await this._recordHistory(await this._historyRows('update', { entityIds: updatedIds }), origin);
+    await this._syncEntityEmbeddings(changed);
+
+    return results;
+  }
+
+  /**
+   * Change the properties of existing relationships
+   * 
+   * Relationships are identified by from, to and relationType; every
+   * matching relationship is updated. Metadata is merged like in
+   * updateEntities (null removes a key).
+   * 
+   * @param {object[]} updates - Array of {from, to, relationType, confidence, weight, provenance, metadata}
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object[]} Results array
+   * 
+   * @example
+   * // An inferred relation was confirmed
+   * updateRelations([{ from: 'Alice', to: 'Auth Service', relationType: 'owns', confidence: 1, provenance: 'stated' }])
+   */
+  async updateRelations(updates, origin = {}) {
+    const results = [];
+    const updatedIds = [];
+
+    for (const upd of updates) {
+      const label = `${upd.from} -[${upd.relationType}]-> ${upd.to}`;
+      try {
+        const { metadata, ...properties } = this._relationProperties(upd);
+        const updated = Object.keys(properties);
+        if (metadata && Object.keys(metadata).length > 0) updated.push('metadata');
+        if (updated.length === 0) {
+          results.push({ success: false, relation: label, error: 'Nothing to update' });
+          continue;
+        }
+
+        const source = await this._findEntityByName(upd.from);
+        const target = await this._findEntityByName(upd.to);
+        const { data: rows, error: findError } = await this.db
+          .from('rag_relationships')
+          .select('id, metadata')
+          .eq('source_entity', source.id)
+          .eq('target_entity', target.id)
+          .eq('relation_type', upd.relationType);
+
+        if (findError) throw new Error(findError.message);
+        if (rows.length === 0) {
+          results.push({ success: false, relation: label, error: 'Relationship not found' });
+          continue;
+        }
+
+        for (const row of rows) {
+          const { error } = await this.db
+            .from('rag_relationships')
+            .update(await this._writableRow('rag_relationships', {
+              ...properties,
+              ...(metadata && { metadata: this._patchMetadata(row.metadata, metadata) }),
+            }))
+            .eq('id', row.id);
+          if (error) throw new Error(error.message);
+          updatedIds.push(row.id);
+        }
+
+        results.push({ success: true, relation: label, updated, count: rows.length });
+      } catch (error) {
+        results.push({ success: false, relation: label, error: error.message });
+      }
+    }
+
+    await this._recordHistory(await this._historyRows('update', { relationshipIds: updatedIds }), origin);
+    return results;
+  }
+
+  /**
+   * Validate the optional properties of a relation
+   * 
+   * @param {object} relation - { confidence, weight, provenance, metadata }
+   * @returns {object} Column values for the properties that are set
+   * @throws {Error} If a property is out of range or of the wrong type
+   * @private
+   */
+  _relationProperties(relation) {
+    const { confidence, weight, provenance, metadata } = relation;
+    const properties = {};
+
+    if (confidence !== undefined) {
+      if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+        throw new Error('confidence must be a number between 0 and 1');
+      }
+      properties.confidence = confidence;
+    }
+    if (weight !== undefined) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+        throw new Error('weight must be a number');
+      }
+      properties.weight = weight;
+    }
+    if (provenance !== undefined) {
+      properties.provenance = provenance === null ? null : String(provenance);
+    }
+    if (metadata !== undefined) {
+      if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be an object');
+      }
+      properties.metadata = metadata;
+    }
+
+    return properties;
+  }
+
+  /**
+   * Apply a metadata patch: keys are set, keys with null are removed
+   * @private
+   */
+  _patchMetadata(current, patch) {
+    const metadata = { ...(current || {}) };
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete metadata[key];
+      else metadata[key] = value;
+    }
+    return metadata;
+  }
+
+  /**
+   * Name of the entity (other than `exceptId`) that has a name or alias
+   * 
+   * @param {string} name - Entity name
+   * @param {string} exceptId - Entity id to ignore
+   * @returns {Promise<string|null>} Owning entity name or null if the name is free
+   * @private
+   */
+  async _entityNameOwner(name, exceptId) {
+    const { data, error } = await this.db
+      .from('rag_entities')
+      .select('id, name')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    const owner = data || await this._findEntityByAlias(name, 'id, name');
+    return owner && owner.id !== exceptId ? owner.name : null;
+  }
+
+  /**
+   * Store observation records (empty until the rag_observations table exists)
+   * 
+   * A failure is logged, not thrown: the observations themselves are
+   * already stored and show up without a record id.
+   * 
+   * @param {object[]} items - [{ entityId, contents, documentId, chunkIndex, confidence }]
+   * @param {object} origin - { session, caller, importedFrom }
+   * @returns {Promise<string[][]>} Record ids per item
+   * @private
+   */
+  async _recordObservations(items, origin = {}) {
+    const ids = items.map(() => []);
+    if (!await this._hasColumn('rag_observations', 'id')) return ids;
+
+    const rows = items.flatMap((item, index) => item.contents.map(content => ({
+      index,
+      row: {
+        entity_id: item.entityId,
+        content,
+        source: observationSource(item, origin),
+        confidence: item.confidence ?? null,
+      },
+    })));
+
+    for (const batch of toBatches(rows, RESTORE_BATCH_SIZE)) {
+      const { data, error } = await this.db
+        .from('rag_observations')
+        .insert(batch.map(entry => entry.row))
+        .select('id');
+
+      if (error) {
+        console.error(`⚠️  Observation records could not be stored: ${error.message}`);
+        continue;
+      }
+      data.forEach((record, position) => ids[batch[position].index].push(record.id));
+    }
+    return ids;
+  }
+
+  /**
+   * Load the observation records of entities, oldest first
+   * 
+   * @param {string[]} entityIds - Entity ids
+   * @returns {Promise<Map<string, object[]>>} Entity id -> records (empty without the table)
+   * @private
+   */
+  async _observationRecords(entityIds) {
+    const records = new Map();
+    if (!await this._hasColumn('rag_observations', 'id')) return records;
+
+    for (const batch of toBatches([...new Set(entityIds)], TRAVERSAL_ID_BATCH_SIZE)) {
+      const { data, error } = await this.db
+        .from('rag_observations')
+        .select('id, entity_id, content, source, confidence, created_at')
+        .in('entity_id', batch)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) throw new Error(error.message);
+      for (const record of data) {
+        if (!records.has(record.entity_id)) records.set(record.entity_id, []);
+        records.get(record.entity_id).push(record);
+      }
+    }
+    return records;
+  }
+
+  // ==================== DOCUMENT METHODS ====================
+
+  /**
+   * Store a document
+   * 
+   * @param {string} id - Document ID
+   * @param {string} content - Document content
+   * @param {object} metadata - Optional metadata
+   * @returns {object} Stored document
+   */
+  async storeDocument(id, content, metadata = {}) {
+    await this._checkDocumentNamespace(id);
+    const row = { id, content, metadata };
+    if (await this._hasColumn('rag_documents', 'content_hash')) {
+      row.content_hash = contentHash(content);
+    }
+
+    const { data, error } = await this.db
+      .from('rag_documents')
+      .upsert(row)
+      .select()
+      .single();
+    
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Refuse document ids taken in another namespace: ids are unique across
+   * namespaces, and storing would move the other project's document. The
+   * error does not say which namespace, since the caller may not see it.
+   * 
+   * @param {string} id - Document ID
+   * @throws {Error} If another namespace has a document with this id
+   * @private
+   */
+  async _checkDocumentNamespace(id) {
+    if (!this.db.namespaces) return;
+
+    const { data, error } = await this.db.storage
+      .from('rag_documents')
+      .select('namespace')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (data && !this.db.namespaces.includes(data.namespace)) {
+      throw new Error(`Document id "${id}" is already in use - document ids are unique across namespaces, choose another id`);
+    }
+  }
+
+  /**
+   * Process document with full pipeline: store → chunk → embed
+   * 
+   * Idempotent: re-processing the same id keeps chunks whose content is
+   * unchanged (and their embeddings), replaces stale ones and embeds only
+   * the new chunks.
+   * 
+   * @param {string} id - Document ID
+   * @param {string} content - Document content
+   * @param {object} options - Processing options
+   * @returns {object} Processing results
+   */
   async processDocument(id, content, options = {}) {
-    const { maxChunkSize = 500, overlap = 50, metadata = {} } = options;
+    const { strategy = 'fixed', sizeUnit = 'chars', maxChunkSize = 500, overlap = 50, metadata = {} } = options;
     const results = { documentId: id, steps: [], success: true };
 
     try {
       console.error(`📄 Step 1/3: Storing document "${id}"...`);
+      const { data: previous } = await this.db
+        .from('rag_documents')
+        .select('content')
+        .eq('id', id)
+        .maybeSingle();
       await this.storeDocument(id, content, metadata);
-      results.steps.push({ step: 'store', status: 'success', documentId: id });
+      results.documentChanged = !previous || contentHash(previous.content) !== contentHash(content);
+      results.steps.push({ step: 'store', status: 'success', documentId: id, changed: results.documentChanged });
 
       console.error(`🔪 Step 2/3: Chunking document...`);
-      const chunkResult = await this.chunkDocument(id, { maxChunkSize, overlap });
-      results.steps.push({ step: 'chunk', status: 'success', chunksCreated: chunkResult.chunks.length });
+      const chunkResult = await this.chunkDocument(id, { strategy, sizeUnit, maxChunkSize, overlap });
+      results.steps.push({
+        step: 'chunk',
+        status: 'success',
+        chunksCreated: chunkResult.chunks.length,
+        added: chunkResult.added,
+        removed: chunkResult.removed,
+        unchanged: chunkResult.unchanged,
+      });
       results.chunksCreated = chunkResult.chunks.length;
+      results.chunksAdded = chunkResult.added;
+      results.chunksRemoved = chunkResult.removed;
+      results.chunksUnchanged = chunkResult.unchanged;
 
       console.error(`🔮 Step 3/3: Generating embeddings...`);
       if (this.modelInitialized) {
@@ -541,7 +1422,7 @@ export class RAGKnowledgeGraphManager {
   async listDocuments(includeMetadata = true) {
     const select = includeMetadata ? '*' : 'id, created_at';
     
-    const { data, error } = await this.supabase
+    const { data, error } = await this.db
       .from('rag_documents')
       .select(select)
       .order('created_at', { ascending: false });
@@ -553,27 +1434,48 @@ export class RAGKnowledgeGraphManager {
   /**
    * Delete documents and their chunks
    * 
+   * The document goes to the trash with its chunks (and their
+   * embeddings) and chunk-entity links.
+   * 
    * @param {string[]} documentIds - IDs to delete
-   * @returns {object} Results
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Results (trashed: trash item per deleted document)
    */
-  async deleteDocuments(documentIds) {
+  async deleteDocuments(documentIds, origin = {}) {
     console.error(`🗑️  Deleting ${documentIds.length} documents...`);
-    const results = { deleted: [], notFound: [], errors: [] };
+    const results = { deleted: [], notFound: [], errors: [], trashed: [] };
 
     for (const docId of documentIds) {
       try {
-        await this.supabase.from('rag_chunks').delete().eq('document_id', docId);
-        
-        const { error } = await this.supabase
+        const { data: documents, error: findError } = await this.db
           .from('rag_documents')
-          .delete()
+          .select('*')
           .eq('id', docId);
 
-        if (error) {
-          results.errors.push({ document: docId, error: error.message });
-        } else {
-          results.deleted.push(docId);
+        if (findError) throw new Error(findError.message);
+        if (documents.length === 0) {
+          results.notFound.push(docId);
+          continue;
         }
+        const payload = await this._trashEnabled() ? await this._documentTrashPayload(documents) : null;
+
+        const trashId = await this.db.transaction(async (tx) => {
+          const trashed = await this._moveToTrash(tx, 'document', docId, payload, origin);
+
+          const { error: chunkError } = await tx.from('rag_chunks').delete().eq('document_id', docId);
+          if (chunkError) throw new Error(chunkError.message);
+          
+          const { error } = await tx
+            .from('rag_documents')
+            .delete()
+            .eq('id', docId);
+
+          if (error) throw new Error(error.message);
+          return trashed;
+        });
+
+        results.deleted.push(docId);
+        if (trashId) results.trashed.push({ document: docId, trashId });
       } catch (error) {
         results.errors.push({ document: docId, error: error.message });
       }
@@ -588,14 +1490,46 @@ export class RAGKnowledgeGraphManager {
   /**
    * Chunk a document into smaller pieces
    * 
+   * Strategies (see chunking.js): fixed (default), sentence, markdown, code.
+   * Non-fixed strategies store their chunk metadata (e.g. markdown heading
+   * path) in rag_chunks.metadata.
+   * 
+   * With sizeUnit 'tokens', maxChunkSize and overlap are counted with the
+   * embedding model's tokenizer, and a maxChunkSize above the model's input
+   * limit is refused. With 'chars', chunks that would still exceed the limit
+   * (and be truncated at embedding time) are split further. Token counts are
+   * stored in rag_chunks.token_count when the column exists.
+   * 
    * @param {string} documentId - Document ID
    * @param {object} options - Chunking options
+   * @param {string} options.strategy - Chunking strategy (default: 'fixed')
+   * @param {string} options.sizeUnit - 'chars' or 'tokens' (default: 'chars')
+   * @param {number} options.maxChunkSize - Maximum chunk size in sizeUnit (default: 500)
+   * @param {number} options.overlap - Overlap between chunks in sizeUnit (default: 50)
    * @returns {object} Chunking results
    */
   async chunkDocument(documentId, options = {}) {
-    const { maxChunkSize = 500, overlap = 50 } = options;
+    const { strategy = 'fixed', sizeUnit = 'chars', maxChunkSize = 500, overlap = 50 } = options;
+
+    if (!['chars', 'tokens'].includes(sizeUnit)) {
+      throw new Error(`Unknown sizeUnit: ${sizeUnit}. Use 'chars' or 'tokens'`);
+    }
+
+    let tokenizer = null;
+    try {
+      tokenizer = await this.getTokenizer();
+    } catch (error) {
+      if (sizeUnit === 'tokens') throw new Error(`Token sizing unavailable: ${error.message}`);
+    }
+
+    if (sizeUnit === 'tokens' && maxChunkSize > tokenizer.maxTokens) {
+      throw new Error(
+        `maxChunkSize ${maxChunkSize} exceeds the ${tokenizer.name} limit of ${tokenizer.maxTokens} tokens; ` +
+        'longer chunks would be truncated at embedding time'
+      );
+    }
 
-    const { data: doc, error: docError } = await this.supabase
+    const { data: doc, error: docError } = await this.db
       .from('rag_documents')
       .select('content')
       .eq('id', documentId)
@@ -605,148 +1539,594 @@ export class RAGKnowledgeGraphManager {
       throw new Error(`Document ${documentId} not found`);
     }
 
-    console.error(`🔪 Chunking document: ${documentId}`);
+    console.error(`🔪 Chunking document: ${documentId} (${strategy}, ${sizeUnit})`);
+
+    const measure = sizeUnit === 'tokens' ? tokenizer.count : null;
+    let pieces = chunkText(doc.content, { strategy, maxChunkSize, overlap, measure });
+    let splitForTokenLimit = 0;
+
+    if (tokenizer) {
+      pieces = pieces.flatMap(piece => {
+        const tokenCount = tokenizer.count(piece.content);
+        if (tokenCount <= tokenizer.maxTokens) return [{ ...piece, tokenCount }];
+
+        splitForTokenLimit++;
+        return chunkText(piece.content, { maxChunkSize: tokenizer.maxTokens, overlap: 0, measure: tokenizer.count })
+          .map(part => ({
+            content: part.content,
+            startPos: piece.startPos + part.startPos,
+            endPos: piece.startPos + part.endPos,
+            metadata: piece.metadata,
+            tokenCount: tokenizer.count(part.content),
+          }));
+      });
 
-    const text = doc.content;
-    const chunks = [];
-    let startPos = 0;
-    let chunkIndex = 0;
+      if (splitForTokenLimit > 0) {
+        console.error(`✂️  Split ${splitForTokenLimit} chunks exceeding the ${tokenizer.maxTokens}-token model limit`);
+      }
+    }
 
-    while (startPos < text.length) {
-      const endPos = Math.min(startPos + maxChunkSize, text.length);
-      const chunkText = text.substring(startPos, endPos);
+    const storeTokenCount = tokenizer && await this._hasColumn('rag_chunks', 'token_count');
+    const storeMetadata = await this._hasColumn('rag_chunks', 'metadata');
+    const storeHash = await this._hasColumn('rag_chunks', 'content_hash');
 
-      const { error: insertError } = await this.supabase
-        .from('rag_chunks')
-        .insert({
-          document_id: documentId,
-          chunk_index: chunkIndex,
-          content: chunkText,
-          start_pos: startPos,
-          end_pos: endPos,
-        });
+    const columns = ['id', 'content', 'chunk_index', 'start_pos', 'end_pos'];
+    if (storeMetadata) columns.push('metadata');
+    if (storeTokenCount) columns.push('token_count');
+    if (storeHash) columns.push('content_hash');
+
+    const { data: existing, error: existingError } = await this.db
+      .from('rag_chunks')
+      .select(columns.join(', '))
+      .eq('document_id', documentId)
+      .order('chunk_index', { ascending: true });
+
+    if (existingError) throw new Error(existingError.message);
+
+    // Existing chunks are reused (with their embeddings) when the same
+    // content comes out of the chunker again
+    const reusable = new Map();
+    for (const chunk of existing || []) {
+      const hash = contentHash(chunk.content);
+      if (!reusable.has(hash)) reusable.set(hash, []);
+      reusable.get(hash).push(chunk);
+    }
+
+    const inserts = [];
+    const updates = [];
+    const chunks = [];
+
+    for (const [chunkIndex, piece] of pieces.entries()) {
+      const hash = contentHash(piece.content);
+      const row = {
+        chunk_index: chunkIndex,
+        start_pos: piece.startPos,
+        end_pos: piece.endPos,
+      };
+      // Only write metadata when there is some (or the column exists), so the
+      // fixed strategy keeps working on databases without rag_chunks.metadata
+      if (storeMetadata || Object.keys(piece.metadata).length > 0) {
+        row.metadata = piece.metadata;
+      }
+      if (storeTokenCount) {
+        row.token_count = piece.tokenCount;
+      }
+      if (storeHash) {
+        row.content_hash = hash;
+      }
 
-      if (!insertError) {
-        chunks.push({ index: chunkIndex, text: chunkText, startPos, endPos });
+      const match = reusable.get(hash)?.shift();
+      if (!match) {
+        inserts.push({ document_id: documentId, content: piece.content, ...row });
+      } else if (Object.keys(row).some(key => JSON.stringify(row[key]) !== JSON.stringify(match[key]))) {
+        updates.push({ id: match.id, row });
       }
 
-      startPos += maxChunkSize - overlap;
-      chunkIndex++;
+      chunks.push({
+        index: chunkIndex,
+        text: piece.content,
+        startPos: piece.startPos,
+        endPos: piece.endPos,
+        tokenCount: piece.tokenCount ?? null,
+        metadata: piece.metadata,
+        status: match ? 'unchanged' : 'added',
+      });
     }
 
-    console.error(`✅ Created ${chunks.length} chunks`);
-    return { documentId, chunks };
+    const removed = [...reusable.values()].flat();
+
+    await this.db.transaction(async (tx) => {
+      if (removed.length > 0) {
+        const { error } = await tx
+          .from('rag_chunks')
+          .delete()
+          .in('id', removed.map(chunk => chunk.id));
+        if (error) throw new Error(error.message);
+      }
+
+      for (const { id, row } of updates) {
+        const { error } = await tx.from('rag_chunks').update(row).eq('id', id);
+        if (error) throw new Error(error.message);
+      }
+
+      if (inserts.length > 0) {
+        const { error } = await tx.from('rag_chunks').insert(inserts);
+        if (error) throw new Error(error.message);
+      }
+    });
+
+    const summary = {
+      added: inserts.length,
+      removed: removed.length,
+      unchanged: chunks.length - inserts.length,
+    };
+    console.error(`✅ Chunked into ${chunks.length} chunks (${summary.added} added, ${summary.removed} removed, ${summary.unchanged} unchanged)`);
+    return {
+      documentId,
+      strategy,
+      sizeUnit,
+      tokenizer: tokenizer ? { name: tokenizer.name, maxTokens: tokenizer.maxTokens } : null,
+      splitForTokenLimit,
+      ...summary,
+      chunks,
+    };
   }
 
   /**
    * Generate embeddings for document chunks
    * 
+   * Only chunks without an embedding are embedded, so re-processing a
+   * document re-embeds just the chunks whose content changed.
+   * 
    * @param {string} documentId - Document ID
+   * @param {object} options - Embedding options
+   * @param {boolean} options.force - Re-embed chunks that already have an embedding (default: false)
    * @returns {object} Embedding results
    */
-  async embedChunks(documentId) {
+  async embedChunks(documentId, options = {}) {
+    const { force = false } = options;
+
     if (!this.modelInitialized) {
       throw new Error('Embedding model not initialized');
     }
 
     console.error(`🔮 Embedding chunks for document: ${documentId}`);
 
-    const { data: chunks, error } = await this.supabase
+    const { count: totalChunks, error: countError } = await this.db
       .from('rag_chunks')
-      .select('id, content')
+      .select('id', { count: 'exact', head: true })
       .eq('document_id', documentId);
 
-    if (error || !chunks || chunks.length === 0) {
+    if (countError || !totalChunks) {
       throw new Error(`No chunks found for document ${documentId}`);
     }
 
-    let embeddedCount = 0;
-
-    for (const chunk of chunks) {
-      try {
-        const embedding = await this.generateEmbedding(chunk.content);
+    let query = this.db
+      .from('rag_chunks')
+      .select('id, document_id, content')
+      .eq('document_id', documentId);
+    if (!force) query = query.is('embedding', null);
 
-        const { error: updateError } = await this.supabase
-          .from('rag_chunks')
-          .update({ embedding })
-          .eq('id', chunk.id);
+    const { data: chunks, error } = await query;
+    if (error) throw new Error(error.message);
 
-        if (!updateError) embeddedCount++;
-      } catch (error) {
-        console.error(`Failed to embed chunk ${chunk.id}:`, error.message);
-      }
-    }
+    const summary = await this._embedInBatches(chunks, chunk => chunk.content, pairs => this._storeChunkEmbeddings(pairs));
 
-    console.error(`✅ Embedded ${embeddedCount}/${chunks.length} chunks`);
-    return { documentId, embeddedChunks: embeddedCount, totalChunks: chunks.length };
+    console.error(`✅ Embedded ${summary.embedded}/${chunks.length} chunks (${totalChunks - chunks.length} already embedded) in ${summary.durationMs}ms`);
+    return {
+      documentId,
+      embeddedChunks: summary.embedded,
+      skippedChunks: totalChunks - chunks.length,
+      totalChunks,
+      summary,
+    };
   }
 
   /**
    * Generate embeddings for all entities
    * 
+   * @param {object} options - Embedding options
+   * @param {boolean} options.onlyStale - Only entities marked embedding_stale,
+   *   i.e. whose vector lags behind their name, type or observations (default: false)
    * @returns {object} Results
    */
-  async embedAllEntities() {
+  async embedAllEntities(options = {}) {
+    const { onlyStale = false } = options;
+
     if (!this.modelInitialized) {
       throw new Error('Embedding model not initialized');
     }
+    if (onlyStale && !await this._hasColumn('rag_entities', 'embedding_stale')) {
+      throw new Error('rag_entities.embedding_stale not found - run supabase-schema-migration.sql first');
+    }
 
-    console.error('🔮 Generating embeddings for all entities...');
+    console.error(`🔮 Generating embeddings for ${onlyStale ? 'stale' : 'all'} entities...`);
 
-    const { data: entities, error } = await this.supabase
-      .from('rag_entities')
-      .select('id, name, entity_type, observations');
+    // Page through entities (Supabase caps a single select at 1000 rows)
+    const pageSize = 1000;
+    const entities = [];
+    for (let from = 0; ; from += pageSize) {
+      let query = this.db
+        .from('rag_entities')
+        .select('id, name, entity_type, observations');
+      if (onlyStale) {
+        query = query.eq('embedding_stale', true);
+      }
+      const { data: page, error } = await query
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
 
-    if (error || !entities) {
-      throw new Error('Failed to fetch entities');
+      if (error || !page) {
+        throw new Error('Failed to fetch entities');
+      }
+      entities.push(...page);
+      if (page.length < pageSize) break;
     }
 
-    let embeddedCount = 0;
-
-    for (const entity of entities) {
-      try {
-        const embeddingText = this.generateEntityEmbeddingText({
-          name: entity.name,
-          entityType: entity.entity_type,
-          observations: entity.observations || [],
-        });
+    const summary = await this._embedEntities(entities);
 
-        const embedding = await this.generateEmbedding(embeddingText);
+    console.error(`✅ Embedded ${summary.embedded}/${entities.length} entities in ${summary.durationMs}ms (${summary.itemsPerSecond}/s)`);
+    return { totalEntities: entities.length, embeddedEntities: summary.embedded, summary };
+  }
 
-        const { error: insertError } = await this.supabase
-          .from('rag_entity_embeddings')
-          .upsert({
-            entity_id: entity.id,
-            embedding,
-            embedding_text: embeddingText,
-          });
+  /**
+   * Store chunk embeddings with one bulk upsert
+   * 
+   * @param {object[]} pairs - [{ item: { id, document_id, content }, embedding }]
+   * @private
+   */
+  async _storeChunkEmbeddings(pairs) {
+    const tags = await this._vectorTags('rag_chunks');
 
-        if (!insertError) embeddedCount++;
-      } catch (error) {
-        console.error(`Failed to embed entity ${entity.name}:`, error.message);
-      }
-    }
+    // document_id and content satisfy NOT NULL on the insert path
+    const { error } = await this.db
+      .from('rag_chunks')
+      .upsert(pairs.map(({ item, embedding }) => ({
+        id: item.id,
+        document_id: item.document_id,
+        content: item.content,
+        embedding,
+        ...tags,
+      })), { onConflict: 'id' });
 
-    console.error(`✅ Embedded ${embeddedCount}/${entities.length} entities`);
-    return { totalEntities: entities.length, embeddedEntities: embeddedCount };
+    if (error) throw new Error(error.message);
   }
 
-  // ==================== SEARCH & RETRIEVAL ====================
-
   /**
-   * Check if Full-Text Search (tsvector) is available
-   * Caches result to avoid repeated queries
+   * Embed entity rows and store the vectors
    * 
-   * @returns {Promise<boolean>} True if FTS is configured
+   * @param {object[]} entities - Entity rows { id, name, entity_type, observations }
+   * @returns {object} Summary (see _embedInBatches)
+   * @private
    */
-  async _checkFtsAvailable() {
-    if (this._ftsAvailable !== undefined) {
-      return this._ftsAvailable;
-    }
+  async _embedEntities(entities) {
+    const items = entities.map(entity => ({
+      id: entity.id,
+      text: this.generateEntityEmbeddingText({
+        name: entity.name,
+        entityType: entity.entity_type,
+        observations: entity.observations || [],
+      }),
+    }));
+    return this._embedInBatches(items, item => item.text, pairs => this._storeEntityEmbeddings(pairs));
+  }
+
+  /**
+   * Store entity embeddings with one bulk upsert
+   * 
+   * Clears the entities' embedding_stale marker once their vectors are stored.
+   * 
+   * @param {object[]} pairs - [{ item: { id, text }, embedding }]
+   * @private
+   */
+  async _storeEntityEmbeddings(pairs) {
+    const tags = await this._vectorTags('rag_entity_embeddings');
+
+    const { error } = await this.db
+      .from('rag_entity_embeddings')
+      .upsert(pairs.map(({ item, embedding }) => ({
+        entity_id: item.id,
+        embedding,
+        embedding_text: item.text,
+        ...tags,
+      })), { onConflict: 'entity_id' });
+
+    if (error) throw new Error(error.message);
+
+    if (await this._hasColumn('rag_entities', 'embedding_stale')) {
+      const { error: markerError } = await this.db
+        .from('rag_entities')
+        .update({ embedding_stale: false })
+        .in('id', pairs.map(({ item }) => item.id));
+
+      if (markerError) throw new Error(markerError.message);
+    }
+  }
+
+  /**
+   * Refresh the embeddings of entities whose name, type or observations changed
+   * 
+   * Callers write `_staleEmbeddingMarker()` together with the change, so an
+   * entity whose refresh fails (or is skipped because the model is not
+   * loaded) stays marked until embedAllEntities({ onlyStale: true }) runs.
+   * 
+   * @param {object[]} entities - Changed entity rows { id, name, entity_type, observations }
+   * @returns {Promise<number>} Number of entities embedded
+   * @private
+   */
+  async _syncEntityEmbeddings(entities) {
+    if (entities.length === 0 || !this.modelInitialized) return 0;
+
+    const summary = await this._embedEntities(entities);
+    if (summary.failed > 0) {
+      console.error(`⚠️  ${summary.failed} entity embeddings could not be refreshed - run embedAllEntities with onlyStale`);
+    }
+    return summary.embedded;
+  }
+
+  /**
+   * Column update marking an entity's embedding as outdated
+   * (empty until the embedding_stale column exists)
+   * 
+   * @returns {Promise<object>} { embedding_stale: true } or {}
+   * @private
+   */
+  async _staleEmbeddingMarker() {
+    if (!await this._hasColumn('rag_entities', 'embedding_stale')) return {};
+    return { embedding_stale: true };
+  }
+
+  // ==================== EMBEDDING MODELS ====================
+
+  /**
+   * Re-embed stored vectors with the active embedding model
+   * 
+   * Use after changing EMBEDDING_PROVIDER / EMBEDDING_MODEL /
+   * EMBEDDING_DIMENSIONS: vectors tagged with another model (or other
+   * dimensions) are embedded again and re-tagged. Searches only ever
+   * compare vectors of the active model, so until the migration finishes
+   * the not yet migrated vectors are simply not found.
+   * 
+   * @param {object} options - Re-embedding options
+   * @param {string} options.target - 'chunks', 'entities' or 'all' (default: 'all')
+   * @param {string} options.fromModel - Only migrate vectors of this model;
+   *   'untagged' selects vectors stored before model tracking existed
+   * @param {boolean} options.dryRun - Only count the vectors to migrate (default: false)
+   * @returns {object} Per-target counts and summaries
+   */
+  async reembed(options = {}) {
+    const { target = 'all', fromModel = null, dryRun = false } = options;
+    const targets = {
+      chunks: 'rag_chunks',
+      entities: 'rag_entity_embeddings',
+    };
+
+    if (target !== 'all' && !targets[target]) {
+      throw new Error(`Unknown target: ${target}. Use 'chunks', 'entities' or 'all'`);
+    }
+    if (!this.modelInitialized) {
+      throw new Error('Embedding model not initialized');
+    }
+
+    const results = {
+      model: this.embeddingModelId,
+      dimensions: this.embeddingDimensions,
+      dryRun,
+    };
+
+    for (const [name, table] of Object.entries(targets)) {
+      if (target !== 'all' && target !== name) continue;
+
+      if (!await this._hasColumn(table, 'embedding_model')) {
+        throw new Error(`${table}.embedding_model not found - run supabase-schema-migration.sql first`);
+      }
+
+      const pending = await this._countStaleVectors(table, fromModel);
+      if (dryRun || pending === 0) {
+        results[name] = { pending };
+        continue;
+      }
+
+      console.error(`🔁 Re-embedding ${pending} ${name} with ${this.embeddingModelId} (${this.embeddingDimensions} dims)...`);
+      results[name] = { pending, ...await this._reembedTable(table, fromModel) };
+      console.error(`✅ Re-embedded ${results[name].embedded}/${pending} ${name}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Filters selecting vectors that were not produced by the active model
+   * 
+   * Untagged vectors (from before model tracking) count as the active
+   * model's when it is one of the 384-dim defaults of earlier releases.
+   * 
+   * @param {string|null} fromModel - Restrict to one model ('untagged' for none)
+   * @returns {function[]} Query modifiers; a vector is stale if any matches
+   * @private
+   */
+  _staleVectorFilters(fromModel = null) {
+    const model = this.embeddingModelId;
+    const dimensions = this.embeddingDimensions;
+    const embedded = q => q.not('embedding', 'is', null);
+
+    if (fromModel === 'untagged') {
+      return [q => embedded(q).is('embedding_model', null)];
+    }
+    if (fromModel === model) {
+      return [q => embedded(q).eq('embedding_model', model).neq('embedding_dimensions', dimensions)];
+    }
+    if (fromModel) {
+      return [q => embedded(q).eq('embedding_model', fromModel)];
+    }
+
+    const filters = [
+      q => embedded(q).neq('embedding_model', model),
+      q => embedded(q).eq('embedding_model', model).neq('embedding_dimensions', dimensions),
+    ];
+    if (!isLegacyModel(model, dimensions, this.legacyEmbeddingModel)) {
+      filters.push(q => embedded(q).is('embedding_model', null));
+    }
+    return filters;
+  }
+
+  /**
+   * Count vectors not produced by the active model
+   * 
+   * @param {string} table - rag_chunks or rag_entity_embeddings
+   * @param {string|null} fromModel - See _staleVectorFilters
+   * @returns {Promise<number>} Count
+   * @private
+   */
+  async _countStaleVectors(table, fromModel = null) {
+    let total = 0;
+    for (const filter of this._staleVectorFilters(fromModel)) {
+      const { count, error } = await filter(
+        this.db.from(table).select('embedding_model', { count: 'exact', head: true })
+      );
+      if (error) throw new Error(error.message);
+      total += count || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Re-embed stale vectors of one table page by page
+   * 
+   * Migrated rows no longer match the filters, so each round reads the
+   * first page again until nothing is left (or a round makes no progress).
+   * 
+   * @private
+   */
+  async _reembedTable(table, fromModel) {
+    const pageSize = 500;
+    const totals = { embedded: 0, failed: 0, batches: 0, durationMs: 0 };
+
+    for (const filter of this._staleVectorFilters(fromModel)) {
+      for (;;) {
+        const columns = table === 'rag_chunks' ? 'id, document_id, content' : 'entity_id';
+        const { data: rows, error } = await filter(this.db.from(table).select(columns)).limit(pageSize);
+        if (error) throw new Error(error.message);
+        if (rows.length === 0) break;
+
+        const summary = table === 'rag_chunks'
+          ? await this._embedInBatches(rows, row => row.content, pairs => this._storeChunkEmbeddings(pairs))
+          : await this._reembedEntities(rows.map(row => row.entity_id));
+
+        totals.embedded += summary.embedded;
+        totals.failed += summary.failed;
+        totals.batches += summary.batches;
+        totals.durationMs += summary.durationMs;
+        if (summary.embedded === 0) break;
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Re-embed entities by id
+   * @private
+   */
+  async _reembedEntities(entityIds) {
+    const { data: entities, error } = await this.db
+      .from('rag_entities')
+      .select('id, name, entity_type, observations')
+      .in('id', entityIds);
+    if (error) throw new Error(error.message);
+
+    return this._embedEntities(entities);
+  }
+
+  /**
+   * Model tags stored next to a vector (empty until the tracking columns exist)
+   * 
+   * @param {string} table - rag_chunks or rag_entity_embeddings
+   * @returns {Promise<object>} { embedding_model, embedding_dimensions } or {}
+   * @private
+   */
+  async _vectorTags(table) {
+    if (!await this._hasColumn(table, 'embedding_model')) return {};
+    return {
+      embedding_model: this.embeddingModelId,
+      embedding_dimensions: this.embeddingDimensions,
+    };
+  }
+
+  /**
+   * Vector search RPC parameters restricting matches to the active model,
+   * so vectors of different models are never compared in one search, and
+   * to the namespaces of the view
+   * 
+   * @param {string} table - rag_chunks or rag_entity_embeddings
+   * @returns {Promise<object>} { filter_model, filter_dimensions, include_untagged, filter_namespaces }
+   *   (each only where it applies)
+   * @private
+   */
+  async _vectorSearchFilter(table) {
+    // Namespaces of a namespaced view (NamespacedStorage; null for all)
+    const namespaces = this.db.namespaces ? { filter_namespaces: this.db.namespaces } : {};
+    if (!await this._hasColumn(table, 'embedding_model')) return namespaces;
+    return {
+      filter_model: this.embeddingModelId,
+      filter_dimensions: this.embeddingDimensions,
+      include_untagged: isLegacyModel(this.embeddingModelId, this.embeddingDimensions, this.legacyEmbeddingModel),
+      ...namespaces,
+    };
+  }
+
+  /**
+   * Extra column for search results of a cross-namespace view, so every
+   * hit says where it comes from
+   * 
+   * @returns {string} ', namespace' or ''
+   * @private
+   */
+  _namespaceColumn() {
+    const namespaces = this.db.namespaces;
+    return namespaces === null || namespaces?.length > 1 ? ', namespace' : '';
+  }
+
+  /**
+   * Check if a column exists (for columns added by later migrations)
+   * Caches result to avoid repeated queries
+   * 
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<boolean>} True if the column can be queried
+   * @private
+   */
+  async _hasColumn(table, column) {
+    this._columnCache = this._columnCache || new Map();
+    const key = `${table}.${column}`;
+    if (this._columnCache.has(key)) {
+      return this._columnCache.get(key);
+    }
+
+    const { error } = await this.db.from(table).select(column).limit(1);
+    if (error) {
+      console.error(`ℹ️ ${key} not found - run supabase-schema-migration.sql to enable it`);
+    }
+    this._columnCache.set(key, !error);
+    return !error;
+  }
+
+  // ==================== SEARCH & RETRIEVAL ====================
+
+  /**
+   * Check if Full-Text Search (tsvector) is available
+   * Caches result to avoid repeated queries
+   * 
+   * @returns {Promise<boolean>} True if FTS is configured
+   */
+  async _checkFtsAvailable() {
+    if (this._ftsAvailable !== undefined) {
+      return this._ftsAvailable;
+    }
 
     try {
       // Check if content_tsv column exists by querying it
-      const { error } = await this.supabase
+      const { error } = await this.db
         .from('rag_documents')
         .select('content_tsv')
         .limit(1);
@@ -767,21 +2147,98 @@ export class RAGKnowledgeGraphManager {
   /**
    * Hybrid search (semantic + text)
    * 
-   * Automatically uses Full-Text Search (tsvector) if configured,
-   * otherwise falls back to keyword-based ilike search.
+   * Runs two retrievers and fuses their rankings with weighted
+   * Reciprocal Rank Fusion (RRF):
+   * - Vector: pgvector similarity over chunk embeddings (match_rag_chunks RPC)
+   * - Text: Full-Text Search (tsvector) if configured, otherwise ilike keywords
+   * 
+   * Chunk hits are grouped by document, so each result is a document with
+   * its best matching chunk. If the embedding model or the vector RPC is
+   * unavailable, results come from the text retriever only.
    * 
-   * FTS benefits: faster on large datasets, stemming, stop words, ranking.
-   * Run supabase-fts-setup.sql to enable FTS.
+   * Run supabase-vector-search.sql to enable the vector retriever and
+   * supabase-fts-setup.sql to enable FTS.
    * 
    * @param {string} query - Search query (space-separated keywords)
    * @param {number} limit - Max results
-   * @returns {object[]} Search results sorted by relevance
+   * @param {object} options - Fusion options
+   * @param {number} options.vectorWeight - Weight of the vector ranking (default: 1)
+   * @param {number} options.textWeight - Weight of the text ranking (default: 1)
+   * @param {number} options.rrfK - RRF constant (default: 60)
+   * @param {number} options.minSimilarity - Minimum cosine similarity for vector hits (default: 0)
+   * @returns {object[]} Documents with vectorScore, textScore and fused score
    * 
    * @example
    * hybridSearch('authentication jwt')
-   * hybridSearch('Unity architecture patterns')
+   * hybridSearch('Unity architecture patterns', 5, { vectorWeight: 2 })
+   */
+  async hybridSearch(query, limit = 5, options = {}) {
+    const {
+      vectorWeight = 1,
+      textWeight = 1,
+      rrfK = DEFAULT_RRF_K,
+      minSimilarity = 0,
+    } = options;
+    const candidates = limit * 4;
+
+    const [vectorHits, textHits] = await Promise.all([
+      vectorWeight > 0 ? this._vectorSearchChunks(query, candidates, minSimilarity) : [],
+      textWeight > 0 ? this._textSearch(query, candidates) : [],
+    ]);
+
+    // One vector hit per document: the best matching chunk
+    const bestChunks = [];
+    const seenDocs = new Set();
+    for (const hit of vectorHits) {
+      if (seenDocs.has(hit.document_id)) continue;
+      seenDocs.add(hit.document_id);
+      bestChunks.push(hit);
+    }
+
+    const fused = fuseRankings([
+      { name: 'vector', items: bestChunks, weight: vectorWeight },
+      { name: 'text', items: textHits, weight: textWeight },
+    ], item => item.document_id || item.id, { k: rrfK }).slice(0, limit);
+
+    // Vector-only hits carry just the chunk, load their documents
+    const missingIds = fused.filter(f => !f.items.text).map(f => f.key);
+    const documents = new Map(textHits.map(doc => [doc.id, doc]));
+    if (missingIds.length > 0) {
+      const { data, error } = await this.db
+        .from('rag_documents')
+        .select(`id, content, metadata, created_at${this._namespaceColumn()}`)
+        .in('id', missingIds);
+
+      if (error) throw new Error(error.message);
+      (data || []).forEach(doc => documents.set(doc.id, doc));
+    }
+
+    const keywords = extractKeywords(query);
+
+    return fused
+      .filter(f => documents.has(f.key))
+      .map(f => {
+        const doc = documents.get(f.key);
+        const chunk = f.items.vector;
+        return {
+          ...doc,
+          score: f.score,
+          vectorScore: chunk ? chunk.similarity : null,
+          textScore: f.items.text ? keywordScore(doc.content, keywords) : null,
+          vectorRank: f.ranks.vector ?? null,
+          textRank: f.ranks.text ?? null,
+          matchedChunk: chunk
+            ? { id: chunk.id, index: chunk.chunk_index, content: chunk.content }
+            : null,
+        };
+      });
+  }
+
+  /**
+   * Text retriever: FTS if configured, otherwise ilike keywords
+   * @private
    */
-  async hybridSearch(query, limit = 5) {
+  async _textSearch(query, limit) {
     const useFts = await this._checkFtsAvailable();
 
     if (useFts) {
@@ -791,6 +2248,50 @@ export class RAGKnowledgeGraphManager {
     }
   }
 
+  /**
+   * Vector retriever: cosine similarity over chunk embeddings
+   * 
+   * Returns [] (and remembers it) when the match_rag_chunks RPC is missing,
+   * so text-only search keeps working without supabase-vector-search.sql.
+   * Other errors (timeouts, network) only skip vectors for this search.
+   * @private
+   */
+  async _vectorSearchChunks(query, limit, minSimilarity = 0) {
+    if (!this.modelInitialized || this._vectorSearchAvailable === false) {
+      return [];
+    }
+
+    const embedding = await this.generateEmbedding(query);
+    if (!embedding) return [];
+
+    const { data, error } = await this.db.rpc('match_rag_chunks', {
+      query_embedding: JSON.stringify(embedding),
+      match_count: limit,
+      similarity_threshold: minSimilarity,
+      ...await this._vectorSearchFilter('rag_chunks'),
+    });
+
+    if (error) {
+      if (UNDEFINED_FUNCTION_CODES.includes(error.code)) {
+        this._vectorSearchAvailable = false;
+        console.error('ℹ️ Vector search unavailable - using text search only. Run supabase-vector-search.sql to enable it:', error.message);
+      } else {
+        console.error('⚠️  Vector search failed - using text search for this query:', error.message);
+      }
+      return [];
+    }
+
+    this._vectorSearchAvailable = true;
+
+    if ((!data || data.length === 0) && await this._hasColumn('rag_chunks', 'embedding_model')) {
+      const stale = await this._countStaleVectors('rag_chunks');
+      if (stale > 0) {
+        console.error(`⚠️  ${stale} chunk vectors were created with another embedding model - run reembed to search them`);
+      }
+    }
+    return data || [];
+  }
+
   /**
    * Full-Text Search using tsvector (fast, with stemming)
    * @private
@@ -800,9 +2301,9 @@ export class RAGKnowledgeGraphManager {
     // websearch_to_tsquery handles: spaces, quotes, OR, negation
     const sanitizedQuery = query.replace(/'/g, "''"); // Escape single quotes
     
-    const { data, error } = await this.supabase
+    const { data, error } = await this.db
       .from('rag_documents')
-      .select('id, content, metadata, created_at')
+      .select(`id, content, metadata, created_at${this._namespaceColumn()}`)
       .filter('content_tsv', '@@', `websearch_to_tsquery('english', '${sanitizedQuery}')`)
       .limit(limit);
 
@@ -819,20 +2320,16 @@ export class RAGKnowledgeGraphManager {
    */
   async _hybridSearchIlike(query, limit) {
     // Extract meaningful keywords (3+ chars)
-    const keywords = query
-      .toLowerCase()
-      .split(/\s+/)
-      .filter(w => w.length >= 3)
-      .slice(0, 5); // Limit to 5 keywords for performance
+    const keywords = extractKeywords(query); // Limited to 5 keywords for performance
 
     if (keywords.length === 0) {
       return [];
     }
 
     // Search for documents containing any keyword
-    let queryBuilder = this.supabase
+    let queryBuilder = this.db
       .from('rag_documents')
-      .select('id, content, metadata, created_at');
+      .select(`id, content, metadata, created_at${this._namespaceColumn()}`);
 
     // Build OR condition for keywords
     const orConditions = keywords.map(kw => `content.ilike.%${kw}%`).join(',');
@@ -858,12 +2355,21 @@ export class RAGKnowledgeGraphManager {
   /**
    * Get detailed context for a query
    * 
+   * Relationships of the matching entities are ranked by confidence times
+   * weight, so inferred or weak relations come last (or are filtered out
+   * with minConfidence / excludeProvenance).
+   * 
    * @param {string} query - Search query
    * @param {object} options - Search options
+   * @param {number} options.limit - Max documents, entities and relationships (default: 5)
+   * @param {boolean} options.includeEntities - Include entities and their relationships (default: true)
+   * @param {number} options.minConfidence - Only relationships at least this confident
+   * @param {string[]} options.excludeProvenance - Skip relationships of these provenances, e.g. ['inferred']
    * @returns {object} Context with documents, entities, relationships
    */
   async getDetailedContext(query, options = {}) {
     const { limit = 5, includeEntities = true } = options;
+    const traversal = this._traversalOptions({ ...options, direction: 'both' });
 
     console.error(`🔍 Getting detailed context for: "${query}"`);
 
@@ -877,24 +2383,32 @@ export class RAGKnowledgeGraphManager {
     }
 
     if (includeEntities) {
-      const { data: entities } = await this.supabase
+      const { data: entities } = await this.db
         .from('rag_entities')
-        .select('name, entity_type, observations')
+        .select(`id, name, entity_type, observations${this._namespaceColumn()}`)
         .ilike('name', `%${query}%`)
         .limit(limit);
 
       if (entities) {
-        results.entities = entities;
-
-        const entityIds = entities.map(e => e.id).filter(Boolean);
-        if (entityIds.length > 0) {
-          const { data: rels } = await this.supabase
-            .from('rag_relationships')
-            .select('*')
-            .in('source_entity', entityIds)
-            .limit(limit);
-
-          if (rels) results.relationships = rels;
+        results.entities = entities.map(({ id, ...entity }) => entity);
+
+        if (entities.length > 0) {
+          try {
+            const strength = edge => (edge.confidence ?? 1) * (edge.weight ?? 1);
+            const edges = (await this._fetchEdges(entities.map(entity => entity.id), traversal))
+              .sort((a, b) => strength(b) - strength(a))
+              .slice(0, limit);
+            const names = await this._entitiesById(edges.flatMap(edge => [edge.source_entity, edge.target_entity]));
+
+            results.relationships = edges.map(edge => ({
+              from: names.get(edge.source_entity)?.name,
+              to: names.get(edge.target_entity)?.name,
+              relationType: edge.relation_type,
+              ...this._edgeProperties(edge),
+            }));
+          } catch (e) {
+            console.error('Relationship lookup failed:', e.message);
+          }
         }
       }
     }
@@ -904,48 +2418,2553 @@ export class RAGKnowledgeGraphManager {
   }
 
   /**
-   * Read the entire knowledge graph
+   * Read the knowledge graph page by page
    * 
-   * @returns {object} Graph with entities and relationships
+   * Entities are ordered by name; each page lists the relationships whose
+   * source entity is on the page, so every relationship appears on exactly
+   * one page. Relationships use entity names, not ids.
+   * 
+   * @param {object} options - Read options
+   * @param {string[]} options.entityTypes - Only entities of these types
+   * @param {string[]} options.relationTypes - Only relationships of these types
+   * @param {string} options.namePrefix - Only entities whose name starts with this (case-insensitive)
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @param {number} options.limit - Entities per page (default: 100, max: 1000)
+   * @param {boolean} options.compact - Entities without observations, relationships
+   *   as "from -[type]-> to" strings (default: false)
+   * @param {string} options.asOf - Read the graph as it was at this time
+   * @returns {object} { entities, relationships, nextCursor } (nextCursor is null on the last page)
+   * 
+   * @example
+   * const page = await manager.readGraph({ entityTypes: ['PERSON'], compact: true });
+   * const next = await manager.readGraph({ entityTypes: ['PERSON'], compact: true, cursor: page.nextCursor });
    */
-  async readGraph() {
-    console.error('📖 Reading entire knowledge graph...');
+  async readGraph(options = {}) {
+    const { entityTypes, relationTypes, namePrefix, cursor, compact = false } = options;
+    const limit = Math.min(Math.max(options.limit || GRAPH_PAGE_SIZE, 1), MAX_GRAPH_PAGE_SIZE);
+    const asOf = parseTimestamp(options.asOf, 'asOf');
+
+    if (asOf) {
+      return this._readGraphAsOf({ entityTypes, relationTypes, namePrefix, cursor, compact, limit }, asOf);
+    }
 
-    const { data: entities, error: entError } = await this.supabase
+    let query = this.db
       .from('rag_entities')
-      .select('*');
+      .select(compact ? 'id, name, entity_type' : 'id, name, entity_type, observations, metadata, created_at');
+    if (entityTypes?.length) {
+      query = query.in('entity_type', entityTypes);
+    }
+    if (namePrefix) {
+      query = query.ilike('name', `${escapeLikePattern(namePrefix)}%`);
+    }
+    if (cursor) {
+      query = query.gt('name', decodeCursor(cursor));
+    }
+
+    // One extra row tells whether another page follows
+    const { data: rows, error } = await query
+      .order('name', { ascending: true })
+      .limit(limit + 1);
+
+    if (error) throw new Error(`Failed to read graph: ${error.message}`);
+
+    const entities = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    const edges = entities.length > 0
+      ? await this._fetchEdges(entities.map(entity => entity.id), { direction: 'outgoing', relationTypes: relationTypes?.length ? relationTypes : null })
+      : [];
+    const names = await this._entitiesById(edges.map(edge => edge.target_entity));
+    for (const entity of entities) {
+      names.set(entity.id, entity);
+    }
+
+    return this._graphPage(entities, edges, names, hasMore, compact);
+  }
+
+  /**
+   * Shape a page of entities and their outgoing edges for readGraph
+   * 
+   * @param {object[]} entities - rag_entities rows of the page, by name
+   * @param {object[]} edges - rag_relationships rows from those entities
+   * @param {Map<string, object>} names - Entity id -> row with name, for both ends of the edges
+   * @param {boolean} hasMore - Whether another page follows
+   * @param {boolean} compact - Compact output
+   * @returns {object} { entities, relationships, nextCursor }
+   * @private
+   */
+  _graphPage(entities, edges, names, hasMore, compact) {
+    const name = id => names.get(id)?.name;
+
+    const relationships = edges
+      .map(edge => ({
+        from: name(edge.source_entity),
+        to: name(edge.target_entity),
+        relationType: edge.relation_type,
+        ...this._edgeProperties(edge),
+        metadata: edge.metadata || {},
+      }))
+      .sort((a, b) => a.from.localeCompare(b.from) || a.relationType.localeCompare(b.relationType) || a.to.localeCompare(b.to));
+
+    console.error(`📖 Read ${entities.length} entities, ${relationships.length} relationships${hasMore ? ' (more available)' : ''}`);
+
+    return {
+      entities: entities.map(entity => compact
+        ? { name: entity.name, entityType: entity.entity_type }
+        : {
+          name: entity.name,
+          entityType: entity.entity_type,
+          observations: entity.observations || [],
+          metadata: entity.metadata || {},
+          createdAt: entity.created_at,
+        }),
+      relationships: compact
+        ? relationships.map(rel => `${rel.from} -[${rel.relationType}]-> ${rel.to}`)
+        : relationships,
+      nextCursor: hasMore ? encodeCursor(entities[entities.length - 1].name) : null,
+    };
+  }
 
-    const { data: relationships, error: relError } = await this.supabase
-      .from('rag_relationships')
-      .select('*');
+  /**
+   * Export the knowledge graph, or the part matching the filters
+   * 
+   * Reads every readGraph page with the given filters. Relationships to
+   * entities outside the filters are left out, so both ends of every
+   * exported relationship are in the export.
+   * 
+   * @param {object} options - Export options
+   * @param {string} options.format - 'graphml', 'dot', 'mermaid' or 'cypher' (default: 'graphml')
+   * @param {string[]} options.entityTypes - Only entities of these types
+   * @param {string[]} options.relationTypes - Only relationships of these types
+   * @param {string} options.namePrefix - Only entities whose name starts with this
+   * @returns {object} { format, entityCount, relationshipCount, content }
+   */
+  async exportGraph(options = {}) {
+    const { format = 'graphml', entityTypes, relationTypes, namePrefix } = options;
 
-    if (entError || relError) {
-      throw new Error('Failed to read graph');
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
     }
 
-    console.error(`✅ Read ${entities?.length || 0} entities, ${relationships?.length || 0} relationships`);
+    const entities = [];
+    const relationships = [];
+    let cursor = null;
+    do {
+      const page = await this.readGraph({ entityTypes, relationTypes, namePrefix, cursor, limit: MAX_GRAPH_PAGE_SIZE });
+      entities.push(...page.entities);
+      relationships.push(...page.relationships);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    const exported = new Set(entities.map(entity => entity.name));
+    const edges = relationships.filter(rel => exported.has(rel.from) && exported.has(rel.to));
+
+    console.error(`📤 Exported ${entities.length} entities, ${edges.length} relationships as ${format}`);
 
     return {
-      entities: entities || [],
-      relationships: relationships || [],
+      format,
+      entityCount: entities.length,
+      relationshipCount: edges.length,
+      content: renderGraph({ entities, relationships: edges }, format),
     };
   }
 
-  // ==================== UTILITIES ====================
+  // ==================== GRAPH TRAVERSAL ====================
 
   /**
-   * Get knowledge graph statistics
+   * Get the entities directly connected to an entity
    * 
-   * @returns {object} Statistics
+   * @param {string} entityName - Entity name
+   * @param {object} options - Traversal options
+   * @param {string} options.direction - 'outgoing', 'incoming' or 'both' (default: 'both')
+   * @param {string[]} options.relationTypes - Only follow these relation types
+   * @param {number} options.minConfidence - Only follow relations at least this confident
+   * @param {string[]} options.excludeProvenance - Skip relations of these provenances, e.g. ['inferred']
+   * @param {string} options.sortBy - 'relationType' (then name, default), 'confidence' or 'weight' (highest first)
+   * @param {number} options.limit - Max neighbors (default: 50)
+   * @returns {object} { entity, neighbors: [{ name, entityType, relationType, direction, confidence, weight, provenance }], total }
    */
-  async getKnowledgeGraphStats() {
-    const { data, error } = await this.supabase
-      .from('rag_stats')
-      .select('*')
-      .single();
-    
-    if (error) throw new Error(error.message);
-    return data;
+  async getNeighbors(entityName, options = {}) {
+    const { limit = 50, sortBy = 'relationType' } = options;
+    if (!NEIGHBOR_SORT_ORDERS.includes(sortBy)) {
+      throw new Error(`Unknown sortBy: ${sortBy}. Use one of: ${NEIGHBOR_SORT_ORDERS.join(', ')}`);
+    }
+    const traversal = this._traversalOptions(options);
+    const entity = await this._findEntityByName(entityName);
+
+    const edges = await this._fetchEdges([entity.id], traversal);
+    const steps = expandEdges([entity.id], edges, traversal.direction);
+    const entities = await this._entitiesById(steps.map(step => step.to));
+
+    const neighbors = steps
+      .map(step => ({
+        name: entities.get(step.to)?.name,
+        entityType: entities.get(step.to)?.entity_type,
+        relationType: step.edge.relation_type,
+        direction: step.direction,
+        ...this._edgeProperties(step.edge),
+      }))
+      .sort((a, b) => (sortBy === 'relationType' ? 0 : (b[sortBy] ?? 1) - (a[sortBy] ?? 1))
+        || a.relationType.localeCompare(b.relationType) || a.name.localeCompare(b.name));
+
+    return {
+      entity: { name: entity.name, entityType: entity.entity_type },
+      neighbors: neighbors.slice(0, limit),
+      total: neighbors.length,
+    };
+  }
+
+  /**
+   * Get the subgraph within `depth` hops of an entity
+   * 
+   * @param {string} entityName - Center entity name
+   * @param {object} options - Traversal options
+   * @param {number} options.depth - Hops from the center (default: 2, max: 5)
+   * @param {string} options.direction - 'outgoing', 'incoming' or 'both' (default: 'both')
+   * @param {string[]} options.relationTypes - Only follow these relation types
+   * @param {number} options.minConfidence - Only follow relations at least this confident
+   * @param {string[]} options.excludeProvenance - Skip relations of these provenances, e.g. ['inferred']
+   * @param {number} options.maxEntities - Stop adding entities beyond this many (default: 100)
+   * @param {boolean} options.includeObservations - Include entity observations (default: false)
+   * @returns {object} { center, depth, entities: [{ name, entityType, distance }], relationships: [{ from, to, relationType }], truncated }
+   */
+  async getSubgraph(entityName, options = {}) {
+    const { maxEntities = 100, includeObservations = false } = options;
+    const depth = this._traversalDepth('depth', options.depth, 2);
+    const traversal = this._traversalOptions(options);
+    const center = await this._findEntityByName(entityName);
+
+    const distances = new Map([[center.id, 0]]);
+    const edges = new Map();
+    let frontier = [center.id];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const steps = expandEdges(frontier, await this._fetchEdges(frontier, traversal), traversal.direction);
+      const next = [];
+
+      for (const step of steps) {
+        if (!distances.has(step.to)) {
+          if (distances.size >= maxEntities) {
+            truncated = true;
+            continue;
+          }
+          distances.set(step.to, level);
+          next.push(step.to);
+        }
+        edges.set(step.edge.id, step.edge);
+      }
+      frontier = next;
+    }
+
+    const columns = includeObservations ? 'id, name, entity_type, observations' : 'id, name, entity_type';
+    const entities = await this._entitiesById([...distances.keys()], columns);
+    const name = id => entities.get(id)?.name;
+
+    return {
+      center: center.name,
+      depth,
+      entities: [...distances.entries()]
+        .map(([id, distance]) => ({
+          name: name(id),
+          entityType: entities.get(id)?.entity_type,
+          ...(includeObservations && { observations: entities.get(id)?.observations || [] }),
+          distance,
+        }))
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name)),
+      relationships: [...edges.values()]
+        // Edges to entities cut off by maxEntities are dropped with them
+        .filter(edge => distances.has(edge.source_entity) && distances.has(edge.target_entity))
+        .map(edge => ({
+          from: name(edge.source_entity),
+          to: name(edge.target_entity),
+          relationType: edge.relation_type,
+          ...this._edgeProperties(edge),
+        })),
+      truncated,
+    };
+  }
+
+  /**
+   * Find the shortest path(s) between two entities
+   * 
+   * Breadth-first search from `fromName`; all paths of the shortest length
+   * are returned (up to `limit`).
+   * 
+   * @param {string} fromName - Start entity name
+   * @param {string} toName - End entity name
+   * @param {object} options - Traversal options
+   * @param {number} options.maxDepth - Longest path to look for, in hops (default: 4, max: 5)
+   * @param {string} options.direction - 'outgoing' follows relations forward only,
+   *   'incoming' backward only, 'both' either way (default: 'both')
+   * @param {string[]} options.relationTypes - Only follow these relation types
+   * @param {number} options.minConfidence - Only follow relations at least this confident
+   * @param {string[]} options.excludeProvenance - Skip relations of these provenances, e.g. ['inferred']
+   * @param {number} options.limit - Max paths (default: 5)
+   * @returns {object} { from, to, length, maxDepthApplied, paths: [{ length, entities, relations, text }] }
+   * 
+   * @example
+   * findPaths('Alice', 'Bob')
+   * // paths[0].text: 'Alice -[owns]-> Auth Service <-[maintains]- Bob'
+   */
+  async findPaths(fromName, toName, options = {}) {
+    const { limit = 5 } = options;
+    const maxDepth = this._traversalDepth('maxDepth', options.maxDepth, 4);
+    const traversal = this._traversalOptions(options);
+    const source = await this._findEntityByName(fromName);
+    const target = await this._findEntityByName(toName);
+
+    // Entity id -> steps reaching it on the level it was first discovered
+    const parents = new Map([[source.id, []]]);
+    let frontier = [source.id];
+
+    for (let level = 1; level <= maxDepth && frontier.length > 0 && !parents.has(target.id); level++) {
+      const steps = expandEdges(frontier, await this._fetchEdges(frontier, traversal), traversal.direction);
+      const discovered = new Map();
+
+      for (const step of steps) {
+        if (parents.has(step.to)) continue;
+        if (!discovered.has(step.to)) discovered.set(step.to, []);
+        discovered.get(step.to).push(step);
+      }
+      for (const [id, reaching] of discovered) {
+        parents.set(id, reaching);
+      }
+      frontier = [...discovered.keys()];
+    }
+
+    const paths = collectPaths(parents, source.id, target.id, limit);
+    const entities = await this._entitiesById([source.id, ...paths.flatMap(path => path.map(step => step.to))]);
+
+    return {
+      from: source.name,
+      to: target.name,
+      length: paths.length > 0 ? paths[0].length : null,
+      maxDepthApplied: maxDepth,
+      paths: paths.map(path => formatPath(path, source.name, entities)),
+      ...(paths.length === 0 && { message: `No path within ${maxDepth} hops` }),
+    };
+  }
+
+  /**
+   * Validate a traversal depth option
+   * 
+   * @param {string} option - Option name for the error message
+   * @param {number} value - Requested depth (undefined: fallback)
+   * @param {number} fallback - Default depth
+   * @returns {number} Depth to traverse
+   * @throws {Error} If the depth is not a whole number from 1 to MAX_TRAVERSAL_DEPTH
+   * @private
+   */
+  _traversalDepth(option, value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_TRAVERSAL_DEPTH) {
+      throw new Error(`${option} must be a whole number from 1 to ${MAX_TRAVERSAL_DEPTH}`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate and normalize traversal options
+   * @private
+   */
+  _traversalOptions(options) {
+    const { direction = 'both', relationTypes, minConfidence, excludeProvenance } = options;
+    if (!GRAPH_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown direction: ${direction}. Use one of: ${GRAPH_DIRECTIONS.join(', ')}`);
+    }
+    if (minConfidence !== undefined && minConfidence !== null && !(minConfidence >= 0 && minConfidence <= 1)) {
+      throw new Error('minConfidence must be a number between 0 and 1');
+    }
+    return {
+      direction,
+      relationTypes: relationTypes?.length ? relationTypes : null,
+      minConfidence: minConfidence ?? null,
+      excludeProvenance: excludeProvenance?.length ? excludeProvenance : null,
+    };
+  }
+
+  /**
+   * Relation properties of a relationship row for tool output
+   * (weight and provenance once the columns exist)
+   * @private
+   */
+  _edgeProperties(edge) {
+    return {
+      confidence: edge.confidence,
+      ...(edge.weight !== undefined && { weight: edge.weight }),
+      ...(edge.provenance && { provenance: edge.provenance }),
+    };
+  }
+
+  /**
+   * Look up an entity by its exact name, or a former name kept as an alias
+   * 
+   * @param {string} name - Entity name
+   * @returns {Promise<object>} { id, name, entity_type }
+   * @throws {Error} If the entity does not exist
+   * @private
+   */
+  async _findEntityByName(name) {
+    const { data, error } = await this.db
+      .from('rag_entities')
+      .select('id, name, entity_type')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    const entity = data || await this._findEntityByAlias(name);
+    if (!entity) throw new Error(`Entity not found: ${name}`);
+    return entity;
+  }
+
+  /**
+   * Load entities by id
+   * 
+   * @param {string[]} ids - Entity ids
+   * @param {string} columns - Columns to select (must include id)
+   * @returns {Promise<Map<string, object>>} Entity id -> row
+   * @private
+   */
+  async _entitiesById(ids, columns = 'id, name, entity_type') {
+    const entities = new Map();
+
+    for (const batch of toBatches([...new Set(ids)], TRAVERSAL_ID_BATCH_SIZE)) {
+      const { data, error } = await this.db
+        .from('rag_entities')
+        .select(columns)
+        .in('id', batch);
+
+      if (error) throw new Error(error.message);
+      for (const entity of data) {
+        entities.set(entity.id, entity);
+      }
+    }
+
+    return entities;
+  }
+
+  /**
+   * Load the relationships touching a set of entities
+   * 
+   * @param {string[]} ids - Entity ids
+   * @param {object} traversal - { direction, relationTypes, minConfidence, excludeProvenance }
+   *   (see _traversalOptions)
+   * @returns {Promise<object[]>} Relationship rows (each at most once)
+   * @private
+   */
+  async _fetchEdges(ids, traversal) {
+    const { direction, relationTypes, minConfidence, excludeProvenance } = traversal;
+    const sides = [];
+    if (direction !== 'incoming') sides.push('source_entity');
+    if (direction !== 'outgoing') sides.push('target_entity');
+
+    const columns = await this._selectColumns(
+      'rag_relationships', ['id', 'source_entity', 'target_entity', 'relation_type', 'confidence', 'metadata']
+    );
+    // Relations without provenance are never excluded, which a NOT IN filter would do
+    const excluded = new Set(excludeProvenance || []);
+    const edges = new Map();
+    const pageSize = 1000;
+
+    for (const batch of toBatches(ids, TRAVERSAL_ID_BATCH_SIZE)) {
+      for (const side of sides) {
+        // Page through hubs (Supabase caps a single select at 1000 rows)
+        for (let from = 0; ; from += pageSize) {
+          let query = this.db
+            .from('rag_relationships')
+            .select(columns)
+            .in(side, batch);
+          if (relationTypes) {
+            query = query.in('relation_type', relationTypes);
+          }
+          if (minConfidence !== null && minConfidence !== undefined) {
+            query = query.gte('confidence', minConfidence);
+          }
+          const { data, error } = await query
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
+
+          if (error) throw new Error(error.message);
+          for (const edge of data) {
+            if (!excluded.has(edge.provenance)) edges.set(edge.id, edge);
+          }
+          if (data.length < pageSize) break;
+        }
+      }
+    }
+
+    return [...edges.values()];
+  }
+
+  // ==================== DUPLICATES & MERGE ====================
+
+  /**
+   * Find entities that are probably the same thing under different names
+   * 
+   * Candidates come from two signals: similar names (normalized and
+   * compared by character bigrams, aliases included, see duplicates.js)
+   * and similar entity embeddings (match_rag_entities for every entity
+   * vector of the active model). Fold confirmed duplicates together with
+   * mergeEntities.
+   * 
+   * @param {object} options - Search options
+   * @param {string} options.entityType - Only compare entities of this type
+   * @param {number} options.nameThreshold - Minimum name similarity (default: 0.8)
+   * @param {number} options.similarityThreshold - Minimum embedding similarity (default: 0.9)
+   * @param {boolean} options.semantic - Use embeddings as well as names (default: true)
+   * @param {number} options.limit - Max candidate pairs (default: 20)
+   * @returns {object} { candidates: [{ entities, score, nameSimilarity, embeddingSimilarity }], scanned, semantic }
+   * 
+   * @example
+   * findDuplicateEntities({ entityType: 'TECHNOLOGY' })
+   * // { candidates: [{ entities: [{ name: 'PostgreSQL', ... }, { name: 'Postgres', ... }],
+   * //   score: 0.875, nameSimilarity: 0.875, embeddingSimilarity: 0.93 }], ... }
+   */
+  async findDuplicateEntities(options = {}) {
+    const {
+      entityType,
+      nameThreshold = 0.8,
+      similarityThreshold = 0.9,
+      semantic = true,
+      limit = 20,
+    } = options;
+
+    const hasAliases = await this._hasColumn('rag_entities', 'aliases');
+    const rows = await this._selectAllRows(
+      'rag_entities', `id, name, entity_type, observations${hasAliases ? ', aliases' : ''}`, ['name']
+    );
+    const entities = new Map(
+      rows.filter(entity => !entityType || entity.entity_type === entityType).map(entity => [entity.id, entity])
+    );
+    console.error(`🔍 Looking for duplicates among ${entities.size} entities...`);
+
+    const candidates = new Map();
+    const candidate = (a, b) => {
+      const key = pairKey(a, b);
+      if (!candidates.has(key)) {
+        candidates.set(key, { ids: [a, b].sort(), nameSimilarity: null, embeddingSimilarity: null });
+      }
+      return candidates.get(key);
+    };
+
+    for (const { a, b, score } of findSimilarNames([...entities.values()], nameThreshold)) {
+      candidate(a, b).nameSimilarity = score;
+    }
+
+    let semanticUsed = false;
+    if (semantic && this.modelInitialized) {
+      try {
+        for (const { a, b, similarity } of await this._similarEntityPairs(entities, similarityThreshold, entityType)) {
+          const pair = candidate(a, b);
+          pair.embeddingSimilarity = Math.max(pair.embeddingSimilarity ?? 0, similarity);
+        }
+        semanticUsed = true;
+      } catch (error) {
+        console.error('Semantic duplicate search failed, using names only:', error.message);
+      }
+    }
+
+    const describe = id => {
+      const entity = entities.get(id);
+      return {
+        name: entity.name,
+        entityType: entity.entity_type,
+        observationCount: (entity.observations || []).length,
+        ...(entity.aliases?.length && { aliases: entity.aliases }),
+      };
+    };
+
+    const ranked = [...candidates.values()]
+      .map(pair => ({
+        entities: pair.ids.map(describe),
+        score: Math.max(pair.nameSimilarity ?? 0, pair.embeddingSimilarity ?? 0),
+        nameSimilarity: pair.nameSimilarity,
+        embeddingSimilarity: pair.embeddingSimilarity,
+      }))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit);
+
+    console.error(`✅ Found ${candidates.size} duplicate candidates`);
+    return { candidates: ranked, scanned: entities.size, semantic: semanticUsed };
+  }
+
+  /**
+   * Entity pairs whose embeddings are at least `threshold` similar
+   * 
+   * @param {Map<string, object>} entities - Entities in scope by id
+   * @param {number} threshold - Minimum cosine similarity
+   * @param {string} entityType - Entity type filter of the search
+   * @returns {Promise<object[]>} Pairs { a, b, similarity }
+   * @private
+   */
+  async _similarEntityPairs(entities, threshold, entityType) {
+    const filter = await this._vectorSearchFilter('rag_entity_embeddings');
+    const columns = `entity_id, embedding${filter.filter_model ? ', embedding_model, embedding_dimensions' : ''}`;
+
+    // Vectors of the entities in scope only (rag_entity_embeddings has no
+    // namespace); only vectors of the active model can be compared
+    const vectors = (await this._rowsIn('rag_entity_embeddings', 'entity_id', [...entities.keys()], columns))
+      .filter(row => row.embedding)
+      .filter(row => !filter.filter_model || (row.embedding_model
+        ? row.embedding_model === filter.filter_model && row.embedding_dimensions === filter.filter_dimensions
+        : filter.include_untagged));
+
+    const pairs = [];
+    await mapWithConcurrency(vectors, 4, async (row) => {
+      const { data, error } = await this.db.rpc('match_rag_entities', {
+        query_embedding: JSON.stringify(parseVector(row.embedding)),
+        match_count: 6,
+        similarity_threshold: threshold,
+        filter_entity_type: entityType || null,
+        ...filter,
+      });
+      if (error) throw new Error(`${error.message} (run supabase-vector-search.sql)`);
+
+      for (const hit of data || []) {
+        if (hit.id !== row.entity_id && entities.has(hit.id)) {
+          pairs.push({ a: row.entity_id, b: hit.id, similarity: hit.similarity });
+        }
+      }
+    });
+    return pairs;
+  }
+
+  /**
+   * Fold one entity into another
+   * 
+   * The target gains the source's observations (union, with their
+   * records) and metadata (target values win). Relationships of the source are re-pointed to the
+   * target; those that would duplicate a target relationship, or that
+   * connected the two entities, are removed. Chunk links move to the
+   * target. The source is deleted and its name kept as an alias of the
+   * target (needs the aliases column), so name lookups still find it.
+   * 
+   * @param {string} sourceName - Entity to merge away
+   * @param {string} targetName - Entity to keep
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Merge summary
+   * @throws {Error} If either entity does not exist or both are the same
+   */
+  async mergeEntities(sourceName, targetName, origin = {}) {
+    if (sourceName === targetName) {
+      throw new Error('Cannot merge an entity into itself');
+    }
+
+    const hasAliases = await this._hasColumn('rag_entities', 'aliases');
+    const columns = `id, name, entity_type, observations, metadata${hasAliases ? ', aliases' : ''}`;
+    const load = async (name) => {
+      const { data, error } = await this.db.from('rag_entities').select(columns).eq('name', name).maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!data) throw new Error(`Entity not found: ${name}`);
+      return data;
+    };
+    const source = await load(sourceName);
+    const target = await load(targetName);
+
+    const observations = mergeObservations(target.observations, source.observations);
+    const update = {
+      observations,
+      metadata: mergeMetadata(target.metadata, source.metadata),
+    };
+    if (hasAliases) {
+      update.aliases = [...new Set([...(target.aliases || []), source.name, ...(source.aliases || [])])]
+        .filter(alias => alias !== target.name);
+    }
+
+    // Re-point the source's relationships, dropping duplicates and links between the two
+    const both = { direction: 'both', relationTypes: null };
+    const keys = new Set(
+      (await this._fetchEdges([target.id], both)).map(edge => `${edge.source_entity}|${edge.target_entity}|${edge.relation_type}`)
+    );
+    const moved = [];
+    const removed = [];
+    for (const edge of await this._fetchEdges([source.id], both)) {
+      const from = edge.source_entity === source.id ? target.id : edge.source_entity;
+      const to = edge.target_entity === source.id ? target.id : edge.target_entity;
+      const key = `${from}|${to}|${edge.relation_type}`;
+      const betweenMerged = from === to && edge.source_entity !== edge.target_entity;
+
+      if (betweenMerged || keys.has(key)) {
+        removed.push(edge.id);
+      } else {
+        keys.add(key);
+        moved.push({ id: edge.id, source_entity: from, target_entity: to });
+      }
+    }
+
+    const targetChunks = new Set(await this._chunkIdsForEntity(target.id));
+    const chunkIds = (await this._chunkIdsForEntity(source.id)).filter(chunkId => !targetChunks.has(chunkId));
+
+    // Records of observations the target already has go with the source
+    const targetContents = new Set(target.observations || []);
+    const recordIds = ((await this._observationRecords([source.id])).get(source.id) || [])
+      .filter(record => !targetContents.has(record.content))
+      .map(record => record.id);
+
+    const deleted = await this._historyRows('delete', { entityIds: [source.id], relationshipIds: removed });
+
+    await this.db.transaction(async (tx) => {
+      const { error: updateError } = await tx
+        .from('rag_entities')
+        .update({ ...update, ...await this._staleEmbeddingMarker() })
+        .eq('id', target.id);
+      if (updateError) throw new Error(updateError.message);
+
+      for (const edge of moved) {
+        const { error } = await tx
+          .from('rag_relationships')
+          .update({ source_entity: edge.source_entity, target_entity: edge.target_entity })
+          .eq('id', edge.id);
+        if (error) throw new Error(error.message);
+      }
+      for (const batch of toBatches(removed, TRAVERSAL_ID_BATCH_SIZE)) {
+        const { error } = await tx.from('rag_relationships').delete().in('id', batch);
+        if (error) throw new Error(error.message);
+      }
+
+      for (const batch of toBatches(chunkIds, RESTORE_BATCH_SIZE)) {
+        const { error } = await tx
+          .from('rag_chunk_entities')
+          .insert(batch.map(chunkId => ({ chunk_id: chunkId, entity_id: target.id })));
+        if (error) throw new Error(error.message);
+      }
+
+      for (const batch of toBatches(recordIds, TRAVERSAL_ID_BATCH_SIZE)) {
+        const { error } = await tx.from('rag_observations').update({ entity_id: target.id }).in('id', batch);
+        if (error) throw new Error(error.message);
+      }
+
+      // Remaining chunk links, observation records and the source's embedding go with it
+      const { error: deleteError } = await tx.from('rag_entities').delete().eq('id', source.id);
+      if (deleteError) throw new Error(deleteError.message);
+    });
+
+    await this._recordHistory([
+      ...deleted,
+      ...await this._historyRows('update', { entityIds: [target.id], relationshipIds: moved.map(edge => edge.id) }),
+    ], origin);
+    await this._syncEntityEmbeddings([{ ...target, observations }]);
+
+    console.error(`🔗 Merged "${source.name}" into "${target.name}"`);
+    return {
+      success: true,
+      merged: source.name,
+      into: target.name,
+      observationsAdded: observations.length - (target.observations || []).length,
+      relationsMoved: moved.length,
+      relationsRemoved: removed.length,
+      chunkLinksMoved: chunkIds.length,
+      aliases: update.aliases ?? null,
+    };
+  }
+
+  /**
+   * Ids of the chunks linked to an entity
+   * (paged; Supabase caps a single select at 1000 rows)
+   * 
+   * @param {string} entityId - Entity id
+   * @returns {Promise<string[]>} Chunk ids
+   * @private
+   */
+  async _chunkIdsForEntity(entityId) {
+    const pageSize = 1000;
+    const chunkIds = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.db
+        .from('rag_chunk_entities')
+        .select('chunk_id')
+        .eq('entity_id', entityId)
+        .order('chunk_id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw new Error(error.message);
+      chunkIds.push(...data.map(row => row.chunk_id));
+      if (data.length < pageSize) break;
+    }
+    return chunkIds;
+  }
+
+  /**
+   * Find the entity that has a name as an alias (from mergeEntities)
+   * 
+   * @param {string} name - Former entity name
+   * @param {string} columns - Columns to select
+   * @returns {Promise<object|null>} Entity or null (also without the aliases column)
+   * @private
+   */
+  async _findEntityByAlias(name, columns = 'id, name, entity_type') {
+    if (!await this._hasColumn('rag_entities', 'aliases')) return null;
+
+    const { data, error } = await this.db
+      .from('rag_entities')
+      .select(columns)
+      .contains('aliases', [name])
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    return data[0] || null;
+  }
+
+  // ==================== HISTORY ====================
+
+  /**
+   * Change history of an entity
+   * 
+   * Lists the changes to the entity and, unless includeRelationships is
+   * false, to its relationships, newest first. Every change carries the
+   * full state after it (before it, for deletes) and what changed from
+   * the previous state, so a bad write can be undone with updateEntities,
+   * addObservations or createRelations.
+   * 
+   * The entity is looked up by its current name, then by any name it had
+   * in the history (renamed, merged or deleted entities), then by alias.
+   * 
+   * @param {string} name - Entity name
+   * @param {object} options - History options
+   * @param {string} options.since - Only changes at or after this time
+   * @param {string} options.until - Only changes at or before this time
+   * @param {boolean} options.includeRelationships - Include relationship changes (default: true)
+   * @param {number} options.limit - Max changes (default: 50)
+   * @returns {object} { entity, id, exists, changes: [{ at, recordType, operation,
+   *   record, changedBy, changes, state }], total }
+   * @throws {Error} If the entity has neither a current record nor history
+   * 
+   * @example
+   * getEntityHistory('Auth Service', { since: '2026-10-01', includeRelationships: false })
+   */
+  async getEntityHistory(name, options = {}) {
+    const { includeRelationships = true, limit = 50 } = options;
+    const since = parseTimestamp(options.since, 'since');
+    const until = parseTimestamp(options.until, 'until');
+
+    if (!await this._hasColumn('rag_history', 'id')) {
+      throw new Error('Entity history needs the rag_history table (run supabase-schema-migration.sql)');
+    }
+
+    const id = await this._historyEntityId(name);
+    const rows = await this._selectAllRows(
+      'rag_history',
+      'id, record_type, record_id, operation, state, changed_by, changed_at',
+      ['changed_at', 'id'],
+      query => query.contains('entity_ids', [id])
+    );
+
+    // Each change is compared with the previous state of the same record
+    const previous = new Map();
+    const changes = [];
+    for (const row of rows) {
+      const before = previous.get(row.record_id) ?? null;
+      previous.set(row.record_id, row.operation === 'delete' ? null : row.state);
+      if (row.record_type === 'relationship' && !includeRelationships) continue;
+
+      changes.push({
+        at: parseTimestamp(row.changed_at),
+        recordType: row.record_type,
+        operation: row.operation,
+        record: row.record_type === 'entity'
+          ? row.state.name
+          : `${row.state.from} -[${row.state.relationType}]-> ${row.state.to}`,
+        changedBy: row.changed_by || {},
+        changes: row.operation === 'update' ? describeChange(before, row.state) : {},
+        state: row.state,
+      });
+    }
+
+    const current = (await this._entitiesById([id], 'id, name')).get(id);
+    const inRange = changes
+      .filter(change => (!since || change.at >= since) && (!until || change.at <= until))
+      .reverse();
+
+    return {
+      entity: current?.name ?? name,
+      id,
+      exists: Boolean(current),
+      changes: inRange.slice(0, limit),
+      total: inRange.length,
+    };
+  }
+
+  /**
+   * Id of the entity a name refers to, current or historical
+   * @private
+   */
+  async _historyEntityId(name) {
+    const { data: current, error } = await this.db
+      .from('rag_entities')
+      .select('id')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (current) return current.id;
+
+    const { data: past, error: historyError } = await this.db
+      .from('rag_history')
+      .select('record_id')
+      .eq('record_type', 'entity')
+      .eq('name', name)
+      .order('changed_at', { ascending: false })
+      .limit(1);
+
+    if (historyError) throw new Error(historyError.message);
+    if (past.length > 0) return past[0].record_id;
+
+    return (await this._findEntityByName(name)).id;
+  }
+
+  /**
+   * Entities and relationships as they were at a point in time
+   * 
+   * Reads the last history row of each record up to `asOf` with
+   * rag_history_as_of; without that function (older schemas) the rows
+   * up to `asOf` are replayed.
+   * 
+   * @param {string} asOf - ISO timestamp
+   * @param {string[]|null} recordIds - Only these entities / relationships (null for all)
+   * @returns {Promise<object>} { entities, relationships } (see replayHistory)
+   * @private
+   */
+  async _historyAsOf(asOf, recordIds = null) {
+    if (!await this._hasColumn('rag_history', 'id')) {
+      throw new Error('asOf queries need the rag_history table (run supabase-schema-migration.sql)');
+    }
+    if (recordIds?.length === 0) {
+      return { entities: new Map(), relationships: new Map() };
+    }
+
+    if (this._historyAsOfAvailable !== false) {
+      const { data, error } = await this.db.rpc('rag_history_as_of', {
+        as_of: asOf,
+        filter_record_ids: recordIds ?? undefined,
+        ...(this.db.namespaces ? { filter_namespaces: this.db.namespaces } : {}),
+      });
+      if (!error) return latestRecords(data || []);
+      if (!UNDEFINED_FUNCTION_CODES.includes(error.code)) {
+        throw new Error(`Failed to read history as of ${asOf}: ${error.message}`);
+      }
+      this._historyAsOfAvailable = false;
+      console.error('ℹ️  asOf queries replay every change - run supabase-schema-migration.sql to add rag_history_as_of:', error.message);
+    }
+
+    const rows = await this._selectAllRows(
+      'rag_history',
+      'id, record_type, record_id, operation, state, changed_at',
+      ['changed_at', 'id'],
+      query => (recordIds ? query.in('record_id', recordIds) : query).lte('changed_at', asOf)
+    );
+    return replayHistory(rows);
+  }
+
+  /**
+   * Ids of the entities with history rows up to `asOf` that match a filter
+   * @private
+   */
+  async _historyEntityIds(asOf, filter) {
+    const { data, error } = await filter(this.db
+      .from('rag_history')
+      .select('record_id')
+      .eq('record_type', 'entity')
+      .lte('changed_at', asOf));
+
+    if (error) throw new Error(error.message);
+    return [...new Set(data.map(row => row.record_id))];
+  }
+
+  /**
+   * openNodes as of a point in time
+   * 
+   * Only the entities that carried one of the names (or, failing that,
+   * had it as an alias) are read from history.
+   * @private
+   */
+  async _openNodesAsOf(names, asOf, options) {
+    const { entities } = await this._historyAsOf(asOf, await this._historyEntityIds(asOf, query => query.in('name', names)));
+    const found = [...entities]
+      .map(([id, record]) => entityRow(id, record))
+      .filter(row => names.includes(row.name));
+
+    const foundNames = new Set(found.map(row => row.name));
+    for (const name of names.filter(name => !foundNames.has(name))) {
+      const aliased = await this._historyAsOf(asOf,
+        await this._historyEntityIds(asOf, query => query.contains('state', { aliases: [name] })));
+      const entity = [...aliased.entities]
+        .map(([id, record]) => entityRow(id, record))
+        .find(row => row.aliases.includes(name));
+      if (entity && !found.some(row => row.id === entity.id)) found.push(entity);
+    }
+
+    if (options.includeObservationDetails) {
+      const records = await this._observationRecords(found.map(row => row.id));
+      for (const entity of found) {
+        const existing = (records.get(entity.id) || []).filter(record => parseTimestamp(record.created_at) <= asOf);
+        entity.observationDetails = observationDetails(entity.observations, existing);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Text entity search as of a point in time (substring of name or type)
+   * @private
+   */
+  async _searchNodesAsOf(query, limit, entityType, asOf) {
+    const { entities } = await this._historyAsOf(asOf);
+    const needle = String(query).toLowerCase();
+
+    return [...entities]
+      .map(([id, record]) => entityRow(id, record))
+      .filter(row => !entityType || row.entity_type === entityType)
+      .filter(row => row.name.toLowerCase().includes(needle) || row.entity_type.toLowerCase().includes(needle))
+      .slice(0, limit);
+  }
+
+  /**
+   * readGraph as of a point in time
+   * @private
+   */
+  async _readGraphAsOf({ entityTypes, relationTypes, namePrefix, cursor, compact, limit }, asOf) {
+    const { entities, relationships } = await this._historyAsOf(asOf);
+    const prefix = namePrefix?.toLowerCase();
+    const after = cursor ? decodeCursor(cursor) : null;
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+    const rows = [...entities]
+      .map(([id, record]) => entityRow(id, record))
+      .filter(row => !entityTypes?.length || entityTypes.includes(row.entity_type))
+      .filter(row => !prefix || row.name.toLowerCase().startsWith(prefix))
+      .filter(row => after === null || row.name > after)
+      .sort(byName);
+
+    const page = rows.slice(0, limit);
+    const pageIds = new Set(page.map(row => row.id));
+    const names = new Map([...entities].map(([id, record]) => [id, { id, name: record.state.name }]));
+    const edges = [...relationships]
+      .map(([id, record]) => relationshipRow(id, record))
+      .filter(edge => pageIds.has(edge.source_entity) && names.has(edge.target_entity))
+      .filter(edge => !relationTypes?.length || relationTypes.includes(edge.relation_type));
+
+    return this._graphPage(page, edges, names, rows.length > limit, compact);
+  }
+
+  /**
+   * History rows with the current state of entities and relationships
+   * 
+   * Read before a delete (the row keeps the deleted state) and after a
+   * create or update. Empty until the rag_history table exists.
+   * 
+   * @param {string} operation - 'create', 'update' or 'delete'
+   * @param {object} ids - { entityIds, relationshipIds }
+   * @returns {Promise<object[]>} historyRow() results
+   * @private
+   */
+  async _historyRows(operation, { entityIds = [], relationshipIds = [] }) {
+    if (entityIds.length + relationshipIds.length === 0 || !await this._hasColumn('rag_history', 'id')) {
+      return [];
+    }
+
+    const entities = await this._entitiesById(entityIds,
+      await this._selectColumns('rag_entities', ['id', 'name', 'entity_type', 'observations', 'metadata']));
+    const relationships = await this._rowsByKey('rag_relationships', 'id', relationshipIds,
+      await this._selectColumns('rag_relationships', ['id', 'source_entity', 'target_entity', 'relation_type', 'confidence', 'metadata']));
+    const names = await this._entitiesById([...relationships.values()].flatMap(row => [row.source_entity, row.target_entity]));
+
+    return [
+      ...[...entities.values()].map(row => historyRow('entity', operation, row.id, entityState(row))),
+      ...[...relationships.values()].map(row =>
+        historyRow('relationship', operation, row.id, relationshipState(row, id => names.get(id)?.name))),
+    ];
+  }
+
+  /**
+   * Append rows to rag_history
+   * 
+   * A failure is logged, not thrown: the change itself is already stored.
+   * 
+   * @param {object[]} rows - _historyRows() / historyRow() results
+   * @param {object} origin - { session, caller, tool, importedFrom }
+   * @private
+   */
+  async _recordHistory(rows, origin = {}) {
+    if (rows.length === 0 || !await this._hasColumn('rag_history', 'id')) return;
+
+    const changedBy = changeAuthor(origin);
+    for (const batch of toBatches(rows, RESTORE_BATCH_SIZE)) {
+      const { error } = await this.db
+        .from('rag_history')
+        .insert(batch.map(row => ({ ...row, changed_by: changedBy, changed_at: this._historyTime() })));
+
+      if (error) {
+        console.error(`⚠️  Change history could not be recorded: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Timestamp for a history row, strictly increasing within the process
+   * so changes made in the same millisecond keep their order
+   * @private
+   */
+  _historyTime() {
+    this.lastHistoryTime = Math.max(Date.now(), this.lastHistoryTime + 1);
+    return new Date(this.lastHistoryTime).toISOString();
+  }
+
+  // ==================== TRASH ====================
+
+  /**
+   * List deleted items that can still be restored, newest first
+   * 
+   * Read-only: expired items are left out here and deleted by purgeTrash
+   * and the writing trash operations.
+   * 
+   * @param {object} options - Listing options
+   * @param {string} options.itemType - Only items of this type (see TRASH_ITEM_TYPES)
+   * @param {number} options.limit - Maximum items returned (default: 50)
+   * @returns {Promise<object>} { items: [{ id, itemType, name, deletedAt, expiresAt, deletedBy, contents }], total, retentionDays }
+   */
+  async listTrash({ itemType, limit = 50 } = {}) {
+    if (itemType && !TRASH_ITEM_TYPES.includes(itemType)) {
+      throw new Error(`Invalid itemType "${itemType}". Use one of: ${TRASH_ITEM_TYPES.join(', ')}`);
+    }
+    if (!await this._hasColumn('rag_trash', 'id')) {
+      return { items: [], total: 0, retentionDays: 0 };
+    }
+    let query = this.db
+      .from('rag_trash')
+      .select('id, item_type, name, payload, deleted_by, deleted_at, expires_at', { count: 'exact' })
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    if (itemType) {
+      query = query.eq('item_type', itemType);
+    }
+    const { data, error, count } = await query
+      .order('deleted_at', { ascending: false })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    return {
+      items: data.map(item => ({
+        id: item.id,
+        itemType: item.item_type,
+        name: item.name,
+        deletedAt: parseTimestamp(item.deleted_at),
+        expiresAt: parseTimestamp(item.expires_at),
+        deletedBy: item.deleted_by || {},
+        contents: trashSummary(item.item_type, item.payload || {}),
+      })),
+      total: count ?? data.length,
+      retentionDays: this.trashRetentionDays,
+    };
+  }
+
+  /**
+   * Restore deleted items from the trash
+   * 
+   * Items are put back with their original ids: an entity with its
+   * relationships, embedding, chunk links and observation records, a
+   * document with its chunks and chunk links, observations onto their
+   * entity. Relationships whose other end is still deleted stay in the
+   * trash as a relationship item; restore it once that entity is back.
+   * 
+   * @param {object} selection - Items to restore
+   * @param {string[]} selection.ids - Trash item ids (from listTrash)
+   * @param {string[]} selection.names - Entity names, relation labels or
+   *   document ids; the most recently deleted item of each name is restored
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {Promise<object>} { restored: [{ id, itemType, name, ... }], notFound, errors }
+   */
+  async restoreFromTrash({ ids = [], names = [] } = {}, origin = {}) {
+    if (!await this._hasColumn('rag_trash', 'id')) {
+      throw new Error('rag_trash not found - run supabase-schema-migration.sql first');
+    }
+    if (ids.length + names.length === 0) {
+      throw new Error('Give the ids or names of the items to restore (see listTrash)');
+    }
+    await this._purgeExpiredTrash();
+
+    const results = { restored: [], notFound: [], errors: [] };
+    const items = new Map();
+
+    const byId = await this._rowsByKey('rag_trash', 'id', ids, '*');
+    for (const id of ids) {
+      if (byId.has(id)) items.set(id, byId.get(id));
+      else results.notFound.push(id);
+    }
+    for (const name of names) {
+      const { data, error } = await this.db
+        .from('rag_trash')
+        .select('*')
+        .eq('name', name)
+        .order('deleted_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw new Error(error.message);
+      if (data.length === 0) results.notFound.push(name);
+      else items.set(data[0].id, data[0]);
+    }
+
+    // Entities and documents first, so relationships and observations find them
+    const order = ['entity', 'document', 'relationship', 'observation'];
+    const sorted = [...items.values()].sort((a, b) => order.indexOf(a.item_type) - order.indexOf(b.item_type));
+
+    for (const item of sorted) {
+      try {
+        const restore = {
+          entity: () => this._restoreTrashedEntity(item, origin),
+          relationship: () => this._restoreTrashedRelationships(item, origin),
+          observation: () => this._restoreTrashedObservations(item, origin),
+          document: () => this._restoreTrashedDocument(item),
+        }[item.item_type];
+        if (!restore) throw new Error(`Unknown trash item type "${item.item_type}"`);
+
+        results.restored.push({ id: item.id, itemType: item.item_type, name: item.name, ...await restore() });
+      } catch (error) {
+        results.errors.push({ id: item.id, name: item.name, error: error.message });
+      }
+    }
+
+    console.error(`♻️  Restored ${results.restored.length} items from the trash`);
+    return results;
+  }
+
+  /**
+   * Permanently delete items from the trash
+   * 
+   * Expired items are always removed.
+   * 
+   * @param {object} options - Purge options
+   * @param {string[]} options.ids - Trash item ids to delete now
+   * @param {boolean} options.all - Empty the whole trash
+   * @returns {Promise<object>} { purged, expired }
+   */
+  async purgeTrash({ ids = [], all = false } = {}) {
+    if (!await this._hasColumn('rag_trash', 'id')) {
+      return { purged: 0, expired: 0 };
+    }
+    const expired = await this._purgeExpiredTrash();
+    let purged = 0;
+
+    if (all) {
+      const { count, error } = await this.db
+        .from('rag_trash')
+        .delete({ count: 'exact' })
+        .not('id', 'is', null);
+      if (error) throw new Error(error.message);
+      purged = count ?? 0;
+    } else {
+      for (const batch of toBatches([...new Set(ids)], TRAVERSAL_ID_BATCH_SIZE)) {
+        const { count, error } = await this.db
+          .from('rag_trash')
+          .delete({ count: 'exact' })
+          .in('id', batch);
+        if (error) throw new Error(error.message);
+        purged += count ?? 0;
+      }
+    }
+
+    console.error(`🗑️  Purged ${purged} trash items (${expired} expired)`);
+    return { purged, expired };
+  }
+
+  /**
+   * Whether deletions go to the trash
+   * @private
+   */
+  async _trashEnabled() {
+    return this.trashRetentionDays > 0 && await this._hasColumn('rag_trash', 'id');
+  }
+
+  /**
+   * Add a trash item inside a delete transaction
+   * 
+   * @param {object} tx - Transaction client
+   * @param {string} itemType - One of TRASH_ITEM_TYPES
+   * @param {string} name - Entity name, relation label or document id
+   * @param {object|null} payload - Deleted rows by table (null: nothing to keep)
+   * @param {object} origin - { session, caller, tool }
+   * @returns {Promise<string|null>} Trash item id, or null when the trash is off
+   * @private
+   */
+  async _moveToTrash(tx, itemType, name, payload, origin = {}) {
+    if (!payload || !await this._trashEnabled()) return null;
+
+    const { data, error } = await tx
+      .from('rag_trash')
+      .insert({
+        item_type: itemType,
+        name,
+        payload,
+        deleted_by: changeAuthor(origin),
+        expires_at: trashExpiry(this.trashRetentionDays),
+      })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(`Could not move ${itemType} "${name}" to the trash: ${error.message}`);
+    return data.id;
+  }
+
+  /**
+   * Everything deleted together with an entity
+   * @private
+   */
+  async _entityTrashPayload(entityId, relationshipIds) {
+    return {
+      rag_entities: trashRows(await this._rowsIn('rag_entities', 'id', [entityId])),
+      rag_relationships: trashRows(await this._rowsIn('rag_relationships', 'id', relationshipIds)),
+      rag_entity_embeddings: trashRows(await this._rowsIn('rag_entity_embeddings', 'entity_id', [entityId])),
+      rag_chunk_entities: trashRows(await this._rowsIn('rag_chunk_entities', 'entity_id', [entityId])),
+      rag_observations: await this._hasColumn('rag_observations', 'id')
+        ? trashRows(await this._rowsIn('rag_observations', 'entity_id', [entityId]))
+        : [],
+    };
+  }
+
+  /**
+   * Everything deleted together with a document
+   * @private
+   */
+  async _documentTrashPayload(documents) {
+    const chunks = await this._rowsIn('rag_chunks', 'document_id', documents.map(doc => doc.id));
+    return {
+      rag_documents: trashRows(documents),
+      rag_chunks: trashRows(chunks),
+      rag_chunk_entities: trashRows(await this._rowsIn('rag_chunk_entities', 'chunk_id', chunks.map(chunk => chunk.id))),
+    };
+  }
+
+  /**
+   * Put back a deleted entity with its relationships, embedding, chunk
+   * links and observation records
+   * @private
+   */
+  async _restoreTrashedEntity(item, origin) {
+    const payload = item.payload || {};
+    const entity = payload.rag_entities?.[0];
+    if (!entity) throw new Error('Trash item holds no entity');
+
+    const { data: taken, error: takenError } = await this.db
+      .from('rag_entities')
+      .select('id')
+      .eq('name', entity.name);
+
+    if (takenError) throw new Error(takenError.message);
+    if (taken.length > 0 || (await this._entitiesById([entity.id], 'id')).has(entity.id)) {
+      throw new Error(`An entity named "${entity.name}" already exists - rename or delete it before restoring`);
+    }
+
+    // Relationships to entities that are still deleted wait in the trash
+    const relationships = payload.rag_relationships || [];
+    const others = relationships.flatMap(row => [row.source_entity, row.target_entity]).filter(id => id !== entity.id);
+    const existing = await this._entitiesById(others, 'id');
+    const linkable = row => [row.source_entity, row.target_entity].every(id => id === entity.id || existing.has(id));
+    const kept = relationships.filter(linkable);
+    const waiting = relationships.filter(row => !linkable(row));
+
+    // Chunk links only for chunks that still exist
+    const links = payload.rag_chunk_entities || [];
+    const chunks = await this._rowsByKey('rag_chunks', 'id', links.map(link => link.chunk_id), 'id');
+    const keptLinks = links.filter(link => chunks.has(link.chunk_id));
+
+    const records = await this._hasColumn('rag_observations', 'id') ? payload.rag_observations || [] : [];
+
+    const waitingId = await this.db.transaction(async (tx) => {
+      await this._insertTrashedRows(tx, 'rag_entities', [entity]);
+      await this._insertTrashedRows(tx, 'rag_entity_embeddings', payload.rag_entity_embeddings || []);
+      await this._insertTrashedRows(tx, 'rag_observations', records);
+      await this._insertTrashedRows(tx, 'rag_relationships', kept);
+      await this._insertTrashedRows(tx, 'rag_chunk_entities', keptLinks);
+      const waitingItem = await this._requeueTrashItem(tx, item, 'relationship', waiting);
+      await this._deleteTrashItem(tx, item.id);
+      return waitingItem;
+    });
+
+    await this._recordHistory(await this._historyRows('create', {
+      entityIds: [entity.id],
+      relationshipIds: kept.map(row => row.id),
+    }), origin);
+
+    return {
+      relationships: kept.length,
+      chunkLinks: keptLinks.length,
+      embedding: (payload.rag_entity_embeddings || []).length > 0,
+      ...(waitingId && { relationshipsLeftInTrash: waiting.length, trashId: waitingId }),
+    };
+  }
+
+  /**
+   * Put back deleted relationships (both ends must exist)
+   * @private
+   */
+  async _restoreTrashedRelationships(item, origin) {
+    const rows = item.payload?.rag_relationships || [];
+    const existing = await this._entitiesById(rows.flatMap(row => [row.source_entity, row.target_entity]), 'id');
+    const missing = rows.flatMap(row => [row.source_entity, row.target_entity]).filter(id => !existing.has(id));
+    if (missing.length > 0) {
+      throw new Error('An entity of this relationship is still deleted - restore it first');
+    }
+
+    await this.db.transaction(async (tx) => {
+      await this._insertTrashedRows(tx, 'rag_relationships', rows);
+      await this._deleteTrashItem(tx, item.id);
+    });
+
+    await this._recordHistory(await this._historyRows('create', { relationshipIds: rows.map(row => row.id) }), origin);
+    return { relationships: rows.length };
+  }
+
+  /**
+   * Append deleted observations back onto their entity
+   * @private
+   */
+  async _restoreTrashedObservations(item, origin) {
+    const payload = item.payload || {};
+    const { data: entity, error: findError } = await this.db
+      .from('rag_entities')
+      .select('id, name, entity_type, observations')
+      .eq('id', payload.entity?.id)
+      .maybeSingle();
+
+    if (findError) throw new Error(findError.message);
+    if (!entity) {
+      throw new Error(`Entity "${payload.entity?.name}" is deleted - restore it first`);
+    }
+
+    const observations = [...(entity.observations || []), ...(payload.observations || [])];
+    const records = await this._hasColumn('rag_observations', 'id') ? payload.rag_observations || [] : [];
+    const staleMarker = await this._staleEmbeddingMarker();
+
+    await this.db.transaction(async (tx) => {
+      const { error } = await tx
+        .from('rag_entities')
+        .update({ observations, ...staleMarker })
+        .eq('id', entity.id);
+
+      if (error) throw new Error(error.message);
+      await this._insertTrashedRows(tx, 'rag_observations', records);
+      await this._deleteTrashItem(tx, item.id);
+    });
+
+    await this._recordHistory(await this._historyRows('update', { entityIds: [entity.id] }), origin);
+    await this._syncEntityEmbeddings([{ ...entity, observations }]);
+    return { entity: entity.name, observations: (payload.observations || []).length };
+  }
+
+  /**
+   * Put back a deleted document with its chunks and chunk links
+   * @private
+   */
+  async _restoreTrashedDocument(item) {
+    const payload = item.payload || {};
+    const document = payload.rag_documents?.[0];
+    if (!document) throw new Error('Trash item holds no document');
+    await this._checkDocumentNamespace(document.id);
+
+    const { data: taken, error: takenError } = await this.db
+      .from('rag_documents')
+      .select('id')
+      .eq('id', document.id);
+
+    if (takenError) throw new Error(takenError.message);
+    if (taken.length > 0) {
+      throw new Error(`Document "${document.id}" already exists - delete it before restoring`);
+    }
+
+    // Links to entities that are still deleted are dropped
+    const links = payload.rag_chunk_entities || [];
+    const entities = await this._entitiesById(links.map(link => link.entity_id), 'id');
+    const keptLinks = links.filter(link => entities.has(link.entity_id));
+
+    await this.db.transaction(async (tx) => {
+      await this._insertTrashedRows(tx, 'rag_documents', [document]);
+      await this._insertTrashedRows(tx, 'rag_chunks', payload.rag_chunks || []);
+      await this._insertTrashedRows(tx, 'rag_chunk_entities', keptLinks);
+      await this._deleteTrashItem(tx, item.id);
+    });
+
+    return { chunks: (payload.rag_chunks || []).length, chunkLinks: keptLinks.length };
+  }
+
+  /**
+   * Insert trashed rows with their original ids
+   * @private
+   */
+  async _insertTrashedRows(tx, table, rows) {
+    for (const batch of toBatches(rows, RESTORE_BATCH_SIZE)) {
+      const writable = await Promise.all(batch.map(row => this._writableRow(table, row)));
+      const { error } = await tx.from(table).insert(writable);
+      if (error) throw new Error(`Failed to restore ${table}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep part of a restored item in the trash as a new item with the same
+   * expiry and author
+   * 
+   * @returns {Promise<string|null>} New item id (null when nothing is left)
+   * @private
+   */
+  async _requeueTrashItem(tx, item, itemType, rows) {
+    if (rows.length === 0) return null;
+
+    const { data, error } = await tx
+      .from('rag_trash')
+      .insert({
+        item_type: itemType,
+        name: item.name,
+        payload: { rag_relationships: rows },
+        deleted_by: item.deleted_by || {},
+        deleted_at: item.deleted_at,
+        expires_at: item.expires_at,
+      })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data.id;
+  }
+
+  /**
+   * @private
+   */
+  async _deleteTrashItem(tx, id) {
+    const { error } = await tx.from('rag_trash').delete().eq('id', id);
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Delete items past their expiry
+   * 
+   * @returns {Promise<number>} Items deleted
+   * @private
+   */
+  async _purgeExpiredTrash() {
+    const { count, error } = await this.db
+      .from('rag_trash')
+      .delete({ count: 'exact' })
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error(`⚠️  Expired trash items could not be purged: ${error.message}`);
+      return 0;
+    }
+    if (count > 0) {
+      console.error(`🗑️  Purged ${count} expired trash items`);
+    }
+    return count ?? 0;
+  }
+
+  /**
+   * Load every row whose column is in values, in batches
+   * 
+   * @param {string} columns - Columns to select (default: all)
+   * @returns {Promise<object[]>} Rows
+   * @private
+   */
+  async _rowsIn(table, column, values, columns = '*') {
+    const rows = [];
+    for (const batch of toBatches([...new Set(values)], TRAVERSAL_ID_BATCH_SIZE)) {
+      const { data, error } = await this.db.from(table).select(columns).in(column, batch);
+      if (error) throw new Error(error.message);
+      rows.push(...data);
+    }
+    return rows;
+  }
+
+  // ==================== BACKUP & RESTORE ====================
+
+  /**
+   * Create a backup archive of everything the server stores
+   * 
+   * Covers entities, relationships, documents, chunks, entity embeddings
+   * and chunk-entity links (see backup.js for the format). The embedding
+   * cache is not included; it refills on demand.
+   * 
+   * @param {object} options - Backup options
+   * @param {boolean} options.includeVectors - Include chunk and entity embeddings (default: true)
+   * @param {string} options.path - Write the archive to this file (in MEMORY_FILES_DIR) instead of returning it
+   * @returns {object} { counts, includeVectors, path, bytes } or { counts, includeVectors, content }
+   */
+  async backupMemory(options = {}) {
+    const { includeVectors = true, path } = options;
+
+    console.error(`💾 Creating backup${includeVectors ? ' with vectors' : ''}...`);
+
+    const entities = await this._selectAllRows(
+      'rag_entities',
+      await this._selectColumns('rag_entities', ['id', 'name', 'entity_type', 'observations', 'metadata', 'created_at']),
+      ['name']
+    );
+    const entityNames = new Map(entities.map(entity => [entity.id, entity.name]));
+
+    // Tables without a namespace column are read by the ids of the rows
+    // backed up, so a namespace backup never loads other namespaces' rows
+    const entityVectors = new Map();
+    if (includeVectors) {
+      const columns = await this._selectColumns('rag_entity_embeddings', ['entity_id', 'embedding']);
+      for (const row of await this._rowsIn('rag_entity_embeddings', 'entity_id', [...entityNames.keys()], columns)) {
+        if (row.embedding) entityVectors.set(row.entity_id, row);
+      }
+    }
+
+    const relationships = await this._selectAllRows(
+      'rag_relationships',
+      await this._selectColumns('rag_relationships', ['id', 'source_entity', 'target_entity', 'relation_type', 'confidence', 'metadata', 'created_at']),
+      ['id']
+    );
+    const documents = await this._selectAllRows(
+      'rag_documents', await this._selectColumns('rag_documents', ['id', 'content', 'metadata', 'created_at']), ['id']
+    );
+
+    const chunkColumns = ['id', 'document_id', 'chunk_index', 'content', 'created_at', ...(includeVectors ? ['embedding'] : [])];
+    const chunks = await this._selectAllRows(
+      'rag_chunks',
+      await this._selectColumns('rag_chunks', chunkColumns, includeVectors ? [] : VECTOR_TAG_COLUMNS),
+      ['document_id', 'chunk_index', 'id']
+    );
+    const chunkKeys = new Map(chunks.map(chunk => [chunk.id, { documentId: chunk.document_id, chunkIndex: chunk.chunk_index }]));
+
+    const byColumns = (...columns) => (a, b) => {
+      for (const column of columns) {
+        if (a[column] < b[column]) return -1;
+        if (a[column] > b[column]) return 1;
+      }
+      return 0;
+    };
+    const links = (await this._rowsIn('rag_chunk_entities', 'chunk_id', [...chunkKeys.keys()], 'chunk_id, entity_id'))
+      .sort(byColumns('chunk_id', 'entity_id'));
+    const observations = await this._hasColumn('rag_observations', 'id')
+      ? (await this._rowsIn('rag_observations', 'entity_id', [...entityNames.keys()], 'id, entity_id, content, source, confidence, created_at'))
+        .sort(byColumns('entity_id', 'created_at', 'id'))
+      : [];
+
+    const records = [
+      ...entities.map(entity => ({
+        type: 'entity',
+        name: entity.name,
+        entityType: entity.entity_type,
+        observations: entity.observations || [],
+        metadata: entity.metadata || {},
+        ...(entity.aliases?.length && { aliases: entity.aliases }),
+        createdAt: entity.created_at,
+        ...(entityVectors.has(entity.id) && {
+          embedding: {
+            ...this._backupVector(entityVectors.get(entity.id)),
+            text: entityVectors.get(entity.id).embedding_text ?? null,
+          },
+        }),
+      })),
+      ...relationships
+        .filter(rel => entityNames.has(rel.source_entity) && entityNames.has(rel.target_entity))
+        .map(rel => ({
+          type: 'relationship',
+          from: entityNames.get(rel.source_entity),
+          to: entityNames.get(rel.target_entity),
+          relationType: rel.relation_type,
+          confidence: rel.confidence,
+          ...(rel.weight !== undefined && { weight: rel.weight }),
+          ...(rel.provenance && { provenance: rel.provenance }),
+          metadata: rel.metadata || {},
+          createdAt: rel.created_at,
+        })),
+      ...documents.map(doc => ({
+        type: 'document',
+        id: doc.id,
+        content: doc.content,
+        metadata: doc.metadata || {},
+        contentHash: doc.content_hash ?? null,
+        createdAt: doc.created_at,
+      })),
+      ...chunks.map(chunk => ({
+        type: 'chunk',
+        documentId: chunk.document_id,
+        chunkIndex: chunk.chunk_index,
+        content: chunk.content,
+        startPos: chunk.start_pos ?? null,
+        endPos: chunk.end_pos ?? null,
+        metadata: chunk.metadata || {},
+        tokenCount: chunk.token_count ?? null,
+        contentHash: chunk.content_hash ?? null,
+        createdAt: chunk.created_at,
+        ...(chunk.embedding && { embedding: this._backupVector(chunk) }),
+      })),
+      ...links
+        .filter(link => chunkKeys.has(link.chunk_id) && entityNames.has(link.entity_id))
+        .map(link => ({
+          type: 'chunkEntity',
+          ...chunkKeys.get(link.chunk_id),
+          entity: entityNames.get(link.entity_id),
+        })),
+      ...observations
+        .filter(record => entityNames.has(record.entity_id))
+        .map(record => ({
+          type: 'observation',
+          entity: entityNames.get(record.entity_id),
+          content: record.content,
+          source: record.source || {},
+          confidence: record.confidence ?? null,
+          createdAt: record.created_at,
+        })),
+    ];
+
+    const { content, counts } = serializeBackup({
+      createdAt: new Date().toISOString(),
+      includeVectors,
+      embeddingModel: { model: this.embeddingModelId, dimensions: this.embeddingDimensions },
+    }, records);
+
+    console.error(`✅ Backup: ${counts.entity} entities, ${counts.relationship} relationships, ${counts.document} documents, ${counts.chunk} chunks`);
+
+    if (path) {
+      const bytes = await writeBackupFile(await resolveServerPath(path, this.filesDir), content);
+      return { counts, includeVectors, path, bytes };
+    }
+    return { counts, includeVectors, content };
+  }
+
+  /**
+   * Restore a backup archive
+   * 
+   * Existing records are matched by entity name, by relationship source,
+   * target and type, and by document id. `onConflict` decides what happens
+   * to them:
+   * - skip: keep the existing record (default)
+   * - overwrite: replace it with the archived one; a document's chunks
+   *   (and their links) are replaced with the archived chunks
+   * - merge: entities get the union of both observation lists; metadata
+   *   is merged (existing values win); document content and chunks are kept
+   * 
+   * Entities whose observations changed are marked embedding_stale;
+   * archived vectors are restored with their model tags (run reembed if
+   * they belong to another model).
+   * 
+   * @param {object} options - Restore options
+   * @param {string} options.content - Archive text
+   * @param {string} options.path - Archive file in MEMORY_FILES_DIR (instead of content)
+   * @param {string} options.onConflict - 'skip', 'overwrite' or 'merge' (default: 'skip')
+   * @param {boolean} options.dryRun - Only count what would change (default: false)
+   * @param {object} origin - Who is writing: { session, caller, tool } (for the change history)
+   * @returns {object} Per record type: created, updated, skipped, failed
+   */
+  async restoreMemory(options = {}, origin = {}) {
+    const { onConflict = 'skip', dryRun = false } = options;
+
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      throw new Error(`Unknown onConflict: ${onConflict}. Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    const text = options.path ? await readBackupFile(await resolveServerPath(options.path, this.filesDir)) : options.content;
+    if (!text) {
+      throw new Error('Provide the archive as content or path');
+    }
+
+    const { header, records } = parseBackup(text);
+    console.error(`♻️  ${dryRun ? 'Checking' : 'Restoring'} backup from ${header.createdAt} (onConflict: ${onConflict})...`);
+
+    const counter = () => ({ created: 0, updated: 0, skipped: 0, failed: 0 });
+    const results = {
+      dryRun,
+      onConflict,
+      backup: { version: header.version, createdAt: header.createdAt, embeddingModel: header.embeddingModel },
+      entities: { ...counter(), vectors: 0 },
+      relationships: counter(),
+      documents: { ...counter(), chunks: 0 },
+      chunkEntities: counter(),
+      observations: counter(),
+      errors: [],
+    };
+    // Ids of written entities and relationships, for the change history
+    const written = {
+      create: { entityIds: [], relationshipIds: [] },
+      update: { entityIds: [], relationshipIds: [] },
+    };
+    const policy = { onConflict, dryRun, results, written };
+
+    const entityIds = await this._restoreEntities(records.entity, policy);
+    await this._restoreRelationships(records.relationship, entityIds, policy);
+    const chunkIds = await this._restoreDocuments(records.document, records.chunk, policy);
+    await this._restoreChunkLinks(records.chunkEntity, chunkIds, entityIds, policy);
+    await this._restoreObservations(records.observation, entityIds, policy);
+    for (const [operation, ids] of Object.entries(written)) {
+      await this._recordHistory(await this._historyRows(operation, ids), origin);
+    }
+
+    console.error(`✅ ${dryRun ? 'Checked' : 'Restored'}: ${results.entities.created} entities created, ${results.entities.updated} updated, ${results.documents.created + results.documents.updated} documents written`);
+    return results;
+  }
+
+  /**
+   * Restore entity records (and their vectors)
+   * 
+   * @returns {Promise<Map<string, string|null>>} Entity name -> id (null for
+   *   entities that a dry run would create)
+   * @private
+   */
+  async _restoreEntities(records, { onConflict, dryRun, results, written }) {
+    const stats = results.entities;
+    const existing = await this._rowsByKey('rag_entities', 'name', records.map(record => record.name),
+      await this._selectColumns('rag_entities', ['id', 'name', 'entity_type', 'observations', 'metadata']));
+    const ids = new Map([...existing.values()].map(row => [row.name, row.id]));
+    const withVectors = [];
+
+    const created = records.filter(record => !existing.has(record.name));
+    for (const batch of toBatches(created, RESTORE_BATCH_SIZE)) {
+      if (dryRun) {
+        batch.forEach(record => ids.set(record.name, null));
+        stats.created += batch.length;
+        continue;
+      }
+
+      const { data, error } = await this.db
+        .from('rag_entities')
+        .insert(await Promise.all(batch.map(record => this._writableRow('rag_entities', {
+          name: record.name,
+          entity_type: record.entityType || 'CONCEPT',
+          observations: record.observations || [],
+          metadata: record.metadata || {},
+          aliases: record.aliases || [],
+          created_at: record.createdAt || undefined,
+        }))))
+        .select('id, name');
+
+      if (error) {
+        this._restoreFailed(results, stats, batch.length, `Entities: ${error.message}`);
+        continue;
+      }
+      for (const row of data) {
+        ids.set(row.name, row.id);
+        written.create.entityIds.push(row.id);
+      }
+      stats.created += data.length;
+      withVectors.push(...batch.filter(record => record.embedding));
+    }
+
+    for (const record of records) {
+      const current = existing.get(record.name);
+      if (!current) continue;
+
+      let update = null;
+      if (onConflict === 'overwrite') {
+        update = await this._writableRow('rag_entities', {
+          entity_type: record.entityType || current.entity_type,
+          observations: record.observations || [],
+          metadata: record.metadata || {},
+          aliases: record.aliases || [],
+        });
+      } else if (onConflict === 'merge') {
+        const observations = mergeObservations(current.observations, record.observations);
+        const metadata = mergeMetadata(current.metadata, record.metadata);
+        // Aliases are a set of names, so they merge like observations
+        const aliases = mergeObservations(current.aliases, record.aliases);
+        if (observations.length !== (current.observations || []).length
+          || JSON.stringify(metadata) !== JSON.stringify(current.metadata || {})
+          || aliases.length !== (current.aliases || []).length) {
+          update = await this._writableRow('rag_entities', { observations, metadata, aliases });
+        }
+      }
+
+      if (!update) {
+        stats.skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        const { error } = await this.db
+          .from('rag_entities')
+          .update({ ...update, ...await this._staleEmbeddingMarker() })
+          .eq('id', current.id);
+
+        if (error) {
+          this._restoreFailed(results, stats, 1, `Entity ${record.name}: ${error.message}`);
+          continue;
+        }
+        written.update.entityIds.push(current.id);
+      }
+      stats.updated++;
+      if (onConflict === 'overwrite' && record.embedding) withVectors.push(record);
+    }
+
+    // Restored vectors describe exactly the restored text, so they are current
+    const pairs = withVectors
+      .filter(record => record.embedding?.vector)
+      .map(record => ({
+        item: { id: ids.get(record.name), text: record.embedding.text ?? null, tags: this._restoreVectorTags(record.embedding) },
+        embedding: record.embedding.vector,
+      }));
+    for (const batch of toBatches(pairs, RESTORE_BATCH_SIZE)) {
+      try {
+        if (!dryRun) await this._restoreEntityVectors(batch);
+        stats.vectors += batch.length;
+      } catch (error) {
+        this._restoreFailed(results, null, 0, `Entity vectors: ${error.message}`);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Store archived entity vectors with their own model tags
+   * @private
+   */
+  async _restoreEntityVectors(pairs) {
+    const rows = [];
+    for (const { item, embedding } of pairs) {
+      rows.push(await this._writableRow('rag_entity_embeddings', {
+        entity_id: item.id,
+        embedding,
+        embedding_text: item.text,
+        ...item.tags,
+      }));
+    }
+
+    const { error } = await this.db
+      .from('rag_entity_embeddings')
+      .upsert(rows, { onConflict: 'entity_id' });
+    if (error) throw new Error(error.message);
+
+    if (await this._hasColumn('rag_entities', 'embedding_stale')) {
+      const { error: markerError } = await this.db
+        .from('rag_entities')
+        .update({ embedding_stale: false })
+        .in('id', pairs.map(({ item }) => item.id));
+      if (markerError) throw new Error(markerError.message);
+    }
+  }
+
+  /**
+   * Restore relationship records
+   * @private
+   */
+  async _restoreRelationships(records, entityIds, { onConflict, dryRun, results, written }) {
+    const stats = results.relationships;
+
+    // Relationships may point at entities that exist but are not in the archive
+    const unknown = [...new Set(records.flatMap(rel => [rel.from, rel.to]))].filter(name => !entityIds.has(name));
+    for (const row of (await this._rowsByKey('rag_entities', 'name', unknown, 'id, name')).values()) {
+      entityIds.set(row.name, row.id);
+    }
+
+    const sourceIds = [...new Set(records.map(rel => entityIds.get(rel.from)).filter(Boolean))];
+    const existing = new Map();
+    for (const edge of await this._fetchEdges(sourceIds, { direction: 'outgoing', relationTypes: null })) {
+      existing.set(`${edge.source_entity}|${edge.target_entity}|${edge.relation_type}`, edge);
+    }
+
+    const created = [];
+    for (const rel of records) {
+      if (!entityIds.has(rel.from) || !entityIds.has(rel.to)) {
+        this._restoreFailed(results, stats, 1, `Relationship ${rel.from} -[${rel.relationType}]-> ${rel.to}: entity not found`);
+        continue;
+      }
+
+      const source = entityIds.get(rel.from);
+      const target = entityIds.get(rel.to);
+      const current = source && target ? existing.get(`${source}|${target}|${rel.relationType}`) : null;
+      if (!current) {
+        created.push(await this._writableRow('rag_relationships', {
+          source_entity: source,
+          target_entity: target,
+          relation_type: rel.relationType,
+          confidence: rel.confidence ?? 1.0,
+          weight: rel.weight ?? 1.0,
+          provenance: rel.provenance ?? null,
+          metadata: rel.metadata || {},
+          created_at: rel.createdAt || undefined,
+        }));
+        continue;
+      }
+
+      let update = null;
+      if (onConflict === 'overwrite') {
+        update = await this._writableRow('rag_relationships', {
+          confidence: rel.confidence ?? 1.0,
+          weight: rel.weight ?? 1.0,
+          provenance: rel.provenance ?? null,
+          metadata: rel.metadata || {},
+        });
+      } else if (onConflict === 'merge') {
+        const metadata = mergeMetadata(current.metadata, rel.metadata);
+        if (JSON.stringify(metadata) !== JSON.stringify(current.metadata || {})) update = { metadata };
+      }
+
+      if (!update) {
+        stats.skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        const { error } = await this.db.from('rag_relationships').update(update).eq('id', current.id);
+        if (error) {
+          this._restoreFailed(results, stats, 1, `Relationship ${rel.from} -[${rel.relationType}]-> ${rel.to}: ${error.message}`);
+          continue;
+        }
+        written.update.relationshipIds.push(current.id);
+      }
+      stats.updated++;
+    }
+
+    for (const batch of toBatches(created, RESTORE_BATCH_SIZE)) {
+      if (!dryRun) {
+        const { data, error } = await this.db.from('rag_relationships').insert(batch).select('id');
+        if (error) {
+          this._restoreFailed(results, stats, batch.length, `Relationships: ${error.message}`);
+          continue;
+        }
+        written.create.relationshipIds.push(...data.map(row => row.id));
+      }
+      stats.created += batch.length;
+    }
+  }
+
+  /**
+   * Restore document records and, for created or overwritten documents, their chunks
+   * 
+   * @returns {Promise<Map<string, string|null>>} "documentId#chunkIndex" -> id of
+   *   restored chunks (null for chunks that a dry run would write)
+   * @private
+   */
+  async _restoreDocuments(documents, chunks, { onConflict, dryRun, results }) {
+    const stats = results.documents;
+    const chunkIds = new Map();
+    const existing = await this._rowsByKey('rag_documents', 'id', documents.map(doc => doc.id), 'id, metadata');
+
+    const chunksByDocument = new Map();
+    for (const chunk of chunks) {
+      if (!chunksByDocument.has(chunk.documentId)) chunksByDocument.set(chunk.documentId, []);
+      chunksByDocument.get(chunk.documentId).push(chunk);
+    }
+
+    for (const doc of documents) {
+      const current = existing.get(doc.id);
+      const docChunks = chunksByDocument.get(doc.id) || [];
+
+      if (!current) {
+        try {
+          await this._checkDocumentNamespace(doc.id);
+        } catch (error) {
+          this._restoreFailed(results, stats, 1, `Document ${doc.id}: ${error.message}`);
+          continue;
+        }
+      }
+
+      if (current && onConflict !== 'overwrite') {
+        const metadata = mergeMetadata(current.metadata, doc.metadata);
+        if (onConflict === 'skip' || JSON.stringify(metadata) === JSON.stringify(current.metadata || {})) {
+          stats.skipped++;
+          continue;
+        }
+        if (!dryRun) {
+          const { error } = await this.db.from('rag_documents').update({ metadata }).eq('id', doc.id);
+          if (error) {
+            this._restoreFailed(results, stats, 1, `Document ${doc.id}: ${error.message}`);
+            continue;
+          }
+        }
+        stats.updated++;
+        continue;
+      }
+
+      if (dryRun) {
+        stats[current ? 'updated' : 'created']++;
+        stats.chunks += docChunks.length;
+        for (const chunk of docChunks) {
+          chunkIds.set(`${doc.id}#${chunk.chunkIndex}`, null);
+        }
+        continue;
+      }
+
+      try {
+        // Document and chunks are replaced together (atomic where the backend supports it)
+        const restored = await this.db.transaction(async (tx) => {
+          const row = await this._writableRow('rag_documents', {
+            id: doc.id,
+            content: doc.content,
+            metadata: doc.metadata || {},
+            content_hash: doc.contentHash ?? undefined,
+            ...(!current && doc.createdAt && { created_at: doc.createdAt }),
+          });
+          const { error: docError } = current
+            ? await tx.from('rag_documents').update(row).eq('id', doc.id)
+            : await tx.from('rag_documents').insert(row);
+          if (docError) throw new Error(docError.message);
+
+          if (current) {
+            const { error: deleteError } = await tx.from('rag_chunks').delete().eq('document_id', doc.id);
+            if (deleteError) throw new Error(deleteError.message);
+          }
+
+          const inserted = [];
+          for (const batch of toBatches(docChunks, RESTORE_BATCH_SIZE)) {
+            const rows = [];
+            for (const chunk of batch) {
+              rows.push(await this._writableRow('rag_chunks', {
+                document_id: doc.id,
+                chunk_index: chunk.chunkIndex,
+                content: chunk.content,
+                start_pos: chunk.startPos ?? undefined,
+                end_pos: chunk.endPos ?? undefined,
+                metadata: chunk.metadata || {},
+                token_count: chunk.tokenCount ?? undefined,
+                content_hash: chunk.contentHash ?? undefined,
+                ...(chunk.embedding?.vector && {
+                  embedding: chunk.embedding.vector,
+                  ...this._restoreVectorTags(chunk.embedding),
+                }),
+                ...(chunk.createdAt && { created_at: chunk.createdAt }),
+              }));
+            }
+            const { data, error } = await tx.from('rag_chunks').insert(rows).select('id, chunk_index');
+            if (error) throw new Error(error.message);
+            inserted.push(...data);
+          }
+          return inserted;
+        });
+
+        for (const chunk of restored) {
+          chunkIds.set(`${doc.id}#${chunk.chunk_index}`, chunk.id);
+        }
+        stats[current ? 'updated' : 'created']++;
+        stats.chunks += restored.length;
+      } catch (error) {
+        this._restoreFailed(results, stats, 1, `Document ${doc.id}: ${error.message}`);
+      }
+    }
+
+    return chunkIds;
+  }
+
+  /**
+   * Restore chunk-entity links of restored chunks
+   * @private
+   */
+  async _restoreChunkLinks(links, chunkIds, entityIds, { dryRun, results }) {
+    const stats = results.chunkEntities;
+    const rows = [];
+
+    for (const link of links) {
+      const chunkKey = `${link.documentId}#${link.chunkIndex}`;
+      // Links belong to chunks this restore wrote; kept chunks keep their links
+      if (!chunkIds.has(chunkKey)) {
+        stats.skipped++;
+      } else if (!entityIds.has(link.entity)) {
+        this._restoreFailed(results, stats, 1, `Chunk link ${chunkKey} -> ${link.entity}: entity not found`);
+      } else if (dryRun) {
+        stats.created++;
+      } else {
+        rows.push({ chunk_id: chunkIds.get(chunkKey), entity_id: entityIds.get(link.entity) });
+      }
+    }
+
+    for (const batch of toBatches(rows, RESTORE_BATCH_SIZE)) {
+      const { error } = await this.db
+        .from('rag_chunk_entities')
+        .upsert(batch, { onConflict: 'chunk_id,entity_id', ignoreDuplicates: true });
+      if (error) {
+        this._restoreFailed(results, stats, batch.length, `Chunk links: ${error.message}`);
+        continue;
+      }
+      stats.created += batch.length;
+    }
+  }
+
+  /**
+   * Restore observation records
+   * 
+   * A record is written only for an observation the entity has after the
+   * entity restore and that has no record yet, so skipped entities keep
+   * their own records and no record points at a missing observation.
+   * @private
+   */
+  async _restoreObservations(records, entityIds, { dryRun, results }) {
+    const stats = results.observations;
+    if (records.length === 0) return;
+    if (!await this._hasColumn('rag_observations', 'id')) {
+      stats.skipped += records.length;
+      return;
+    }
+
+    const ids = [...new Set(records.map(record => entityIds.get(record.entity)).filter(Boolean))];
+    const entities = await this._entitiesById(ids, 'id, observations');
+    const existing = await this._observationRecords(ids);
+
+    // Entity id -> contents without a record (each occurrence once)
+    const untracked = new Map();
+    for (const [id, entity] of entities) {
+      untracked.set(id, observationDetails(entity.observations, existing.get(id) || [])
+        .filter(detail => detail.id === null)
+        .map(detail => detail.content));
+    }
+
+    const rows = [];
+    for (const record of records) {
+      const entityId = entityIds.get(record.entity);
+      if (!entityIds.has(record.entity)) {
+        this._restoreFailed(results, stats, 1, `Observation of ${record.entity}: entity not found`);
+        continue;
+      }
+      if (entityId === null) {
+        // Entity created by this dry run
+        stats.created++;
+        continue;
+      }
+
+      const open = untracked.get(entityId) || [];
+      const index = open.indexOf(record.content);
+      if (index === -1) {
+        stats.skipped++;
+        continue;
+      }
+      open.splice(index, 1);
+      rows.push(await this._writableRow('rag_observations', {
+        entity_id: entityId,
+        content: record.content,
+        source: record.source || {},
+        confidence: record.confidence ?? null,
+        created_at: record.createdAt || undefined,
+      }));
+    }
+
+    for (const batch of toBatches(rows, RESTORE_BATCH_SIZE)) {
+      if (!dryRun) {
+        const { error } = await this.db.from('rag_observations').insert(batch);
+        if (error) {
+          this._restoreFailed(results, stats, batch.length, `Observations: ${error.message}`);
+          continue;
+        }
+      }
+      stats.created += batch.length;
+    }
+  }
+
+  /**
+   * Count a restore failure and keep its message (first 20 only)
+   * @private
+   */
+  _restoreFailed(results, stats, count, message) {
+    if (stats) stats.failed += count;
+    if (results.errors.length < 20) results.errors.push(message);
+    console.error(`⚠️  Restore: ${message}`);
+  }
+
+  /**
+   * Vector fields of a backup record
+   * @private
+   */
+  _backupVector(row) {
+    return {
+      vector: parseVector(row.embedding),
+      model: row.embedding_model ?? null,
+      dimensions: row.embedding_dimensions ?? null,
+    };
+  }
+
+  /**
+   * Model tags of an archived vector (archived vectors keep the model they came from)
+   * @private
+   */
+  _restoreVectorTags(embedding) {
+    return {
+      embedding_model: embedding.model ?? undefined,
+      embedding_dimensions: embedding.dimensions ?? undefined,
+    };
+  }
+
+  /**
+   * Column list for a query: required columns plus the optional columns
+   * (added by later migrations) that exist
+   * 
+   * @param {string} table - Table name
+   * @param {string[]} columns - Required columns
+   * @param {string[]} exclude - Optional columns to leave out
+   * @returns {Promise<string>} Comma-separated columns
+   * @private
+   */
+  async _selectColumns(table, columns, exclude = []) {
+    const selected = [...columns];
+    for (const column of OPTIONAL_COLUMNS[table] || []) {
+      if (!exclude.includes(column) && await this._hasColumn(table, column)) {
+        selected.push(column);
+      }
+    }
+    return selected.join(', ');
+  }
+
+  /**
+   * Drop undefined values and optional columns that do not exist yet
+   * @private
+   */
+  async _writableRow(table, row) {
+    const writable = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (value === undefined) continue;
+      if ((OPTIONAL_COLUMNS[table] || []).includes(column) && !await this._hasColumn(table, column)) continue;
+      writable[column] = value;
+    }
+    return writable;
+  }
+
+  /**
+   * Load rows by a key column in batches
+   * 
+   * @returns {Promise<Map<string, object>>} Key -> row
+   * @private
+   */
+  async _rowsByKey(table, key, values, columns) {
+    const rows = new Map();
+    for (const batch of toBatches([...new Set(values)], TRAVERSAL_ID_BATCH_SIZE)) {
+      const { data, error } = await this.db.from(table).select(columns).in(key, batch);
+      if (error) throw new Error(error.message);
+      for (const row of data) {
+        rows.set(row[key], row);
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Read every row of a table page by page
+   * (Supabase caps a single select at 1000 rows)
+   * 
+   * @param {string} table - Table name
+   * @param {string} columns - Columns to select
+   * @param {string[]} orderBy - Columns giving a stable order
+   * @param {function} filter - (query) => query with filters applied (default: all rows)
+   * @returns {Promise<object[]>} Rows
+   * @private
+   */
+  async _selectAllRows(table, columns, orderBy, filter = query => query) {
+    const pageSize = 1000;
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      let query = filter(this.db.from(table).select(columns));
+      for (const column of orderBy) {
+        query = query.order(column, { ascending: true });
+      }
+      const { data, error } = await query.range(from, from + pageSize - 1);
+
+      if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+      rows.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Import the store of another memory server
+   * 
+   * Entities go through createEntities (new names) or addObservations
+   * (existing names gaining observations; their type is kept), relations
+   * through createRelations and documents through processDocument.
+   * Existing relations and documents are skipped.
+   * 
+   * @param {object} options - Import options
+   * @param {string} options.format - 'mcp-memory' or 'rag-memory-sqlite'
+   *   (default: from the file extension)
+   * @param {string} options.path - Source file in MEMORY_FILES_DIR
+   * @param {string} options.content - memory.jsonl content (mcp-memory, instead of path)
+   * @param {boolean} options.dryRun - Only report what would be created, merged or skipped (default: false)
+   * @param {object} origin - Who is writing: { session, caller, tool }
+   * @returns {object} Per kind: created, merged (entities), skipped, failed
+   */
+  async importMemory(options = {}, origin = {}) {
+    const { path, content, dryRun = false } = options;
+    const format = options.format || detectImportFormat(path) || (content ? 'mcp-memory' : null);
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown import format: ${format}. Use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const source = await readImport(format, { path: path && await resolveServerPath(path, this.filesDir), content });
+    console.error(`📥 ${dryRun ? 'Checking' : 'Importing'} ${format}: ${source.entities.length} entities, ${source.relations.length} relations, ${source.documents.length} documents`);
+
+    const results = {
+      format,
+      dryRun,
+      entities: { created: 0, merged: 0, skipped: 0, failed: 0 },
+      relations: { created: 0, skipped: 0, failed: 0 },
+      documents: { created: 0, skipped: 0, failed: 0 },
+      errors: [],
+    };
+    const fail = (stats, message) => {
+      stats.failed++;
+      if (results.errors.length < 20) results.errors.push(message);
+    };
+
+    // Entities: new names are created, existing ones gain missing observations
+    const existing = await this._rowsByKey('rag_entities', 'name', source.entities.map(e => e.name), 'id, name, observations');
+    const toCreate = [];
+    const toMerge = [];
+    for (const entity of source.entities) {
+      const current = existing.get(entity.name);
+      if (!current) {
+        toCreate.push(entity);
+        continue;
+      }
+      const known = new Set(current.observations || []);
+      const contents = entity.observations.filter(observation => !known.has(observation));
+      if (contents.length > 0) {
+        toMerge.push({ entityName: entity.name, contents });
+      } else {
+        results.entities.skipped++;
+      }
+    }
+
+    if (dryRun) {
+      results.entities.created = toCreate.length;
+      results.entities.merged = toMerge.length;
+    } else {
+      for (const result of await this.createEntities(toCreate, { ...origin, importedFrom: format })) {
+        if (result.success) results.entities.created++;
+        else fail(results.entities, `Entity ${result.entity}: ${result.error}`);
+      }
+      for (const result of await this.addObservations(toMerge, { ...origin, importedFrom: format })) {
+        if (result.success) results.entities.merged++;
+        else fail(results.entities, `Entity ${result.entity}: ${result.error}`);
+      }
+    }
+
+    // Relations: endpoints must exist (or be created above); duplicates are skipped
+    const names = [...new Set(source.relations.flatMap(rel => [rel.from, rel.to]))];
+    const ids = new Map([...(await this._rowsByKey('rag_entities', 'name', names, 'id, name')).values()].map(row => [row.name, row.id]));
+    const pending = new Set(dryRun ? toCreate.map(entity => entity.name) : []);
+    const seen = new Set();
+    for (const edge of await this._fetchEdges([...new Set(ids.values())], { direction: 'outgoing', relationTypes: null })) {
+      seen.add(`${edge.source_entity}|${edge.target_entity}|${edge.relation_type}`);
+    }
+
+    const newRelations = [];
+    for (const rel of source.relations) {
+      const label = `${rel.from} -[${rel.relationType}]-> ${rel.to}`;
+      if (!(ids.has(rel.from) || pending.has(rel.from)) || !(ids.has(rel.to) || pending.has(rel.to))) {
+        fail(results.relations, `Relation ${label}: entity not found`);
+        continue;
+      }
+      const key = `${ids.get(rel.from) ?? rel.from}|${ids.get(rel.to) ?? rel.to}|${rel.relationType}`;
+      if (seen.has(key)) {
+        results.relations.skipped++;
+        continue;
+      }
+      seen.add(key);
+      newRelations.push(rel);
+    }
+
+    if (dryRun) {
+      results.relations.created = newRelations.length;
+    } else {
+      for (const result of await this.createRelations(newRelations, { ...origin, importedFrom: format })) {
+        if (result.success) results.relations.created++;
+        else fail(results.relations, `Relation ${result.relation}: ${result.error}`);
+      }
+    }
+
+    // Documents: processed unless the id exists
+    const existingDocs = await this._rowsByKey('rag_documents', 'id', source.documents.map(doc => doc.id), 'id');
+    for (const doc of source.documents) {
+      if (existingDocs.has(doc.id) || !doc.content) {
+        results.documents.skipped++;
+      } else if (dryRun) {
+        results.documents.created++;
+      } else {
+        const processed = await this.processDocument(doc.id, doc.content, { metadata: doc.metadata });
+        if (processed.success) results.documents.created++;
+        else fail(results.documents, `Document ${doc.id}: ${processed.error}`);
+      }
+    }
+
+    console.error(`✅ ${dryRun ? 'Checked' : 'Imported'}: ${results.entities.created} entities created, ${results.entities.merged} merged, ${results.relations.created} relations, ${results.documents.created} documents`);
+    return results;
+  }
+
+  // ==================== UTILITIES ====================
+
+  /**
+   * Get knowledge graph statistics
+   * 
+   * A namespaced view counts its namespace only; the rag_stats view covers
+   * the whole database.
+   * 
+   * @returns {object} Statistics
+   */
+  async getKnowledgeGraphStats() {
+    let data;
+    if (this.db.namespaces) {
+      data = { namespace: this.db.namespaces.join(', '), ...await this._namespaceStats() };
+    } else {
+      const { data: stats, error } = await this.db
+        .from('rag_stats')
+        .select('*')
+        .single();
+
+      if (error) throw new Error(error.message);
+      data = stats;
+    }
+
+    return {
+      ...data,
+      stale_entity_embedding_count: await this._countStaleEntityEmbeddings(),
+      embedding_model: {
+        provider: this.mode,
+        model: this.embeddingModelId,
+        dimensions: this.embeddingDimensions,
+      },
+      embedding_cache: this.embeddingCache
+        ? await this.embeddingCache.stats()
+        : { enabled: false },
+    };
+  }
+
+  /**
+   * rag_stats counts for the namespaces of the view
+   * @private
+   */
+  async _namespaceStats() {
+    const count = async (table, filter = query => query) => {
+      const { count: rows, error } = await filter(this.db.from(table).select('id', { count: 'exact', head: true }));
+      if (error) throw new Error(error.message);
+      return rows || 0;
+    };
+    const countBy = (rows, column) => rows.reduce((acc, row) => {
+      acc[row[column]] = (acc[row[column]] || 0) + 1;
+      return acc;
+    }, {});
+
+    const entities = await this._selectAllRows('rag_entities', 'id, entity_type', ['id']);
+    const relationships = await this._selectAllRows('rag_relationships', 'id, relation_type', ['id']);
+    const embeddings = await this._rowsByKey('rag_entity_embeddings', 'entity_id', entities.map(entity => entity.id), 'entity_id');
+
+    return {
+      entity_count: entities.length,
+      relationship_count: relationships.length,
+      document_count: await count('rag_documents'),
+      chunk_count: await count('rag_chunks'),
+      embedded_chunk_count: await count('rag_chunks', query => query.not('embedding', 'is', null)),
+      entity_embedding_count: embeddings.size,
+      entity_types: countBy(entities, 'entity_type'),
+      relation_types: countBy(relationships, 'relation_type'),
+    };
+  }
+
+  /**
+   * Count entities whose embedding lags behind their content
+   * 
+   * @returns {Promise<number|null>} Count, or null before the migration
+   * @private
+   */
+  async _countStaleEntityEmbeddings() {
+    if (!await this._hasColumn('rag_entities', 'embedding_stale')) return null;
+
+    const { count, error } = await this.db
+      .from('rag_entities')
+      .select('id', { count: 'exact', head: true })
+      .eq('embedding_stale', true);
+
+    if (error) throw new Error(error.message);
+    return count || 0;
   }
 
   /**
@@ -960,7 +4979,7 @@ export class RAGKnowledgeGraphManager {
     console.error('🔄 Rebuilding FTS index for all documents...');
 
     // Check if FTS column exists
-    const { error: checkError } = await this.supabase
+    const { error: checkError } = await this.db
       .from('rag_documents')
       .select('content_tsv')
       .limit(1);
@@ -970,27 +4989,27 @@ export class RAGKnowledgeGraphManager {
     }
 
     // Update all documents to regenerate tsvector via trigger
-    const { data, error } = await this.supabase.rpc('rebuild_fts_index');
+    const { data, error } = await this.db.rpc('rebuild_fts_index');
 
     if (error) {
       // Fallback: manual update if RPC doesn't exist
       console.error('RPC not found, using direct update...');
       
-      const { count, error: updateError } = await this.supabase
+      const { count, error: updateError } = await this.db
         .from('rag_documents')
-        .update({ content: this.supabase.raw('content') }) // Touch to trigger
+        .update({ content: this.db.raw('content') }) // Touch to trigger
         .select('id', { count: 'exact' });
 
       if (updateError) {
         // Final fallback: raw SQL approach via simple select
-        const { data: docs } = await this.supabase
+        const { data: docs } = await this.db
           .from('rag_documents')
           .select('id, content');
 
         if (docs && docs.length > 0) {
           let updated = 0;
           for (const doc of docs) {
-            const { error: uErr } = await this.supabase
+            const { error: uErr } = await this.db
               .from('rag_documents')
               .update({ content: doc.content })
               .eq('id', doc.id);
@@ -1028,7 +5047,7 @@ export class RAGKnowledgeGraphManager {
   async extractTerms(documentId, options = {}) {
     const { minLength = 3, includeCapitalized = true } = options;
 
-    const { data: doc, error } = await this.supabase
+    const { data: doc, error } = await this.db
       .from('rag_documents')
       .select('content')
       .eq('id', documentId)
@@ -1068,7 +5087,7 @@ export class RAGKnowledgeGraphManager {
   async linkEntitiesToDocument(documentId, entityNames) {
     console.error(`🔗 Linking entities to document: ${documentId}`);
 
-    const { data: doc, error: docError } = await this.supabase
+    const { data: doc, error: docError } = await this.db
       .from('rag_documents')
       .select('id')
       .eq('id', documentId)
@@ -1078,7 +5097,7 @@ export class RAGKnowledgeGraphManager {
       throw new Error(`Document ${documentId} not found`);
     }
 
-    const { data: chunks } = await this.supabase
+    const { data: chunks } = await this.db
       .from('rag_chunks')
       .select('id')
       .eq('document_id', documentId);
@@ -1086,7 +5105,7 @@ export class RAGKnowledgeGraphManager {
     let linkedCount = 0;
 
     for (const entityName of entityNames) {
-      const { data: entity } = await this.supabase
+      const { data: entity } = await this.db
         .from('rag_entities')
         .select('id')
         .eq('name', entityName)
@@ -1099,7 +5118,7 @@ export class RAGKnowledgeGraphManager {
 
       if (chunks && chunks.length > 0) {
         for (const chunk of chunks) {
-          await this.supabase
+          await this.db
             .from('rag_chunk_entities')
             .upsert({
               chunk_id: chunk.id,
@@ -0,0 +1,121 @@
+/**
+ * Namespaces
+ *
+ * Several projects can share one database: entities, relationships,
+ * documents and chunks (plus their history and trash items) carry a
+ * `namespace`, and every tool works in one namespace. Entity names are
+ * unique per namespace; document ids stay unique across the database.
+ * Searches may read several namespaces when asked to explicitly.
+ *
+ * @module namespaces
+ */
+
+export const DEFAULT_NAMESPACE = 'default';
+
+/**
+ * Namespace list meaning "every namespace" (cross-namespace searches)
+ */
+export const ALL_NAMESPACES = '*';
+
+/**
+ * Tables with a namespace column; the other tables hang off these by id
+ */
+export const NAMESPACED_TABLES = [
+  'rag_entities',
+  'rag_relationships',
+  'rag_documents',
+  'rag_chunks',
+  'rag_history',
+  'rag_trash',
+];
+
+const NAMESPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,63}$/;
+
+/**
+ * Validate a namespace name
+ *
+ * @param {string} namespace - Namespace name
+ * @returns {string} The name, trimmed
+ * @throws {Error} If the name is empty or has characters other than
+ *   letters, digits and . _ : / -
+ *
+ * @example
+ * normalizeNamespace(' acme/api ') // 'acme/api'
+ */
+export function normalizeNamespace(namespace) {
+  const name = String(namespace ?? '').trim();
+  if (!NAMESPACE_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid namespace "${namespace}": use 1-64 letters, digits and . _ : / - (starting with a letter or digit)`
+    );
+  }
+  return name;
+}
+
+/**
+ * Read the default namespace from the environment
+ *
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {string} MEMORY_NAMESPACE, or DEFAULT_NAMESPACE when unset
+ */
+export function getDefaultNamespace(env = process.env) {
+  return env.MEMORY_NAMESPACE ? normalizeNamespace(env.MEMORY_NAMESPACE) : DEFAULT_NAMESPACE;
+}
+
+/**
+ * Resolve the namespaces a request reads
+ *
+ * @param {string|string[]} namespaces - A namespace, a list, or '*' (alone) for all
+ * @returns {string[]|null} Validated, de-duplicated names; null for all namespaces
+ *
+ * @example
+ * resolveNamespaces(['api', 'web', 'api']) // ['api', 'web']
+ * resolveNamespaces('*')                   // null
+ */
+export function resolveNamespaces(namespaces) {
+  const list = Array.isArray(namespaces) ? namespaces : [namespaces];
+  if (list.includes(ALL_NAMESPACES)) {
+    if (list.length > 1) {
+      throw new Error(`"${ALL_NAMESPACES}" already covers every namespace; do not list others with it`);
+    }
+    return null;
+  }
+  if (list.length === 0) {
+    throw new Error('Give at least one namespace');
+  }
+  return [...new Set(list.map(normalizeNamespace))];
+}
+
+/**
+ * Tools that may read several namespaces at once (`namespaces` argument)
+ */
+export const CROSS_NAMESPACE_TOOLS = ['searchNodes', 'hybridSearch', 'getDetailedContext'];
+
+/**
+ * Tools that maintain the whole database whatever the namespace
+ * (vectors and the search index are not per project)
+ */
+export const DATABASE_TOOLS = ['reembed', 'rebuildSearchIndex'];
+
+/**
+ * Namespaces a tool call works in
+ *
+ * @param {string} tool - Tool name
+ * @param {object} args - Tool arguments ({ namespace } or { namespaces })
+ * @param {string} defaultNamespace - Namespace of the server (MEMORY_NAMESPACE)
+ * @returns {string|string[]} Namespace, or the list of a cross-namespace search
+ * @throws {Error} If `namespaces` is given to a tool outside CROSS_NAMESPACE_TOOLS,
+ *   or together with `namespace`
+ */
+export function toolNamespaces(tool, args = {}, defaultNamespace = DEFAULT_NAMESPACE) {
+  if (args.namespaces === undefined) {
+    return args.namespace ?? defaultNamespace;
+  }
+  if (!CROSS_NAMESPACE_TOOLS.includes(tool)) {
+    throw new Error(`${tool} works in one namespace; "namespaces" is accepted by ${CROSS_NAMESPACE_TOOLS.join(', ')} only`);
+  }
+  if (args.namespace !== undefined) {
+    throw new Error('Give either namespace or namespaces, not both');
+  }
+  return args.namespaces;
+}
@@ -0,0 +1,80 @@
+/**
+ * Observation Records
+ *
+ * Observations live in two places: `rag_entities.observations` holds the
+ * readable list of contents (embedded, searched and exported), and
+ * `rag_observations` holds one record per observation with its id,
+ * creation time, source and confidence. These helpers build records and
+ * line the two up; observations stored before records existed show up
+ * with a null id.
+ *
+ * @module observations
+ */
+
+/**
+ * Source of an observation as stored in rag_observations.source
+ *
+ * @param {object} input - { documentId, chunkIndex } given with the observation
+ * @param {object} origin - { session, caller, client } of the request
+ * @returns {object} Source without unset fields
+ *
+ * @example
+ * observationSource({ documentId: 'guide', chunkIndex: 2 }, { caller: 'claude-desktop' })
+ * // { documentId: 'guide', chunkIndex: 2, caller: 'claude-desktop' }
+ */
+export function observationSource(input = {}, origin = {}) {
+  const source = {
+    documentId: input.documentId,
+    chunkIndex: input.chunkIndex,
+    session: origin.session,
+    caller: origin.caller,
+    client: origin.client,
+    importedFrom: origin.importedFrom,
+  };
+  return Object.fromEntries(Object.entries(source).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Remove one occurrence of each content from an observation list
+ *
+ * @param {string[]} observations - Current observations
+ * @param {string[]} contents - Contents to remove (repeat a content to remove it twice)
+ * @returns {string[]} Remaining observations
+ */
+export function removeOnce(observations, contents) {
+  const remaining = [...observations];
+  for (const content of contents) {
+    const index = remaining.indexOf(content);
+    if (index !== -1) remaining.splice(index, 1);
+  }
+  return remaining;
+}
+
+/**
+ * Detailed view of an entity's observations
+ *
+ * Follows the order of the readable list; each content is matched with
+ * the oldest unused record of the same content.
+ *
+ * @param {string[]} observations - rag_entities.observations
+ * @param {object[]} records - rag_observations rows of the entity, oldest first
+ * @returns {object[]} [{ id, content, createdAt, source, confidence }]
+ */
+export function observationDetails(observations, records) {
+  const unused = new Map();
+  for (const record of records) {
+    if (!unused.has(record.content)) unused.set(record.content, []);
+    unused.get(record.content).push(record);
+  }
+
+  return (observations || []).map(content => {
+    const record = unused.get(content)?.shift();
+    return {
+      id: record?.id ?? null,
+      content,
+      createdAt: record?.created_at ?? null,
+      source: record?.source ?? null,
+      confidence: record?.confidence ?? null,
+    };
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * Ranking Utilities
+ *
+ * Helpers for combining ranked result lists from different retrievers
+ * (vector similarity, full-text, keyword matching) into a single ranking.
+ *
+ * @module ranking
+ */
+
+/**
+ * Default RRF constant. Larger values flatten the contribution of top ranks.
+ */
+export const DEFAULT_RRF_K = 60;
+
+/**
+ * Fuse several ranked lists with weighted Reciprocal Rank Fusion
+ *
+ * Each list contributes `weight / (k + rank)` to the fused score of every item
+ * it contains (rank is 1-based). Items missing from a list get nothing from it.
+ *
+ * @param {object[]} lists - Ranked lists: [{ name, items, weight }]
+ * @param {function} getKey - Returns the identity key for an item
+ * @param {object} options - Fusion options
+ * @param {number} options.k - RRF constant (default: 60)
+ * @returns {object[]} Fused entries sorted by score: { key, score, ranks, items }
+ *
+ * @example
+ * fuseRankings([
+ *   { name: 'vector', items: vectorHits, weight: 1 },
+ *   { name: 'text', items: textHits, weight: 0.5 },
+ * ], hit => hit.id)
+ */
+export function fuseRankings(lists, getKey, options = {}) {
+  const { k = DEFAULT_RRF_K } = options;
+  const fused = new Map();
+
+  for (const { name, items = [], weight = 1 } of lists) {
+    items.forEach((item, index) => {
+      const key = getKey(item);
+      if (!fused.has(key)) {
+        fused.set(key, { key, score: 0, ranks: {}, items: {} });
+      }
+
+      const entry = fused.get(key);
+      // Keep the best (first) occurrence if a list contains the key twice
+      if (entry.ranks[name] !== undefined) return;
+
+      const rank = index + 1;
+      entry.ranks[name] = rank;
+      entry.items[name] = item;
+      entry.score += weight / (k + rank);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Split a search query into lowercase keywords worth matching on
+ *
+ * @param {string} query - Free-text query
+ * @param {number} maxKeywords - Maximum keywords to keep (default: 5)
+ * @returns {string[]} Keywords with 3+ characters
+ */
+export function extractKeywords(query, maxKeywords = 5) {
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(w => w.length >= 3)
+    .slice(0, maxKeywords);
+}
+
+/**
+ * Fraction of keywords contained in a text (0..1)
+ *
+ * @param {string} text - Text to score
+ * @param {string[]} keywords - Lowercase keywords
+ * @returns {number} Keyword coverage score
+ */
+export function keywordScore(text, keywords) {
+  if (!text || keywords.length === 0) return 0;
+  const lower = text.toLowerCase();
+  const matched = keywords.filter(kw => lower.includes(kw)).length;
+  return matched / keywords.length;
+}
@@ -0,0 +1,98 @@
+/**
+ * Storage Backends
+ *
+ * The manager talks to storage through a backend object exposing the subset
+ * of the supabase-js API it uses:
+ *
+ * - `from(table)` - query builder with select/insert/upsert/update/delete,
+ *   filters (eq, neq, gt, gte, lt, lte, like, ilike, is, in, contains, not,
+ *   or, filter) and modifiers (order, limit, range, single, maybeSingle).
+ *   Awaiting it resolves to `{ data, error, count }`.
+ * - `rpc(name, params)` - stored functions such as match_rag_chunks.
+ * - `transaction(fn)` - runs `fn(backend)` atomically where the backend can.
+ * - `initialize()` / `close()` - lifecycle hooks.
+ * - `name` - backend identifier.
+ *
+ * Available backends:
+ * - supabase: Supabase project (SUPABASE_URL + SUPABASE_SERVICE_KEY)
+ * - postgres: direct PostgreSQL connection (DATABASE_URL)
+ * - memory: in-process tables, optionally persisted to MEMORY_STORE_PATH
+ *
+ * NamespacedStorage wraps any of them to limit queries to namespaces.
+ *
+ * @module storage
+ */
+
+import { SupabaseStorage } from './supabase.js';
+import { PostgresStorage } from './postgres.js';
+import { MemoryStorage } from './memory.js';
+
+export { NamespacedStorage } from './namespaced.js';
+
+export const STORAGE_BACKENDS = ['supabase', 'postgres', 'memory'];
+
+/**
+ * Read storage configuration from environment variables
+ *
+ * STORAGE_BACKEND selects the backend explicitly. When unset, Supabase is
+ * used if SUPABASE_URL is present, then PostgreSQL if DATABASE_URL is
+ * present, otherwise the in-memory backend.
+ *
+ * @param {object} env - Environment (default: process.env)
+ * @returns {object} Storage configuration
+ */
+export function getStorageConfig(env = process.env) {
+  const detected = env.SUPABASE_URL ? 'supabase' : env.DATABASE_URL ? 'postgres' : 'memory';
+  const backend = (env.STORAGE_BACKEND || detected).toLowerCase();
+
+  return {
+    backend,
+    explicit: !!env.STORAGE_BACKEND,
+    supabaseUrl: env.SUPABASE_URL,
+    supabaseKey: env.SUPABASE_SERVICE_KEY,
+    databaseUrl: env.DATABASE_URL,
+    poolSize: env.DATABASE_POOL_SIZE ? parseInt(env.DATABASE_POOL_SIZE, 10) : undefined,
+    autoSetup: env.DATABASE_AUTO_SETUP !== 'false',
+    memoryPath: env.MEMORY_STORE_PATH,
+  };
+}
+
+/**
+ * Validate storage configuration
+ *
+ * @param {object} config - Storage configuration
+ * @throws {Error} If the backend is unknown or misses required settings
+ */
+export function validateStorageConfig(config) {
+  if (!STORAGE_BACKENDS.includes(config.backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${config.backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (config.backend === 'supabase' && (!config.supabaseUrl || !config.supabaseKey)) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables are required for the supabase backend');
+  }
+
+  if (config.backend === 'postgres' && !config.databaseUrl) {
+    throw new Error('DATABASE_URL environment variable is required for the postgres backend');
+  }
+}
+
+/**
+ * Create and initialize a storage backend
+ *
+ * @param {object} config - Storage configuration (see getStorageConfig)
+ * @returns {Promise<object>} Initialized backend
+ */
+export async function createStorage(config) {
+  validateStorageConfig(config);
+
+  const backends = {
+    supabase: SupabaseStorage,
+    postgres: PostgresStorage,
+    memory: MemoryStorage,
+  };
+  const storage = new backends[config.backend](config);
+
+  await storage.initialize();
+  return storage;
+}
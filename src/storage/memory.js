@@ -0,0 +1,798 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Keeps all RAG tables in process memory and evaluates queries in JavaScript,
+ * including vector similarity search. Lets the server run offline without
+ * Supabase credentials. Optionally persists to a JSON file so data survives
+ * restarts (MEMORY_STORE_PATH).
+ *
+ * Intended for laptops, demos and automated tests - every query scans the
+ * table, so large graphs belong in Supabase or PostgreSQL.
+ *
+ * @module storage/memory
+ */
+
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { QueryBuilder, shapeResult, parseColumns } from './query.js';
+import { parseVector, cosineSimilarity } from '../vectors.js';
+import { DEFAULT_NAMESPACE } from '../namespaces.js';
+
+const now = () => new Date().toISOString();
+
+/**
+ * Table definitions mirroring the PostgreSQL schema
+ *
+ * Column spec: { default, required, vector }.
+ * `references` declares ON DELETE CASCADE foreign keys.
+ */
+export const TABLES = {
+  rag_entities: {
+    primaryKey: ['id'],
+    unique: [['namespace', 'name']],
+    columns: {
+      id: { default: randomUUID },
+      namespace: { default: DEFAULT_NAMESPACE },
+      name: { required: true },
+      entity_type: { required: true },
+      observations: { default: () => [] },
+      metadata: { default: () => ({}) },
+      embedding_stale: { default: () => true },
+      aliases: { default: () => [] },
+      created_at: { default: now },
+    },
+  },
+  rag_relationships: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { default: randomUUID },
+      namespace: { default: DEFAULT_NAMESPACE },
+      source_entity: { required: true },
+      target_entity: { required: true },
+      relation_type: { required: true },
+      confidence: { default: 1.0 },
+      weight: { default: 1.0 },
+      provenance: {},
+      metadata: { default: () => ({}) },
+      created_at: { default: now },
+    },
+    references: [
+      { column: 'source_entity', table: 'rag_entities', target: 'id' },
+      { column: 'target_entity', table: 'rag_entities', target: 'id' },
+    ],
+  },
+  rag_documents: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { required: true },
+      namespace: { default: DEFAULT_NAMESPACE },
+      content: { required: true },
+      metadata: { default: () => ({}) },
+      content_hash: {},
+      created_at: { default: now },
+    },
+  },
+  rag_chunks: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { default: randomUUID },
+      namespace: { default: DEFAULT_NAMESPACE },
+      document_id: { required: true },
+      chunk_index: {},
+      content: { required: true },
+      embedding: { vector: true },
+      start_pos: {},
+      end_pos: {},
+      metadata: { default: () => ({}) },
+      token_count: {},
+      content_hash: {},
+      embedding_model: {},
+      embedding_dimensions: {},
+      created_at: { default: now },
+    },
+    references: [
+      { column: 'document_id', table: 'rag_documents', target: 'id' },
+    ],
+  },
+  rag_entity_embeddings: {
+    primaryKey: ['id'],
+    unique: [['entity_id']],
+    columns: {
+      id: { default: randomUUID },
+      entity_id: { required: true },
+      embedding: { vector: true },
+      embedding_text: {},
+      embedding_model: {},
+      embedding_dimensions: {},
+      created_at: { default: now },
+    },
+    references: [
+      { column: 'entity_id', table: 'rag_entities', target: 'id' },
+    ],
+  },
+  rag_chunk_entities: {
+    primaryKey: ['chunk_id', 'entity_id'],
+    unique: [],
+    columns: {
+      chunk_id: { required: true },
+      entity_id: { required: true },
+      created_at: { default: now },
+    },
+    references: [
+      { column: 'chunk_id', table: 'rag_chunks', target: 'id' },
+      { column: 'entity_id', table: 'rag_entities', target: 'id' },
+    ],
+  },
+  rag_observations: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { default: randomUUID },
+      entity_id: { required: true },
+      content: { required: true },
+      source: { default: () => ({}) },
+      confidence: {},
+      created_at: { default: now },
+    },
+    references: [
+      { column: 'entity_id', table: 'rag_entities', target: 'id' },
+    ],
+  },
+  // No references: history outlives the records it describes
+  rag_history: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { default: randomUUID },
+      namespace: { default: DEFAULT_NAMESPACE },
+      record_type: { required: true },
+      record_id: { required: true },
+      entity_ids: { default: () => [] },
+      name: {},
+      operation: { required: true },
+      state: { required: true },
+      changed_by: { default: () => ({}) },
+      changed_at: { default: now },
+    },
+  },
+  // No references: trashed rows are copies in the payload
+  rag_trash: {
+    primaryKey: ['id'],
+    unique: [],
+    columns: {
+      id: { default: randomUUID },
+      namespace: { default: DEFAULT_NAMESPACE },
+      item_type: { required: true },
+      name: {},
+      payload: { required: true },
+      deleted_by: { default: () => ({}) },
+      deleted_at: { default: now },
+      expires_at: {},
+    },
+  },
+  rag_embedding_cache: {
+    primaryKey: ['model', 'dimensions', 'content_hash'],
+    unique: [],
+    columns: {
+      model: { required: true },
+      dimensions: { required: true },
+      content_hash: { required: true },
+      embedding: { vector: true },
+      created_at: { default: now },
+    },
+  },
+};
+
+/**
+ * Read-only views computed from the tables
+ */
+const VIEWS = {
+  rag_stats: (tables) => {
+    const countBy = (rows, column) => rows.reduce((acc, row) => {
+      acc[row[column]] = (acc[row[column]] || 0) + 1;
+      return acc;
+    }, {});
+
+    return [{
+      entity_count: tables.rag_entities.length,
+      relationship_count: tables.rag_relationships.length,
+      document_count: tables.rag_documents.length,
+      chunk_count: tables.rag_chunks.length,
+      embedded_chunk_count: tables.rag_chunks.filter(c => c.embedding).length,
+      entity_embedding_count: tables.rag_entity_embeddings.length,
+      entity_types: countBy(tables.rag_entities, 'entity_type'),
+      relation_types: countBy(tables.rag_relationships, 'relation_type'),
+    }];
+  },
+};
+
+/**
+ * Error carrying a PostgreSQL/PostgREST style code
+ */
+class StorageError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * In-process storage backend with the supabase-js query interface
+ */
+export class MemoryStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.memoryPath - Optional JSON file for persistence
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.persistPath = options.memoryPath ? path.resolve(options.memoryPath) : null;
+    this.tables = Object.fromEntries(Object.keys(TABLES).map(t => [t, []]));
+    this.functions = {
+      match_rag_chunks: params => this._matchChunks(params),
+      match_rag_entities: params => this._matchEntities(params),
+      rag_history_as_of: params => this._historyAsOf(params),
+      // Vectors of any size, like columns of type vector without a size
+      rag_embedding_columns: () => ['rag_chunks', 'rag_entity_embeddings'].map(table_name => ({ table_name, dimensions: null })),
+    };
+  }
+
+  /**
+   * Load persisted data if a store file exists
+   */
+  async initialize() {
+    if (this.persistPath && fs.existsSync(this.persistPath)) {
+      const stored = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+      for (const [table, def] of Object.entries(TABLES)) {
+        // Rows stored before a column existed get its default, like ALTER TABLE ... ADD COLUMN
+        this.tables[table] = (stored.tables?.[table] || []).map(row => withDefaults(row, def));
+      }
+      console.error(`📂 Loaded memory store from ${this.persistPath}`);
+    }
+  }
+
+  /**
+   * Start a query on a table or view
+   *
+   * @param {string} table - Table name
+   * @returns {QueryBuilder} Query builder
+   */
+  from(table) {
+    return new QueryBuilder(table, state => this._execute(state));
+  }
+
+  /**
+   * Call a stored function (vector search)
+   *
+   * @param {string} name - Function name
+   * @param {object} params - Named parameters
+   * @returns {Promise<object>} { data, error }
+   */
+  async rpc(name, params = {}) {
+    const fn = this.functions[name];
+    if (!fn) {
+      return {
+        data: null,
+        error: { code: 'PGRST202', message: `Could not find the function public.${name} in memory storage` },
+      };
+    }
+
+    try {
+      return { data: structuredClone(fn(params)), error: null };
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message } };
+    }
+  }
+
+  /**
+   * Run operations atomically: tables are restored if fn throws
+   *
+   * @param {function} fn - async (storage) => result
+   * @returns {Promise<any>} Result of fn
+   */
+  async transaction(fn) {
+    const snapshot = structuredClone(this.tables);
+    try {
+      return await fn(this);
+    } catch (error) {
+      this.tables = snapshot;
+      this._persist();
+      throw error;
+    }
+  }
+
+  async close() {
+    this._persist();
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * @private
+   */
+  async _execute(state) {
+    try {
+      const result = this._run(state);
+      if (state.action !== 'select') this._persist();
+      return result;
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message }, count: null };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _run(state) {
+    if (VIEWS[state.table]) {
+      if (state.action !== 'select') {
+        throw new StorageError(`cannot modify view "${state.table}"`, '42809');
+      }
+      const rows = VIEWS[state.table](this.tables).filter(row => this._matchesAll(row, state.filters));
+      return { ...shapeResult(this._project(rows, state.columns), state.single), count: rows.length };
+    }
+
+    const def = TABLES[state.table];
+    if (!def) {
+      throw new StorageError(`relation "${state.table}" does not exist`, '42P01');
+    }
+
+    this._validateColumns(state, def);
+
+    switch (state.action) {
+      case 'select': return this._select(state);
+      case 'insert': return this._insert(state, def);
+      case 'upsert': return this._upsert(state, def);
+      case 'update': return this._update(state, def);
+      case 'delete': return this._delete(state);
+      default:
+        throw new StorageError(`Unsupported action: ${state.action}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _select(state) {
+    let rows = this.tables[state.table].filter(row => this._matchesAll(row, state.filters));
+    const count = rows.length;
+
+    rows = this._sort(rows, state.order);
+    if (state.offset) rows = rows.slice(state.offset);
+    if (state.limit !== null) rows = rows.slice(0, state.limit);
+
+    if (state.head) return { data: null, error: null, count };
+    return { ...shapeResult(this._project(rows, state.columns), state.single), count };
+  }
+
+  /**
+   * @private
+   */
+  _insert(state, def) {
+    const table = this.tables[state.table];
+    const inserted = [];
+
+    for (const values of state.values) {
+      const row = this._buildRow(values, def);
+      this._checkUnique(row, def, [...table, ...inserted]);
+      inserted.push(row);
+    }
+
+    table.push(...inserted);
+    return this._returning(state, inserted);
+  }
+
+  /**
+   * @private
+   */
+  _upsert(state, def) {
+    const table = this.tables[state.table];
+    const conflictKeys = state.onConflict
+      ? [state.onConflict.split(',').map(c => c.trim())]
+      : [def.primaryKey, ...def.unique];
+    const written = [];
+
+    for (const values of state.values) {
+      const existing = table.find(row => conflictKeys.some(
+        key => key.every(col => values[col] !== undefined && looseEquals(row[col], values[col]))
+      ));
+
+      if (existing) {
+        if (state.ignoreDuplicates) continue;
+        const updated = { ...existing, ...this._normalize(values, def) };
+        this._checkUnique(updated, def, table.filter(row => row !== existing));
+        Object.assign(existing, updated);
+        written.push(existing);
+      } else {
+        const row = this._buildRow(values, def);
+        this._checkUnique(row, def, table);
+        table.push(row);
+        written.push(row);
+      }
+    }
+
+    return this._returning(state, written);
+  }
+
+  /**
+   * @private
+   */
+  _update(state, def) {
+    const table = this.tables[state.table];
+    const matched = table.filter(row => this._matchesAll(row, state.filters));
+    const values = this._normalize(state.values, def);
+
+    for (const row of matched) {
+      const updated = { ...row, ...values };
+      this._checkUnique(updated, def, table.filter(other => other !== row));
+    }
+    matched.forEach(row => Object.assign(row, structuredClone(values)));
+
+    return { ...this._returning(state, matched), count: matched.length };
+  }
+
+  /**
+   * @private
+   */
+  _delete(state) {
+    const table = this.tables[state.table];
+    const removed = table.filter(row => this._matchesAll(row, state.filters));
+    this._removeRows(state.table, removed);
+
+    return { ...this._returning(state, removed), count: removed.length };
+  }
+
+  /**
+   * Remove rows and cascade to referencing tables
+   * @private
+   */
+  _removeRows(tableName, rows) {
+    if (rows.length === 0) return;
+    const removed = new Set(rows);
+    this.tables[tableName] = this.tables[tableName].filter(row => !removed.has(row));
+
+    for (const [childName, childDef] of Object.entries(TABLES)) {
+      for (const ref of childDef.references || []) {
+        if (ref.table !== tableName) continue;
+        const keys = new Set(rows.map(row => String(row[ref.target])));
+        const orphans = this.tables[childName].filter(child => keys.has(String(child[ref.column])));
+        this._removeRows(childName, orphans);
+      }
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * @private
+   */
+  _returning(state, rows) {
+    if (!state.returning) return { data: null, error: null };
+    return shapeResult(this._project(rows, state.columns), state.single);
+  }
+
+  /**
+   * @private
+   */
+  _buildRow(values, def) {
+    const row = {};
+    for (const [column, spec] of Object.entries(def.columns)) {
+      if (values[column] !== undefined) continue;
+      row[column] = typeof spec.default === 'function' ? spec.default() : (spec.default ?? null);
+    }
+    Object.assign(row, this._normalize(values, def));
+
+    for (const [column, spec] of Object.entries(def.columns)) {
+      if (spec.required && (row[column] === null || row[column] === undefined)) {
+        throw new StorageError(`null value in column "${column}" violates not-null constraint`, '23502');
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Clone input values and convert vector columns to arrays
+   * @private
+   */
+  _normalize(values, def) {
+    const normalized = structuredClone(values);
+    for (const [column, spec] of Object.entries(def.columns)) {
+      if (spec.vector && normalized[column] !== undefined) {
+        normalized[column] = parseVector(normalized[column]);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  _checkUnique(row, def, others) {
+    for (const key of [def.primaryKey, ...def.unique]) {
+      const clash = others.some(other => key.every(col => row[col] !== null && looseEquals(other[col], row[col])));
+      if (clash) {
+        throw new StorageError(
+          `duplicate key value violates unique constraint (${key.join(', ')})`,
+          '23505'
+        );
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateColumns(state, def) {
+    const known = new Set(Object.keys(def.columns));
+    const referenced = [
+      ...(parseColumns(state.columns) || []),
+      ...state.order.map(o => o.column),
+      ...collectFilterColumns(state.filters),
+    ];
+    if (state.action === 'update') referenced.push(...Object.keys(state.values));
+    if (state.action === 'insert' || state.action === 'upsert') {
+      state.values.forEach(values => referenced.push(...Object.keys(values)));
+    }
+
+    const unknown = referenced.find(column => !known.has(column));
+    if (unknown) {
+      throw new StorageError(`column ${state.table}.${unknown} does not exist`, '42703');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _project(rows, columns) {
+    const list = parseColumns(columns);
+    return rows.map(row => {
+      if (!list) return structuredClone(row);
+      return Object.fromEntries(list.map(col => [col, structuredClone(row[col] ?? null)]));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _sort(rows, order) {
+    if (order.length === 0) return [...rows];
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of order) {
+        const cmp = compareValues(a[column], b[column], nullsFirst ?? !ascending);
+        if (cmp !== 0) return ascending ? cmp : -cmp;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _matchesAll(row, filters) {
+    return filters.every(node => matchesFilter(row, node));
+  }
+
+  /**
+   * @private
+   */
+  _persist() {
+    if (!this.persistPath) return;
+    const tmpPath = `${this.persistPath}.tmp`;
+    fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, tables: this.tables }));
+    fs.renameSync(tmpPath, this.persistPath);
+  }
+
+  // ==================== STORED FUNCTIONS ====================
+
+  /**
+   * JS version of match_rag_chunks (supabase-vector-search.sql)
+   * @private
+   */
+  _matchChunks({ query_embedding, match_count = 20, similarity_threshold = 0, filter_namespaces = null, ...modelFilter }) {
+    const query = parseVector(query_embedding);
+    return this.tables.rag_chunks
+      .filter(chunk => chunk.embedding && matchesNamespace(chunk, filter_namespaces) && matchesModel(chunk, query, modelFilter))
+      .map(chunk => ({
+        id: chunk.id,
+        namespace: chunk.namespace,
+        document_id: chunk.document_id,
+        chunk_index: chunk.chunk_index,
+        content: chunk.content,
+        similarity: cosineSimilarity(query, chunk.embedding),
+      }))
+      .filter(hit => hit.similarity >= similarity_threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, match_count);
+  }
+
+  /**
+   * JS version of match_rag_entities (supabase-vector-search.sql)
+   * @private
+   */
+  _matchEntities({ query_embedding, match_count = 10, similarity_threshold = 0.3, filter_entity_type = null, filter_namespaces = null, ...modelFilter }) {
+    const query = parseVector(query_embedding);
+    const entities = new Map(this.tables.rag_entities
+      .filter(e => matchesNamespace(e, filter_namespaces))
+      .map(e => [e.id, e]));
+
+    return this.tables.rag_entity_embeddings
+      .filter(row => row.embedding && entities.has(row.entity_id) && matchesModel(row, query, modelFilter))
+      .map(row => ({ ...entities.get(row.entity_id), similarity: cosineSimilarity(query, row.embedding) }))
+      .filter(hit => !filter_entity_type || hit.entity_type === filter_entity_type)
+      .filter(hit => hit.similarity >= similarity_threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, match_count);
+  }
+
+  /**
+   * JS version of rag_history_as_of (supabase-schema-migration.sql)
+   * @private
+   */
+  _historyAsOf({ as_of, filter_record_ids = null, filter_namespaces = null }) {
+    const rows = this.tables.rag_history
+      .filter(row => compareValues(row.changed_at, as_of) <= 0 && matchesNamespace(row, filter_namespaces))
+      .filter(row => !filter_record_ids || filter_record_ids.includes(row.record_id))
+      .sort((a, b) => compareValues(a.changed_at, b.changed_at) || compareValues(a.id, b.id));
+
+    const latest = new Map();
+    for (const row of rows) {
+      const created = row.operation === 'create' ? row.changed_at : latest.get(row.record_id)?.created_at;
+      latest.set(row.record_id, {
+        record_type: row.record_type,
+        record_id: row.record_id,
+        operation: row.operation,
+        state: row.state,
+        created_at: created ?? row.changed_at,
+        changed_at: row.changed_at,
+      });
+    }
+    return [...latest.values()].filter(row => row.operation !== 'delete');
+  }
+}
+
+/**
+ * Fill the columns a stored row lacks with their defaults
+ * @private
+ */
+function withDefaults(row, def) {
+  const filled = { ...row };
+  for (const [column, spec] of Object.entries(def.columns)) {
+    if (column in filled) continue;
+    filled[column] = typeof spec.default === 'function' ? spec.default() : (spec.default ?? null);
+  }
+  return filled;
+}
+
+// ==================== FILTER EVALUATION ====================
+
+/**
+ * Model filter of the match functions: same model and dimensions as the
+ * query; untagged vectors only when include_untagged is set
+ * @private
+ */
+function matchesModel(row, query, { filter_model = null, filter_dimensions = null, include_untagged = true }) {
+  if (row.embedding.length !== query.length) return false;
+  if (!filter_model) return true;
+  if (row.embedding_model === null || row.embedding_model === undefined) return include_untagged;
+  return row.embedding_model === filter_model &&
+    (filter_dimensions === null || row.embedding_dimensions === filter_dimensions);
+}
+
+/**
+ * Namespace filter of the match functions (null: every namespace)
+ * @private
+ */
+function matchesNamespace(row, namespaces) {
+  return !namespaces || namespaces.includes(row.namespace);
+}
+
+/**
+ * @private
+ */
+function collectFilterColumns(filters) {
+  return filters.flatMap(node => {
+    if (node.or) return collectFilterColumns(node.or);
+    if (node.and) return collectFilterColumns(node.and);
+    return [node.column];
+  });
+}
+
+/**
+ * @private
+ */
+function matchesFilter(row, node) {
+  if (node.or) return node.or.some(child => matchesFilter(row, child));
+  if (node.and) return node.and.every(child => matchesFilter(row, child));
+
+  const result = compareFilter(row[node.column], node.op, node.value);
+  return node.negate ? !result : result;
+}
+
+/**
+ * @private
+ */
+function compareFilter(actual, op, expected) {
+  switch (op) {
+    case 'eq': return actual !== null && actual !== undefined && looseEquals(actual, expected);
+    case 'neq': return actual !== null && actual !== undefined && !looseEquals(actual, expected);
+    case 'gt': return actual != null && compareValues(actual, expected) > 0;
+    case 'gte': return actual != null && compareValues(actual, expected) >= 0;
+    case 'lt': return actual != null && compareValues(actual, expected) < 0;
+    case 'lte': return actual != null && compareValues(actual, expected) <= 0;
+    case 'in': return expected.some(value => looseEquals(actual, value));
+    case 'is': return expected === null ? actual === null || actual === undefined : actual === expected;
+    case 'like': return actual != null && likeToRegExp(expected, '').test(String(actual));
+    case 'ilike': return actual != null && likeToRegExp(expected, 'i').test(String(actual));
+    case 'cs': return containsValue(actual, expected);
+    default:
+      throw new StorageError(`Filter operator "${op}" is not supported by memory storage`, '42883');
+  }
+}
+
+/**
+ * @private
+ */
+function looseEquals(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+/**
+ * @private
+ */
+function compareValues(a, b, nullsFirst = false) {
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+  if (aNull || bNull) {
+    if (aNull && bNull) return 0;
+    return (aNull ? 1 : -1) * (nullsFirst ? -1 : 1);
+  }
+  if (typeof a === 'number' && typeof b !== 'number') b = Number(b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * @private
+ */
+function likeToRegExp(pattern, flags) {
+  const escape = char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const text = String(pattern);
+  let source = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    // Backslash escapes the next character, as in PostgreSQL
+    if (char === '\\' && i + 1 < text.length) source += escape(text[++i]);
+    else if (char === '%') source += '.*';
+    else if (char === '_') source += '.';
+    else source += escape(char);
+  }
+  return new RegExp(`^${source}$`, `${flags}s`);
+}
+
+/**
+ * Array / JSON containment (the @> operator)
+ * @private
+ */
+function containsValue(actual, expected) {
+  if (actual === null || actual === undefined) return false;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(item => actual.some(a => looseEquals(a, item)));
+  }
+  if (typeof expected === 'object') {
+    return Object.entries(expected).every(([key, value]) =>
+      typeof value === 'object' && value !== null
+        ? containsValue(actual[key], value)
+        : looseEquals(actual[key], value)
+    );
+  }
+  return looseEquals(actual, expected);
+}
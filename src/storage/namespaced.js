@@ -0,0 +1,106 @@
+/**
+ * Namespaced Storage
+ *
+ * Wraps a storage backend so every query on a namespaced table (see
+ * namespaces.js) stays inside the namespaces of the request: selects,
+ * updates and deletes are filtered on `namespace`, inserts and upserts
+ * write it. Other tables are reached by the ids of namespaced rows and
+ * pass through unchanged, as do stored functions (the manager passes
+ * `filter_namespaces` to the match functions itself).
+ *
+ * Writes need exactly one namespace; a wrapper over several namespaces
+ * (cross-namespace search) is read-only.
+ *
+ * @module storage/namespaced
+ */
+
+import { NAMESPACED_TABLES } from '../namespaces.js';
+
+/**
+ * Storage backend view limited to namespaces
+ */
+export class NamespacedStorage {
+  /**
+   * @param {object} storage - Backend to wrap
+   * @param {string[]|null} namespaces - Namespaces to read (the first is written); null for all
+   */
+  constructor(storage, namespaces) {
+    this.storage = storage;
+    this.namespaces = namespaces;
+    this.name = storage.name;
+  }
+
+  async initialize() {}
+
+  /**
+   * Start a query on a table or view
+   *
+   * @param {string} table - Table name
+   * @returns {object} Query builder (limited to the namespaces for namespaced tables)
+   */
+  from(table) {
+    const builder = this.storage.from(table);
+    if (!NAMESPACED_TABLES.includes(table)) return builder;
+
+    const scope = query => {
+      if (this.namespaces === null) return query;
+      return this.namespaces.length === 1
+        ? query.eq('namespace', this.namespaces[0])
+        : query.in('namespace', this.namespaces);
+    };
+    const stamp = values => {
+      const namespace = this._writeNamespace(table);
+      return Array.isArray(values)
+        ? values.map(row => ({ ...row, namespace }))
+        : { ...values, namespace };
+    };
+
+    return {
+      select: (columns, options) => scope(builder.select(columns, options)),
+      insert: (values, options) => builder.insert(stamp(values), options),
+      upsert: (values, options) => builder.upsert(stamp(values), options),
+      update: (values, options) => {
+        this._writeNamespace(table);
+        return scope(builder.update(values, options));
+      },
+      delete: (options) => {
+        this._writeNamespace(table);
+        return scope(builder.delete(options));
+      },
+    };
+  }
+
+  /**
+   * Call a stored function
+   *
+   * @param {string} name - Function name
+   * @param {object} params - Named parameters
+   * @returns {Promise<object>} { data, error }
+   */
+  rpc(name, params = {}) {
+    return this.storage.rpc(name, params);
+  }
+
+  /**
+   * Run operations in a transaction of the wrapped backend, in the same namespaces
+   *
+   * @param {function} fn - async (storage) => result
+   * @returns {Promise<any>} Result of fn
+   */
+  async transaction(fn) {
+    return this.storage.transaction(tx => fn(new NamespacedStorage(tx, this.namespaces)));
+  }
+
+  async close() {}
+
+  /**
+   * The namespace written to
+   * @private
+   */
+  _writeNamespace(table) {
+    if (this.namespaces?.length !== 1) {
+      throw new Error(`Cannot write to ${table} across namespaces - writes need a single namespace`);
+    }
+    return this.namespaces[0];
+  }
+}
@@ -0,0 +1,493 @@
+/**
+ * PostgreSQL Storage Backend
+ *
+ * Connects directly to PostgreSQL (with pgvector) through a DATABASE_URL,
+ * without Supabase/PostgREST. Queries from the shared query builder are
+ * compiled to parameterized SQL, stored functions run server-side (vector
+ * search), and transaction() uses a real BEGIN/COMMIT on one connection.
+ *
+ * On startup the schema, FTS trigger and vector search functions are
+ * applied from the SQL files shipped with the package (all idempotent).
+ *
+ * @module storage/postgres
+ */
+
+import fs from 'node:fs';
+import pg from 'pg';
+
+import { QueryBuilder, shapeResult, parseColumns } from './query.js';
+
+/**
+ * SQL files applied on startup, in order (paths relative to the package root)
+ */
+export const SETUP_SCRIPTS = [
+  'postgres-schema.sql',
+  'supabase-schema-migration.sql',
+  'supabase-fts-setup.sql',
+  'supabase-vector-search.sql',
+];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const COMPARISON_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  cs: '@>',
+};
+
+const TSQUERY_FUNCTIONS = ['websearch_to_tsquery', 'plainto_tsquery', 'phraseto_tsquery', 'to_tsquery'];
+
+/**
+ * Storage backend backed by a PostgreSQL connection pool
+ */
+export class PostgresStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.databaseUrl - PostgreSQL connection string
+   * @param {number} options.poolSize - Maximum pool connections (default: 10)
+   * @param {boolean} options.autoSetup - Apply SETUP_SCRIPTS on initialize (default: true)
+   */
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.options = options;
+    this.pool = new pg.Pool({
+      connectionString: options.databaseUrl,
+      max: options.poolSize || 10,
+    });
+    this.connection = this.pool;
+    this.tableInfo = new Map();
+  }
+
+  /**
+   * Check connectivity and apply the schema
+   */
+  async initialize() {
+    await this.pool.query('SELECT 1');
+
+    if (this.options.autoSetup !== false) {
+      await this.setupSchema();
+    }
+  }
+
+  /**
+   * Apply schema, FTS trigger and vector search SQL files
+   */
+  async setupSchema() {
+    for (const script of SETUP_SCRIPTS) {
+      const sql = fs.readFileSync(new URL(`../../${script}`, import.meta.url), 'utf8');
+      await this.pool.query(sql);
+    }
+    this.tableInfo.clear();
+    console.error(`✅ PostgreSQL schema ready (${SETUP_SCRIPTS.length} setup scripts applied)`);
+  }
+
+  /**
+   * Start a query on a table or view
+   *
+   * @param {string} table - Table name
+   * @returns {QueryBuilder} Query builder
+   */
+  from(table) {
+    return new QueryBuilder(table, state => this._execute(state));
+  }
+
+  /**
+   * Call a PostgreSQL function with named parameters
+   *
+   * @param {string} name - Function name
+   * @param {object} params - Named parameters
+   * @returns {Promise<object>} { data, error }
+   */
+  async rpc(name, params = {}) {
+    try {
+      const entries = Object.entries(params).filter(([, value]) => value !== undefined);
+      const args = entries.map(([key], i) => `${quoteIdent(key)} => $${i + 1}`).join(', ');
+      const values = entries.map(([, value]) => toParam(value));
+
+      const { rows } = await this.connection.query(`SELECT * FROM ${quoteIdent(name)}(${args})`, values);
+      return { data: rows.map(normalizeRow), error: null };
+    } catch (error) {
+      return { data: null, error: toStorageError(error) };
+    }
+  }
+
+  /**
+   * Run operations in a database transaction
+   *
+   * fn receives a storage object bound to the transaction connection.
+   * Nested calls reuse the outer transaction.
+   *
+   * @param {function} fn - async (storage) => result
+   * @returns {Promise<any>} Result of fn
+   */
+  async transaction(fn) {
+    if (this.connection !== this.pool) {
+      return fn(this);
+    }
+
+    const client = await this.pool.connect();
+    const scoped = Object.create(this);
+    scoped.connection = client;
+
+    let broken;
+    try {
+      await client.query('BEGIN');
+      const result = await fn(scoped);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      // A failed ROLLBACK must not hide the error that caused it
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        broken = rollbackError;
+        console.error('⚠️  ROLLBACK failed, discarding the connection:', rollbackError.message);
+      }
+      throw error;
+    } finally {
+      client.release(broken);
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * @private
+   */
+  async _execute(state) {
+    if (state.action === 'upsert' && new Set(state.values.map(suppliedColumnsKey)).size > 1) {
+      return this._executeUpsertGroups(state);
+    }
+    // Every value undefined: nothing to set, so no statement and no rows
+    if (state.action === 'update' && Object.values(state.values).every(value => value === undefined)) {
+      if (!state.returning) return { data: null, error: null, count: 0 };
+      return { ...shapeResult([], state.single), count: 0 };
+    }
+
+    try {
+      const info = await this._getTableInfo(state.table);
+      const compiled = this._compile(state, info);
+      const { rows, rowCount } = await this.connection.query(compiled.text, compiled.values);
+
+      let count = null;
+      if (state.action === 'select' && state.count) {
+        const counted = this._compileCount(state);
+        const { rows: countRows } = await this.connection.query(counted.text, counted.values);
+        count = Number(countRows[0].count);
+      } else if (state.action === 'update' || state.action === 'delete') {
+        count = rowCount;
+      }
+
+      if (state.head) return { data: null, error: null, count };
+      if (state.action !== 'select' && !state.returning) return { data: null, error: null, count };
+      return { ...shapeResult(rows.map(normalizeRow), state.single), count };
+    } catch (error) {
+      return { data: null, error: toStorageError(error), count: null };
+    }
+  }
+
+  /**
+   * Upsert rows with different column sets: one statement per column set,
+   * so a conflict only updates the columns a row supplies (as PostgREST
+   * does) instead of resetting the others to their defaults
+   * @private
+   */
+  async _executeUpsertGroups(state) {
+    const groups = new Map();
+    for (const row of state.values) {
+      const key = suppliedColumnsKey(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    try {
+      const rows = await this.transaction(async tx => {
+        const written = [];
+        for (const values of groups.values()) {
+          const { data, error } = await tx._execute({ ...state, values, single: null });
+          if (error) throw Object.assign(new Error(error.message), { storageError: error });
+          if (data) written.push(...data);
+        }
+        return written;
+      });
+
+      if (!state.returning) return { data: null, error: null, count: null };
+      return { ...shapeResult(rows, state.single), count: null };
+    } catch (error) {
+      return { data: null, error: error.storageError || toStorageError(error), count: null };
+    }
+  }
+
+  /**
+   * Load column types, primary key and unique constraints of a table
+   * @private
+   */
+  async _getTableInfo(table) {
+    if (this.tableInfo.has(table)) return this.tableInfo.get(table);
+
+    const { rows: columns } = await this.pool.query(
+      `SELECT column_name, udt_name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = $1`,
+      [table]
+    );
+    const { rows: constraints } = await this.pool.query(
+      `SELECT c.contype, array_agg(a.attname::text ORDER BY k.ord) AS columns
+       FROM pg_constraint c
+       JOIN LATERAL unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord) ON true
+       JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+       WHERE c.conrelid = to_regclass($1) AND c.contype IN ('p', 'u')
+       GROUP BY c.oid, c.contype
+       ORDER BY c.contype`,
+      [table]
+    );
+
+    const info = {
+      types: Object.fromEntries(columns.map(c => [c.column_name, c.udt_name])),
+      conflictKeys: constraints.map(c => c.columns),
+    };
+    this.tableInfo.set(table, info);
+    return info;
+  }
+
+  // ==================== SQL COMPILATION ====================
+
+  /**
+   * @private
+   */
+  _compile(state, info) {
+    const params = [];
+    const table = quoteIdent(state.table);
+    const returning = state.returning ? ` RETURNING ${compileColumns(state.columns)}` : '';
+
+    switch (state.action) {
+      case 'select': {
+        const where = this._compileWhere(state.filters, params);
+        let text = `SELECT ${compileColumns(state.columns)} FROM ${table}${where}`;
+        text += compileOrder(state.order);
+        if (state.limit !== null) {
+          params.push(state.limit);
+          text += ` LIMIT $${params.length}`;
+        }
+        if (state.offset) {
+          params.push(state.offset);
+          text += ` OFFSET $${params.length}`;
+        }
+        return { text, values: params };
+      }
+
+      case 'insert':
+      case 'upsert': {
+        const rows = state.values;
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row).filter(col => row[col] !== undefined)))];
+        const tuples = rows.map(row => `(${columns.map(col => {
+          if (row[col] === undefined) return 'DEFAULT';
+          params.push(toColumnParam(row[col], info.types[col]));
+          return `$${params.length}`;
+        }).join(', ')})`);
+
+        let text = `INSERT INTO ${table} (${columns.map(quoteIdent).join(', ')}) VALUES ${tuples.join(', ')}`;
+        if (state.action === 'upsert') {
+          text += compileConflict(state, columns, info);
+        }
+        return { text: text + returning, values: params };
+      }
+
+      case 'update': {
+        const sets = Object.entries(state.values)
+          .filter(([, value]) => value !== undefined)
+          .map(([col, value]) => {
+            params.push(toColumnParam(value, info.types[col]));
+            return `${quoteIdent(col)} = $${params.length}`;
+          });
+        // Compile WHERE after SET so parameter numbers stay in order
+        const where = this._compileWhere(state.filters, params);
+        return { text: `UPDATE ${table} SET ${sets.join(', ')}${where}${returning}`, values: params };
+      }
+
+      case 'delete': {
+        const where = this._compileWhere(state.filters, params);
+        return { text: `DELETE FROM ${table}${where}${returning}`, values: params };
+      }
+
+      default:
+        throw new Error(`Unsupported action: ${state.action}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _compileCount(state) {
+    const params = [];
+    const where = this._compileWhere(state.filters, params);
+    return { text: `SELECT COUNT(*) AS count FROM ${quoteIdent(state.table)}${where}`, values: params };
+  }
+
+  /**
+   * @private
+   */
+  _compileWhere(filters, params) {
+    if (filters.length === 0) return '';
+    return ` WHERE ${filters.map(node => compileFilter(node, params)).join(' AND ')}`;
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Columns a row supplies (undefined values are left out), as a grouping key
+ * @private
+ */
+function suppliedColumnsKey(row) {
+  return Object.keys(row).filter(col => row[col] !== undefined).sort().join(',');
+}
+
+/**
+ * @private
+ */
+function quoteIdent(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+/**
+ * @private
+ */
+function compileColumns(columns) {
+  const list = parseColumns(columns);
+  return list ? list.map(quoteIdent).join(', ') : '*';
+}
+
+/**
+ * @private
+ */
+function compileOrder(order) {
+  if (order.length === 0) return '';
+  return ' ORDER BY ' + order.map(({ column, ascending, nullsFirst }) => {
+    let clause = `${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'}`;
+    if (nullsFirst !== undefined) clause += nullsFirst ? ' NULLS FIRST' : ' NULLS LAST';
+    return clause;
+  }).join(', ');
+}
+
+/**
+ * ON CONFLICT clause: explicit onConflict, else the primary key or the
+ * first unique constraint fully covered by the inserted columns
+ * @private
+ */
+function compileConflict(state, columns, info) {
+  const target = state.onConflict
+    ? state.onConflict.split(',').map(c => c.trim())
+    : info.conflictKeys.find(key => key.every(col => columns.includes(col)));
+
+  if (!target) return '';
+  const conflict = ` ON CONFLICT (${target.map(quoteIdent).join(', ')})`;
+
+  const updates = columns.filter(col => !target.includes(col));
+  if (state.ignoreDuplicates || updates.length === 0) return `${conflict} DO NOTHING`;
+  return `${conflict} DO UPDATE SET ${updates.map(col => `${quoteIdent(col)} = EXCLUDED.${quoteIdent(col)}`).join(', ')}`;
+}
+
+/**
+ * @private
+ */
+function compileFilter(node, params) {
+  if (node.or) return `(${node.or.map(child => compileFilter(child, params)).join(' OR ')})`;
+  if (node.and) return `(${node.and.map(child => compileFilter(child, params)).join(' AND ')})`;
+
+  const column = quoteIdent(node.column);
+  let clause;
+
+  if (node.op === 'in') {
+    params.push(node.value.map(toParam));
+    clause = `${column} = ANY($${params.length})`;
+  } else if (node.op === 'is') {
+    const keyword = node.value === null ? 'NULL' : node.value ? 'TRUE' : 'FALSE';
+    clause = `${column} IS ${keyword}`;
+  } else if (node.op === '@@') {
+    clause = compileTextSearch(column, node.value, params);
+  } else if (COMPARISON_OPERATORS[node.op]) {
+    const value = node.value;
+    const isJson = node.op === 'cs' && value !== null && typeof value === 'object' && !Array.isArray(value);
+    params.push(isJson ? JSON.stringify(value) : toParam(value));
+    const placeholder = isJson ? `$${params.length}::jsonb` : `$${params.length}`;
+    const target = node.op === 'like' || node.op === 'ilike' ? `${column}::text` : column;
+    clause = `${target} ${COMPARISON_OPERATORS[node.op]} ${placeholder}`;
+  } else {
+    throw new Error(`Filter operator "${node.op}" is not supported by postgres storage`);
+  }
+
+  return node.negate ? `NOT (${clause})` : clause;
+}
+
+/**
+ * Parameterize "websearch_to_tsquery('english', '...')" style filter values
+ * @private
+ */
+function compileTextSearch(column, value, params) {
+  const match = String(value).match(/^(\w+)\(\s*'(\w+)'\s*,\s*'((?:[^']|'')*)'\s*\)$/);
+  if (!match || !TSQUERY_FUNCTIONS.includes(match[1])) {
+    throw new Error(`Unsupported text search expression: ${value}`);
+  }
+
+  params.push(match[2], match[3].replace(/''/g, "'"));
+  return `${column} @@ ${match[1]}($${params.length - 1}::regconfig, $${params.length})`;
+}
+
+/**
+ * @private
+ */
+function toParam(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Serialize values for vector and JSON columns
+ * @private
+ */
+function toColumnParam(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type === 'vector' && typeof value !== 'string') {
+    return JSON.stringify(Array.from(value));
+  }
+  if ((type === 'jsonb' || type === 'json') && typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  return toParam(value);
+}
+
+/**
+ * Match supabase-js output: timestamps as ISO strings
+ * @private
+ */
+function normalizeRow(row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (value instanceof Date) row[key] = value.toISOString();
+  }
+  return row;
+}
+
+/**
+ * @private
+ */
+function toStorageError(error) {
+  return {
+    code: error.code,
+    message: error.message,
+    details: error.detail || null,
+    hint: error.hint || null,
+  };
+}
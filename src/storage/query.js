@@ -0,0 +1,276 @@
+/**
+ * Query Builder
+ *
+ * Backend-neutral implementation of the supabase-js query builder subset used
+ * by the manager. Calls only record the query state; awaiting the builder
+ * hands the state to the backend executor, which resolves to
+ * `{ data, error, count }` and never rejects for database errors.
+ *
+ * @module storage/query
+ */
+
+/**
+ * Chainable, awaitable query over a single table
+ */
+export class QueryBuilder {
+  /**
+   * @param {string} table - Table name
+   * @param {function} execute - async (state) => { data, error, count }
+   */
+  constructor(table, execute) {
+    this._execute = execute;
+    this.state = {
+      table,
+      action: 'select',
+      columns: '*',
+      values: null,
+      filters: [],
+      order: [],
+      limit: null,
+      offset: null,
+      returning: false,
+      single: null,
+      count: null,
+      head: false,
+      onConflict: null,
+      ignoreDuplicates: false,
+    };
+  }
+
+  // ==================== ACTIONS ====================
+
+  select(columns = '*', options = {}) {
+    if (this.state.action === 'select') {
+      this.state.columns = columns;
+    } else {
+      // insert/update/upsert/delete followed by select() returns the rows
+      this.state.returning = true;
+      this.state.columns = columns;
+    }
+    if (options.count) this.state.count = options.count;
+    if (options.head) this.state.head = true;
+    return this;
+  }
+
+  insert(values) {
+    this.state.action = 'insert';
+    this.state.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.state.action = 'upsert';
+    this.state.values = Array.isArray(values) ? values : [values];
+    this.state.onConflict = options.onConflict || null;
+    this.state.ignoreDuplicates = !!options.ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.state.action = 'update';
+    this.state.values = values;
+    return this;
+  }
+
+  delete() {
+    this.state.action = 'delete';
+    return this;
+  }
+
+  // ==================== FILTERS ====================
+
+  eq(column, value) { return this._filter(column, 'eq', value); }
+  neq(column, value) { return this._filter(column, 'neq', value); }
+  gt(column, value) { return this._filter(column, 'gt', value); }
+  gte(column, value) { return this._filter(column, 'gte', value); }
+  lt(column, value) { return this._filter(column, 'lt', value); }
+  lte(column, value) { return this._filter(column, 'lte', value); }
+  like(column, pattern) { return this._filter(column, 'like', pattern); }
+  ilike(column, pattern) { return this._filter(column, 'ilike', pattern); }
+  is(column, value) { return this._filter(column, 'is', value); }
+  in(column, values) { return this._filter(column, 'in', values); }
+  contains(column, value) { return this._filter(column, 'cs', value); }
+
+  not(column, operator, value) {
+    this.state.filters.push({ column, op: operator, value: parseFilterValue(operator, value), negate: true });
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.state.filters.push({ column, op: operator, value: parseFilterValue(operator, value) });
+    return this;
+  }
+
+  /**
+   * PostgREST logical filter, e.g. "name.ilike.%react%,entity_type.eq.PERSON"
+   */
+  or(expression) {
+    this.state.filters.push({ or: parseLogicalFilter(expression) });
+    return this;
+  }
+
+  _filter(column, op, value) {
+    this.state.filters.push({ column, op, value });
+    return this;
+  }
+
+  // ==================== MODIFIERS ====================
+
+  order(column, options = {}) {
+    this.state.order.push({
+      column,
+      ascending: options.ascending !== false,
+      nullsFirst: options.nullsFirst,
+    });
+    return this;
+  }
+
+  limit(count) {
+    this.state.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.state.offset = from;
+    this.state.limit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.state.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.state.single = 'maybe';
+    return this;
+  }
+
+  // ==================== EXECUTION ====================
+
+  then(onFulfilled, onRejected) {
+    return this._execute(this.state).then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Apply single()/maybeSingle() semantics to a result row list
+ *
+ * @param {object[]} rows - Result rows
+ * @param {string|null} mode - 'single', 'maybe' or null
+ * @returns {object} { data, error }
+ */
+export function shapeResult(rows, mode) {
+  if (!mode) return { data: rows, error: null };
+
+  if (rows.length > 1 || (mode === 'single' && rows.length === 0)) {
+    return {
+      data: null,
+      error: {
+        code: 'PGRST116',
+        message: `JSON object requested, multiple (or no) rows returned (${rows.length} rows)`,
+      },
+    };
+  }
+  return { data: rows[0] ?? null, error: null };
+}
+
+/**
+ * Split a select list ("id, name") into column names
+ *
+ * @param {string} columns - Select list
+ * @returns {string[]|null} Column names, or null for "*"
+ */
+export function parseColumns(columns) {
+  const list = String(columns || '*')
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean);
+  return list.length === 0 || list.includes('*') ? null : list;
+}
+
+/**
+ * Parse a PostgREST logical filter expression into filter nodes
+ *
+ * Supports "col.op.value" terms, "col.not.op.value" negation and nested
+ * "and(...)"/"or(...)" groups.
+ *
+ * @param {string} expression - Filter expression
+ * @returns {object[]} Filter nodes (combined with OR)
+ */
+export function parseLogicalFilter(expression) {
+  return splitTopLevel(expression).map(term => {
+    const group = term.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      const children = parseLogicalFilter(group[2]);
+      return group[1] === 'or' ? { or: children } : { and: children };
+    }
+
+    const [column, ...rest] = term.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+    const op = rest.shift();
+    const raw = rest.join('.');
+    return { column, op, value: parseFilterValue(op, raw), negate };
+  });
+}
+
+/**
+ * Convert a raw PostgREST filter value to a JS value
+ * @private
+ */
+function parseFilterValue(op, raw) {
+  if (typeof raw !== 'string') return raw;
+
+  if (op === 'in') {
+    return splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote);
+  }
+  if (op === 'is') {
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+  }
+  if (op === 'like' || op === 'ilike') {
+    // PostgREST accepts * as a wildcard alias inside URL filters
+    return raw.replace(/\*/g, '%');
+  }
+  return unquote(raw);
+}
+
+/**
+ * @private
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ * @private
+ */
+function splitTopLevel(expression) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of expression) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts.map(p => p.trim()).filter(Boolean);
+}
@@ -0,0 +1,64 @@
+/**
+ * Supabase Storage Backend
+ *
+ * Talks to PostgreSQL through Supabase (PostgREST). The supabase-js client
+ * already provides the query interface the manager uses, so this backend
+ * only adapts construction and transactions.
+ *
+ * @module storage/supabase
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Storage backend backed by a Supabase project
+ */
+export class SupabaseStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.supabaseUrl - Supabase project URL
+   * @param {string} options.supabaseKey - Supabase service role key
+   */
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.client = createClient(options.supabaseUrl, options.supabaseKey);
+  }
+
+  async initialize() {}
+
+  /**
+   * Start a query on a table or view
+   *
+   * @param {string} table - Table name
+   * @returns {object} supabase-js query builder
+   */
+  from(table) {
+    return this.client.from(table);
+  }
+
+  /**
+   * Call a PostgreSQL function exposed by PostgREST
+   *
+   * @param {string} name - Function name
+   * @param {object} params - Named parameters
+   * @returns {Promise<object>} { data, error }
+   */
+  rpc(name, params = {}) {
+    return this.client.rpc(name, params);
+  }
+
+  /**
+   * Run operations in sequence
+   *
+   * PostgREST executes every request in its own transaction, so operations
+   * are not rolled back if fn throws.
+   *
+   * @param {function} fn - async (storage) => result
+   * @returns {Promise<any>} Result of fn
+   */
+  async transaction(fn) {
+    return fn(this);
+  }
+
+  async close() {}
+}
@@ -0,0 +1,56 @@
+/**
+ * Embedding Tokenizers
+ *
+ * Token counting for the active embedding model, used to size chunks in
+ * tokens and to keep chunks within the model's input limit:
+ * - local: the tokenizer bundled with the transformers.js model
+ *   (inputs beyond the limit are silently truncated by the model)
+ * - openai: cl100k_base, the encoding of OpenAI embedding models
+ *   (inputs beyond the limit are rejected by the API). Used as an
+ *   approximation for other OpenAI-compatible servers.
+ *
+ * EMBEDDING_MAX_TOKENS overrides the model limit.
+ *
+ * Counts include special tokens the model adds (e.g. [CLS]/[SEP]), so a
+ * chunk of `maxTokens` tokens is exactly what the model can see.
+ *
+ * @module tokenizers
+ */
+
+// Fallback when the local tokenizer does not report model_max_length
+const LOCAL_MAX_TOKENS = 512;
+const OPENAI_MAX_TOKENS = 8191;
+
+/**
+ * Create a tokenizer for the active embedding model
+ *
+ * @param {object} embedder - Embedding provider (see embeddings.js)
+ * @returns {Promise<object>} Tokenizer: { name, maxTokens, count(text) }
+ * @throws {Error} If the local model is not loaded
+ */
+export async function createTokenizer(embedder) {
+  if (embedder.provider === 'openai') {
+    const { Tiktoken } = await import('js-tiktoken/lite');
+    const { default: cl100k } = await import('js-tiktoken/ranks/cl100k_base');
+    const encoding = new Tiktoken(cl100k);
+
+    return {
+      name: 'cl100k_base',
+      maxTokens: embedder.maxTokens || OPENAI_MAX_TOKENS,
+      count: (text) => encoding.encode(text).length,
+    };
+  }
+
+  const tokenizer = embedder.pipeline?.tokenizer;
+  if (!tokenizer) {
+    throw new Error('Local embedding model not loaded - tokenizer unavailable');
+  }
+
+  const maxLength = tokenizer.model_max_length;
+  return {
+    name: embedder.model,
+    // Some tokenizer configs report a huge sentinel instead of a real limit
+    maxTokens: embedder.maxTokens || (Number.isFinite(maxLength) && maxLength < 100000 ? maxLength : LOCAL_MAX_TOKENS),
+    count: (text) => tokenizer.encode(text).length,
+  };
+}
@@ -16,6 +16,8 @@ export const TOOL_MODES = {
     'createEntities',      // Create new entities
     'createRelations',     // Link entities together
     'addObservations',     // Add information to entities
+    'updateEntities',      // Rename / retype in place
+    'updateRelations',     // Confidence, weight, provenance, metadata
     'searchNodes',         // Find entities
     'openNodes',           // Get entity details
     
@@ -26,6 +28,11 @@ export const TOOL_MODES = {
     'hybridSearch',        // Search documents
     'getDetailedContext',  // Get rich context with entities
     
+    // Graph Traversal - Explore connections
+    'getNeighbors',        // Direct connections of an entity
+    'getSubgraph',         // k-hop neighborhood
+    'findPaths',           // How is X related to Y
+    
     // Utilities - Basic info
     'getGraph',            // View knowledge graph (renamed from readGraph)
     'getKnowledgeGraphStats', // See statistics
@@ -39,11 +46,29 @@ export const TOOL_MODES = {
     'deleteObservations',  // Remove observations
     'deleteDocuments',     // Remove documents
     
+    // Deduplication
+    'findDuplicateEntities', // Near-duplicate candidates (names + embeddings)
+    'mergeEntities',       // Fold one entity into another
+    
+    // History
+    'getEntityHistory',    // Who changed what, when (undo bad writes)
+    
+    // Trash
+    'listTrash',           // Deleted items that can be restored
+    'restore',             // Bring deleted items back
+    'purgeTrash',          // Delete trashed items permanently
+    
     // Advanced Document Operations
     'storeDocument',       // Store without processing
     'chunkDocument',       // Manual chunking
     'embedChunks',         // Manual embedding
     'embedAllEntities',    // Regenerate all embeddings
+    'reembed',             // Migrate vectors to a new embedding model
+    
+    // Backup & Restore
+    'backupMemory',        // Snapshot everything to a JSON-lines archive
+    'restoreMemory',       // Restore an archive (skip / overwrite / merge)
+    'importMemory',        // Import memory.jsonl / rag-memory-mcp SQLite
     
     // Index & Search Maintenance
     'rebuildSearchIndex',  // Rebuild FTS index
@@ -52,6 +77,7 @@ export const TOOL_MODES = {
     'listDocuments',       // List all documents
     'extractTerms',        // Extract keywords
     'linkEntitiesToDocument', // Manual linking
+    'exportGraph',         // GraphML / DOT / Mermaid / Cypher export
   ],
 
   // FULL MODE - All tools (default)
@@ -7,6 +7,52 @@
  * @module tools
  */
 
+import { CROSS_NAMESPACE_TOOLS, DATABASE_TOOLS } from './namespaces.js';
+import { MAX_TRAVERSAL_DEPTH } from './graph.js';
+
+/**
+ * Relation filters shared by the traversal tools and getDetailedContext
+ */
+const RELATION_FILTERS = {
+  minConfidence: { type: 'number', description: 'Only follow relations with at least this confidence, 0-1' },
+  excludeProvenance: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Skip relations with these provenances, e.g. ["inferred"] to follow stated facts only',
+  },
+};
+
+/**
+ * Point-in-time option shared by openNodes, searchNodes and getGraph
+ */
+const AS_OF = {
+  asOf: {
+    type: 'string',
+    description: 'Answer as of this time (ISO timestamp, e.g. "2026-10-01T12:00:00Z"), from the change history',
+  },
+};
+
+/**
+ * Namespace option of every tool (see namespaces.js)
+ */
+const NAMESPACE = {
+  namespace: {
+    type: 'string',
+    description: 'Project namespace to work in (default: the server\'s MEMORY_NAMESPACE). Example: "acme-api"',
+  },
+};
+
+/**
+ * Cross-namespace option of the search tools
+ */
+const NAMESPACES = {
+  namespaces: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Search these namespaces instead of one, e.g. ["acme-api", "acme-web"], or ["*"] for all. Results carry their namespace',
+  },
+};
+
 /**
  * Get all tool definitions for the MCP server
  * 
@@ -72,6 +118,22 @@ export function getToolDefinitions() {
                   type: 'string',
                   description: 'Relationship type in English. Examples: "BUILT_WITH", "USES", "DEPENDS_ON", "CREATED_BY", "PART_OF"'
                 },
+                confidence: {
+                  type: 'number',
+                  description: 'How sure you are the relation holds, 0-1 (default: 1). Use less than 1 for guesses'
+                },
+                weight: {
+                  type: 'number',
+                  description: 'Strength or importance of the relation, used for ranking (default: 1)'
+                },
+                provenance: {
+                  type: 'string',
+                  description: 'Where the relation comes from. Examples: "stated", "inferred", "document:setup-guide"'
+                },
+                metadata: {
+                  type: 'object',
+                  description: 'Free-form properties. Example: {"since": "2023", "role": "maintainer"}'
+                },
               },
               required: ['from', 'to', 'relationType'],
             },
@@ -101,6 +163,9 @@ export function getToolDefinitions() {
                   items: { type: 'string' },
                   description: 'Array of new observations in English. Examples: ["Released version 18", "Added concurrent features", "Improved performance"]'
                 },
+                documentId: { type: 'string', description: 'Document the observations were taken from (recorded as their source)' },
+                chunkIndex: { type: 'number', description: 'Chunk of that document the observations were taken from' },
+                confidence: { type: 'number', description: 'How sure you are the observations hold, 0-1' },
               },
               required: ['entityName', 'contents'],
             },
@@ -109,21 +174,88 @@ export function getToolDefinitions() {
         required: ['observations'],
       },
     },
+    {
+      name: 'updateRelations',
+      description: 'Change the confidence, weight, provenance or metadata of existing relationships, e.g. when an inferred relation is confirmed. Relationships are identified by from, to and relationType.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          updates: {
+            type: 'array',
+            description: 'Array of relationship updates',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', description: 'Source entity name' },
+                to: { type: 'string', description: 'Target entity name' },
+                relationType: { type: 'string', description: 'Relationship type' },
+                confidence: { type: 'number', description: 'New confidence, 0-1' },
+                weight: { type: 'number', description: 'New weight' },
+                provenance: { type: 'string', description: 'New provenance. Example: "stated"' },
+                metadata: { type: 'object', description: 'Metadata keys to set (merged into existing metadata; null removes a key)' },
+              },
+              required: ['from', 'to', 'relationType'],
+            },
+          },
+        },
+        required: ['updates'],
+      },
+    },
+    {
+      name: 'updateEntities',
+      description: 'Rename entities, change their type or edit their metadata in place. Unlike delete + create, relationships, document links and embeddings are kept. Fails with a conflict when the new name is already taken by another entity.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          updates: {
+            type: 'array',
+            description: 'Array of entity updates',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Current entity name. Example: "Postgres"' },
+                newName: { type: 'string', description: 'New name in English. Example: "PostgreSQL"' },
+                entityType: { type: 'string', description: 'New entity type. Example: "DATABASE"' },
+                metadata: { type: 'object', description: 'Metadata keys to set (merged into existing metadata; null removes a key)' },
+              },
+              required: ['name'],
+            },
+          },
+        },
+        required: ['updates'],
+      },
+    },
     {
       name: 'searchNodes',
-      description: 'Search for entities in the knowledge graph by name or type. Use English keywords for best results. Returns matching entities with their types and observations.',
+      description: 'Search for entities in the knowledge graph by name, type or meaning. Use mode "semantic" for conceptual lookups (e.g. "the auth service owner") and "hybrid" to combine both. Use English for best results. Returns matching entities with their types and observations.',
       inputSchema: {
         type: 'object',
         properties: {
           query: { 
             type: 'string',
-            description: 'Search query in English. Can search by entity name or type. Examples: "React", "PERSON", "database"'
+            description: 'Search query in English. Can search by entity name or type, or describe the entity in semantic mode. Examples: "React", "PERSON", "database", "the auth service owner"'
           },
           limit: { 
             type: 'number', 
             default: 10,
             description: 'Maximum number of entities to return (default: 10)'
           },
+          mode: {
+            type: 'string',
+            enum: ['text', 'semantic', 'hybrid'],
+            default: 'text',
+            description: 'text: match name/type substrings (default). semantic: rank by embedding similarity. hybrid: fuse both rankings'
+          },
+          threshold: {
+            type: 'number',
+            default: 0.3,
+            description: 'Minimum cosine similarity (0-1) for semantic matches (default: 0.3)'
+          },
+          entityType: {
+            type: 'string',
+            description: 'Only return entities of this type. Example: "PERSON"'
+          },
+          ...AS_OF,
         },
         required: ['query'],
       },
@@ -139,20 +271,25 @@ export function getToolDefinitions() {
             items: { type: 'string' },
             description: 'Array of exact entity names to retrieve. Examples: ["React", "Next.js", "TypeScript"]'
           },
+          includeObservationDetails: {
+            type: 'boolean',
+            description: 'Also return observationDetails: id, creation time, source and confidence of every observation (default: false)'
+          },
+          ...AS_OF,
         },
         required: ['names'],
       },
     },
     {
       name: 'deleteEntities',
-      description: 'Delete multiple entities and their associated relationships',
+      description: 'Delete multiple entities and their associated relationships. Deleted entities go to the trash with their relationships, embeddings and chunk links; bring them back with restore (see listTrash)',
       inputSchema: {
         type: 'object',
         properties: {
           entityNames: {
             type: 'array',
             items: { type: 'string' },
-            description: 'Array of exact entity names to permanently delete',
+            description: 'Array of exact entity names to delete',
           },
         },
         required: ['entityNames'],
@@ -160,7 +297,7 @@ export function getToolDefinitions() {
     },
     {
       name: 'deleteRelations',
-      description: 'Delete specific relationships from the knowledge graph',
+      description: 'Delete specific relationships from the knowledge graph (restorable from the trash)',
       inputSchema: {
         type: 'object',
         properties: {
@@ -182,7 +319,7 @@ export function getToolDefinitions() {
     },
     {
       name: 'deleteObservations',
-      description: 'Delete specific observations from entities',
+      description: 'Delete specific observations from entities, by content or by observation id (see openNodes with includeObservationDetails). Removed observations are restorable from the trash',
       inputSchema: {
         type: 'object',
         properties: {
@@ -192,15 +329,92 @@ export function getToolDefinitions() {
               type: 'object',
               properties: {
                 entityName: { type: 'string', description: 'Entity name' },
-                observations: { type: 'array', items: { type: 'string' }, description: 'Observations to remove' },
+                observations: { type: 'array', items: { type: 'string' }, description: 'Observations to remove (every occurrence of each content)' },
+                observationIds: { type: 'array', items: { type: 'string' }, description: 'Ids of observations to remove (only that occurrence)' },
               },
-              required: ['entityName', 'observations'],
+              required: ['entityName'],
             },
           },
         },
         required: ['deletions'],
       },
     },
+    {
+      name: 'findDuplicateEntities',
+      description: 'Find entities that are probably the same thing under different names (e.g. "PostgreSQL", "Postgres", "postgres db"), by name similarity and entity embedding similarity. Returns candidate pairs with scores; review them and fold real duplicates together with mergeEntities.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          entityType: { type: 'string', description: 'Only compare entities of this type' },
+          nameThreshold: { type: 'number', description: 'Minimum name similarity 0-1 (default: 0.8)' },
+          similarityThreshold: { type: 'number', description: 'Minimum embedding similarity 0-1 (default: 0.9)' },
+          semantic: { type: 'boolean', description: 'Compare embeddings as well as names (default: true)' },
+          limit: { type: 'number', description: 'Max candidate pairs (default: 20)' },
+        },
+      },
+    },
+    {
+      name: 'mergeEntities',
+      description: 'Fold one entity into another: observations are combined, relationships re-pointed to the kept entity (duplicates removed), chunk links moved, and the merged name kept as an alias so lookups by the old name still work. The source entity is deleted.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sourceName: { type: 'string', description: 'Entity to merge away. Example: "Postgres"' },
+          targetName: { type: 'string', description: 'Entity to keep. Example: "PostgreSQL"' },
+        },
+        required: ['sourceName', 'targetName'],
+      },
+    },
+    {
+      name: 'getEntityHistory',
+      description: 'Show how an entity and its relationships changed over time: every create, update and delete with its time, who made it (session, client, tool), what changed and the full state afterwards (before, for deletes). Works for renamed, merged and deleted entities. Use it to audit how knowledge evolved and to undo bad writes.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Entity name (current or former). Example: "Auth Service"' },
+          since: { type: 'string', description: 'Only changes at or after this time (ISO timestamp)' },
+          until: { type: 'string', description: 'Only changes at or before this time (ISO timestamp)' },
+          includeRelationships: { type: 'boolean', description: 'Include changes to the entity\'s relationships (default: true)' },
+          limit: { type: 'number', description: 'Maximum changes to return, newest first (default: 50)' },
+        },
+        required: ['name'],
+      },
+    },
+
+    // ==================== TRASH TOOLS ====================
+    {
+      name: 'listTrash',
+      description: 'List deleted entities, relationships, observations and documents that can still be restored, newest first, with who deleted them and when they expire. Items are kept for TRASH_RETENTION_DAYS (default 30)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          itemType: { type: 'string', enum: ['entity', 'relationship', 'observation', 'document'], description: 'Only items of this type' },
+          limit: { type: 'number', description: 'Maximum items to return (default: 50)' },
+        },
+      },
+    },
+    {
+      name: 'restore',
+      description: 'Restore deleted items from the trash: an entity comes back with its relationships, embedding, chunk links and observation records, a document with its chunks. Relationships to entities that are still deleted stay in the trash until those are restored',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ids: { type: 'array', items: { type: 'string' }, description: 'Trash item ids (from listTrash)' },
+          names: { type: 'array', items: { type: 'string' }, description: 'Entity names or document ids; restores the most recently deleted item of each. Example: ["Auth Service"]' },
+        },
+      },
+    },
+    {
+      name: 'purgeTrash',
+      description: 'Permanently delete items from the trash. Expired items are always removed',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ids: { type: 'array', items: { type: 'string' }, description: 'Trash item ids to delete now' },
+          all: { type: 'boolean', description: 'Empty the whole trash (default: false)' },
+        },
+      },
+    },
 
     // ==================== DOCUMENT TOOLS ====================
     {
@@ -217,15 +431,27 @@ export function getToolDefinitions() {
             type: 'string', 
             description: 'Document content in English. Can be markdown, code examples, documentation, or any text knowledge'
           },
+          strategy: {
+            type: 'string',
+            enum: ['fixed', 'sentence', 'markdown', 'code'],
+            default: 'fixed',
+            description: 'Chunking strategy. fixed: raw character windows (default). sentence: whole sentences/paragraphs, never cuts words. markdown: split by headings, keeps heading path as chunk metadata. code: keeps fenced code blocks whole'
+          },
+          sizeUnit: {
+            type: 'string',
+            enum: ['chars', 'tokens'],
+            default: 'chars',
+            description: 'Unit of maxChunkSize and overlap. tokens: counted with the embedding model tokenizer, so chunks are never truncated at embedding time (default: chars)'
+          },
           maxChunkSize: { 
             type: 'number', 
             default: 500, 
-            description: 'Maximum characters per chunk (default: 500). Smaller chunks = more precise search'
+            description: 'Maximum chunk size in sizeUnit (default: 500). Smaller chunks = more precise search. In tokens, must not exceed the model limit (512 local, 8191 openai)'
           },
           overlap: { 
             type: 'number', 
             default: 50, 
-            description: 'Character overlap between chunks (default: 50). Ensures context continuity'
+            description: 'Overlap between chunks in sizeUnit (default: 50). Ensures context continuity'
           },
           metadata: { 
             type: 'object', 
@@ -260,7 +486,7 @@ export function getToolDefinitions() {
     },
     {
       name: 'deleteDocuments',
-      description: 'Delete documents and their chunks',
+      description: 'Delete documents and their chunks (restorable from the trash with their chunks and entity links)',
       inputSchema: {
         type: 'object',
         properties: {
@@ -278,6 +504,18 @@ export function getToolDefinitions() {
         type: 'object',
         properties: {
           documentId: { type: 'string', description: 'Document ID' },
+          strategy: {
+            type: 'string',
+            enum: ['fixed', 'sentence', 'markdown', 'code'],
+            default: 'fixed',
+            description: 'Chunking strategy: fixed, sentence, markdown or code (default: fixed)'
+          },
+          sizeUnit: {
+            type: 'string',
+            enum: ['chars', 'tokens'],
+            default: 'chars',
+            description: 'Unit of maxChunkSize and overlap: chars or embedding model tokens (default: chars)'
+          },
           maxChunkSize: { type: 'number', default: 500 },
           overlap: { type: 'number', default: 50 },
         },
@@ -286,28 +524,58 @@ export function getToolDefinitions() {
     },
     {
       name: 'embedChunks',
-      description: 'Generate embeddings for document chunks',
+      description: 'Generate embeddings for document chunks that do not have one yet',
       inputSchema: {
         type: 'object',
         properties: {
           documentId: { type: 'string', description: 'Document ID' },
+          force: { type: 'boolean', default: false, description: 'Re-embed all chunks, including already embedded ones' },
         },
         required: ['documentId'],
       },
     },
     {
       name: 'embedAllEntities',
-      description: 'Generate embeddings for all entities in the knowledge graph. Use this to enable semantic search on entities or after adding many new entities. No parameters required.',
+      description: 'Generate embeddings for all entities in the knowledge graph. Use this to enable semantic search on entities or after adding many new entities. Entity embeddings are refreshed automatically when observations change; use onlyStale to catch up entities whose refresh was skipped or failed.',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          onlyStale: {
+            type: 'boolean',
+            description: 'Only embed entities whose embedding is older than their name, type or observations (default: false)',
+          },
+        },
+      },
+    },
+    {
+      name: 'reembed',
+      description: 'Migrate stored vectors to the active embedding model (after changing EMBEDDING_PROVIDER, EMBEDDING_MODEL or EMBEDDING_DIMENSIONS). Re-embeds chunks and entities whose vectors were created with another model or size. Searches never mix vectors of different models, so unmigrated vectors are not found until this runs',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          target: {
+            type: 'string',
+            enum: ['chunks', 'entities', 'all'],
+            default: 'all',
+            description: 'Which vectors to migrate (default: all)'
+          },
+          fromModel: {
+            type: 'string',
+            description: 'Only migrate vectors of this model id; "untagged" selects vectors stored before model tracking'
+          },
+          dryRun: {
+            type: 'boolean',
+            default: false,
+            description: 'Only count the vectors that would be re-embedded'
+          },
+        },
       },
     },
 
     // ==================== SEARCH TOOLS ====================
     {
       name: 'hybridSearch',
-      description: 'Search documents using hybrid semantic + text search. Query must be in English for best results. Returns relevant document chunks with similarity scores.',
+      description: 'Search documents using hybrid semantic + text search. Vector similarity over chunk embeddings and full-text/keyword ranking are fused with Reciprocal Rank Fusion. Query must be in English for best results. Returns documents with their best matching chunk and vectorScore, textScore and fused score.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -320,6 +588,26 @@ export function getToolDefinitions() {
             default: 5,
             description: 'Maximum number of results to return (default: 5)'
           },
+          vectorWeight: {
+            type: 'number',
+            default: 1,
+            description: 'Weight of the semantic (vector) ranking in the fused score. 0 disables vector search (default: 1)'
+          },
+          textWeight: {
+            type: 'number',
+            default: 1,
+            description: 'Weight of the full-text/keyword ranking in the fused score. 0 disables text search (default: 1)'
+          },
+          rrfK: {
+            type: 'number',
+            default: 60,
+            description: 'Reciprocal Rank Fusion constant. Higher values flatten the advantage of top ranks (default: 60)'
+          },
+          minSimilarity: {
+            type: 'number',
+            default: 0,
+            description: 'Minimum cosine similarity (0-1) for vector matches (default: 0)'
+          },
         },
         required: ['query'],
       },
@@ -344,16 +632,186 @@ export function getToolDefinitions() {
             default: true,
             description: 'Include related entities from knowledge graph (default: true)'
           },
+          ...RELATION_FILTERS,
         },
         required: ['query'],
       },
     },
     {
       name: 'getGraph',
-      description: 'Get the entire knowledge graph with all entities, relationships, and observations. Use this to retrieve complete overview of stored knowledge. Returns full graph structure for analysis or visualization. No parameters required.',
+      description: 'Read the knowledge graph page by page: entities (ordered by name) and their outgoing relationships as "from -[type]-> to" names. Filter by entity type, relation type or name prefix; pass nextCursor from the previous page to continue. Use compact for a smaller overview without observations. For the area around one entity prefer getSubgraph.',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          entityTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only entities of these types. Example: ["PERSON", "TECHNOLOGY"]',
+          },
+          relationTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only relationships of these types',
+          },
+          namePrefix: { type: 'string', description: 'Only entities whose name starts with this (case-insensitive)' },
+          cursor: { type: 'string', description: 'nextCursor returned by the previous page' },
+          limit: { type: 'number', description: 'Entities per page, 1-1000 (default: 100)' },
+          compact: { type: 'boolean', description: 'Entities as name and type only, relationships as strings (default: false)' },
+          ...AS_OF,
+        },
+      },
+    },
+
+    {
+      name: 'exportGraph',
+      description: 'Export the knowledge graph, or the part matching the filters, as GraphML, Graphviz DOT, Mermaid flowchart or Neo4j Cypher CREATE statements. Observations and metadata are included as properties (except in Mermaid). Returns the rendered text in content.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          format: {
+            type: 'string',
+            enum: ['graphml', 'dot', 'mermaid', 'cypher'],
+            description: 'Export format (default: graphml)',
+          },
+          entityTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only entities of these types',
+          },
+          relationTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only relationships of these types',
+          },
+          namePrefix: { type: 'string', description: 'Only entities whose name starts with this (case-insensitive)' },
+        },
+      },
+    },
+
+    // ==================== BACKUP TOOLS ====================
+    {
+      name: 'backupMemory',
+      description: 'Create a full backup of the memory store (entities, relationships, documents, chunks, embeddings and chunk-entity links) as a versioned JSON-lines archive. Run this before destructive maintenance. Entities are referenced by name, so the archive restores into any database.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Write the archive to this file on the server, relative to MEMORY_FILES_DIR (needs admin on all namespaces with access control). Without it the archive is returned in content' },
+          includeVectors: { type: 'boolean', description: 'Include chunk and entity embeddings (default: true). Without vectors the archive is much smaller; re-embed after restoring' },
+        },
+      },
+    },
+    {
+      name: 'restoreMemory',
+      description: 'Restore a backup archive created by backupMemory. onConflict decides what happens to entities, relationships and documents that already exist: skip keeps them, overwrite replaces them, merge combines observations and metadata. Use dryRun to see what would change.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Archive file on the server, relative to MEMORY_FILES_DIR (needs admin on all namespaces with access control)' },
+          content: { type: 'string', description: 'Archive text (instead of path)' },
+          onConflict: {
+            type: 'string',
+            enum: ['skip', 'overwrite', 'merge'],
+            description: 'Policy for existing records (default: skip)',
+          },
+          dryRun: { type: 'boolean', description: 'Only count what would be created, updated or skipped (default: false)' },
+        },
+      },
+    },
+    {
+      name: 'importMemory',
+      description: 'Import the store of another memory server: memory.jsonl of the reference MCP memory server (mcp-memory) or the SQLite database of rag-memory-mcp (rag-memory-sqlite). New entities are created, existing ones gain missing observations, duplicate relations and existing documents are skipped. Use dryRun first to see what would be created, merged or skipped. Reading SQLite needs Node.js 22.5+ (node:sqlite) or the optional better-sqlite3 dependency.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Source file on the server, relative to MEMORY_FILES_DIR (needs admin on all namespaces with access control). Example: "imports/memory.jsonl"' },
+          content: { type: 'string', description: 'memory.jsonl text (mcp-memory only, instead of path)' },
+          format: {
+            type: 'string',
+            enum: ['mcp-memory', 'rag-memory-sqlite'],
+            description: 'Source format (default: from the file extension - .json/.jsonl or .db/.sqlite)',
+          },
+          dryRun: { type: 'boolean', description: 'Only report what would be created, merged or skipped (default: false)' },
+        },
+      },
+    },
+
+    // ==================== GRAPH TRAVERSAL TOOLS ====================
+    {
+      name: 'getNeighbors',
+      description: 'Get the entities directly connected to an entity, with the relation type and direction of each connection. Use this to explore around one entity without reading the whole graph. Returns entity names, not ids.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          entityName: { type: 'string', description: 'Exact entity name. Example: "React"' },
+          direction: {
+            type: 'string',
+            enum: ['outgoing', 'incoming', 'both'],
+            description: 'outgoing: entity -[relation]-> neighbor, incoming: neighbor -[relation]-> entity (default: both)',
+          },
+          relationTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only follow these relation types. Example: ["depends_on", "uses"]',
+          },
+          ...RELATION_FILTERS,
+          sortBy: {
+            type: 'string',
+            enum: ['relationType', 'confidence', 'weight'],
+            description: 'relationType groups neighbors by relation (default); confidence or weight puts the strongest relations first',
+          },
+          limit: { type: 'number', description: 'Max neighbors (default: 50)' },
+        },
+        required: ['entityName'],
+      },
+    },
+    {
+      name: 'getSubgraph',
+      description: 'Get the entities and relationships within a number of hops of an entity. Each entity includes its distance from the center. Use this for a focused view of one area of the knowledge graph.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          entityName: { type: 'string', description: 'Exact name of the center entity' },
+          depth: { type: 'integer', minimum: 1, maximum: MAX_TRAVERSAL_DEPTH, description: `Hops from the center, 1-${MAX_TRAVERSAL_DEPTH} (default: 2)` },
+          direction: {
+            type: 'string',
+            enum: ['outgoing', 'incoming', 'both'],
+            description: 'Which relations to follow (default: both)',
+          },
+          relationTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only follow these relation types',
+          },
+          ...RELATION_FILTERS,
+          maxEntities: { type: 'number', description: 'Stop adding entities beyond this many; the result is then marked truncated (default: 100)' },
+          includeObservations: { type: 'boolean', description: 'Include entity observations (default: false)' },
+        },
+        required: ['entityName'],
+      },
+    },
+    {
+      name: 'findPaths',
+      description: 'Find the shortest path(s) between two entities, answering "how is X related to Y". Each path lists the entities and relations along it plus a readable form like "Alice -[owns]-> Auth Service <-[maintains]- Bob".',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', description: 'Start entity name' },
+          to: { type: 'string', description: 'End entity name' },
+          maxDepth: { type: 'integer', minimum: 1, maximum: MAX_TRAVERSAL_DEPTH, description: `Longest path to look for in hops, 1-${MAX_TRAVERSAL_DEPTH} (default: 4)` },
+          direction: {
+            type: 'string',
+            enum: ['outgoing', 'incoming', 'both'],
+            description: 'outgoing follows relations forward only, incoming backward only (default: both)',
+          },
+          relationTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only follow these relation types',
+          },
+          ...RELATION_FILTERS,
+          limit: { type: 'number', description: 'Max paths of the shortest length (default: 5)' },
+        },
+        required: ['from', 'to'],
       },
     },
 
@@ -400,6 +858,16 @@ export function getToolDefinitions() {
       },
     },
   ];
+
+  // Every tool works in a namespace, except whole-database maintenance
+  for (const tool of tools) {
+    if (DATABASE_TOOLS.includes(tool.name)) continue;
+    tool.inputSchema.properties = {
+      ...tool.inputSchema.properties,
+      ...NAMESPACE,
+      ...(CROSS_NAMESPACE_TOOLS.includes(tool.name) && NAMESPACES),
+    };
+  }
   
   return tools;
 }
@@ -0,0 +1,98 @@
+/**
+ * Trash
+ *
+ * Deleted entities, relationships, observations and documents are moved
+ * to `rag_trash` instead of being dropped. An item holds the deleted rows
+ * by table, with their original ids, so restoring puts back exactly what
+ * was removed:
+ *
+ * - entity: rag_entities, rag_relationships, rag_entity_embeddings,
+ *   rag_chunk_entities and rag_observations rows
+ * - relationship: rag_relationships rows
+ * - observation: { entity: { id, name }, observations } plus the
+ *   rag_observations rows
+ * - document: rag_documents, rag_chunks (with embeddings) and
+ *   rag_chunk_entities rows
+ *
+ * Items expire after TRASH_RETENTION_DAYS (default 30); 0 turns the trash
+ * off and deletes permanently.
+ *
+ * @module trash
+ */
+
+export const TRASH_ITEM_TYPES = ['entity', 'relationship', 'observation', 'document'];
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Columns maintained by the database that are not copied into the trash
+ * (the FTS trigger recomputes content_tsv on restore)
+ */
+const DERIVED_COLUMNS = ['content_tsv'];
+
+/**
+ * Read the retention window from the environment
+ *
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {number} Days deleted items are kept; 0 when the trash is off
+ */
+export function getTrashRetentionDays(env = process.env) {
+  const days = Number.parseFloat(env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Expiry time of an item deleted now
+ *
+ * @param {number} days - Retention window
+ * @param {Date} now - Deletion time
+ * @returns {string} ISO timestamp
+ */
+export function trashExpiry(days, now = new Date()) {
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Copy rows for the trash, without derived columns
+ *
+ * @param {object[]} rows - Table rows
+ * @returns {object[]} Rows to store in the item payload
+ */
+export function trashRows(rows) {
+  return rows.map(row => Object.fromEntries(
+    Object.entries(row).filter(([column]) => !DERIVED_COLUMNS.includes(column))
+  ));
+}
+
+/**
+ * What an item holds, for listTrash
+ *
+ * @param {string} itemType - One of TRASH_ITEM_TYPES
+ * @param {object} payload - Item payload
+ * @returns {object} Counts (and the observation contents for observation items)
+ *
+ * @example
+ * trashSummary('entity', { rag_entities: [row], rag_relationships: [a, b] })
+ * // { relationships: 2, observations: 0, chunkLinks: 0, embedding: false }
+ */
+export function trashSummary(itemType, payload) {
+  const count = table => (payload[table] || []).length;
+
+  switch (itemType) {
+    case 'entity':
+      return {
+        relationships: count('rag_relationships'),
+        observations: (payload.rag_entities?.[0]?.observations || []).length,
+        chunkLinks: count('rag_chunk_entities'),
+        embedding: count('rag_entity_embeddings') > 0,
+      };
+    case 'relationship':
+      return { relationships: count('rag_relationships') };
+    case 'observation':
+      return { entity: payload.entity?.name ?? null, observations: payload.observations || [] };
+    case 'document':
+      return { chunks: count('rag_chunks'), chunkLinks: count('rag_chunk_entities') };
+    default:
+      return {};
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Vector Utilities
+ *
+ * Helpers for embedding vectors as they come back from the different
+ * storage backends (pgvector text "[0.1,0.2]" or plain arrays).
+ *
+ * @module vectors
+ */
+
+/**
+ * Normalize a stored vector to a number array
+ *
+ * @param {number[]|string|null} value - Vector as array or pgvector text
+ * @returns {number[]|null} Vector or null if empty/invalid
+ */
+export function parseVector(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(Number);
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(Number) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cosine similarity between two vectors
+ *
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 if either vector is empty)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
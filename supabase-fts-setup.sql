@@ -44,7 +44,22 @@ SET content_tsv = to_tsvector('english', COALESCE(content, ''))
 WHERE content_tsv IS NULL;
 
 -- ============================================================
--- 6. Verify setup
+-- 6. Create rebuild function (used by the rebuildSearchIndex tool)
+-- ============================================================
+CREATE OR REPLACE FUNCTION rebuild_fts_index()
+RETURNS INTEGER AS $$
+DECLARE
+  updated INTEGER;
+BEGIN
+  UPDATE rag_documents
+  SET content_tsv = to_tsvector('english', COALESCE(content, ''));
+  GET DIAGNOSTICS updated = ROW_COUNT;
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- 7. Verify setup
 -- ============================================================
 SELECT 
   'FTS Setup Complete!' as status,
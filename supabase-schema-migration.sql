@@ -10,7 +10,230 @@ ADD COLUMN IF NOT EXISTS end_pos INTEGER;
 ALTER TABLE rag_entity_embeddings
 ADD COLUMN IF NOT EXISTS embedding_text TEXT;
 
--- 3. Verify the changes
+-- 3. Chunk metadata (chunking strategies: heading path, code fences)
+ALTER TABLE rag_chunks
+ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+-- 4. Chunk token counts (token-based chunk sizing)
+ALTER TABLE rag_chunks
+ADD COLUMN IF NOT EXISTS token_count INTEGER;
+
+-- 5. Content hashes (idempotent re-processing)
+ALTER TABLE rag_documents
+ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+ALTER TABLE rag_chunks
+ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+-- 6. Embedding cache (keyed by model, dimensions and content hash)
+CREATE TABLE IF NOT EXISTS rag_embedding_cache (
+  model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  content_hash TEXT NOT NULL,
+  -- Any dimensions: rows are keyed by model and dimensions
+  embedding VECTOR NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (model, dimensions, content_hash)
+);
+
+-- 7. Embedding model tracking (model id and dimensions next to every vector)
+ALTER TABLE rag_chunks
+ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER;
+
+ALTER TABLE rag_entity_embeddings
+ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER;
+
+-- 8. Entity embedding staleness (set when name, type or observations change)
+-- The column is added as TRUE and cleared for entities that already have a
+-- vector, only when it is created: this script is applied again on every
+-- postgres backend startup, and later stale markers must survive that
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'rag_entities'
+      AND column_name = 'embedding_stale'
+  ) THEN
+    ALTER TABLE rag_entities
+    ADD COLUMN embedding_stale BOOLEAN NOT NULL DEFAULT TRUE;
+
+    UPDATE rag_entities e
+    SET embedding_stale = FALSE
+    WHERE EXISTS (
+      SELECT 1 FROM rag_entity_embeddings ee
+      WHERE ee.entity_id = e.id AND ee.embedding IS NOT NULL
+    );
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_rag_entities_embedding_stale ON rag_entities (id) WHERE embedding_stale;
+
+-- 9. Entity aliases (former names of entities folded in by mergeEntities)
+ALTER TABLE rag_entities
+ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_rag_entities_aliases ON rag_entities USING gin (aliases);
+
+-- 10. Relation properties (weight for ranking, provenance such as 'inferred')
+ALTER TABLE rag_relationships
+ADD COLUMN IF NOT EXISTS weight FLOAT NOT NULL DEFAULT 1.0,
+ADD COLUMN IF NOT EXISTS provenance TEXT;
+
+-- 11. Observation records (id, timestamp, source and confidence per observation)
+CREATE TABLE IF NOT EXISTS rag_observations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_id UUID NOT NULL REFERENCES rag_entities(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  source JSONB DEFAULT '{}',
+  confidence FLOAT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_observations_entity ON rag_observations (entity_id, created_at);
+
+-- Backfill records for entities that have none yet, in list order
+INSERT INTO rag_observations (entity_id, content, source, created_at)
+SELECT e.id, o.content, '{"backfilled": true}'::jsonb, e.created_at + o.position * INTERVAL '1 microsecond'
+FROM rag_entities e
+CROSS JOIN LATERAL unnest(e.observations) WITH ORDINALITY AS o(content, position)
+WHERE NOT EXISTS (SELECT 1 FROM rag_observations r WHERE r.entity_id = e.id);
+
+-- 12. Change history (getEntityHistory and asOf queries)
+CREATE TABLE IF NOT EXISTS rag_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  record_type TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  entity_ids UUID[] NOT NULL DEFAULT '{}',
+  name TEXT,
+  operation TEXT NOT NULL,
+  state JSONB NOT NULL,
+  changed_by JSONB DEFAULT '{}',
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_history_changed_at ON rag_history (changed_at);
+CREATE INDEX IF NOT EXISTS idx_rag_history_entity_ids ON rag_history USING gin (entity_ids);
+CREATE INDEX IF NOT EXISTS idx_rag_history_name ON rag_history (name) WHERE name IS NOT NULL;
+
+-- Backfill a 'create' row for records stored before history existed
+INSERT INTO rag_history (record_type, record_id, entity_ids, name, operation, state, changed_by, changed_at)
+SELECT 'entity', e.id, ARRAY[e.id], e.name, 'create',
+  jsonb_build_object(
+    'name', e.name,
+    'entityType', e.entity_type,
+    'observations', to_jsonb(COALESCE(e.observations, '{}')),
+    'metadata', COALESCE(e.metadata, '{}'::jsonb),
+    'aliases', to_jsonb(COALESCE(e.aliases, '{}'))
+  ),
+  '{"backfilled": true}', COALESCE(e.created_at, NOW())
+FROM rag_entities e
+WHERE NOT EXISTS (SELECT 1 FROM rag_history h WHERE h.record_id = e.id);
+
+INSERT INTO rag_history (record_type, record_id, entity_ids, name, operation, state, changed_by, changed_at)
+SELECT 'relationship', r.id, ARRAY[r.source_entity, r.target_entity], NULL, 'create',
+  jsonb_build_object(
+    'sourceId', r.source_entity,
+    'targetId', r.target_entity,
+    'from', s.name,
+    'to', t.name,
+    'relationType', r.relation_type,
+    'confidence', COALESCE(r.confidence, 1.0),
+    'weight', r.weight,
+    'provenance', r.provenance,
+    'metadata', COALESCE(r.metadata, '{}'::jsonb)
+  ),
+  '{"backfilled": true}', COALESCE(r.created_at, NOW())
+FROM rag_relationships r
+JOIN rag_entities s ON s.id = r.source_entity
+JOIN rag_entities t ON t.id = r.target_entity
+WHERE NOT EXISTS (SELECT 1 FROM rag_history h WHERE h.record_id = r.id);
+
+-- 13. Trash (soft deletion: listTrash, restore, purgeTrash)
+CREATE TABLE IF NOT EXISTS rag_trash (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_type TEXT NOT NULL,          -- 'entity', 'relationship', 'observation' or 'document'
+  name TEXT,                        -- entity name, relation label or document id
+  payload JSONB NOT NULL,           -- deleted rows by table, with their original ids
+  deleted_by JSONB DEFAULT '{}',    -- { session, caller, tool }
+  deleted_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_trash_expires_at ON rag_trash (expires_at);
+CREATE INDEX IF NOT EXISTS idx_rag_trash_name ON rag_trash (name);
+
+-- 14. Namespaces (several projects in one database)
+-- Existing rows go to the 'default' namespace
+ALTER TABLE rag_entities ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rag_relationships ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rag_documents ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rag_chunks ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rag_history ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE rag_trash ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT 'default';
+
+-- Entity names become unique per namespace instead of globally
+ALTER TABLE rag_entities DROP CONSTRAINT IF EXISTS rag_entities_name_key;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'rag_entities_namespace_name_key') THEN
+    ALTER TABLE rag_entities ADD CONSTRAINT rag_entities_namespace_name_key UNIQUE (namespace, name);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_rag_relationships_namespace ON rag_relationships (namespace);
+CREATE INDEX IF NOT EXISTS idx_rag_documents_namespace ON rag_documents (namespace);
+CREATE INDEX IF NOT EXISTS idx_rag_chunks_namespace ON rag_chunks (namespace);
+CREATE INDEX IF NOT EXISTS idx_rag_history_namespace ON rag_history (namespace, changed_at);
+CREATE INDEX IF NOT EXISTS idx_rag_trash_namespace ON rag_trash (namespace, deleted_at);
+
+-- 15. History as of a point in time (asOf queries)
+-- The last row of each record up to as_of, so asOf reads do not replay every change
+CREATE INDEX IF NOT EXISTS idx_rag_history_record ON rag_history (record_id, changed_at);
+
+CREATE OR REPLACE FUNCTION rag_history_as_of(
+  as_of TIMESTAMPTZ,
+  filter_record_ids UUID[] DEFAULT NULL,
+  filter_namespaces TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  record_type TEXT,
+  record_id UUID,
+  operation TEXT,
+  state JSONB,
+  created_at TIMESTAMPTZ,
+  changed_at TIMESTAMPTZ
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    latest.record_type,
+    latest.record_id,
+    latest.operation,
+    latest.state,
+    COALESCE(latest.created_at, latest.first_changed_at),
+    latest.changed_at
+  FROM (
+    SELECT DISTINCT ON (h.record_id)
+      h.record_type,
+      h.record_id,
+      h.operation,
+      h.state,
+      h.changed_at,
+      MAX(h.changed_at) FILTER (WHERE h.operation = 'create') OVER (PARTITION BY h.record_id) AS created_at,
+      MIN(h.changed_at) OVER (PARTITION BY h.record_id) AS first_changed_at
+    FROM rag_history h
+    WHERE h.changed_at <= as_of
+      AND (filter_record_ids IS NULL OR h.record_id = ANY (filter_record_ids))
+      AND (filter_namespaces IS NULL OR h.namespace = ANY (filter_namespaces))
+    ORDER BY h.record_id, h.changed_at DESC, h.id DESC
+  ) latest
+  WHERE latest.operation <> 'delete';
+$$;
+
+-- 16. Verify the changes
 SELECT 'rag_chunks columns:' as info;
 SELECT column_name, data_type 
 FROM information_schema.columns 
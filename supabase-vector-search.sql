@@ -0,0 +1,184 @@
+-- Vector Search Setup for rag-memory-pg-mcp
+-- Run this in Supabase SQL Editor to enable semantic search over chunk embeddings
+--
+-- Adds the match_rag_chunks function used by hybridSearch and the
+-- match_rag_entities function used by searchNodes (semantic/hybrid modes).
+-- Without it, hybridSearch falls back to text search only.
+--
+-- Both functions only compare vectors of the query's model (filter_model,
+-- filter_dimensions; run supabase-schema-migration.sql first), so vectors
+-- of different embedding models are never mixed in one search, and only
+-- rows of the requested namespaces (filter_namespaces, NULL for all).
+
+-- ============================================================
+-- 1. Create HNSW index for fast cosine similarity search
+-- ============================================================
+-- Only while the column has a fixed size (see section 5 for other dimensions)
+DO $$
+BEGIN
+  IF (SELECT atttypmod FROM pg_attribute
+      WHERE attrelid = 'rag_chunks'::regclass AND attname = 'embedding') > 0 THEN
+    CREATE INDEX IF NOT EXISTS idx_rag_chunks_embedding
+    ON rag_chunks USING hnsw (embedding vector_cosine_ops);
+  END IF;
+END $$;
+
+-- ============================================================
+-- 2. Create chunk similarity search function
+-- ============================================================
+-- Replaces the earlier signatures without model and namespace filters
+DROP FUNCTION IF EXISTS match_rag_chunks(vector, INT, FLOAT);
+DROP FUNCTION IF EXISTS match_rag_chunks(vector, INT, FLOAT, TEXT, INT, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION match_rag_chunks(
+  query_embedding vector,
+  match_count INT DEFAULT 20,
+  similarity_threshold FLOAT DEFAULT 0,
+  filter_model TEXT DEFAULT NULL,
+  filter_dimensions INT DEFAULT NULL,
+  include_untagged BOOLEAN DEFAULT TRUE,
+  filter_namespaces TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  namespace TEXT,
+  document_id TEXT,
+  chunk_index INTEGER,
+  content TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    c.id,
+    c.namespace,
+    c.document_id,
+    c.chunk_index,
+    c.content,
+    1 - (c.embedding <=> query_embedding) AS similarity
+  FROM rag_chunks c
+  WHERE c.embedding IS NOT NULL
+    AND (filter_namespaces IS NULL OR c.namespace = ANY (filter_namespaces))
+    AND (
+      filter_model IS NULL
+      OR (c.embedding_model = filter_model AND (filter_dimensions IS NULL OR c.embedding_dimensions = filter_dimensions))
+      OR (c.embedding_model IS NULL AND include_untagged)
+    )
+    -- CASE guarantees vectors of other sizes are never compared
+    AND CASE WHEN vector_dims(c.embedding) = vector_dims(query_embedding)
+      THEN 1 - (c.embedding <=> query_embedding) >= similarity_threshold
+      ELSE FALSE
+    END
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- ============================================================
+-- 3. Create HNSW index for entity embeddings
+-- ============================================================
+DO $$
+BEGIN
+  IF (SELECT atttypmod FROM pg_attribute
+      WHERE attrelid = 'rag_entity_embeddings'::regclass AND attname = 'embedding') > 0 THEN
+    CREATE INDEX IF NOT EXISTS idx_rag_entity_embeddings_embedding
+    ON rag_entity_embeddings USING hnsw (embedding vector_cosine_ops);
+  END IF;
+END $$;
+
+-- ============================================================
+-- 4. Create entity similarity search function (searchNodes semantic mode)
+-- ============================================================
+-- Replaces the earlier signatures without model and namespace filters
+DROP FUNCTION IF EXISTS match_rag_entities(vector, INT, FLOAT, TEXT);
+DROP FUNCTION IF EXISTS match_rag_entities(vector, INT, FLOAT, TEXT, TEXT, INT, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION match_rag_entities(
+  query_embedding vector,
+  match_count INT DEFAULT 10,
+  similarity_threshold FLOAT DEFAULT 0.3,
+  filter_entity_type TEXT DEFAULT NULL,
+  filter_model TEXT DEFAULT NULL,
+  filter_dimensions INT DEFAULT NULL,
+  include_untagged BOOLEAN DEFAULT TRUE,
+  filter_namespaces TEXT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  namespace TEXT,
+  name TEXT,
+  entity_type TEXT,
+  observations TEXT[],
+  metadata JSONB,
+  created_at TIMESTAMPTZ,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    e.id,
+    e.namespace,
+    e.name,
+    e.entity_type,
+    e.observations,
+    e.metadata,
+    e.created_at,
+    1 - (ee.embedding <=> query_embedding) AS similarity
+  FROM rag_entity_embeddings ee
+  JOIN rag_entities e ON e.id = ee.entity_id
+  WHERE ee.embedding IS NOT NULL
+    AND (filter_entity_type IS NULL OR e.entity_type = filter_entity_type)
+    AND (filter_namespaces IS NULL OR e.namespace = ANY (filter_namespaces))
+    AND (
+      filter_model IS NULL
+      OR (ee.embedding_model = filter_model AND (filter_dimensions IS NULL OR ee.embedding_dimensions = filter_dimensions))
+      OR (ee.embedding_model IS NULL AND include_untagged)
+    )
+    AND CASE WHEN vector_dims(ee.embedding) = vector_dims(query_embedding)
+      THEN 1 - (ee.embedding <=> query_embedding) >= similarity_threshold
+      ELSE FALSE
+    END
+  ORDER BY ee.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- ============================================================
+-- 5. Optional: models with other dimensions
+-- ============================================================
+-- Embedding columns are VECTOR(384), and the server refuses to start with a
+-- model of another size. To use one (EMBEDDING_DIMENSIONS, or e.g. 768 for
+-- nomic-embed-text), allow any size and index per size, then run the
+-- reembed tool:
+--
+-- DROP INDEX IF EXISTS idx_rag_chunks_embedding;
+-- DROP INDEX IF EXISTS idx_rag_entity_embeddings_embedding;
+-- ALTER TABLE rag_chunks ALTER COLUMN embedding TYPE vector;
+-- ALTER TABLE rag_entity_embeddings ALTER COLUMN embedding TYPE vector;
+-- CREATE INDEX idx_rag_chunks_embedding_768 ON rag_chunks
+--   USING hnsw ((embedding::vector(768)) vector_cosine_ops) WHERE embedding_dimensions = 768;
+-- CREATE INDEX idx_rag_entity_embeddings_embedding_768 ON rag_entity_embeddings
+--   USING hnsw ((embedding::vector(768)) vector_cosine_ops) WHERE embedding_dimensions = 768;
+
+-- ============================================================
+-- 6. Report embedding column sizes (checked on server startup)
+-- ============================================================
+-- dimensions is NULL for columns that accept any size (section 5)
+CREATE OR REPLACE FUNCTION rag_embedding_columns()
+RETURNS TABLE (table_name TEXT, dimensions INT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT c.relname::TEXT, NULLIF(a.atttypmod, -1)
+  FROM pg_attribute a
+  JOIN pg_class c ON c.oid = a.attrelid
+  WHERE a.attrelid IN (to_regclass('rag_chunks'), to_regclass('rag_entity_embeddings'))
+    AND a.attname = 'embedding'
+    AND NOT a.attisdropped;
+$$;
+
+-- ============================================================
+-- 7. Verify setup
+-- ============================================================
+SELECT
+  'Vector Search Setup Complete!' as status,
+  COUNT(*) as total_chunks,
+  COUNT(embedding) as chunks_with_embedding
+FROM rag_chunks;
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { authorizeToolCall, AccessDeniedError, ACCESS_LEVELS, TOOL_ACCESS } from '../src/access.js';
+import { handleToolCall } from '../src/handlers.js';
+import { getToolDefinitions } from '../src/tools.js';
+import { createTestManager } from './helpers.js';
+
+const projectAdmin = { name: 'alice', namespaces: { 'acme-api': 'admin' } };
+const globalAdmin = { name: 'ops', namespaces: { '*': 'admin' } };
+
+test('every tool has an explicit access level', () => {
+  for (const tool of [...getToolDefinitions().map(definition => definition.name), 'readGraph']) {
+    assert.ok(ACCESS_LEVELS.includes(TOOL_ACCESS[tool]), `${tool} has no access level`);
+  }
+});
+
+test('readers may use the former readGraph tool', async () => {
+  const manager = await createTestManager();
+  const reader = { name: 'viewer', namespaces: { '*': 'read' } };
+  await handleToolCall('readGraph', {}, manager, { namespace: 'default', accessControl: true, client: reader });
+});
+
+test('server file paths need admin on all namespaces', () => {
+  assert.throws(
+    () => authorizeToolCall(projectAdmin, 'backupMemory', ['acme-api'], { path: 'backup.jsonl' }),
+    (error) => {
+      assert.ok(error instanceof AccessDeniedError);
+      assert.equal(error.code, 'ACCESS_DENIED');
+      assert.deepEqual(error.details, { client: 'alice', tool: 'backupMemory', namespace: '*', required: 'admin', granted: null });
+      return true;
+    }
+  );
+  assert.throws(() => authorizeToolCall(projectAdmin, 'restoreMemory', ['acme-api'], { path: 'backup.jsonl' }), AccessDeniedError);
+  assert.throws(() => authorizeToolCall(projectAdmin, 'importMemory', ['acme-api'], { path: 'memory.jsonl' }), AccessDeniedError);
+
+  // Without a path the archive travels in the call, within the namespace
+  authorizeToolCall(projectAdmin, 'backupMemory', ['acme-api'], {});
+  authorizeToolCall(globalAdmin, 'backupMemory', ['acme-api'], { path: 'backup.jsonl' });
+});
+
+test('a namespace admin cannot write backups to the server', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-memory-access-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const manager = await createTestManager();
+  manager.filesDir = dir;
+  const context = { namespace: 'acme-api', accessControl: true };
+
+  await assert.rejects(
+    handleToolCall('backupMemory', { path: 'backup.jsonl' }, manager, { ...context, client: projectAdmin }),
+    AccessDeniedError
+  );
+  await assert.rejects(readFile(join(dir, 'backup.jsonl')), { code: 'ENOENT' });
+
+  await handleToolCall('backupMemory', { path: 'backup.jsonl' }, manager, { ...context, client: globalAdmin });
+  assert.match(await readFile(join(dir, 'backup.jsonl'), 'utf8'), /rag-memory-backup/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+// Tables without a namespace column
+const SHARED_TABLES = ['rag_entity_embeddings', 'rag_chunk_entities', 'rag_observations'];
+
+const seed = async (manager, documentId = 'guide') => {
+  await manager.createEntities([
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] },
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'] },
+  ]);
+  await manager.createRelations([{ from: 'Alice', to: 'Auth Service', relationType: 'owns' }]);
+  await manager.processDocument(documentId, 'The Auth Service issues tokens. '.repeat(4));
+  await manager.linkEntitiesToDocument(documentId, ['Auth Service']);
+};
+
+test('a backup restores into an empty store', async () => {
+  const source = await createTestManager();
+  await seed(source);
+  const { content, counts } = await source.backupMemory();
+  assert.equal(counts.entity, 2);
+  assert.equal(counts.relationship, 1);
+  assert.equal(counts.document, 1);
+  assert.ok(counts.chunkEntity >= 1);
+
+  const target = await createTestManager();
+  const results = await target.restoreMemory({ content });
+  assert.equal(results.entities.created, 2);
+
+  const graph = await target.readGraph();
+  assert.deepEqual(graph.entities.map(entity => entity.name).sort(), ['Alice', 'Auth Service']);
+  assert.deepEqual(graph.relationships.map(rel => `${rel.from} -[${rel.relationType}]-> ${rel.to}`), ['Alice -[owns]-> Auth Service']);
+
+  // Restoring again skips what exists
+  const again = await target.restoreMemory({ content });
+  assert.equal(again.entities.created, 0);
+  assert.equal(again.entities.skipped, 2);
+});
+
+test('a namespace backup reads shared tables by id only', async () => {
+  const manager = await createTestManager();
+  await seed(await manager.inNamespace('other'), 'other-guide');
+  const web = await manager.inNamespace('web');
+  await seed(web);
+
+  const reads = [];
+  const execute = manager.db._execute.bind(manager.db);
+  manager.db._execute = (state) => {
+    // Column probes (_hasColumn) read one row
+    if (SHARED_TABLES.includes(state.table) && state.action === 'select' && state.limit !== 1) {
+      reads.push(state.filters.some(filter => filter.op === 'in'));
+    }
+    return execute(state);
+  };
+
+  const { content, counts } = await web.backupMemory();
+  assert.equal(counts.entity, 2);
+  assert.equal(counts.chunkEntity, 1);
+  assert.ok(reads.length > 0);
+  assert.ok(reads.every(Boolean), 'every shared-table read is filtered by id');
+  assert.equal(content.split('\n').filter(line => line.includes('"type":"entity"')).length, 2);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chunkText } from '../src/chunking.js';
+
+const GUIDE = [
+  '# Setup',
+  '',
+  'Install the package with npm before anything else.',
+  '',
+  '## Docker',
+  '',
+  'Run the image.',
+  '',
+  '# Usage',
+  '',
+  'Call the tools.',
+].join('\n');
+
+const PROSE = 'The auth service issues tokens. Alice owns it. Billing sends invoices every month.';
+
+const assertOffsets = (text, chunks) => {
+  for (const chunk of chunks) {
+    assert.equal(text.slice(chunk.startPos, chunk.endPos), chunk.content);
+  }
+};
+
+test('markdown chunks stay within a section and carry its heading path', () => {
+  const chunks = chunkText(GUIDE, { strategy: 'markdown', maxChunkSize: 200, overlap: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.metadata.headingPath), [['Setup'], ['Setup', 'Docker'], ['Usage']]);
+  assert.ok(chunks[1].content.startsWith('## Docker'));
+  assertOffsets(GUIDE, chunks);
+});
+
+test('code fences are kept whole', () => {
+  const doc = 'Intro text here.\n\n```js\nconst a = 1;\nconst b = 2;\n```\n\nMore prose after the code.';
+  const chunks = chunkText(doc, { strategy: 'code', maxChunkSize: 40, overlap: 0 });
+  const fence = chunks.find(chunk => chunk.metadata.codeFence);
+
+  assert.equal(fence.content, '```js\nconst a = 1;\nconst b = 2;\n```');
+  assert.equal(fence.metadata.language, 'js');
+  assertOffsets(doc, chunks);
+});
+
+test('sentence chunks never cut words; fixed chunks do', () => {
+  const sentences = chunkText(PROSE, { strategy: 'sentence', maxChunkSize: 40, overlap: 0 });
+  assert.deepEqual(sentences.map(chunk => chunk.content), [
+    'The auth service issues tokens.',
+    'Alice owns it.',
+    'Billing sends invoices every month.',
+  ]);
+  assertOffsets(PROSE, sentences);
+
+  const fixed = chunkText(PROSE, { strategy: 'fixed', maxChunkSize: 40, overlap: 0 });
+  assert.equal(fixed[0].content, 'The auth service issues tokens. Alice ow');
+});
+
+test('unknown strategies are refused', () => {
+  assert.throws(() => chunkText(PROSE, { strategy: 'semantic' }), /Unknown chunking strategy: semantic/);
+});
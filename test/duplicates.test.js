@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+/**
+ * Record the entity ids every rag_entity_embeddings read asks for
+ */
+const recordEmbeddingReads = (manager) => {
+  const reads = [];
+  const execute = manager.db._execute.bind(manager.db);
+  manager.db._execute = (state) => {
+    if (state.table === 'rag_entity_embeddings' && state.action === 'select') {
+      reads.push(state.filters.find(filter => filter.column === 'entity_id' && filter.op === 'in')?.value ?? null);
+    }
+    return execute(state);
+  };
+  return reads;
+};
+
+test('semantic duplicates are found within the namespace only', async () => {
+  const manager = await createTestManager();
+  const other = await manager.inNamespace('other');
+  const web = await manager.inNamespace('web');
+
+  // Near-identical vectors elsewhere must not crowd out the pair in "web"
+  await other.createEntities(Array.from({ length: 8 }, (_, i) => ({
+    name: `Login Gateway ${i}`, entityType: 'SERVICE', observations: ['Issues session tokens for users'],
+  })));
+  await web.createEntities([
+    { name: 'Login Gateway', entityType: 'SERVICE', observations: ['Issues session tokens for users'] },
+    { name: 'Gateway Login', entityType: 'SERVICE', observations: ['Issues session tokens for users'] },
+    { name: 'Billing', entityType: 'SERVICE', observations: ['Sends monthly invoices'] },
+  ]);
+
+  const reads = recordEmbeddingReads(manager);
+  const { candidates, scanned, semantic } = await web.findDuplicateEntities({ nameThreshold: 1.1, similarityThreshold: 0.9 });
+
+  assert.equal(semantic, true);
+  assert.equal(scanned, 3);
+  assert.deepEqual(candidates.map(pair => pair.entities.map(entity => entity.name).sort()), [['Gateway Login', 'Login Gateway']]);
+
+  // Vectors are read by the ids of the entities in scope, never the whole table
+  assert.ok(reads.length > 0);
+  for (const ids of reads) {
+    assert.ok(ids && ids.length <= 3);
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mapWithConcurrency, toBatches } from '../src/batching.js';
+import { createTestManager, letterVector } from './helpers.js';
+
+const ENTITIES = ['Auth Service', 'Alice', 'Bob', 'Billing', 'Gateway'].map(name => ({
+  name, entityType: 'THING', observations: [`About ${name}`],
+}));
+
+/**
+ * Record the size of every model call
+ */
+const recordModelCalls = (manager) => {
+  const calls = [];
+  manager._embedTexts = async (texts) => {
+    calls.push(texts.length);
+    return texts.map(letterVector);
+  };
+  return calls;
+};
+
+test('embedAllEntities embeds in batches and reports a summary', async () => {
+  const manager = await createTestManager();
+  await manager.createEntities(ENTITIES);
+  manager.embeddingBatchSize = 2;
+  manager.embeddingConcurrency = 2;
+  const calls = recordModelCalls(manager);
+
+  const { totalEntities, embeddedEntities, summary } = await manager.embedAllEntities();
+  assert.equal(totalEntities, 5);
+  assert.equal(embeddedEntities, 5);
+  assert.deepEqual(calls, [2, 2, 1]);
+  assert.equal(summary.batches, 3);
+  assert.equal(summary.failed, 0);
+  assert.ok(summary.itemsPerSecond > 0);
+});
+
+test('texts the model fails on are counted, not stored', async () => {
+  const manager = await createTestManager();
+  await manager.processDocument('guide', 'The auth service issues tokens. Alice owns it.', { strategy: 'sentence', maxChunkSize: 40, overlap: 0 });
+  manager._embedTexts = async texts => texts.map(text => (text.startsWith('Alice') ? null : letterVector(text)));
+
+  const { embeddedChunks, summary } = await manager.embedChunks('guide', { force: true });
+  assert.equal(embeddedChunks, 1);
+  assert.equal(summary.failed, 1);
+});
+
+test('mapWithConcurrency keeps order and bounds the calls in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+  assert.deepEqual(toBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+});
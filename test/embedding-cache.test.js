@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EmbeddingCache } from '../src/cache.js';
+import { createTestManager, letterVector } from './helpers.js';
+
+/**
+ * Manager with an embedding cache that records the texts sent to the model
+ */
+const cachedManager = async () => {
+  const manager = await createTestManager();
+  manager.embeddingCache = new EmbeddingCache(manager.db);
+  manager.modelCalls = [];
+  manager._embedTexts = async (texts) => {
+    manager.modelCalls.push(texts);
+    return texts.map(letterVector);
+  };
+  return manager;
+};
+
+test('repeated texts are embedded once', async () => {
+  const manager = await cachedManager();
+  const vectors = await manager.generateEmbeddings(['auth service', 'billing', 'auth service']);
+  assert.deepEqual(manager.modelCalls, [['auth service', 'billing']]);
+  assert.deepEqual(vectors[2], vectors[0]);
+
+  assert.deepEqual(await manager.generateEmbedding('billing'), letterVector('billing'));
+  assert.equal(manager.modelCalls.length, 1);
+
+  const { embedding_cache: stats } = await manager.getKnowledgeGraphStats();
+  assert.equal(stats.enabled, true);
+  assert.equal(stats.persistent, true);
+  assert.equal(stats.entries, 2);
+  assert.deepEqual([stats.hits, stats.misses, stats.writes], [1, 3, 2]);
+});
+
+test('cached vectors outlive the process and are kept per model', async () => {
+  const manager = await cachedManager();
+  await manager.generateEmbeddings(['auth service']);
+
+  // A new process starts with an empty in-process cache
+  manager.embeddingCache = new EmbeddingCache(manager.db);
+  await manager.generateEmbeddings(['auth service']);
+  assert.equal(manager.modelCalls.length, 1);
+
+  manager.embedder.id = 'another-model';
+  await manager.generateEmbeddings(['auth service']);
+  assert.equal(manager.modelCalls.length, 2);
+});
+
+test('a missing cache table leaves an in-process cache', async () => {
+  const manager = await cachedManager();
+  delete manager.db.tables.rag_embedding_cache;
+
+  await manager.generateEmbeddings(['auth service']);
+  await manager.generateEmbeddings(['auth service']);
+  assert.equal(manager.modelCalls.length, 1);
+  assert.equal((await manager.embeddingCache.stats()).persistent, false);
+});
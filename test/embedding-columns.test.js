@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const columns = dimensions => async () => ({
+  data: [{ table_name: 'rag_chunks', dimensions }, { table_name: 'rag_entity_embeddings', dimensions }],
+  error: null,
+});
+
+test('columns without a fixed size accept any model', async () => {
+  const manager = await createTestManager();
+  await manager._checkEmbeddingColumns();
+});
+
+test('a fixed column size must match the model', async () => {
+  const manager = await createTestManager();
+
+  manager.db.rpc = columns(26);
+  await manager._checkEmbeddingColumns();
+
+  manager.db.rpc = columns(384);
+  await assert.rejects(manager._checkEmbeddingColumns(), /rag_chunks\.embedding is VECTOR\(384\).*26-dimensional.*section 5/);
+});
+
+test('the check is skipped before the function exists', async () => {
+  const manager = await createTestManager();
+  manager.db.rpc = async () => ({ data: null, error: { code: 'PGRST202', message: 'Could not find the function public.rag_embedding_columns' } });
+  await manager._checkEmbeddingColumns();
+});
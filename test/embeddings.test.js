@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getEmbeddingConfig, isLegacyModel, DEFAULT_MODELS } from '../src/embeddings.js';
+import { createTestManager } from './helpers.js';
+
+test('untagged vectors belong to one legacy model only', () => {
+  assert.equal(isLegacyModel(DEFAULT_MODELS.local, 384), true);
+  assert.equal(isLegacyModel(DEFAULT_MODELS.openai, 384), false);
+  assert.equal(isLegacyModel(DEFAULT_MODELS.local, 768), false);
+
+  assert.equal(isLegacyModel(DEFAULT_MODELS.openai, 384, DEFAULT_MODELS.openai), true);
+  assert.equal(isLegacyModel(DEFAULT_MODELS.local, 384, DEFAULT_MODELS.openai), false);
+});
+
+test('LEGACY_EMBEDDING_MODEL names the model of untagged vectors', () => {
+  assert.equal(getEmbeddingConfig({}).legacyModel, DEFAULT_MODELS.local);
+  assert.equal(getEmbeddingConfig({ LEGACY_EMBEDDING_MODEL: 'text-embedding-3-small' }).legacyModel, 'text-embedding-3-small');
+});
+
+test('vector searches include untagged vectors only for the legacy model', async () => {
+  const manager = await createTestManager();
+  manager.embedder.dimensions = 384;
+
+  manager.embedder.id = DEFAULT_MODELS.local;
+  assert.equal((await manager._vectorSearchFilter('rag_chunks')).include_untagged, true);
+
+  manager.embedder.id = DEFAULT_MODELS.openai;
+  assert.equal((await manager._vectorSearchFilter('rag_chunks')).include_untagged, false);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { createTestManager } from './helpers.js';
+
+const entityRow = (manager, name) => manager.db
+  .from('rag_entities')
+  .select('id, embedding_stale')
+  .eq('name', name)
+  .single()
+  .then(({ data }) => data);
+
+const embeddingText = async (manager, name) => {
+  const { id } = await entityRow(manager, name);
+  const { data } = await manager.db.from('rag_entity_embeddings').select('embedding_text').eq('entity_id', id).single();
+  return data.embedding_text;
+};
+
+test('observation changes keep entity embeddings in sync', async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([{ name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] }]);
+  assert.equal((await entityRow(manager, 'Auth Service')).embedding_stale, false);
+
+  await manager.addObservations([{ entityName: 'Auth Service', contents: ['Rotates keys daily'] }]);
+  assert.match(await embeddingText(manager, 'Auth Service'), /Rotates keys daily/);
+  assert.equal((await entityRow(manager, 'Auth Service')).embedding_stale, false);
+});
+
+test('entities changed without a model stay stale until onlyStale embeds them', async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] },
+    { name: 'Billing', entityType: 'SERVICE', observations: ['Sends invoices'] },
+  ]);
+
+  manager.modelInitialized = false;
+  await manager.addObservations([{ entityName: 'Auth Service', contents: ['Rotates keys daily'] }]);
+  assert.equal((await entityRow(manager, 'Auth Service')).embedding_stale, true);
+  assert.doesNotMatch(await embeddingText(manager, 'Auth Service'), /Rotates keys daily/);
+
+  manager.modelInitialized = true;
+  const result = await manager.embedAllEntities({ onlyStale: true });
+  assert.equal(result.totalEntities, 1);
+  assert.equal((await entityRow(manager, 'Auth Service')).embedding_stale, false);
+  assert.match(await embeddingText(manager, 'Auth Service'), /Rotates keys daily/);
+});
+
+test('the migration only backfills embedding_stale when it adds the column', async () => {
+  const sql = await readFile(new URL('../supabase-schema-migration.sql', import.meta.url), 'utf8');
+  const block = sql.slice(sql.indexOf("column_name = 'embedding_stale'"), sql.indexOf('END IF;', sql.indexOf("column_name = 'embedding_stale'")));
+
+  assert.match(block, /ADD COLUMN embedding_stale/);
+  assert.match(block, /UPDATE rag_entities e\s+SET embedding_stale = FALSE/);
+  // Outside the block the script never clears stale markers again
+  assert.equal(sql.split('SET embedding_stale = FALSE').length, 2);
+});
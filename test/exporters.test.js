@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderGraph } from '../src/exporters.js';
+import { createTestManager } from './helpers.js';
+
+const graph = {
+  entities: [
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'], metadata: {} },
+    { name: 'Auth Service', entityType: 'SERVICE', observations: [], metadata: {} },
+    { name: 'Bob', entityType: 'PERSON', observations: [], metadata: {} },
+  ],
+  relationships: [
+    { from: 'Alice', to: 'Auth Service', relationType: 'owns', confidence: 0.9, weight: 2.5, provenance: 'inferred', metadata: {} },
+    { from: 'Bob', to: 'Auth Service', relationType: 'maintains', confidence: 1, weight: 1, metadata: {} },
+  ],
+};
+
+test('graphml declares and writes weight and provenance edge data', () => {
+  const content = renderGraph(graph, 'graphml');
+  assert.match(content, /<key id="weight" for="edge" attr.name="weight" attr.type="double"\/>/);
+  assert.match(content, /<key id="provenance" for="edge" attr.name="provenance" attr.type="string"\/>/);
+  assert.match(content, /<edge id="e0"[^]*<data key="weight">2.5<\/data>\s*<data key="provenance">inferred<\/data>[^]*<\/edge>/);
+
+  const second = content.slice(content.indexOf('<edge id="e1"'));
+  assert.match(second, /<data key="weight">1<\/data>/);
+  assert.doesNotMatch(second, /key="provenance"/);
+});
+
+test('dot writes weight and provenance edge attributes', () => {
+  const content = renderGraph(graph, 'dot');
+  assert.match(content, /"Alice" -> "Auth Service" \[label="owns", confidence=0.9, weight=2.5, provenance="inferred", metadata="\{\}"\];/);
+  assert.match(content, /"Bob" -> "Auth Service" \[label="maintains", confidence=1, weight=1, metadata="\{\}"\];/);
+});
+
+test('cypher writes weight and provenance relationship properties', () => {
+  const content = renderGraph(graph, 'cypher');
+  assert.match(content, /CREATE \(a\)-\[:`owns` \{confidence: 0.9, weight: 2.5, provenance: 'inferred', metadata: '\{\}'\}\]->\(b\);/);
+  assert.match(content, /CREATE \(a\)-\[:`maintains` \{confidence: 1, weight: 1, metadata: '\{\}'\}\]->\(b\);/);
+});
+
+test('mermaid labels nodes with name and type and escapes quotes', () => {
+  const content = renderGraph({
+    entities: [{ name: 'Alice "Al"', entityType: 'PERSON', observations: [], metadata: {} }, graph.entities[1]],
+    relationships: [{ ...graph.relationships[0], from: 'Alice "Al"' }],
+  }, 'mermaid');
+  assert.equal(content.split('\n')[0], 'flowchart LR');
+  assert.match(content, /n0\["Alice #quot;Al#quot;<br\/>PERSON"\]/);
+  assert.match(content, /n0 -->\|owns\| n1/);
+});
+
+test('exportGraph leaves out relationships to entities outside the filters', async () => {
+  const manager = await createTestManager();
+  await manager.createEntities(graph.entities.map(({ name, entityType, observations }) => ({ name, entityType, observations })));
+  await manager.createRelations(graph.relationships.map(({ from, to, relationType }) => ({ from, to, relationType })));
+
+  const people = await manager.exportGraph({ format: 'cypher', entityTypes: ['PERSON'] });
+  assert.equal(people.entityCount, 2);
+  assert.equal(people.relationshipCount, 0);
+  assert.match(people.content, /observations: \['Team lead'\]/);
+
+  const all = await manager.exportGraph({ format: 'dot' });
+  assert.deepEqual([all.entityCount, all.relationshipCount], [3, 2]);
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => renderGraph(graph, 'csv'), /Unknown export format: csv/);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, realpath, rm, symlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { getFilesDir, resolveServerPath } from '../src/files.js';
+
+test('MEMORY_FILES_DIR defaults to the working directory', () => {
+  assert.equal(getFilesDir({}), process.cwd());
+  assert.equal(getFilesDir({ MEMORY_FILES_DIR: 'data' }), resolve('data'));
+});
+
+test('paths resolve inside the files directory only', async (t) => {
+  const base = await realpath(await mkdtemp(join(tmpdir(), 'rag-memory-files-')));
+  t.after(() => rm(base, { recursive: true, force: true }));
+  const dir = join(base, 'files');
+  await mkdir(join(dir, 'backups'), { recursive: true });
+  await symlink(base, join(dir, 'escape'));
+
+  assert.equal(await resolveServerPath('backups/memory.jsonl', dir), join(dir, 'backups', 'memory.jsonl'));
+  assert.equal(await resolveServerPath(join(dir, 'memory.jsonl'), dir), join(dir, 'memory.jsonl'));
+
+  for (const path of ['../secret.jsonl', '/etc/passwd', 'escape/secret.jsonl', '.']) {
+    await assert.rejects(resolveServerPath(path, dir), /is outside MEMORY_FILES_DIR/, path);
+  }
+  await assert.rejects(resolveServerPath('missing/memory.jsonl', dir), /does not exist/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const createTeam = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'] },
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] },
+    { name: 'Billing', entityType: 'SERVICE', observations: ['Sends invoices'] },
+    { name: 'Bob', entityType: 'PERSON', observations: ['On call'] },
+    { name: 'Carol', entityType: 'PERSON', observations: ['Finance'] },
+  ]);
+  await manager.createRelations([
+    { from: 'Alice', to: 'Auth Service', relationType: 'owns' },
+    { from: 'Billing', to: 'Auth Service', relationType: 'depends_on' },
+    { from: 'Bob', to: 'Auth Service', relationType: 'supports' },
+    { from: 'Carol', to: 'Billing', relationType: 'owns' },
+  ]);
+  return manager;
+};
+
+test('cursor pages cover the graph once, in name order', async () => {
+  const manager = await createTeam();
+  const names = [];
+  const relationships = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const page = await manager.readGraph({ limit: 2, cursor });
+    names.push(...page.entities.map(entity => entity.name));
+    relationships.push(...page.relationships);
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(names, ['Alice', 'Auth Service', 'Billing', 'Bob', 'Carol']);
+  // Each relationship comes with the page of its source entity, by name
+  assert.equal(relationships.length, 4);
+  assert.deepEqual(relationships.map(rel => `${rel.from} -[${rel.relationType}]-> ${rel.to}`), [
+    'Alice -[owns]-> Auth Service',
+    'Billing -[depends_on]-> Auth Service',
+    'Bob -[supports]-> Auth Service',
+    'Carol -[owns]-> Billing',
+  ]);
+});
+
+test('filters and compact mode', async () => {
+  const manager = await createTeam();
+
+  const people = await manager.readGraph({ entityTypes: ['PERSON'], relationTypes: ['owns'], compact: true });
+  assert.deepEqual(people.entities, [
+    { name: 'Alice', entityType: 'PERSON' },
+    { name: 'Bob', entityType: 'PERSON' },
+    { name: 'Carol', entityType: 'PERSON' },
+  ]);
+  assert.deepEqual(people.relationships, ['Alice -[owns]-> Auth Service', 'Carol -[owns]-> Billing']);
+  assert.equal(people.nextCursor, null);
+
+  const prefixed = await manager.readGraph({ namePrefix: 'b', compact: true });
+  assert.deepEqual(prefixed.entities.map(entity => entity.name), ['Billing', 'Bob']);
+});
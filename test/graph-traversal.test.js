@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+// A -> B -> D and A -> C -> D: two shortest paths of two hops
+const createDiamond = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities(['A', 'B', 'C', 'D'].map(name => ({ name, entityType: 'NODE', observations: [] })));
+  await manager.createRelations([
+    { from: 'A', to: 'B', relationType: 'links' },
+    { from: 'A', to: 'C', relationType: 'links' },
+    { from: 'B', to: 'D', relationType: 'links' },
+    { from: 'C', to: 'D', relationType: 'links' },
+  ]);
+  return manager;
+};
+
+test('findPaths returns every shortest path and the depth it searched', async () => {
+  const manager = await createDiamond();
+
+  const result = await manager.findPaths('A', 'D');
+  assert.equal(result.length, 2);
+  assert.equal(result.maxDepthApplied, 4);
+  assert.deepEqual(result.paths.map(path => path.text).sort(), ['A -[links]-> B -[links]-> D', 'A -[links]-> C -[links]-> D']);
+
+  const short = await manager.findPaths('A', 'D', { maxDepth: 1 });
+  assert.equal(short.maxDepthApplied, 1);
+  assert.deepEqual(short.paths, []);
+});
+
+test('depths above the traversal limit are refused', async () => {
+  const manager = await createDiamond();
+  await assert.rejects(manager.findPaths('A', 'D', { maxDepth: 6 }), /maxDepth must be a whole number from 1 to 5/);
+  await assert.rejects(manager.getSubgraph('A', { depth: 10 }), /depth must be a whole number from 1 to 5/);
+  await assert.rejects(manager.getSubgraph('A', { depth: 0 }), /depth must be/);
+});
@@ -0,0 +1,33 @@
+import { RAGKnowledgeGraphManager } from '../src/manager.js';
+import { createStorage } from '../src/storage/index.js';
+
+/**
+ * Deterministic stand-in for the embedding model: letter counts a-z
+ *
+ * @param {string} text - Text to embed
+ * @returns {number[]} 26-dimensional vector
+ */
+export function letterVector(text) {
+  const vector = new Array(26).fill(0);
+  for (const char of String(text).toLowerCase()) {
+    const index = char.charCodeAt(0) - 97;
+    if (index >= 0 && index < 26) vector[index]++;
+  }
+  return vector;
+}
+
+/**
+ * Manager on a fresh memory backend with letterVector embeddings
+ * (no model download)
+ *
+ * @param {object} config - Extra storage configuration
+ * @returns {Promise<RAGKnowledgeGraphManager>} Initialized manager
+ */
+export async function createTestManager(config = {}) {
+  const manager = new RAGKnowledgeGraphManager({ backend: 'memory', ...config });
+  manager.db = await createStorage(manager.storageConfig);
+  manager.modelInitialized = true;
+  manager.embedder.dimensions = 26;
+  manager._embedTexts = async texts => texts.map(letterVector);
+  return manager;
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Team graph with a checkpoint before a rename, an observation and a delete
+ */
+const changedTeam = async (manager) => {
+  await manager.createEntities([
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] },
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'] },
+    { name: 'Bob', entityType: 'PERSON', observations: ['On call'] },
+  ]);
+  await manager.createRelations([{ from: 'Alice', to: 'Auth Service', relationType: 'owns' }]);
+  await tick();
+  const checkpoint = new Date().toISOString();
+  await tick();
+
+  await manager.updateEntities([{ name: 'Auth Service', newName: 'Identity Service' }]);
+  await manager.addObservations([{ entityName: 'Identity Service', contents: ['Rotates keys daily'] }]);
+  await manager.deleteEntities(['Bob']);
+  return checkpoint;
+};
+
+/**
+ * Record the parameters of every rag_history_as_of call
+ */
+const recordHistoryCalls = (manager) => {
+  const calls = [];
+  const rpc = manager.db.rpc.bind(manager.db);
+  manager.db.rpc = (name, params) => {
+    if (name === 'rag_history_as_of') calls.push(params);
+    return rpc(name, params);
+  };
+  return calls;
+};
+
+test('asOf answers with the graph as it was', async () => {
+  const manager = await createTestManager();
+  const asOf = await changedTeam(manager);
+
+  const [service] = await manager.openNodes(['Auth Service'], { asOf });
+  assert.deepEqual(service.observations, ['Issues tokens']);
+  assert.deepEqual(await manager.openNodes(['Identity Service'], { asOf }), []);
+
+  const graph = await manager.readGraph({ asOf });
+  assert.deepEqual(graph.entities.map(entity => entity.name), ['Alice', 'Auth Service', 'Bob']);
+  assert.deepEqual(graph.relationships.map(rel => `${rel.from} -[${rel.relationType}]-> ${rel.to}`), ['Alice -[owns]-> Auth Service']);
+
+  const people = await manager.searchNodes('person', 10, { asOf });
+  assert.deepEqual(people.map(entity => entity.name).sort(), ['Alice', 'Bob']);
+
+  // Now is after every change
+  const [current] = await manager.openNodes(['Identity Service'], { asOf: new Date().toISOString() });
+  assert.deepEqual(current.observations, ['Issues tokens', 'Rotates keys daily']);
+});
+
+test('asOf openNodes reads only the requested entities', async () => {
+  const manager = await createTestManager();
+  const asOf = await changedTeam(manager);
+  const calls = recordHistoryCalls(manager);
+
+  await manager.openNodes(['Alice'], { asOf });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].filter_record_ids.length, 1);
+
+  await manager.readGraph({ asOf });
+  assert.equal(calls[1].filter_record_ids, undefined);
+});
+
+test('asOf replays the history without rag_history_as_of', async () => {
+  const manager = await createTestManager();
+  const asOf = await changedTeam(manager);
+  delete manager.db.functions.rag_history_as_of;
+
+  const graph = await manager.readGraph({ asOf });
+  assert.deepEqual(graph.entities.map(entity => entity.name), ['Alice', 'Auth Service', 'Bob']);
+  const [service] = await manager.openNodes(['Auth Service'], { asOf });
+  assert.deepEqual(service.observations, ['Issues tokens']);
+});
+
+test('asOf openNodes finds merged entities by alias', async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Postgres', entityType: 'DATABASE', observations: ['Stores users'] },
+    { name: 'PostgreSQL', entityType: 'DATABASE', observations: ['Version 16'] },
+  ]);
+  await manager.mergeEntities('Postgres', 'PostgreSQL');
+  await tick();
+
+  const [entity] = await manager.openNodes(['Postgres'], { asOf: new Date().toISOString() });
+  assert.equal(entity.name, 'PostgreSQL');
+});
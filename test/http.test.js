@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+
+import { startHttpServer } from '../src/http.js';
+
+/**
+ * POST a JSON-RPC message with the given headers
+ */
+const post = (url, headers) => new Promise((resolve, reject) => {
+  const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  const req = request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+  }, (res) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+test('without a token only loopback Host and Origin headers are accepted', async (t) => {
+  const http = await startHttpServer({ host: '127.0.0.1', port: 0, createServer: () => assert.fail('no session expected') });
+  t.after(() => http.close());
+  const { port } = new URL(http.url);
+
+  const rebound = await post(http.url, { Host: `attacker.example:${port}` });
+  assert.equal(rebound.status, 403);
+  assert.match(rebound.body.error.message, /loopback Host and Origin/);
+
+  const crossOrigin = await post(http.url, { Origin: 'http://attacker.example' });
+  assert.equal(crossOrigin.status, 403);
+
+  // Past the check: no session yet
+  for (const host of [`localhost:${port}`, `127.0.0.1:${port}`, `[::1]:${port}`]) {
+    const local = await post(http.url, { Host: host, Origin: `http://${host}` });
+    assert.equal(local.status, 400, host);
+  }
+});
+
+test('with a token any Host is accepted', async (t) => {
+  const http = await startHttpServer({ host: '127.0.0.1', port: 0, token: 'secret', createServer: () => assert.fail('no session expected') });
+  t.after(() => http.close());
+
+  const proxied = await post(http.url, { Host: 'memory.example.com', Authorization: 'Bearer secret' });
+  assert.equal(proxied.status, 400);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const processGuide = manager => manager.processDocument('guide', 'Token rotation for the login service. '.repeat(5));
+
+test('a failing vector search only skips vectors for that query', async () => {
+  const manager = await createTestManager();
+  await processGuide(manager);
+
+  const rpc = manager.db.rpc.bind(manager.db);
+  manager.db.rpc = async () => ({ data: null, error: { code: '57014', message: 'canceling statement due to statement timeout' } });
+  const [degraded] = await manager.hybridSearch('login tokens', 5);
+  assert.equal(degraded.vectorScore ?? null, null);
+
+  manager.db.rpc = rpc;
+  const [recovered] = await manager.hybridSearch('login tokens', 5);
+  assert.ok(recovered.vectorScore > 0);
+});
+
+test('a missing match function turns vector search off', async () => {
+  const manager = await createTestManager();
+  await processGuide(manager);
+
+  let calls = 0;
+  manager.db.rpc = async () => {
+    calls++;
+    return { data: null, error: { code: 'PGRST202', message: 'Could not find the function public.match_rag_chunks' } };
+  };
+  await manager.hybridSearch('login tokens', 5);
+  await manager.hybridSearch('login tokens', 5);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,251 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemoryStorage } from '../src/storage/memory.js';
+import { parseLogicalFilter, parseColumns, shapeResult } from '../src/storage/query.js';
+
+let db;
+
+beforeEach(async () => {
+  db = new MemoryStorage();
+  await db.initialize();
+});
+
+const entity = (name, extra = {}) => ({ name, entity_type: 'TECH', ...extra });
+
+describe('insert and select', () => {
+  test('fills column defaults and returns rows with select()', async () => {
+    const { data, error } = await db.from('rag_entities').insert(entity('React')).select('id, name, observations, namespace');
+    assert.equal(error, null);
+    assert.equal(data.length, 1);
+    assert.equal(data[0].name, 'React');
+    assert.deepEqual(data[0].observations, []);
+    assert.equal(data[0].namespace, 'default');
+    assert.match(data[0].id, /^[0-9a-f-]{36}$/);
+  });
+
+  test('insert without select() returns no data', async () => {
+    const { data, error } = await db.from('rag_entities').insert(entity('React'));
+    assert.equal(error, null);
+    assert.equal(data, null);
+  });
+
+  test('rejects missing required columns and unknown columns', async () => {
+    const missing = await db.from('rag_entities').insert({ name: 'React' });
+    assert.equal(missing.error.code, '23502');
+
+    const unknown = await db.from('rag_entities').insert(entity('React', { colour: 'blue' }));
+    assert.equal(unknown.error.code, '42703');
+  });
+
+  test('enforces unique keys', async () => {
+    await db.from('rag_entities').insert(entity('React'));
+    const { error } = await db.from('rag_entities').insert(entity('React'));
+    assert.equal(error.code, '23505');
+
+    const otherNamespace = await db.from('rag_entities').insert(entity('React', { namespace: 'web' }));
+    assert.equal(otherNamespace.error, null);
+  });
+
+  test('counts with head: true without returning rows', async () => {
+    await db.from('rag_entities').insert([entity('A'), entity('B'), entity('C')]);
+    const { data, count } = await db.from('rag_entities').select('*', { count: 'exact', head: true });
+    assert.equal(data, null);
+    assert.equal(count, 3);
+  });
+
+  test('orders, limits and ranges', async () => {
+    await db.from('rag_entities').insert(['c', 'a', 'd', 'b'].map(name => entity(name)));
+
+    const ordered = await db.from('rag_entities').select('name').order('name');
+    assert.deepEqual(ordered.data.map(r => r.name), ['a', 'b', 'c', 'd']);
+
+    const desc = await db.from('rag_entities').select('name').order('name', { ascending: false }).limit(2);
+    assert.deepEqual(desc.data.map(r => r.name), ['d', 'c']);
+
+    const page = await db.from('rag_entities').select('name').order('name').range(1, 2);
+    assert.deepEqual(page.data.map(r => r.name), ['b', 'c']);
+  });
+});
+
+describe('filters', () => {
+  beforeEach(async () => {
+    await db.from('rag_entities').insert([
+      entity('React', { observations: ['UI library'], metadata: { lang: 'js', tags: { ui: true } } }),
+      entity('Vue', { entity_type: 'FRAMEWORK' }),
+      entity('100%_done', { entity_type: 'STATUS' }),
+      entity('100 percent', { entity_type: 'STATUS' }),
+    ]);
+  });
+
+  const names = ({ data }) => data.map(r => r.name).sort();
+
+  test('eq, neq, in and not', async () => {
+    assert.deepEqual(names(await db.from('rag_entities').select('name').eq('entity_type', 'STATUS')), ['100 percent', '100%_done']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').neq('entity_type', 'STATUS')), ['React', 'Vue']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').in('name', ['Vue', 'Svelte'])), ['Vue']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').not('name', 'in', '(React,Vue)')), ['100 percent', '100%_done']);
+  });
+
+  test('like and ilike wildcards', async () => {
+    assert.deepEqual(names(await db.from('rag_entities').select('name').ilike('name', 're%')), ['React']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').like('name', 're%')), []);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').like('name', 'V_e')), ['Vue']);
+  });
+
+  test('like honors backslash escapes', async () => {
+    assert.deepEqual(names(await db.from('rag_entities').select('name').like('name', '100\\%\\_%')), ['100%_done']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').like('name', '100%')), ['100 percent', '100%_done']);
+  });
+
+  test('or() with nested groups', async () => {
+    const { data } = await db.from('rag_entities').select('name')
+      .or('name.eq.React,and(entity_type.eq.STATUS,name.ilike.*percent)');
+    assert.deepEqual(data.map(r => r.name).sort(), ['100 percent', 'React']);
+  });
+
+  test('contains on arrays and JSON', async () => {
+    assert.deepEqual(names(await db.from('rag_entities').select('name').contains('observations', ['UI library'])), ['React']);
+    assert.deepEqual(names(await db.from('rag_entities').select('name').contains('metadata', { tags: { ui: true } })), ['React']);
+  });
+
+  test('is null', async () => {
+    await db.from('rag_relationships').insert({ source_entity: 'a', target_entity: 'b', relation_type: 'uses' });
+    const { data } = await db.from('rag_relationships').select('id').is('provenance', null);
+    assert.equal(data.length, 1);
+  });
+});
+
+describe('single and maybeSingle', () => {
+  test('maybeSingle returns null for no rows and errors on several', async () => {
+    const none = await db.from('rag_entities').select('*').eq('name', 'React').maybeSingle();
+    assert.deepEqual([none.data, none.error], [null, null]);
+
+    await db.from('rag_entities').insert([entity('React'), entity('Vue')]);
+    const one = await db.from('rag_entities').select('name').eq('name', 'React').maybeSingle();
+    assert.deepEqual(one.data, { name: 'React' });
+
+    const many = await db.from('rag_entities').select('name').maybeSingle();
+    assert.equal(many.data, null);
+    assert.equal(many.error.code, 'PGRST116');
+  });
+
+  test('single errors on no rows', async () => {
+    const { data, error } = await db.from('rag_entities').select('*').eq('name', 'React').single();
+    assert.equal(data, null);
+    assert.equal(error.code, 'PGRST116');
+  });
+});
+
+describe('upsert', () => {
+  test('updates on the primary key and keeps columns it does not supply', async () => {
+    const { data: [row] } = await db.from('rag_entities')
+      .insert(entity('React', { metadata: { lang: 'js' }, embedding_stale: false }))
+      .select('id');
+
+    await db.from('rag_entities').upsert({ id: row.id, name: 'React', entity_type: 'LIBRARY' });
+
+    const { data } = await db.from('rag_entities').select('entity_type, metadata, embedding_stale').eq('id', row.id).single();
+    assert.deepEqual(data, { entity_type: 'LIBRARY', metadata: { lang: 'js' }, embedding_stale: false });
+  });
+
+  test('onConflict picks the conflict columns', async () => {
+    const { data: [a] } = await db.from('rag_entities').insert(entity('A')).select('id');
+    const { data: [b] } = await db.from('rag_entities').insert(entity('B')).select('id');
+
+    await db.from('rag_entity_embeddings').upsert({ entity_id: a.id, embedding_text: 'first' }, { onConflict: 'entity_id' });
+    await db.from('rag_entity_embeddings').upsert([
+      { entity_id: a.id, embedding_text: 'second' },
+      { entity_id: b.id, embedding_text: 'new' },
+    ], { onConflict: 'entity_id' });
+
+    const { data } = await db.from('rag_entity_embeddings').select('entity_id, embedding_text').order('embedding_text');
+    assert.deepEqual(data.map(r => r.embedding_text), ['new', 'second']);
+  });
+
+  test('ignoreDuplicates leaves existing rows alone', async () => {
+    await db.from('rag_chunk_entities').insert({ chunk_id: 'c1', entity_id: 'e1' });
+    const { data } = await db.from('rag_chunk_entities')
+      .upsert([{ chunk_id: 'c1', entity_id: 'e1' }, { chunk_id: 'c1', entity_id: 'e2' }], { ignoreDuplicates: true })
+      .select('entity_id');
+    assert.deepEqual(data.map(r => r.entity_id), ['e2']);
+  });
+});
+
+describe('update and delete', () => {
+  test('update returns the count and refuses to break unique keys', async () => {
+    await db.from('rag_entities').insert([entity('A'), entity('B')]);
+
+    const { count } = await db.from('rag_entities').update({ entity_type: 'X' }).eq('entity_type', 'TECH');
+    assert.equal(count, 2);
+
+    const clash = await db.from('rag_entities').update({ name: 'A' }).eq('name', 'B');
+    assert.equal(clash.error.code, '23505');
+  });
+
+  test('delete cascades to referencing tables', async () => {
+    const { data } = await db.from('rag_entities').insert([entity('A'), entity('B')]).select('id, name');
+    const [a, b] = data;
+    await db.from('rag_relationships').insert({ source_entity: a.id, target_entity: b.id, relation_type: 'uses' });
+    await db.from('rag_observations').insert({ entity_id: a.id, content: 'note' });
+
+    const { count } = await db.from('rag_entities').delete().eq('id', a.id);
+    assert.equal(count, 1);
+
+    const relationships = await db.from('rag_relationships').select('id', { count: 'exact', head: true });
+    const observations = await db.from('rag_observations').select('id', { count: 'exact', head: true });
+    assert.equal(relationships.count, 0);
+    assert.equal(observations.count, 0);
+  });
+});
+
+describe('transactions and functions', () => {
+  test('transaction rolls back when fn throws', async () => {
+    await assert.rejects(db.transaction(async tx => {
+      await tx.from('rag_entities').insert(entity('A'));
+      throw new Error('boom');
+    }), /boom/);
+
+    const { count } = await db.from('rag_entities').select('*', { count: 'exact', head: true });
+    assert.equal(count, 0);
+  });
+
+  test('transaction returns the result of fn', async () => {
+    assert.equal(await db.transaction(async () => 42), 42);
+  });
+
+  test('match_rag_chunks ranks by similarity within the namespaces', async () => {
+    await db.from('rag_documents').insert([{ id: 'd1', content: 'x' }, { id: 'd2', content: 'y', namespace: 'web' }]);
+    await db.from('rag_chunks').insert([
+      { document_id: 'd1', chunk_index: 0, content: 'near', embedding: [1, 0] },
+      { document_id: 'd1', chunk_index: 1, content: 'far', embedding: [0, 1] },
+      { document_id: 'd2', chunk_index: 0, content: 'other', embedding: [1, 0], namespace: 'web' },
+    ]);
+
+    const { data } = await db.rpc('match_rag_chunks', { query_embedding: [1, 0.1], match_count: 5, filter_namespaces: ['default'] });
+    assert.deepEqual(data.map(hit => hit.content), ['near', 'far']);
+  });
+
+  test('unknown functions report PGRST202', async () => {
+    const { error } = await db.rpc('no_such_function');
+    assert.equal(error.code, 'PGRST202');
+  });
+});
+
+describe('query helpers', () => {
+  test('parseColumns', () => {
+    assert.equal(parseColumns('*'), null);
+    assert.deepEqual(parseColumns('id, name'), ['id', 'name']);
+  });
+
+  test('parseLogicalFilter keeps quoted commas', () => {
+    const [term] = parseLogicalFilter('name.in.("a,b",c)');
+    assert.deepEqual(term.value, ['a,b', 'c']);
+  });
+
+  test('shapeResult', () => {
+    assert.deepEqual(shapeResult([{ id: 1 }], 'single'), { data: { id: 1 }, error: null });
+    assert.equal(shapeResult([], 'single').error.code, 'PGRST116');
+    assert.deepEqual(shapeResult([], null), { data: [], error: null });
+  });
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+test('a document id taken in another namespace is refused without naming it', async () => {
+  const manager = await createTestManager();
+  const secret = await manager.inNamespace('acme-secret');
+  const web = await manager.inNamespace('web');
+
+  await secret.storeDocument('roadmap', 'Launch plan');
+
+  await assert.rejects(web.storeDocument('roadmap', 'Public roadmap'), (error) => {
+    assert.match(error.message, /Document id "roadmap" is already in use/);
+    assert.doesNotMatch(error.message, /acme-secret/);
+    return true;
+  });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { observationDetails } from '../src/observations.js';
+import { createTestManager } from './helpers.js';
+
+const createService = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([{ name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] }]);
+  return manager;
+};
+
+const details = async (manager) => {
+  const [entity] = await manager.openNodes(['Auth Service'], { includeObservationDetails: true });
+  return entity;
+};
+
+test('observations are recorded with source, confidence and time', async () => {
+  const manager = await createService();
+  const [result] = await manager.addObservations(
+    [{ entityName: 'Auth Service', contents: ['Rotates keys daily'], documentId: 'runbook', chunkIndex: 2, confidence: 0.8 }],
+    { caller: 'ops-agent', session: 's1' }
+  );
+  assert.equal(result.observationIds.length, 1);
+
+  const entity = await details(manager);
+  assert.deepEqual(entity.observations, ['Issues tokens', 'Rotates keys daily']);
+  const [, added] = entity.observationDetails;
+  assert.equal(added.id, result.observationIds[0]);
+  assert.deepEqual(added.source, { documentId: 'runbook', chunkIndex: 2, session: 's1', caller: 'ops-agent' });
+  assert.equal(added.confidence, 0.8);
+  assert.ok(!Number.isNaN(Date.parse(added.createdAt)));
+});
+
+test('deleting by id removes that observation only; by content every copy', async () => {
+  const manager = await createService();
+  const [{ observationIds: [first] }] = await manager.addObservations([{ entityName: 'Auth Service', contents: ['On call: Bob'] }]);
+  await manager.addObservations([{ entityName: 'Auth Service', contents: ['On call: Bob'] }]);
+
+  const byId = await manager.deleteObservations([{ entityName: 'Auth Service', observationIds: [first, 'no-such-id'] }]);
+  assert.equal(byId.deleted[0].removedCount, 1);
+  assert.deepEqual(byId.deleted[0].unknownIds, ['no-such-id']);
+  const entity = await details(manager);
+  assert.deepEqual(entity.observations, ['Issues tokens', 'On call: Bob']);
+  assert.ok(entity.observationDetails.every(detail => detail.id !== first));
+
+  await manager.addObservations([{ entityName: 'Auth Service', contents: ['On call: Bob'] }]);
+  const byContent = await manager.deleteObservations([{ entityName: 'Auth Service', observations: ['On call: Bob'] }]);
+  assert.equal(byContent.deleted[0].removedCount, 2);
+  assert.deepEqual((await details(manager)).observations, ['Issues tokens']);
+});
+
+test('observations stored before records existed have no id', () => {
+  const record = { id: 'r1', content: 'Issues tokens', created_at: '2026-10-01T00:00:00.000Z', source: {}, confidence: null };
+  assert.deepEqual(observationDetails(['Legacy note', 'Issues tokens'], [record]).map(detail => detail.id), [null, 'r1']);
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PostgresStorage } from '../src/storage/postgres.js';
+
+/**
+ * Connection that records statements instead of running them
+ */
+function fakeConnection(log, { fail = () => null } = {}) {
+  return {
+    async query(text, values) {
+      log.push({ text, values });
+      const error = fail(text);
+      if (error) throw error;
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+let db;
+let log;
+let released;
+
+beforeEach(() => {
+  log = [];
+  released = [];
+  db = new PostgresStorage({ databaseUrl: 'postgres://localhost/unused' });
+  db.pool = {
+    ...fakeConnection(log),
+    connect: async () => ({ ...fakeConnection(log, db.failOn), release: error => released.push(error) }),
+  };
+  db.connection = db.pool;
+  db.tableInfo.set('rag_entities', {
+    types: { id: 'uuid', name: 'text', entity_type: 'text', metadata: 'jsonb', embedding_stale: 'bool' },
+    conflictKeys: [['id'], ['name']],
+  });
+});
+
+test('upsert only updates the columns each row supplies', async () => {
+  const { error } = await db.from('rag_entities').upsert([
+    { id: 'a', name: 'A', entity_type: 'T', metadata: { x: 1 } },
+    { id: 'b', name: 'B', entity_type: 'T' },
+  ]);
+  assert.equal(error, null);
+
+  const upserts = log.filter(entry => entry.text.startsWith('INSERT'));
+  assert.equal(upserts.length, 2);
+  assert.match(upserts[0].text, /"metadata" = EXCLUDED\."metadata"/);
+  assert.doesNotMatch(upserts[1].text, /metadata|DEFAULT/);
+  assert.deepEqual(log.map(entry => entry.text).filter(text => !text.startsWith('INSERT')), ['BEGIN', 'COMMIT']);
+});
+
+test('upsert leaves out columns given as undefined', async () => {
+  await db.from('rag_entities').upsert({ id: 'a', name: 'A', entity_type: 'T', metadata: undefined });
+  assert.equal(log.length, 1);
+  assert.doesNotMatch(log[0].text, /metadata/);
+  assert.match(log[0].text, /ON CONFLICT \("id"\) DO UPDATE SET "name" = EXCLUDED\."name", "entity_type" = EXCLUDED\."entity_type"$/);
+});
+
+test('rows with the same columns share one statement', async () => {
+  await db.from('rag_entities').upsert([{ id: 'a', name: 'A', entity_type: 'T' }, { name: 'B', id: 'b', entity_type: 'T' }]);
+  assert.equal(log.length, 1);
+});
+
+test('an update with nothing to set runs no statement', async () => {
+  const result = await db.from('rag_entities').update({ metadata: undefined }).eq('id', 'a');
+  assert.deepEqual(result, { data: null, error: null, count: 0 });
+
+  const returned = await db.from('rag_entities').update({ name: undefined }).eq('id', 'a').select();
+  assert.deepEqual(returned.data, []);
+  assert.equal(returned.error, null);
+  assert.equal(log.length, 0);
+});
+
+test('a failed ROLLBACK does not replace the original error', async () => {
+  db.failOn = { fail: text => (text === 'ROLLBACK' ? new Error('connection lost') : null) };
+
+  await assert.rejects(
+    db.transaction(async () => { throw new Error('original'); }),
+    /original/
+  );
+  assert.equal(released.length, 1);
+  assert.match(released[0].message, /connection lost/);
+});
+
+test('a committed transaction releases the connection for reuse', async () => {
+  assert.equal(await db.transaction(async () => 'done'), 'done');
+  assert.deepEqual(released, [undefined]);
+});
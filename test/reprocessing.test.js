@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const OPTIONS = { strategy: 'sentence', maxChunkSize: 40, overlap: 0 };
+const TEXT = 'The auth service issues tokens. Alice owns it. Billing sends invoices every month.';
+
+const chunkRows = async (manager) => {
+  const { data } = await manager.db.from('rag_chunks').select('id, content').eq('document_id', 'guide').order('chunk_index');
+  return data;
+};
+
+test('processing the same content again changes nothing', async () => {
+  const manager = await createTestManager();
+  const first = await manager.processDocument('guide', TEXT, OPTIONS);
+  assert.equal(first.chunksAdded, 3);
+  assert.equal(first.embeddedChunks, 3);
+  const before = await chunkRows(manager);
+
+  const again = await manager.processDocument('guide', TEXT, OPTIONS);
+  assert.equal(again.documentChanged, false);
+  assert.deepEqual([again.chunksAdded, again.chunksRemoved, again.chunksUnchanged], [0, 0, 3]);
+  assert.equal(again.embeddedChunks, 0);
+  assert.deepEqual(await chunkRows(manager), before);
+});
+
+test('only changed chunks are replaced and re-embedded', async () => {
+  const manager = await createTestManager();
+  await manager.processDocument('guide', TEXT, OPTIONS);
+  const before = await chunkRows(manager);
+
+  const edited = await manager.processDocument('guide', TEXT.replace('Alice owns it.', 'Bob owns it now.'), OPTIONS);
+  assert.equal(edited.documentChanged, true);
+  assert.deepEqual([edited.chunksAdded, edited.chunksRemoved, edited.chunksUnchanged], [1, 1, 2]);
+  assert.equal(edited.embeddedChunks, 1);
+
+  const after = await chunkRows(manager);
+  assert.deepEqual(after.map(chunk => chunk.content), ['The auth service issues tokens.', 'Bob owns it now.', 'Billing sends invoices every month.']);
+  assert.equal(after[0].id, before[0].id);
+  assert.equal(after[2].id, before[2].id);
+});
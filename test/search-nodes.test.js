@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const createTeam = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues session tokens for users'] },
+    { name: 'Alice', entityType: 'PERSON', observations: ['Owns the auth service'] },
+    { name: 'Billing', entityType: 'SERVICE', observations: ['Sends monthly invoices'] },
+  ]);
+  return manager;
+};
+
+const names = entities => entities.map(entity => entity.name);
+
+test('semantic mode finds entities the query does not name', async () => {
+  const manager = await createTeam();
+  const query = 'who owns the auth service';
+  assert.deepEqual(await manager.searchNodes(query), []);
+
+  const hits = await manager.searchNodes(query, 3, { mode: 'semantic', threshold: 0 });
+  assert.deepEqual(names(hits), ['Alice', 'Auth Service', 'Billing']);
+  assert.ok(hits[0].similarity > hits[1].similarity);
+
+  assert.deepEqual(names(await manager.searchNodes(query, 3, { mode: 'semantic', threshold: 0.9 })), ['Alice']);
+  assert.deepEqual(names(await manager.searchNodes(query, 3, { mode: 'semantic', threshold: 0, entityType: 'SERVICE' })), ['Auth Service', 'Billing']);
+});
+
+test('hybrid mode fuses text and semantic matches', async () => {
+  const manager = await createTeam();
+  const [top, ...rest] = await manager.searchNodes('Auth Service', 3, { mode: 'hybrid', threshold: 0 });
+
+  // Found by both retrievers, so ranked first
+  assert.equal(top.name, 'Auth Service');
+  assert.ok(top.similarity > 0);
+  assert.ok(rest.every(entity => entity.score < top.score));
+});
+
+test('unknown modes and semantic asOf searches are refused', async () => {
+  const manager = await createTeam();
+  await assert.rejects(manager.searchNodes('auth', 3, { mode: 'fuzzy' }), /Unknown search mode/);
+  await assert.rejects(manager.searchNodes('auth', 3, { mode: 'semantic', asOf: new Date().toISOString() }), /mode "text" only/);
+});
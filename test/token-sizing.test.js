@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTokenizer } from '../src/tokenizers.js';
+import { createTestManager } from './helpers.js';
+
+const TEXT = 'The auth service issues signed session tokens. It rotates its keys every single day at midnight. Alice owns it.';
+
+/**
+ * Manager whose tokenizer counts words, with a model limit of maxTokens
+ */
+const wordTokenManager = async (maxTokens) => {
+  const manager = await createTestManager();
+  manager._tokenizer = { name: 'words', maxTokens, count: text => text.split(/\s+/).filter(Boolean).length };
+  return manager;
+};
+
+const storedChunks = async (manager, documentId) => {
+  const { data } = await manager.db
+    .from('rag_chunks')
+    .select('content, token_count')
+    .eq('document_id', documentId)
+    .order('chunk_index');
+  return data;
+};
+
+test('token sizing packs chunks up to maxChunkSize tokens and stores the counts', async () => {
+  const manager = await wordTokenManager(50);
+  await manager.storeDocument('auth', TEXT);
+  await manager.chunkDocument('auth', { strategy: 'sentence', sizeUnit: 'tokens', maxChunkSize: 10, overlap: 0 });
+
+  const chunks = await storedChunks(manager, 'auth');
+  assert.deepEqual(chunks.map(chunk => chunk.token_count), [7, 9, 3]);
+  assert.ok(chunks.every(chunk => chunk.token_count === manager._tokenizer.count(chunk.content)));
+});
+
+test('a maxChunkSize above the model limit is refused', async () => {
+  const manager = await wordTokenManager(8);
+  await manager.storeDocument('auth', TEXT);
+  await assert.rejects(
+    manager.chunkDocument('auth', { sizeUnit: 'tokens', maxChunkSize: 20 }),
+    /exceeds the words limit of 8 tokens/
+  );
+});
+
+test('character chunks the model would truncate are split', async () => {
+  const manager = await wordTokenManager(8);
+  await manager.storeDocument('auth', TEXT);
+  await manager.chunkDocument('auth', { strategy: 'sentence', maxChunkSize: 500, overlap: 0 });
+
+  const chunks = await storedChunks(manager, 'auth');
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.token_count <= 8));
+  assert.equal(chunks.map(chunk => chunk.content).join(' '), TEXT);
+});
+
+test('token sizing needs a tokenizer', async () => {
+  const manager = await createTestManager();
+  await manager.storeDocument('auth', TEXT);
+  await assert.rejects(manager.chunkDocument('auth', { sizeUnit: 'tokens' }), /Token sizing unavailable/);
+});
+
+test('OpenAI models count cl100k_base tokens', async () => {
+  const tokenizer = await createTokenizer({ provider: 'openai' });
+  assert.equal(tokenizer.name, 'cl100k_base');
+  assert.equal(tokenizer.maxTokens, 8191);
+  assert.equal(tokenizer.count('hello world'), 2);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const createTeam = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Auth Service', entityType: 'SERVICE', observations: ['Issues tokens'] },
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'] },
+  ]);
+  await manager.createRelations([{ from: 'Alice', to: 'Auth Service', relationType: 'owns' }]);
+  return manager;
+};
+
+const trashCount = async (manager) => {
+  const { count } = await manager.db.from('rag_trash').select('id', { count: 'exact', head: true });
+  return count;
+};
+
+test('a deleted entity comes back with its relationships', async () => {
+  const manager = await createTeam();
+  await manager.deleteEntities(['Auth Service']);
+  assert.deepEqual((await manager.readGraph()).entities.map(entity => entity.name), ['Alice']);
+
+  const { items } = await manager.listTrash();
+  assert.deepEqual(items.map(item => [item.itemType, item.name]), [['entity', 'Auth Service']]);
+
+  const { restored } = await manager.restoreFromTrash({ names: ['Auth Service'] });
+  assert.equal(restored.length, 1);
+  const graph = await manager.readGraph();
+  assert.deepEqual(graph.entities.map(entity => entity.name).sort(), ['Alice', 'Auth Service']);
+  assert.equal(graph.relationships.length, 1);
+  assert.equal(await trashCount(manager), 0);
+});
+
+test('listTrash hides expired items without deleting them; purgeTrash deletes', async () => {
+  const manager = await createTeam();
+  await manager.deleteEntities(['Auth Service', 'Alice']);
+  await manager.db.from('rag_trash').update({ expires_at: new Date(Date.now() - 1000).toISOString() }).eq('name', 'Alice');
+
+  const { items, total } = await manager.listTrash();
+  assert.deepEqual(items.map(item => item.name), ['Auth Service']);
+  assert.equal(total, 1);
+  assert.equal(await trashCount(manager), 2);
+
+  const { expired } = await manager.purgeTrash();
+  assert.equal(expired, 1);
+  assert.equal(await trashCount(manager), 1);
+
+  const { purged } = await manager.purgeTrash({ all: true });
+  assert.equal(purged, 1);
+  assert.equal(await trashCount(manager), 0);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestManager } from './helpers.js';
+
+const createTeam = async () => {
+  const manager = await createTestManager();
+  await manager.createEntities([
+    { name: 'Postgres', entityType: 'SERVICE', observations: ['Stores users'] },
+    { name: 'Alice', entityType: 'PERSON', observations: ['Team lead'] },
+  ]);
+  await manager.createRelations([{ from: 'Alice', to: 'Postgres', relationType: 'owns' }]);
+  return manager;
+};
+
+const entityRow = (manager, name) => manager.db
+  .from('rag_entities')
+  .select('id, metadata')
+  .eq('name', name)
+  .maybeSingle()
+  .then(({ data }) => data);
+
+test('a renamed entity keeps its id, relationships and embedding', async () => {
+  const manager = await createTeam();
+  const { id } = await entityRow(manager, 'Postgres');
+
+  const [result] = await manager.updateEntities([{ name: 'Postgres', newName: 'PostgreSQL', entityType: 'DATABASE' }]);
+  assert.deepEqual(result, { success: true, entity: 'Postgres', name: 'PostgreSQL', updated: ['name', 'entityType'] });
+  assert.equal((await entityRow(manager, 'PostgreSQL')).id, id);
+  assert.equal(await entityRow(manager, 'Postgres'), null);
+
+  const graph = await manager.readGraph({ compact: true });
+  assert.deepEqual(graph.relationships, ['Alice -[owns]-> PostgreSQL']);
+
+  const { data: embedding } = await manager.db.from('rag_entity_embeddings').select('embedding_text').eq('entity_id', id).single();
+  assert.match(embedding.embedding_text, /PostgreSQL/);
+  assert.match(embedding.embedding_text, /DATABASE/);
+});
+
+test('a taken name is reported as a conflict', async () => {
+  const manager = await createTeam();
+  const [result] = await manager.updateEntities([{ name: 'Postgres', newName: 'Alice' }]);
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, 'Alice');
+  assert.ok(await entityRow(manager, 'Postgres'));
+
+  const [missing] = await manager.updateEntities([{ name: 'MySQL', newName: 'MariaDB' }]);
+  assert.deepEqual(missing, { success: false, entity: 'MySQL', error: 'Entity not found' });
+});
+
+test('metadata is merged and null removes a key', async () => {
+  const manager = await createTeam();
+  await manager.updateEntities([{ name: 'Alice', metadata: { team: 'platform', level: 3 } }]);
+  await manager.updateEntities([{ name: 'Alice', metadata: { level: null, site: 'Berlin' } }]);
+  assert.deepEqual((await entityRow(manager, 'Alice')).metadata, { team: 'platform', site: 'Berlin' });
+});